@@ -0,0 +1,123 @@
+/**
+ * Alert Controller
+ * Back-in-stock and price-drop subscriptions, plus unsubscribe
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { alertRepository } from '../repositories/index.js'
+import { ValidationError } from '../utils/errors.js'
+
+function parseId(value, name) {
+  const id = parseInt(value, 10)
+
+  if (Number.isNaN(id)) {
+    throw new ValidationError(`Invalid ${name} ID`)
+  }
+
+  return id
+}
+
+/**
+ * Subscribe to a product alert (re-arms an existing alert of the same type)
+ */
+export async function createAlert(req, res, next) {
+  try {
+    const productId = parseId(req.params.id, 'product')
+    const alert = await alertRepository.subscribe(req.user.userId, productId, req.body)
+
+    logger.info(
+      `User ${req.user.userId} subscribed to ${alert.type} alerts for product ${productId}`
+    )
+
+    res.status(201).json({
+      success: true,
+      data: { alert },
+      message:
+        alert.type === 'restock'
+          ? "We'll let you know when it's back in stock"
+          : `We'll let you know when it drops to $${alert.targetPrice.toFixed(2)}`,
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * The current user's alerts for a product
+ */
+export async function getProductAlerts(req, res, next) {
+  try {
+    const productId = parseId(req.params.id, 'product')
+    const alerts = await alertRepository.getUserAlerts(req.user.userId, { productId })
+
+    res.json({ success: true, data: { alerts } })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function deleteAlert(req, res, next) {
+  try {
+    await alertRepository.deleteUserAlert(
+      req.user.userId,
+      parseId(req.params.id, 'product'),
+      parseId(req.params.alertId, 'alert')
+    )
+
+    res.json({ success: true, message: 'Alert removed' })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * All of the current user's alerts
+ */
+export async function getMyAlerts(req, res, next) {
+  try {
+    const alerts = await alertRepository.getUserAlerts(req.user.userId)
+
+    res.json({ success: true, data: { alerts } })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Unsubscribe the current user from every alert
+ */
+export async function deleteMyAlerts(req, res, next) {
+  try {
+    const removed = await alertRepository.deleteAllForUser(req.user.userId)
+
+    res.json({ success: true, data: { removed }, message: 'Unsubscribed from all alerts' })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Unsubscribe from an alert email link (no login needed; the token identifies the alert)
+ * `?scope=all` removes every alert belonging to the token's owner
+ */
+export async function unsubscribe(req, res, next) {
+  try {
+    const token = req.query.token || req.body?.token
+
+    if (!token) {
+      throw new ValidationError('Unsubscribe token is required')
+    }
+
+    const removed = await alertRepository.unsubscribeByToken(String(token), {
+      all: req.query.scope === 'all' || req.body?.scope === 'all',
+    })
+
+    res.json({
+      success: true,
+      data: { removed },
+      message: removed === 1 ? 'Unsubscribed from alert' : `Unsubscribed from ${removed} alerts`,
+    })
+  } catch (err) {
+    next(err)
+  }
+}
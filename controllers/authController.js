@@ -3,7 +3,8 @@ import bcrypt from 'bcryptjs'
 import { generateAccessToken, generateRefreshToken, generateSecureToken, hashToken } from '../utils/jwt.js'
 import { logger } from '../middleware/errorHandler.js'
 import { emailService } from '../utils/emailService.js'
-import { userRepository } from '../repositories/index.js'
+import { guestCartRepository, userRepository } from '../repositories/index.js'
+import { GUEST_CART_COOKIE, guestCartCookieOptions } from '../middleware/guestCart.js'
 import { getDBConnection } from '../db/db.js'
 import { 
   ValidationError, 
@@ -28,6 +29,32 @@ async function logSecurityEvent(userId, eventType, details, req) {
 
 const getAuthUserId = (req) => req.user?.userId || req.user?.id
 
+// Fold an anonymous shopper's cart into the account they just signed in to.
+// A failed merge is logged but never blocks authentication.
+async function mergeGuestCart(req, res, userId) {
+  const guestToken = req.cookies?.[GUEST_CART_COOKIE]
+  if (!guestToken) {
+    return null
+  }
+
+  res.clearCookie(GUEST_CART_COOKIE, guestCartCookieOptions)
+
+  try {
+    const result = await guestCartRepository.mergeIntoUserCart(guestToken, userId)
+
+    if (result.merged.length > 0 || result.adjustments.length > 0) {
+      logger.info(
+        `Merged guest cart into user ${userId} (${result.merged.length} lines, ${result.adjustments.length} adjusted)`
+      )
+    }
+
+    return result
+  } catch (error) {
+    logger.error('Failed to merge guest cart:', error)
+    return null
+  }
+}
+
 export async function registerUser(req, res, next) {
   try {
     const { name, email, username, password } = req.body
@@ -66,6 +93,8 @@ export async function registerUser(req, res, next) {
       maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
     })
 
+    const cartMerge = await mergeGuestCart(req, res, userId)
+
     // Log successful registration
     await logSecurityEvent(userId, 'USER_REGISTERED', { username, email }, req)
     logger.info(`New user registered: ${username} (${email})`)
@@ -80,6 +109,7 @@ export async function registerUser(req, res, next) {
         username,
         isVerified: false
       },
+      cartMerge,
       accessToken // Also return in response for client-side storage if needed
     })
 
@@ -149,6 +179,8 @@ export async function loginUser(req, res, next) {
       maxAge: 30 * 24 * 60 * 60 * 1000
     })
 
+    const cartMerge = await mergeGuestCart(req, res, user.id)
+
     // Log successful login
     await logSecurityEvent(user.id, 'USER_LOGGED_IN', { username }, req)
     logger.info(`User logged in: ${user.username}`)
@@ -163,6 +195,7 @@ export async function loginUser(req, res, next) {
         username: user.username,
         isVerified: user.is_verified
       },
+      cartMerge,
       accessToken
     })
 
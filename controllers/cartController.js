@@ -1,6 +1,10 @@
 import { getDBConnection } from '../db/db.js'
+import { cartRepository, productRepository, promotionRepository } from '../repositories/index.js'
+import { ratesOptionsFromQuery } from '../services/RatesService.js'
+import { getReservationService } from '../services/ReservationService.js'
+import { ValidationError } from '../utils/errors.js'
 
-export async function addToCart(req, res) {
+export async function addToCart(req, res, next) {
  const db = await getDBConnection()
 
  const productId = parseInt(req.body.product_id, 10)
@@ -9,14 +13,38 @@ export async function addToCart(req, res) {
   return res.status(400).json({ error: 'Invalid product ID'})
  }
 
+ const quantity = req.body.quantity === undefined ? 1 : parseInt(req.body.quantity, 10)
+
+ if (isNaN(quantity) || quantity < 1 || quantity > 10) {
+  return res.status(400).json({ error: 'Quantity must be between 1 and 10'})
+ }
+
  const userId = req.user?.userId
 
  const existing = await db.get('SELECT * FROM cart_items WHERE user_id = ? AND product_id = ?', [userId, productId])
 
+ try {
+  // Other shoppers' checkout holds are not available to this cart
+  const requested = (existing?.quantity || 0) + quantity
+  const availability = await productRepository.checkAvailability(productId, requested, userId)
+
+  if (!availability.available) {
+   return res.status(400).json({
+    error: availability.availableStock > 0
+     ? `Only ${availability.availableStock} available`
+     : 'Out of stock',
+    available: availability.availableStock
+   })
+  }
+ } catch (err) {
+  return next(err)
+ }
+
+ // Lines keep the price they were first added at so the summary can flag later changes
  if (existing) {
-  await db.run('UPDATE cart_items SET quantity = quantity + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [existing.id])
+  await db.run('UPDATE cart_items SET quantity = quantity + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [quantity, existing.id])
  } else {
-  await db.run('INSERT INTO cart_items (user_id, product_id, quantity, created_at, updated_at) VALUES (?, ?, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)', [userId, productId])
+  await db.run('INSERT INTO cart_items (user_id, product_id, quantity, price_at_add, created_at, updated_at) VALUES (?, ?, ?, (SELECT price FROM products WHERE id = ?), CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)', [userId, productId, quantity, productId])
  }
 
  res.json({ message: 'Added to cart' })
@@ -70,7 +98,101 @@ export async function deleteAll(req, res) {
 
   await db.run('DELETE FROM cart_items WHERE user_id = ?', [req.user?.userId])
 
+  // An empty cart has nothing left to hold
+  await getReservationService().releaseForUser(req.user?.userId)
+
   res.status(204).send()
   
 }
 
+/**
+ * Set a cart line's quantity (0 removes the line)
+ */
+export async function updateCartItem(req, res, next) {
+  try {
+    const itemId = parseInt(req.params.itemId, 10)
+
+    if (Number.isNaN(itemId)) {
+      throw new ValidationError('Invalid item ID')
+    }
+
+    const item = await cartRepository.updateCartItem(req.user.userId, itemId, {
+      quantity: req.body.quantity
+    })
+
+    res.json({
+      success: true,
+      data: { item },
+      message: item ? 'Cart item updated' : 'Cart item removed'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Cart lines with subtotal, shipping, itemized tax and total, plus lines whose price changed since they were added
+ * Rates use the ship-to address in the query string, or the store's region as an estimate
+ */
+export async function getCartSummary(req, res, next) {
+  try {
+    const { items, summary, coupon, priceChanges } = await cartRepository.getCartSummary(
+      req.user.userId,
+      ratesOptionsFromQuery(req.query)
+    )
+
+    res.json({
+      success: true,
+      data: { items, summary, coupon, priceChanges }
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Apply a coupon code to the cart
+ */
+export async function applyCoupon(req, res, next) {
+  try {
+    const userId = req.user.userId
+    const items = (await cartRepository.getCartItems(userId)).map((item) =>
+      cartRepository.normalizeCartItem(item)
+    )
+
+    if (items.length === 0) {
+      throw new ValidationError('Cannot apply a coupon to an empty cart')
+    }
+
+    await promotionRepository.applyToCart(userId, req.body.code, items)
+    const { summary, coupon } = await cartRepository.getCartSummary(userId)
+
+    res.json({
+      success: true,
+      data: { summary, coupon },
+      message: `Coupon ${coupon.code} applied`
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Remove the cart's coupon
+ */
+export async function removeCoupon(req, res, next) {
+  try {
+    const userId = req.user.userId
+
+    await promotionRepository.removeFromCart(userId)
+    const { summary } = await cartRepository.getCartSummary(userId)
+
+    res.json({
+      success: true,
+      data: { summary, coupon: null },
+      message: 'Coupon removed'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Collection Import Controller
+ * Importing a Discogs collection export (previewed by default) and exporting
+ * the collection in the same format
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import {
+  getCollectionImportService,
+  parseCollectionRows,
+} from '../services/CollectionImportService.js'
+import { ValidationError } from '../utils/errors.js'
+import { EXPORT_FORMATS, isDryRun } from '../utils/imports.js'
+
+export async function importCollection(req, res, next) {
+  try {
+    const input =
+      typeof req.body === 'string' || Array.isArray(req.body) ? req.body : req.body?.items
+    const rows = parseCollectionRows(input)
+    const dryRun = isDryRun(req)
+
+    const result = await getCollectionImportService().importCollection(req.user.userId, rows, {
+      dryRun,
+    })
+
+    if (!dryRun) {
+      logger.info(
+        `Collection import by user ${req.user.userId}: ${result.summary.create} added, ${result.summary.duplicate} duplicates, ${result.summary.error} failed`
+      )
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      message: dryRun
+        ? 'Preview: nothing was saved. Repeat with ?dryRun=false to import it.'
+        : 'Collection imported',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function exportCollection(req, res, next) {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase()
+
+    if (!EXPORT_FORMATS[format]) {
+      throw new ValidationError('Export format must be csv or json')
+    }
+
+    const body = await getCollectionImportService().exportCollection(req.user.userId, format)
+
+    const date = new Date().toISOString().slice(0, 10)
+    res.set({
+      'Content-Type': EXPORT_FORMATS[format],
+      'Content-Disposition': `attachment; filename="collection-${date}.${format}"`,
+    })
+    res.send(body)
+  } catch (err) {
+    next(err)
+  }
+}
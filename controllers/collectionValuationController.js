@@ -0,0 +1,32 @@
+/**
+ * Collection Valuation Controller
+ * Admin view and manual start of the scheduled collection valuation
+ */
+
+import { getCollectionValuationService } from '../services/CollectionValuationService.js'
+
+export async function getValuationStatus(_req, res, next) {
+  try {
+    res.json({
+      success: true,
+      data: await getCollectionValuationService().getStatus(),
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function startValuation(req, res, next) {
+  try {
+    const service = getCollectionValuationService()
+    await service.start(req.user.userId)
+
+    res.status(202).json({
+      success: true,
+      data: await service.getStatus(),
+      message: 'Collection valuation started',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
@@ -4,7 +4,14 @@
  */
 
 import { getDiscogsService } from '../services/DiscogsService.js'
+import {
+  IMPORT_STATUS,
+  entriesFromInventory,
+  getDiscogsImportService
+} from '../services/DiscogsImportService.js'
 import { getAllGrades, getAllSleeveGrades, gradeToDiscogsLabel } from '../utils/grading.js'
+import { ValidationError } from '../utils/errors.js'
+import { getSocketManager } from '../websocket/socketManager.js'
 import { logger } from '../middleware/errorHandler.js'
 
 /**
@@ -419,35 +426,73 @@ export function getGradingSystem(req, res) {
   })
 }
 
+function broadcastNewProduct(product) {
+  const socketManager = getSocketManager()
+  if (socketManager) {
+    socketManager.broadcastNewProduct(product)
+  }
+}
+
 /**
- * Import release as local product
+ * Create a store product from a Discogs release (admin)
+ * 201 when created, 200 with the existing product if the release is already listed
  */
-export async function importRelease(req, res) {
+export async function importRelease(req, res, next) {
   try {
-    const discogs = getDiscogsService()
-    const { id } = req.params
-    const additionalData = req.body || {}
+    const releaseId = parseInt(req.params.id, 10)
 
-    if (!id || isNaN(parseInt(id))) {
-      return res.status(400).json({
-        success: false,
-        error: 'Valid release ID is required'
-      })
+    if (Number.isNaN(releaseId) || releaseId <= 0) {
+      throw new ValidationError('Valid release ID is required')
     }
 
-    const productData = await discogs.importReleaseAsProduct(parseInt(id), additionalData)
+    const { status, product, warnings } = await getDiscogsImportService().importRelease(
+      releaseId,
+      req.body || {}
+    )
+    const created = status === IMPORT_STATUS.CREATED
 
-    res.json({
+    if (created) {
+      logger.info(`User ${req.user.userId} imported Discogs release ${releaseId}`)
+      broadcastNewProduct(product)
+    }
+
+    res.status(created ? 201 : 200).json({
       success: true,
-      data: productData,
-      message: 'Release data prepared for import. Use products API to create the product.'
+      data: { status, product, warnings },
+      message: created ? 'Release imported' : 'This release is already in the catalog'
     })
   } catch (err) {
-    logger.error('Discogs import release error:', err)
-    res.status(err.status || 500).json({
-      success: false,
-      error: 'Failed to import release',
-      details: err.message
+    next(err)
+  }
+}
+
+/**
+ * Import several releases (admin): a list of release IDs (optionally with
+ * price/stock) or a Discogs seller inventory export
+ */
+export async function importReleases(req, res, next) {
+  try {
+    const { releases, inventory } = req.body
+    const entries = inventory
+      ? entriesFromInventory(inventory)
+      : releases.map(entry => (typeof entry === 'number' ? { releaseId: entry } : entry))
+
+    if (entries.length === 0) {
+      throw new ValidationError('No releases to import')
+    }
+
+    const { results, summary } = await getDiscogsImportService().importBatch(entries)
+
+    logger.info(
+      `User ${req.user.userId} imported ${summary.created} of ${entries.length} Discogs releases`
+    )
+
+    res.json({
+      success: true,
+      data: { results, summary },
+      message: `${summary.created} imported, ${summary.duplicate} already listed, ${summary.failed} failed`
     })
+  } catch (err) {
+    next(err)
   }
 }
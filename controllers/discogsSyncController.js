@@ -0,0 +1,96 @@
+/**
+ * Discogs Sync Controller
+ * Connecting the current user's Discogs account and syncing their
+ * collection and wantlist with it
+ */
+
+import { discogsSyncRepository } from '../repositories/index.js'
+import { getDiscogsSyncService } from '../services/DiscogsSyncService.js'
+import { ValidationError } from '../utils/errors.js'
+
+function origin(req) {
+  return process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`
+}
+
+// Where the browser lands once Discogs sends it back
+function settingsUrl(req, outcome) {
+  return `${origin(req)}/account-settings.html?discogs=${outcome}`
+}
+
+export async function getDiscogsConnection(req, res, next) {
+  try {
+    res.json({
+      success: true,
+      data: await getDiscogsSyncService().getConnection(req.user.userId),
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function connectDiscogs(req, res, next) {
+  try {
+    const callbackUrl = `${origin(req)}/api/v1/discogs/oauth/callback`
+    const data = await getDiscogsSyncService().startConnect(req.user.userId, callbackUrl)
+
+    res.json({
+      success: true,
+      data,
+      message: 'Authorize Spiral Sounds on Discogs to finish connecting your account',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Discogs redirects here after the user authorizes us (or declines)
+ */
+export async function discogsOAuthCallback(req, res, next) {
+  try {
+    const { oauth_token: token, oauth_verifier: verifier, denied } = req.query
+
+    if (denied) {
+      await discogsSyncRepository.takeRequestToken(denied)
+      return res.redirect(settingsUrl(req, 'denied'))
+    }
+    if (!token || !verifier) {
+      throw new ValidationError('oauth_token and oauth_verifier are required')
+    }
+
+    await getDiscogsSyncService().completeConnect(token, verifier)
+    res.redirect(settingsUrl(req, 'connected'))
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function disconnectDiscogs(req, res, next) {
+  try {
+    await getDiscogsSyncService().disconnect(req.user.userId)
+
+    res.json({
+      success: true,
+      message: 'Discogs account disconnected',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function syncDiscogs(req, res, next) {
+  try {
+    const report = await getDiscogsSyncService().sync(req.user.userId, req.body)
+
+    res.json({
+      success: true,
+      data: report,
+      message:
+        report.conflicts.length > 0
+          ? `Sync finished with ${report.conflicts.length} conflicts to resolve`
+          : 'Sync finished',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
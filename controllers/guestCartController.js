@@ -0,0 +1,138 @@
+/**
+ * Guest Cart Controller
+ * Cart endpoints for shoppers who aren't logged in; responses mirror cartController
+ */
+
+import { guestCartRepository, productRepository } from '../repositories/index.js'
+import { ratesOptionsFromQuery } from '../services/RatesService.js'
+import { ValidationError } from '../utils/errors.js'
+
+export async function addToCart(req, res, next) {
+  try {
+    const productId = parseInt(req.body.product_id, 10)
+
+    if (Number.isNaN(productId)) {
+      return res.status(400).json({ error: 'Invalid product ID' })
+    }
+
+    const quantity = req.body.quantity === undefined ? 1 : parseInt(req.body.quantity, 10)
+
+    if (Number.isNaN(quantity) || quantity < 1 || quantity > 10) {
+      return res.status(400).json({ error: 'Quantity must be between 1 and 10' })
+    }
+
+    const existing = await guestCartRepository.findOneWhere('guest_token = ? AND product_id = ?', [
+      req.guestCartId,
+      productId,
+    ])
+    const requested = (existing?.quantity || 0) + quantity
+    const availability = await productRepository.checkAvailability(productId, requested)
+
+    if (!availability.available) {
+      return res.status(400).json({
+        error:
+          availability.availableStock > 0
+            ? `Only ${availability.availableStock} available`
+            : 'Out of stock',
+        available: availability.availableStock,
+      })
+    }
+
+    await guestCartRepository.addToCart(req.guestCartId, productId, quantity)
+
+    res.json({ message: 'Added to cart' })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function getCartCount(req, res, next) {
+  try {
+    const totalItems = await guestCartRepository.getCartCount(req.guestCartId)
+
+    res.json({ totalItems })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function getAll(req, res, next) {
+  try {
+    const rows = await guestCartRepository.getCartItems(req.guestCartId)
+    const items = rows.map((row) => ({
+      cartItemId: row.id,
+      quantity: row.quantity,
+      title: row.title,
+      artist: row.artist,
+      price: row.price,
+    }))
+
+    res.json({ items })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function deleteItem(req, res, next) {
+  try {
+    const itemId = parseInt(req.params.itemId, 10)
+
+    if (Number.isNaN(itemId)) {
+      return res.status(400).json({ error: 'Invalid item ID' })
+    }
+
+    await guestCartRepository.removeFromCart(req.guestCartId, itemId)
+
+    res.status(204).send()
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function deleteAll(req, res, next) {
+  try {
+    await guestCartRepository.clearCart(req.guestCartId)
+
+    res.status(204).send()
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function updateCartItem(req, res, next) {
+  try {
+    const itemId = parseInt(req.params.itemId, 10)
+
+    if (Number.isNaN(itemId)) {
+      throw new ValidationError('Invalid item ID')
+    }
+
+    const item = await guestCartRepository.updateCartItem(req.guestCartId, itemId, {
+      quantity: req.body.quantity,
+    })
+
+    res.json({
+      success: true,
+      data: { item },
+      message: item ? 'Cart item updated' : 'Cart item removed',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function getCartSummary(req, res, next) {
+  try {
+    const { items, summary, coupon, priceChanges } = await guestCartRepository.getCartSummary(
+      req.guestCartId,
+      ratesOptionsFromQuery(req.query)
+    )
+
+    res.json({
+      success: true,
+      data: { items, summary, coupon, priceChanges },
+    })
+  } catch (err) {
+    next(err)
+  }
+}
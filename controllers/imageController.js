@@ -0,0 +1,51 @@
+/**
+ * Image Controller
+ * Cover uploads: product images (staff) and collection covers (any signed-in user)
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { getImageStorageService, thumbnailsFor } from '../services/ImageStorageService.js'
+import { ValidationError } from '../utils/errors.js'
+
+// Stored path plus the URLs the storefront serves it at
+function describeImage(imagePath) {
+  const thumbnails = thumbnailsFor(imagePath)
+
+  return {
+    path: imagePath,
+    url: `/images/${imagePath}`,
+    thumbnails: Object.fromEntries(
+      Object.entries(thumbnails).map(([width, thumbnailPath]) => [
+        width,
+        `/images/${thumbnailPath}`,
+      ])
+    ),
+  }
+}
+
+function uploadTo(folder) {
+  return async (req, res, next) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw new ValidationError(
+          'Send the image as the request body with its Content-Type (image/jpeg, image/png, image/webp or image/gif)'
+        )
+      }
+
+      const imagePath = await getImageStorageService().save(req.body, { folder })
+
+      logger.info(`Image ${imagePath} uploaded by user ${req.user.userId}`)
+
+      res.status(201).json({
+        success: true,
+        data: { image: describeImage(imagePath) },
+        message: 'Image uploaded successfully',
+      })
+    } catch (err) {
+      next(err)
+    }
+  }
+}
+
+export const uploadProductImage = uploadTo('products')
+export const uploadCollectionImage = uploadTo('collection')
@@ -0,0 +1,44 @@
+/**
+ * Metadata Backfill Controller
+ * Admin control of the MusicBrainz / Cover Art Archive backfill
+ */
+
+import { getMetadataBackfillService } from '../services/MetadataBackfillService.js'
+
+export async function getBackfillProgress(_req, res, next) {
+  try {
+    res.json({
+      success: true,
+      data: await getMetadataBackfillService().getProgress(),
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function startBackfill(req, res, next) {
+  try {
+    const progress = await getMetadataBackfillService().start(req.user.userId)
+
+    res.status(202).json({
+      success: true,
+      data: progress,
+      message:
+        progress.job.processed > 0 ? 'Metadata backfill resumed' : 'Metadata backfill started',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function pauseBackfill(_req, res, next) {
+  try {
+    res.json({
+      success: true,
+      data: await getMetadataBackfillService().pause(),
+      message: 'Metadata backfill paused',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Moderation Controller
+ * Review queue for user content: user reports, moderator approve/reject
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { PERMISSIONS } from '../middleware/rbac.js'
+import { MODERATION_STATUS, moderationRepository } from '../repositories/index.js'
+import { ValidationError } from '../utils/errors.js'
+
+function parseContentId(req) {
+  const id = parseInt(req.params.id, 10)
+
+  if (Number.isNaN(id)) {
+    throw new ValidationError('Invalid content ID')
+  }
+
+  return id
+}
+
+/**
+ * Items awaiting a decision
+ * Query: type (default review), status (pending|approved|rejected; default pending or reported), page, limit
+ */
+export async function getQueue(req, res, next) {
+  try {
+    const type = req.query.type || 'review'
+    const status = req.query.status || null
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100)
+
+    if (status && !Object.values(MODERATION_STATUS).includes(status)) {
+      throw new ValidationError(
+        `Status must be one of: ${Object.values(MODERATION_STATUS).join(', ')}`
+      )
+    }
+
+    const { items, total } = await moderationRepository.getQueue(type, {
+      status,
+      limit,
+      offset: (page - 1) * limit,
+    })
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Flag content for moderators (any logged-in user, once per item)
+ */
+export async function reportContent(req, res, next) {
+  try {
+    const report = await moderationRepository.report(
+      req.params.type,
+      parseContentId(req),
+      req.user.userId,
+      req.body.reason
+    )
+
+    logger.info(`User ${req.user.userId} reported ${report.contentType} ${report.contentId}`)
+
+    res.status(201).json({
+      success: true,
+      data: { report },
+      message: 'Thanks, a moderator will take a look',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+function decide(status) {
+  return async (req, res, next) => {
+    try {
+      const item = await moderationRepository.moderate(
+        req.params.type,
+        parseContentId(req),
+        status,
+        {
+          moderatorId: req.user.userId,
+          reason: req.body?.reason || null,
+          audit: {
+            permission: PERMISSIONS.MODERATION_MANAGE,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+          },
+        }
+      )
+
+      logger.info(`Moderator ${req.user.userId} ${status} ${item.contentType} ${item.contentId}`)
+
+      res.json({
+        success: true,
+        data: { item },
+        message: `Content ${status}`,
+      })
+    } catch (err) {
+      next(err)
+    }
+  }
+}
+
+export const approveContent = decide(MODERATION_STATUS.APPROVED)
+export const rejectContent = decide(MODERATION_STATUS.REJECTED)
@@ -0,0 +1,116 @@
+/**
+ * Order Controller
+ * Handles checkout and order history endpoints
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { orderRepository } from '../repositories/index.js'
+import { getReservationService } from '../services/ReservationService.js'
+import { ValidationError } from '../utils/errors.js'
+import { getSocketManager } from '../websocket/socketManager.js'
+
+/**
+ * Start checkout by holding the cart's stock for a limited time
+ */
+export async function startCheckout(req, res, next) {
+  try {
+    const reservation = await getReservationService().reserveCart(req.user.userId)
+
+    res.json({
+      success: true,
+      data: { reservation },
+      message: `Items reserved for ${reservation.minutes} minutes`,
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Checkout the current user's cart into a new order
+ * Body: optional { shippingAddress: { country, region, postalCode }, shippingMethod }
+ */
+export async function checkoutCart(req, res, next) {
+  try {
+    const userId = req.user.userId
+    const { shippingAddress, shippingMethod } = req.body || {}
+
+    const order = await orderRepository.createFromCart(userId, { shippingAddress, shippingMethod })
+
+    logger.info(
+      `Order ${order.id} placed by user ${userId} (${order.itemCount} items, ${order.total})`
+    )
+
+    const socketManager = getSocketManager()
+    if (socketManager) {
+      for (const item of order.items) {
+        socketManager.broadcastStockUpdate(
+          item.productId,
+          item.newStock,
+          item.newStock + item.quantity
+        )
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { order },
+      message: 'Order placed successfully',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Get the current user's order history
+ */
+export async function getUserOrders(req, res, next) {
+  try {
+    const userId = req.user.userId
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100)
+
+    const { orders, total } = await orderRepository.getUserOrders(userId, {
+      limit,
+      offset: (page - 1) * limit,
+    })
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Get a single order belonging to the current user
+ */
+export async function getUserOrderById(req, res, next) {
+  try {
+    const orderId = parseInt(req.params.id, 10)
+
+    if (Number.isNaN(orderId)) {
+      throw new ValidationError('Valid order ID is required')
+    }
+
+    const order = await orderRepository.getUserOrder(req.user.userId, orderId)
+
+    res.json({
+      success: true,
+      data: { order },
+    })
+  } catch (err) {
+    next(err)
+  }
+}
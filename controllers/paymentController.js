@@ -0,0 +1,58 @@
+/**
+ * Payment Controller
+ * Handles PaymentIntent creation and Stripe webhooks
+ */
+
+import { ORDER_STATUS, orderRepository } from '../repositories/index.js'
+import AnalyticsService from '../services/AnalyticsService.js'
+import { getPaymentService } from '../services/PaymentService.js'
+import { ValidationError } from '../utils/errors.js'
+
+/**
+ * Create a PaymentIntent for one of the current user's pending orders
+ */
+export async function createPaymentIntent(req, res, next) {
+  try {
+    const orderId = parseInt(req.body.orderId, 10)
+
+    if (Number.isNaN(orderId)) {
+      throw new ValidationError('Valid order ID is required')
+    }
+
+    const paymentIntent = await getPaymentService().createPaymentIntent(req.user.userId, orderId)
+
+    res.status(201).json({
+      success: true,
+      data: { paymentIntent },
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Receive a Stripe webhook (req.body is the raw Buffer)
+ */
+export async function handleWebhook(req, res, next) {
+  try {
+    const signature = req.get('stripe-signature')
+
+    if (!signature) {
+      throw new ValidationError('Missing Stripe-Signature header')
+    }
+
+    const paymentService = getPaymentService()
+    const event = paymentService.constructEvent(req.body, signature)
+    const result = await paymentService.handleEvent(event)
+
+    // An order only counts as a purchase once Stripe confirms the payment
+    if (result.updated && result.status === ORDER_STATUS.PAID) {
+      const items = await orderRepository.getOrderItems(result.orderId)
+      await AnalyticsService.trackPurchase(result.userId, items, result.total)
+    }
+
+    res.json({ received: true, duplicate: result.duplicate })
+  } catch (err) {
+    next(err)
+  }
+}
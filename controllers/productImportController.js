@@ -0,0 +1,62 @@
+/**
+ * Product Import Controller
+ * Admin bulk import (CSV or JSON, dry run by default) and catalog export
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { getProductImportService, parseImportRows } from '../services/ProductImportService.js'
+import { ValidationError } from '../utils/errors.js'
+import { EXPORT_FORMATS, isDryRun } from '../utils/imports.js'
+
+export async function importProducts(req, res, next) {
+  try {
+    const input =
+      typeof req.body === 'string' || Array.isArray(req.body) ? req.body : req.body?.products
+    const rows = parseImportRows(input)
+    const dryRun = isDryRun(req)
+
+    const result = await getProductImportService().importProducts(rows, { dryRun })
+
+    if (!dryRun) {
+      logger.info(
+        `Product import by user ${req.user.userId}: ${result.summary.create} created, ${result.summary.update} updated, ${result.summary.error} failed`
+      )
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      message: dryRun
+        ? 'Dry run: nothing was saved. Repeat with ?dryRun=false to apply it.'
+        : 'Import applied',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function exportProducts(req, res, next) {
+  const format = String(req.query.format || 'csv').toLowerCase()
+
+  if (!EXPORT_FORMATS[format]) {
+    return next(new ValidationError('Export format must be csv or json'))
+  }
+
+  const date = new Date().toISOString().slice(0, 10)
+  res.set({
+    'Content-Type': EXPORT_FORMATS[format],
+    'Content-Disposition': `attachment; filename="products-${date}.${format}"`,
+  })
+
+  try {
+    await getProductImportService().exportProducts(res, format)
+  } catch (err) {
+    // Once the download has started the status can't change; cut it short instead
+    if (res.headersSent) {
+      logger.error(`Product export failed: ${err.message}`)
+      res.destroy(err)
+      return
+    }
+    next(err)
+  }
+}
@@ -1,4 +1,9 @@
 import { getDBConnection } from '../db/db.js'
+import { logger } from '../middleware/errorHandler.js'
+import { CATALOG_FACETS, productRepository } from '../repositories/index.js'
+import { getAlertService } from '../services/AlertService.js'
+import { ValidationError } from '../utils/errors.js'
+import { getSocketManager } from '../websocket/socketManager.js'
 
 export async function getGenres(req, res) {
 
@@ -22,104 +27,63 @@ export async function getGenres(req, res) {
 
 export async function getProducts(req, res) {
   try {
-    const db = await getDBConnection()
-    
     const {
       search = '',
-      genre,
       minPrice,
       maxPrice,
-      sortBy = 'title',
-      sortOrder = 'asc',
-      page = 1,
-      limit = 20
+      sortBy,
+      sortOrder = 'asc'
     } = req.query
 
-    // Build the WHERE clause
-    const conditions = []
-    const params = []
-
-    // Full-text search across multiple fields
-    if (search.trim()) {
-      conditions.push('(title LIKE ? OR artist LIKE ? OR genre LIKE ? OR description LIKE ?)')
-      const searchPattern = `%${search.trim()}%`
-      params.push(searchPattern, searchPattern, searchPattern, searchPattern)
-    }
-
-    // Genre filter
-    if (genre && genre !== 'all') {
-      conditions.push('genre = ?')
-      params.push(genre)
-    }
-
-    // Price range filters
-    if (minPrice && !isNaN(parseFloat(minPrice))) {
-      conditions.push('price >= ?')
-      params.push(parseFloat(minPrice))
-    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100)
 
-    if (maxPrice && !isNaN(parseFloat(maxPrice))) {
-      conditions.push('price <= ?')
-      params.push(parseFloat(maxPrice))
+    // Searches are full-text (see ProductRepository) and rank by relevance unless sortBy is given.
+    // Facet filters take one or more values each: ?genre=Rock&genre=Jazz&decade=1970&stock=in_stock
+    const filters = { search: String(search).slice(0, 200), minPrice, maxPrice }
+    for (const facet of Object.keys(CATALOG_FACETS)) {
+      filters[facet] = req.query[facet]
     }
 
-    // Build the complete query
-    let query = 'SELECT * FROM products'
-    if (conditions.length > 0) {
-      query += ` WHERE ${conditions.join(' AND ')}`
-    }
-
-    // Add sorting
-    const validSortFields = ['title', 'artist', 'price', 'genre', 'id']
-    const validSortOrders = ['asc', 'desc']
-    
-    if (validSortFields.includes(sortBy) && validSortOrders.includes(sortOrder.toLowerCase())) {
-      query += ` ORDER BY ${sortBy} ${sortOrder.toUpperCase()}`
-    } else {
-      query += ' ORDER BY title ASC'
-    }
-
-    // Add pagination
-    const offset = (parseInt(page) - 1) * parseInt(limit)
-    query += ' LIMIT ? OFFSET ?'
-    params.push(parseInt(limit), offset)
-
-    // Get products
-    const products = await db.all(query, params)
-
-    // Get total count for pagination
-    let countQuery = 'SELECT COUNT(*) as total FROM products'
-    if (conditions.length > 0) {
-      countQuery += ` WHERE ${conditions.join(' AND ')}`
-    }
-    
-    // Remove LIMIT/OFFSET params for count query
-    const countParams = params.slice(0, -2)
-    const { total } = await db.get(countQuery, countParams)
-
-    // Get price range for the current filtered results
-    let priceRangeQuery = 'SELECT MIN(price) as minPrice, MAX(price) as maxPrice FROM products'
-    if (conditions.length > 0) {
-      priceRangeQuery += ` WHERE ${conditions.join(' AND ')}`
+    const searchCatalog = (catalogFilters) => Promise.all([
+      productRepository.getProducts({
+        ...catalogFilters,
+        sort: sortBy,
+        order: sortOrder,
+        limit,
+        offset: (page - 1) * limit
+      }),
+      productRepository.getProductCount(catalogFilters),
+      productRepository.getPriceRange(catalogFilters),
+      productRepository.getFacets(catalogFilters)
+    ])
+
+    let [products, total, priceRange, facets] = await searchCatalog(filters)
+
+    // Nothing found: retry with typos corrected and say which spelling the results are for
+    let didYouMean = null
+    if (total === 0 && filters.search.trim()) {
+      didYouMean = await productRepository.getSpellingCorrection(filters.search, filters)
+      if (didYouMean) {
+        ;[products, total, priceRange, facets] = await searchCatalog({ ...filters, search: didYouMean })
+      }
     }
-    const priceRange = await db.get(priceRangeQuery, countParams)
 
     res.json({
       success: true,
       data: {
         products,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
+          page,
+          limit,
           total,
-          pages: Math.ceil(total / parseInt(limit))
+          pages: Math.ceil(total / limit)
         },
         filters: {
-          priceRange: {
-            min: priceRange.minPrice || 0,
-            max: priceRange.maxPrice || 0
-          }
-        }
+          priceRange
+        },
+        facets,
+        didYouMean
       }
     })
 
@@ -128,32 +92,28 @@ export async function getProducts(req, res) {
   }
 }
 
-// New endpoint for search suggestions/autocomplete
+// Search suggestions/autocomplete (prefix match on titles, artists and genres,
+// falling back to a typo-corrected query when nothing matches)
 export async function getSearchSuggestions(req, res) {
   try {
-    const db = await getDBConnection()
     const { q = '' } = req.query
+    const text = String(q).slice(0, 100)
+
+    if (text.trim().length < 2) {
+      return res.json({ suggestions: [], didYouMean: null })
+    }
 
-    if (q.trim().length < 2) {
-      return res.json({ suggestions: [] })
+    let suggestions = await productRepository.getSearchSuggestions(text, 10)
+    let didYouMean = null
+
+    if (suggestions.length === 0) {
+      didYouMean = await productRepository.getSpellingCorrection(text)
+      if (didYouMean) {
+        suggestions = await productRepository.getSearchSuggestions(didYouMean, 10)
+      }
     }
 
-    const searchPattern = `%${q.trim()}%`
-    
-    // Get suggestions from titles, artists, and genres
-    const suggestions = await db.all(`
-      SELECT DISTINCT 
-        title as text, 'title' as type FROM products WHERE title LIKE ? 
-      UNION 
-      SELECT DISTINCT 
-        artist as text, 'artist' as type FROM products WHERE artist LIKE ?
-      UNION
-      SELECT DISTINCT 
-        genre as text, 'genre' as type FROM products WHERE genre LIKE ?
-      LIMIT 10
-    `, [searchPattern, searchPattern, searchPattern])
-
-    res.json({ suggestions })
+    res.json({ suggestions, didYouMean })
   } catch (err) {
     res.status(500).json({error: 'Failed to fetch search suggestions', details: err.message})
   }
@@ -213,4 +173,106 @@ export async function trackProductClick(req, res) {
   } catch (err) {
     res.status(500).json({error: 'Failed to track product click', details: err.message})
   }
-}
\ No newline at end of file
+}
+
+function parseProductId(req) {
+  const productId = parseInt(req.params.id, 10)
+
+  if (Number.isNaN(productId)) {
+    throw new ValidationError('Valid product ID is required')
+  }
+
+  return productId
+}
+
+// Get a single product with its rating summary
+export async function getProductById(req, res, next) {
+  try {
+    const product = await productRepository.getProductWithDetails(parseProductId(req))
+
+    res.json({
+      success: true,
+      data: { product }
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+// Create a product (admin)
+export async function createProduct(req, res, next) {
+  try {
+    const product = await productRepository.createProduct(req.body)
+
+    logger.info(`Product ${product.id} created by user ${req.user.userId}`)
+
+    const socketManager = getSocketManager()
+    if (socketManager) {
+      socketManager.broadcastNewProduct(product)
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { product },
+      message: 'Product created successfully'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+// Replace (PUT) or partially update (PATCH) a product (admin)
+export async function updateProduct(req, res, next) {
+  try {
+    const productId = parseProductId(req)
+    const { before, after } = await productRepository.updateProduct(productId, req.body)
+
+    logger.info(`Product ${productId} updated by user ${req.user.userId}`)
+
+    const socketManager = getSocketManager()
+    if (socketManager) {
+      if (parseFloat(after.price) !== parseFloat(before.price)) {
+        socketManager.broadcastPriceUpdate(productId, parseFloat(after.price), parseFloat(before.price))
+      }
+
+      if (after.stock !== before.stock) {
+        socketManager.broadcastStockUpdate(productId, after.stock, before.stock)
+      }
+    }
+
+    // Subscribers are notified even when they aren't online
+    const alertService = getAlertService()
+    alertService.dispatch(alertService.handleProductUpdate(before, after))
+
+    res.json({
+      success: true,
+      data: { product: after },
+      message: 'Product updated successfully'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+// Delete a product (admin)
+export async function deleteProduct(req, res, next) {
+  try {
+    const productId = parseProductId(req)
+    const product = await productRepository.deleteProduct(productId)
+
+    logger.info(`Product ${productId} deleted by user ${req.user.userId}`)
+
+    // Anyone watching the product sees it go out of stock
+    const socketManager = getSocketManager()
+    if (socketManager && product.stock > 0) {
+      socketManager.broadcastStockUpdate(productId, 0, product.stock)
+    }
+
+    res.json({
+      success: true,
+      message: 'Product deleted successfully'
+    })
+  } catch (err) {
+    next(err)
+  }
+}
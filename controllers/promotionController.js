@@ -0,0 +1,91 @@
+/**
+ * Promotion Controller
+ * Admin management of coupons and promotion rules
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { promotionRepository } from '../repositories/index.js'
+import { ValidationError } from '../utils/errors.js'
+
+function parsePromotionId(req) {
+  const id = parseInt(req.params.id, 10)
+
+  if (Number.isNaN(id)) {
+    throw new ValidationError('Invalid promotion ID')
+  }
+
+  return id
+}
+
+export async function listPromotions(req, res, next) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100)
+    const offset = parseInt(req.query.offset, 10) || 0
+
+    const { promotions, total } = await promotionRepository.listPromotions({ limit, offset })
+
+    res.json({
+      success: true,
+      data: { promotions, pagination: { total, limit, offset } },
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function getPromotion(req, res, next) {
+  try {
+    const promotion = await promotionRepository.getPromotion(parsePromotionId(req))
+
+    res.json({ success: true, data: { promotion } })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function createPromotion(req, res, next) {
+  try {
+    const promotion = await promotionRepository.createPromotion(req.body)
+
+    logger.info(`Promotion ${promotion.code} created by user ${req.user.userId}`)
+
+    res.status(201).json({
+      success: true,
+      data: { promotion },
+      message: 'Promotion created successfully',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function updatePromotion(req, res, next) {
+  try {
+    const promotion = await promotionRepository.updatePromotion(parsePromotionId(req), req.body)
+
+    logger.info(`Promotion ${promotion.code} updated by user ${req.user.userId}`)
+
+    res.json({
+      success: true,
+      data: { promotion },
+      message: 'Promotion updated successfully',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function deletePromotion(req, res, next) {
+  try {
+    const promotion = await promotionRepository.deletePromotion(parsePromotionId(req))
+
+    logger.info(`Promotion ${promotion.code} deleted by user ${req.user.userId}`)
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Response Cache Controller
+ * Admin view and purge of cached Discogs and MusicBrainz responses
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import {
+  CACHE_POLICIES,
+  CACHE_SOURCES,
+  getResponseCacheService,
+} from '../services/ResponseCacheService.js'
+import { ValidationError } from '../utils/errors.js'
+
+export async function getCacheStats(_req, res, next) {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...(await getResponseCacheService().getStats()),
+        policies: CACHE_POLICIES,
+      },
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function purgeCache(req, res, next) {
+  try {
+    const { source, endpoint } = req.query
+
+    if (source && !CACHE_SOURCES.includes(source)) {
+      throw new ValidationError(`Unknown source: ${source}. Use ${CACHE_SOURCES.join(' or ')}`)
+    }
+    if (endpoint && !CACHE_POLICIES[endpoint]) {
+      throw new ValidationError(`Unknown endpoint: ${endpoint}`)
+    }
+
+    const removed = await getResponseCacheService().purge({ source, endpoint })
+    logger.info(`Response cache purged by user ${req.user.userId} (${endpoint || source || 'all'})`)
+
+    res.json({
+      success: true,
+      data: { removed },
+      message: `Removed ${removed} cached responses`,
+    })
+  } catch (err) {
+    next(err)
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Review Controller
+ * Product reviews and ratings; each user can review a product once
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { REVIEW_SORTS, reviewRepository } from '../repositories/index.js'
+import { ValidationError } from '../utils/errors.js'
+
+function parseProductId(req) {
+  const id = parseInt(req.params.id, 10)
+
+  if (Number.isNaN(id)) {
+    throw new ValidationError('Invalid product ID')
+  }
+
+  return id
+}
+
+/**
+ * A page of approved reviews with the rating histogram
+ * (and the caller's own review, whatever its moderation status, when logged in)
+ * Query: sort (newest|oldest|rating_high|rating_low|verified), rating (1-5), page, limit
+ */
+export async function getProductReviews(req, res, next) {
+  try {
+    const productId = parseProductId(req)
+    const sort = req.query.sort || 'newest'
+    const rating = req.query.rating ? parseInt(req.query.rating, 10) : null
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50)
+
+    if (!REVIEW_SORTS[sort]) {
+      throw new ValidationError(`Sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`)
+    }
+
+    if (rating !== null && (Number.isNaN(rating) || rating < 1 || rating > 5)) {
+      throw new ValidationError('Rating filter must be between 1 and 5')
+    }
+
+    const [{ reviews, total }, summary, myReview] = await Promise.all([
+      reviewRepository.listProductReviews(productId, {
+        sort,
+        rating,
+        limit,
+        offset: (page - 1) * limit,
+      }),
+      reviewRepository.getRatingSummary(productId),
+      req.user ? reviewRepository.getUserReview(req.user.userId, productId) : null,
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        summary,
+        myReview,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function createReview(req, res, next) {
+  try {
+    const productId = parseProductId(req)
+    const review = await reviewRepository.createReview(req.user.userId, productId, req.body)
+
+    logger.info(`User ${req.user.userId} reviewed product ${productId} (${review.rating} stars)`)
+
+    res.status(201).json({
+      success: true,
+      data: { review },
+      message: 'Review submitted; it will appear once a moderator approves it',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Update the current user's review of the product (resubmits it for moderation)
+ */
+export async function updateReview(req, res, next) {
+  try {
+    const review = await reviewRepository.updateReview(
+      req.user.userId,
+      parseProductId(req),
+      req.body
+    )
+
+    res.json({
+      success: true,
+      data: { review },
+      message: 'Review updated and resubmitted for moderation',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Delete the current user's review of the product
+ */
+export async function deleteReview(req, res, next) {
+  try {
+    await reviewRepository.deleteReview(req.user.userId, parseProductId(req))
+
+    res.json({ success: true, message: 'Review deleted' })
+  } catch (err) {
+    next(err)
+  }
+}
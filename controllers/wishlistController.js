@@ -0,0 +1,134 @@
+/**
+ * Wishlist Controller
+ * The current user's saved records, move-to-cart and a read-only share link
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { wishlistRepository } from '../repositories/index.js'
+import { ValidationError } from '../utils/errors.js'
+
+function parseProductId(value) {
+  const id = parseInt(value, 10)
+
+  if (Number.isNaN(id)) {
+    throw new ValidationError('Invalid product ID')
+  }
+
+  return id
+}
+
+// Public page that renders a shared wishlist
+function shareUrl(req, token) {
+  const origin = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`
+  return `${origin}/wishlist.html?share=${token}`
+}
+
+function shareInfo(req, token) {
+  return token ? { token, url: shareUrl(req, token) } : null
+}
+
+export async function getWishlist(req, res, next) {
+  try {
+    const [items, token] = await Promise.all([
+      wishlistRepository.getWishlist(req.user.userId),
+      wishlistRepository.getShareToken(req.user.userId),
+    ])
+
+    res.json({
+      success: true,
+      data: { items, share: shareInfo(req, token) },
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Save a product (201 when newly added, 200 if it was already there)
+ */
+export async function addToWishlist(req, res, next) {
+  try {
+    const { item, created } = await wishlistRepository.addItem(req.user.userId, req.body.productId)
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: { item },
+      message: created ? 'Added to wishlist' : 'Already in your wishlist',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function removeFromWishlist(req, res, next) {
+  try {
+    await wishlistRepository.removeItem(req.user.userId, parseProductId(req.params.productId))
+
+    res.json({ success: true, message: 'Removed from wishlist' })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Add the product to the cart and drop it from the wishlist
+ */
+export async function moveToCart(req, res, next) {
+  try {
+    const moved = await wishlistRepository.moveToCart(
+      req.user.userId,
+      parseProductId(req.params.productId),
+      req.body?.quantity
+    )
+
+    logger.info(`User ${req.user.userId} moved product ${moved.productId} to cart`)
+
+    res.json({
+      success: true,
+      data: { cartItem: moved },
+      message: `${moved.title} moved to your cart`,
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * Turn on the public share link (returns the existing link if already shared)
+ */
+export async function shareWishlist(req, res, next) {
+  try {
+    const token = await wishlistRepository.enableSharing(req.user.userId)
+
+    res.json({
+      success: true,
+      data: { share: shareInfo(req, token) },
+      message: 'Anyone with the link can view your wishlist',
+    })
+  } catch (err) {
+    next(err)
+  }
+}
+
+export async function unshareWishlist(req, res, next) {
+  try {
+    await wishlistRepository.disableSharing(req.user.userId)
+
+    res.json({ success: true, data: { share: null }, message: 'Wishlist link disabled' })
+  } catch (err) {
+    next(err)
+  }
+}
+
+/**
+ * A shared wishlist by its link token (no login needed)
+ */
+export async function getSharedWishlist(req, res, next) {
+  try {
+    const wishlist = await wishlistRepository.getSharedWishlist(req.params.token)
+
+    res.json({ success: true, data: wishlist })
+  } catch (err) {
+    next(err)
+  }
+}
@@ -2,6 +2,7 @@ import sqlite3 from 'sqlite3'
 import { open } from 'sqlite'
 import path from 'node:path'
 import { logger } from '../middleware/errorHandler.js'
+import { calculateGradedPrice } from '../utils/grading.js'
 
 export class DatabaseMigrator {
   constructor() {
@@ -77,7 +78,28 @@ export class DatabaseMigrator {
       { name: '008_create_search_analytics', fn: this.createSearchAnalyticsTable.bind(this) },
       { name: '009_add_oauth_2fa', fn: this.addOAuthAnd2FA.bind(this) },
       { name: '010_add_rbac_support', fn: this.addRBACSupport.bind(this) },
-      { name: '011_add_collection_support', fn: this.addCollectionSupport.bind(this) }
+      { name: '011_add_collection_support', fn: this.addCollectionSupport.bind(this) },
+      { name: '012_create_orders', fn: this.createOrdersTables.bind(this) },
+      { name: '013_add_payments', fn: this.addPaymentSupport.bind(this) },
+      { name: '014_create_stock_reservations', fn: this.createStockReservationsTable.bind(this) },
+      { name: '015_add_cart_price_at_add', fn: this.addCartPriceAtAdd.bind(this) },
+      { name: '016_create_guest_carts', fn: this.createGuestCartTable.bind(this) },
+      { name: '017_create_promotions', fn: this.createPromotionsTables.bind(this) },
+      { name: '018_add_shipping_and_tax', fn: this.addShippingAndTax.bind(this) },
+      { name: '019_create_product_alerts', fn: this.createProductAlertsTable.bind(this) },
+      { name: '020_add_moderation', fn: this.addModerationSupport.bind(this) },
+      { name: '021_add_wishlist_sharing', fn: this.addWishlistSharing.bind(this) },
+      { name: '022_create_product_search', fn: this.createProductSearchIndex.bind(this) },
+      { name: '023_add_product_label', fn: this.addProductLabel.bind(this) },
+      { name: '024_create_product_search_vocab', fn: this.createProductSearchVocab.bind(this) },
+      { name: '025_add_product_release_details', fn: this.addProductReleaseDetails.bind(this) },
+      { name: '026_unique_product_discogs_id', fn: this.addUniqueProductDiscogsId.bind(this) },
+      { name: '027_add_product_sku_barcode', fn: this.addProductSkuAndBarcode.bind(this) },
+      { name: '028_create_metadata_backfill', fn: this.createMetadataBackfill.bind(this) },
+      { name: '029_create_api_response_cache', fn: this.createApiResponseCache.bind(this) },
+      { name: '030_create_discogs_sync', fn: this.createDiscogsSync.bind(this) },
+      { name: '031_add_collection_valuation', fn: this.addCollectionValuation.bind(this) },
+      { name: '032_add_valuation_run_skipped', fn: this.addValuationRunSkipped.bind(this) }
     ]
 
     for (const migration of migrations) {
@@ -634,6 +656,884 @@ export class DatabaseMigrator {
       await db.close()
     }
   }
+
+  // Migration 012: Create orders and order items tables
+  async createOrdersTables() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Adding orders support...')
+
+      // Stock is required for checkout; older databases never received the column
+      const tableInfo = await db.all("PRAGMA table_info(products)")
+      const existingColumns = tableInfo.map(col => col.name)
+
+      if (!existingColumns.includes('stock')) {
+        await db.exec('ALTER TABLE products ADD COLUMN stock INTEGER NOT NULL DEFAULT 0')
+        logger.info('Added column stock to products table')
+      }
+
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'paid', 'failed', 'refunded', 'cancelled')),
+          item_count INTEGER NOT NULL DEFAULT 0,
+          subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+          tax DECIMAL(10,2) NOT NULL DEFAULT 0,
+          tax_rate DECIMAL(6,4) NOT NULL DEFAULT 0,
+          total DECIMAL(10,2) NOT NULL DEFAULT 0,
+          currency TEXT NOT NULL DEFAULT 'usd',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `)
+
+      // Title, artist and price are snapshotted so later catalog edits don't rewrite history
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS order_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id INTEGER NOT NULL,
+          product_id INTEGER,
+          title TEXT NOT NULL,
+          artist TEXT NOT NULL,
+          quantity INTEGER NOT NULL CHECK (quantity > 0),
+          price DECIMAL(10,2) NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+          FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL
+        )
+      `)
+
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id)')
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status)')
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at)')
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id)')
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_order_items_product_id ON order_items(product_id)')
+
+      logger.info('Orders support added successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 013: Add Stripe payment tracking to orders
+  async addPaymentSupport() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Adding payment support...')
+
+      const tableInfo = await db.all("PRAGMA table_info(orders)")
+      const existingColumns = tableInfo.map(col => col.name)
+
+      const newColumns = [
+        { name: 'payment_intent_id', sql: 'ALTER TABLE orders ADD COLUMN payment_intent_id TEXT' },
+        { name: 'paid_at', sql: 'ALTER TABLE orders ADD COLUMN paid_at DATETIME' },
+        { name: 'refunded_at', sql: 'ALTER TABLE orders ADD COLUMN refunded_at DATETIME' }
+      ]
+
+      for (const column of newColumns) {
+        if (!existingColumns.includes(column.name)) {
+          await db.exec(column.sql)
+          logger.info(`Added column ${column.name} to orders table`)
+        }
+      }
+
+      await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_payment_intent ON orders(payment_intent_id)')
+
+      // Every webhook event we've handled, keyed by Stripe's event id so replays are ignored
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS payment_events (
+          id TEXT PRIMARY KEY,
+          type TEXT NOT NULL,
+          order_id INTEGER,
+          payment_intent_id TEXT,
+          processed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
+        )
+      `)
+
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_payment_events_order ON payment_events(order_id)')
+
+      logger.info('Payment support added successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 014: Create stock reservations table
+  async createStockReservationsTable() {
+    const db = await this.getConnection()
+
+    try {
+      // Holds taken at checkout start; a hold only counts while expires_at is in the future
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS stock_reservations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          product_id INTEGER NOT NULL,
+          quantity INTEGER NOT NULL CHECK (quantity > 0),
+          expires_at DATETIME NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+          UNIQUE(user_id, product_id)
+        )
+      `)
+
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_stock_reservations_product ON stock_reservations(product_id, expires_at)')
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_stock_reservations_expires ON stock_reservations(expires_at)')
+
+      logger.info('Stock reservations table created successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 015: Remember the price each cart line was added at
+  async addCartPriceAtAdd() {
+    const db = await this.getConnection()
+
+    try {
+      const tableInfo = await db.all("PRAGMA table_info(cart_items)")
+      const existingColumns = tableInfo.map(col => col.name)
+
+      if (!existingColumns.includes('price_at_add')) {
+        await db.exec('ALTER TABLE cart_items ADD COLUMN price_at_add DECIMAL(10,2)')
+        logger.info('Added price_at_add column to cart_items table')
+      }
+
+      // Existing lines have no history, so start them at today's price
+      await db.exec(`
+        UPDATE cart_items
+        SET price_at_add = (SELECT price FROM products WHERE products.id = cart_items.product_id)
+        WHERE price_at_add IS NULL
+      `)
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 016: Server-side carts for shoppers who haven't logged in yet
+  async createGuestCartTable() {
+    const db = await this.getConnection()
+
+    try {
+      // Keyed by the guestCartId cookie; merged into cart_items on login/registration
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS guest_cart_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          guest_token TEXT NOT NULL,
+          product_id INTEGER NOT NULL,
+          quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+          price_at_add DECIMAL(10,2),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+          UNIQUE(guest_token, product_id)
+        )
+      `)
+
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_guest_cart_items_updated ON guest_cart_items(updated_at)')
+
+      logger.info('Guest cart table created successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 017: Coupons and promotions
+  async createPromotionsTables() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Adding promotions support...')
+
+      // value is a percentage for 'percent' and a currency amount for 'fixed';
+      // scope_value holds the genre, artist or product id the rule is limited to
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS promotions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          code TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          name TEXT NOT NULL,
+          description TEXT,
+          type TEXT NOT NULL CHECK (type IN ('percent', 'fixed', 'buy_x_get_y', 'free_shipping')),
+          value DECIMAL(10,2) NOT NULL DEFAULT 0,
+          buy_quantity INTEGER,
+          get_quantity INTEGER,
+          scope_type TEXT NOT NULL DEFAULT 'all' CHECK (scope_type IN ('all', 'genre', 'artist', 'product')),
+          scope_value TEXT,
+          min_subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+          max_uses INTEGER,
+          max_uses_per_user INTEGER,
+          times_used INTEGER NOT NULL DEFAULT 0,
+          starts_at DATETIME,
+          ends_at DATETIME,
+          is_active BOOLEAN NOT NULL DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `)
+
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS promotion_redemptions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          promotion_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          order_id INTEGER NOT NULL,
+          discount DECIMAL(10,2) NOT NULL DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+        )
+      `)
+
+      // One coupon per cart
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS cart_coupons (
+          user_id INTEGER PRIMARY KEY,
+          promotion_id INTEGER NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE
+        )
+      `)
+
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_user ON promotion_redemptions(promotion_id, user_id)')
+
+      const tableInfo = await db.all("PRAGMA table_info(orders)")
+      const existingColumns = tableInfo.map(col => col.name)
+
+      const newColumns = [
+        { name: 'discount', type: 'DECIMAL(10,2) NOT NULL DEFAULT 0' },
+        { name: 'promotion_id', type: 'INTEGER REFERENCES promotions(id)' }
+      ]
+
+      for (const column of newColumns) {
+        if (!existingColumns.includes(column.name)) {
+          await db.exec(`ALTER TABLE orders ADD COLUMN ${column.name} ${column.type}`)
+          logger.info(`Added column ${column.name} to orders table`)
+        }
+      }
+
+      logger.info('Promotions support added successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 018: Product format/weight for shipping rates, itemized shipping and tax on orders
+  async addShippingAndTax() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Adding shipping and tax support...')
+
+      const tables = {
+        products: [
+          // Discogs-style format string, e.g. `2xLP, Gatefold` or `7"`
+          { name: 'format', type: 'TEXT' },
+          // Shipped weight; estimated from the format when NULL
+          { name: 'weight_grams', type: 'INTEGER' }
+        ],
+        orders: [
+          { name: 'shipping', type: 'DECIMAL(10,2) NOT NULL DEFAULT 0' },
+          { name: 'shipping_method', type: 'TEXT' },
+          // JSON: { country, region, postalCode }
+          { name: 'shipping_address', type: 'TEXT' },
+          // JSON: [{ name, rate, amount }]
+          { name: 'tax_lines', type: 'TEXT' }
+        ]
+      }
+
+      for (const [table, newColumns] of Object.entries(tables)) {
+        const tableInfo = await db.all(`PRAGMA table_info(${table})`)
+        const existingColumns = tableInfo.map(col => col.name)
+
+        for (const column of newColumns) {
+          if (!existingColumns.includes(column.name)) {
+            await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column.name} ${column.type}`)
+            logger.info(`Added column ${column.name} to ${table} table`)
+          }
+        }
+      }
+
+      logger.info('Shipping and tax support added successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 019: Back-in-stock and price-drop alert subscriptions
+  async createProductAlertsTable() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Creating product alerts table...')
+
+      // One-shot subscriptions: a fired alert is marked triggered until the user re-arms it
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS product_alerts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          product_id INTEGER NOT NULL,
+          type TEXT NOT NULL CHECK (type IN ('restock', 'price_below')),
+          target_price DECIMAL(10,2),
+          status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'triggered')),
+          unsubscribe_token TEXT NOT NULL UNIQUE,
+          triggered_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+          UNIQUE(user_id, product_id, type)
+        )
+      `)
+
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_product_alerts_product ON product_alerts(product_id, type, status)')
+
+      logger.info('Product alerts table created successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 020: Moderation pipeline for user content, user reports, audit details
+  async addModerationSupport() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Adding moderation support...')
+
+      const tables = {
+        // Reviews already published stay approved; new submissions start pending
+        reviews: [
+          { name: 'moderation_status', type: "TEXT NOT NULL DEFAULT 'approved' CHECK (moderation_status IN ('pending', 'approved', 'rejected'))" },
+          { name: 'moderation_reason', type: 'TEXT' },
+          { name: 'moderated_by', type: 'INTEGER REFERENCES users(id) ON DELETE SET NULL' },
+          { name: 'moderated_at', type: 'DATETIME' }
+        ],
+        // Moderation actions are audited alongside role changes
+        rbac_audit_log: [
+          { name: 'target_type', type: 'TEXT' },
+          { name: 'target_id', type: 'INTEGER' },
+          { name: 'details', type: 'TEXT' }
+        ]
+      }
+
+      for (const [table, newColumns] of Object.entries(tables)) {
+        const tableInfo = await db.all(`PRAGMA table_info(${table})`)
+        const existingColumns = tableInfo.map(col => col.name)
+
+        for (const column of newColumns) {
+          if (!existingColumns.includes(column.name)) {
+            await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column.name} ${column.type}`)
+            logger.info(`Added column ${column.name} to ${table} table`)
+          }
+        }
+      }
+
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_reviews_moderation ON reviews(moderation_status)')
+
+      // User reports against any moderated content type
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS content_reports (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          content_type TEXT NOT NULL,
+          content_id INTEGER NOT NULL,
+          reporter_id INTEGER NOT NULL,
+          reason TEXT NOT NULL,
+          resolved_at DATETIME,
+          resolution TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE,
+          UNIQUE(content_type, content_id, reporter_id)
+        )
+      `)
+
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_content_reports_content ON content_reports(content_type, content_id, resolved_at)')
+
+      logger.info('Moderation support added successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 021: Share tokens for public read-only wishlists
+  async addWishlistSharing() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Adding wishlist sharing...')
+
+      const tableInfo = await db.all('PRAGMA table_info(users)')
+      if (!tableInfo.some(col => col.name === 'wishlist_share_token')) {
+        await db.exec('ALTER TABLE users ADD COLUMN wishlist_share_token TEXT')
+        logger.info('Added column wishlist_share_token to users table')
+      }
+
+      // SQLite can't add a UNIQUE column, so uniqueness lives in the index
+      await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_wishlist_share_token ON users(wishlist_share_token)')
+
+      logger.info('Wishlist sharing added successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 022: FTS5 full-text index over the catalog, kept in sync by triggers
+  async createProductSearchIndex() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Creating product search index...')
+
+      // External-content table: the text lives in products, the index in products_fts.
+      // remove_diacritics folds accents on both sides ("bjork" matches "Björk") and
+      // the prefix indexes keep autocomplete queries fast
+      await db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+          title,
+          artist,
+          genre,
+          description,
+          content = 'products',
+          content_rowid = 'id',
+          tokenize = "unicode61 remove_diacritics 2",
+          prefix = '2 3'
+        )
+      `)
+
+      await db.exec(`
+        CREATE TRIGGER IF NOT EXISTS products_fts_insert AFTER INSERT ON products BEGIN
+          INSERT INTO products_fts (rowid, title, artist, genre, description)
+          VALUES (new.id, new.title, new.artist, new.genre, new.description);
+        END
+      `)
+
+      await db.exec(`
+        CREATE TRIGGER IF NOT EXISTS products_fts_delete AFTER DELETE ON products BEGIN
+          INSERT INTO products_fts (products_fts, rowid, title, artist, genre, description)
+          VALUES ('delete', old.id, old.title, old.artist, old.genre, old.description);
+        END
+      `)
+
+      await db.exec(`
+        CREATE TRIGGER IF NOT EXISTS products_fts_update
+        AFTER UPDATE OF title, artist, genre, description ON products BEGIN
+          INSERT INTO products_fts (products_fts, rowid, title, artist, genre, description)
+          VALUES ('delete', old.id, old.title, old.artist, old.genre, old.description);
+          INSERT INTO products_fts (rowid, title, artist, genre, description)
+          VALUES (new.id, new.title, new.artist, new.genre, new.description);
+        END
+      `)
+
+      // Index the rows that existed before the triggers
+      await db.exec("INSERT INTO products_fts (products_fts) VALUES ('rebuild')")
+
+      logger.info('Product search index created successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 023: Record label on products, plus indexes for the catalog facets
+  async addProductLabel() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Adding product label...')
+
+      const tableInfo = await db.all('PRAGMA table_info(products)')
+      if (!tableInfo.some(col => col.name === 'label')) {
+        await db.exec('ALTER TABLE products ADD COLUMN label TEXT')
+        logger.info('Added column label to products table')
+      }
+
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_products_genre ON products(genre)')
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_products_year ON products(year)')
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_products_label ON products(label)')
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_products_price ON products(price)')
+
+      logger.info('Product label added successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 024: Read-only view of the words in the search index, used for "did you mean"
+  async createProductSearchVocab() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Creating product search vocabulary...')
+
+      // One row per distinct (accent-folded, lowercased) term with the number of
+      // products containing it; always reflects the current products_fts contents
+      await db.exec(
+        "CREATE VIRTUAL TABLE IF NOT EXISTS products_fts_vocab USING fts5vocab(products_fts, 'row')"
+      )
+
+      logger.info('Product search vocabulary created successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 025: Release details from Discogs (see DiscogsService.importReleaseAsProduct)
+  async addProductReleaseDetails() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Adding product release details...')
+
+      const newColumns = [
+        { name: 'discogs_id', type: 'INTEGER' },
+        { name: 'discogs_master_id', type: 'INTEGER' },
+        { name: 'catalog_number', type: 'TEXT' },
+        // Format descriptions, e.g. `Album, Reissue, 180g`
+        { name: 'format_details', type: 'TEXT' },
+        { name: 'country', type: 'TEXT' },
+        // Release date as Discogs formats it, e.g. `15 Jun 1959`
+        { name: 'released', type: 'TEXT' },
+        // Comma-separated, e.g. `Modal, Hard Bop`
+        { name: 'styles', type: 'TEXT' },
+        // JSON: [{ position, type, title, duration, artists, extraArtists }]
+        { name: 'tracklist', type: 'TEXT' },
+        // JSON: [{ name, role }]
+        { name: 'credits', type: 'TEXT' },
+        { name: 'community_rating', type: 'REAL' },
+        { name: 'community_have', type: 'INTEGER' },
+        { name: 'community_want', type: 'INTEGER' }
+      ]
+
+      const tableInfo = await db.all('PRAGMA table_info(products)')
+      const existingColumns = tableInfo.map(col => col.name)
+
+      for (const column of newColumns) {
+        if (!existingColumns.includes(column.name)) {
+          await db.exec(`ALTER TABLE products ADD COLUMN ${column.name} ${column.type}`)
+          logger.info(`Added column ${column.name} to products table`)
+        }
+      }
+
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_products_discogs_id ON products(discogs_id)')
+
+      logger.info('Product release details added successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 026: One store product per Discogs release, so imports can't duplicate
+  async addUniqueProductDiscogsId() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Making product Discogs IDs unique...')
+
+      // Keep the oldest product for any release already listed twice
+      await db.exec(`
+        UPDATE products SET discogs_id = NULL
+        WHERE discogs_id IS NOT NULL
+          AND id NOT IN (SELECT MIN(id) FROM products WHERE discogs_id IS NOT NULL GROUP BY discogs_id)
+      `)
+
+      await db.exec('DROP INDEX IF EXISTS idx_products_discogs_id')
+      await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_products_discogs_id ON products(discogs_id)')
+
+      logger.info('Product Discogs IDs made unique successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 027: Store SKU and barcode (EAN/UPC), the keys bulk imports match products on
+  async addProductSkuAndBarcode() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Adding product SKU and barcode...')
+
+      const tableInfo = await db.all('PRAGMA table_info(products)')
+      const existingColumns = tableInfo.map(col => col.name)
+
+      for (const column of ['sku', 'barcode']) {
+        if (!existingColumns.includes(column)) {
+          await db.exec(`ALTER TABLE products ADD COLUMN ${column} TEXT`)
+          logger.info(`Added column ${column} to products table`)
+        }
+      }
+
+      await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_products_sku ON products(sku)')
+      await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_products_barcode ON products(barcode)')
+
+      logger.info('Product SKU and barcode added successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 028: MusicBrainz / Cover Art Archive backfill of missing covers, years and labels
+  async createMetadataBackfill() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Creating metadata backfill tables...')
+
+      // One row per run; cursor is JSON ({ products: lastId, collection_items: lastId })
+      // so an interrupted or paused run picks up where it stopped
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS metadata_backfill_jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'paused', 'completed', 'failed')),
+          total INTEGER NOT NULL DEFAULT 0,
+          processed INTEGER NOT NULL DEFAULT 0,
+          updated INTEGER NOT NULL DEFAULT 0,
+          not_found INTEGER NOT NULL DEFAULT 0,
+          failed INTEGER NOT NULL DEFAULT 0,
+          cursor TEXT,
+          last_error TEXT,
+          started_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          finished_at DATETIME,
+          FOREIGN KEY (started_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+
+      // Where each filled-in field came from
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS metadata_sources (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entity_type TEXT NOT NULL CHECK (entity_type IN ('product', 'collection_item')),
+          entity_id INTEGER NOT NULL,
+          field TEXT NOT NULL,
+          source TEXT NOT NULL,
+          mbid TEXT,
+          value TEXT,
+          recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(entity_type, entity_id, field)
+        )
+      `)
+
+      // Last lookup per record, so records MusicBrainz doesn't know aren't asked about every run
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS metadata_lookups (
+          entity_type TEXT NOT NULL,
+          entity_id INTEGER NOT NULL,
+          status TEXT NOT NULL CHECK (status IN ('matched', 'not_found', 'failed')),
+          mbid TEXT,
+          checked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (entity_type, entity_id)
+        )
+      `)
+
+      logger.info('Metadata backfill tables created successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 029: Cached Discogs and MusicBrainz responses
+  async createApiResponseCache() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Creating API response cache...')
+
+      // fresh_until: served as is; stale_until: served while it is refreshed
+      // in the background, then removed
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS api_response_cache (
+          cache_key TEXT PRIMARY KEY,
+          endpoint TEXT NOT NULL,
+          body TEXT NOT NULL,
+          fetched_at DATETIME NOT NULL,
+          fresh_until DATETIME NOT NULL,
+          stale_until DATETIME NOT NULL
+        )
+      `)
+
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_api_response_cache_endpoint ON api_response_cache(endpoint)')
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_api_response_cache_stale_until ON api_response_cache(stale_until)')
+
+      logger.info('API response cache created successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+  // Migration 030: Linked Discogs accounts and collection/wantlist sync state
+  async createDiscogsSync() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Creating Discogs sync tables...')
+
+      // OAuth access tokens are stored encrypted (utils/secrets.js)
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS discogs_accounts (
+          user_id INTEGER PRIMARY KEY,
+          discogs_user_id INTEGER,
+          discogs_username TEXT NOT NULL,
+          access_token TEXT NOT NULL,
+          access_secret TEXT NOT NULL,
+          connected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_synced_at DATETIME,
+          last_sync_report TEXT,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `)
+
+      // Request tokens waiting for the user to authorize us on Discogs
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS discogs_oauth_requests (
+          request_token TEXT PRIMARY KEY,
+          request_secret TEXT NOT NULL,
+          user_id INTEGER NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `)
+
+      // What each synced item looked like on both sides after the last sync,
+      // so a sync can tell which side changed. remote_key is the Discogs
+      // instance ID for collection items and the release ID for wants;
+      // local_id is left dangling when the local item is removed.
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS discogs_sync_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          kind TEXT NOT NULL CHECK (kind IN ('collection', 'wantlist')),
+          remote_key TEXT NOT NULL,
+          local_id INTEGER NOT NULL,
+          discogs_release_id INTEGER NOT NULL,
+          discogs_folder_id INTEGER,
+          snapshot TEXT NOT NULL,
+          synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(user_id, kind, remote_key),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `)
+
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_discogs_sync_items_local ON discogs_sync_items(kind, local_id)')
+
+      logger.info('Discogs sync tables created successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 031: Where each collection value came from, and scheduled valuation runs
+  async addCollectionValuation() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Adding collection valuation...')
+
+      // current_value_source: 'manual' (typed in), 'purchase_price' (estimated
+      // from it when added) or 'discogs' (priced by the valuation runs)
+      const newColumns = [
+        { name: 'current_value_source', type: 'TEXT' },
+        { name: 'current_value_updated_at', type: 'DATETIME' }
+      ]
+
+      const tableInfo = await db.all('PRAGMA table_info(collection_items)')
+      const existingColumns = tableInfo.map(col => col.name)
+
+      for (const column of newColumns) {
+        if (!existingColumns.includes(column.name)) {
+          await db.exec(`ALTER TABLE collection_items ADD COLUMN ${column.name} ${column.type}`)
+          logger.info(`Added column ${column.name} to collection_items table`)
+        }
+      }
+
+      // Existing values were either typed in, which the valuation leaves alone, or
+      // estimated from the purchase price when the item was added (the media
+      // grade applied to it, VG+ when ungraded). A typed-in value that happens to
+      // match the estimate can't be told apart and is taken as one.
+      const valued = await db.all(`
+        SELECT id, current_value, purchase_price, media_condition FROM collection_items
+        WHERE current_value IS NOT NULL AND current_value_source IS NULL
+      `)
+
+      for (const item of valued) {
+        const estimated = item.purchase_price !== null &&
+          Math.abs(item.current_value - calculateGradedPrice(item.purchase_price, item.media_condition || 'VG+')) < 0.005
+
+        await db.run(
+          'UPDATE collection_items SET current_value_source = ?, current_value_updated_at = updated_at WHERE id = ?',
+          [estimated ? 'purchase_price' : 'manual', item.id]
+        )
+      }
+
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS collection_valuation_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+          releases INTEGER NOT NULL DEFAULT 0,
+          valued INTEGER NOT NULL DEFAULT 0,
+          unpriced INTEGER NOT NULL DEFAULT 0,
+          snapshots INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          started_by INTEGER,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          finished_at DATETIME,
+          FOREIGN KEY (started_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_collection_items_release ON collection_items(discogs_release_id)')
+
+      logger.info('Collection valuation added successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
+
+  // Migration 032: Items a valuation run didn't price because they were valued by hand meanwhile
+  async addValuationRunSkipped() {
+    const db = await this.getConnection()
+
+    try {
+      logger.info('Adding skipped count to collection valuation runs...')
+
+      const tableInfo = await db.all('PRAGMA table_info(collection_valuation_runs)')
+      if (!tableInfo.some(col => col.name === 'skipped')) {
+        await db.exec('ALTER TABLE collection_valuation_runs ADD COLUMN skipped INTEGER NOT NULL DEFAULT 0')
+        logger.info('Added column skipped to collection_valuation_runs table')
+      }
+
+      logger.info('Valuation run skipped count added successfully')
+
+    } finally {
+      await db.close()
+    }
+  }
 }
 
 // Export instance
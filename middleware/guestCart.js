@@ -0,0 +1,33 @@
+import { GUEST_CART_DAYS } from '../repositories/GuestCartRepository.js'
+import { generateSecureToken } from '../utils/jwt.js'
+
+export const GUEST_CART_COOKIE = 'guestCartId'
+
+const GUEST_TOKEN_PATTERN = /^[a-f0-9]{64}$/
+
+export const guestCartCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+}
+
+// Give anonymous shoppers a cart id cookie (refreshed on every cart request)
+export function resolveGuestCart(req, res, next) {
+  if (req.user) {
+    return next()
+  }
+
+  const existing = req.cookies?.[GUEST_CART_COOKIE]
+  const guestToken = GUEST_TOKEN_PATTERN.test(existing || '') ? existing : generateSecureToken()
+
+  res.cookie(GUEST_CART_COOKIE, guestToken, {
+    ...guestCartCookieOptions,
+    maxAge: GUEST_CART_DAYS * 24 * 60 * 60 * 1000,
+  })
+  req.guestCartId = guestToken
+  next()
+}
+
+// Route to the guest handler when nobody is logged in, otherwise fall through to the user handler
+export const forGuests = (handler) => (req, res, next) =>
+  req.user ? next() : handler(req, res, next)
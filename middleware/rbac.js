@@ -42,6 +42,12 @@ export const PERMISSIONS = {
   ORDER_LIST: 'order:list',
   ORDER_MANAGE_ALL: 'order:manage_all',
   
+  // Promotions and coupons
+  PROMOTION_MANAGE: 'promotion:manage',
+  
+  // Content moderation (approve/reject reviews and other user text)
+  MODERATION_MANAGE: 'moderation:manage',
+  
   // Analytics access
   ANALYTICS_VIEW: 'analytics:view',
   ANALYTICS_EXPORT: 'analytics:export',
@@ -69,6 +75,8 @@ export const ROLE_PERMISSIONS = {
     PERMISSIONS.ORDER_UPDATE,
     PERMISSIONS.ORDER_LIST,
     PERMISSIONS.ORDER_MANAGE_ALL,
+    PERMISSIONS.PROMOTION_MANAGE,
+    PERMISSIONS.MODERATION_MANAGE,
     PERMISSIONS.ANALYTICS_VIEW,
     PERMISSIONS.ANALYTICS_EXPORT
   ],
@@ -80,6 +88,7 @@ export const ROLE_PERMISSIONS = {
     PERMISSIONS.PRODUCT_LIST,
     PERMISSIONS.ORDER_READ,
     PERMISSIONS.ORDER_UPDATE,
+    PERMISSIONS.MODERATION_MANAGE,
     PERMISSIONS.ANALYTICS_VIEW
   ],
   
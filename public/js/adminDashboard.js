@@ -146,6 +146,14 @@ class AdminDashboard {
     this.updateElement('avg-order-value', this.formatCurrency(data.salesOverview.avgOrderValue))
     this.updateElement('retention-rate', `${data.userBehavior.retentionRate}%`)
     
+    // Cart activity is reported separately so carts never count as sales
+    if (data.cartActivity) {
+      this.updateElement('today-cart-adds', data.cartActivity.todayCartAdds)
+      this.updateElement('cart-adds', data.cartActivity.cartAdds)
+      this.updateElement('abandoned-carts', data.cartActivity.abandonedCarts)
+      this.updateElement('abandonment-rate', `${data.cartActivity.abandonmentRate}%`)
+    }
+    
     // Update change indicators
     this.updateChangeIndicator('revenue-change', data.salesOverview.changes.revenue)
     this.updateChangeIndicator('orders-change', data.salesOverview.changes.orders)
@@ -164,6 +172,7 @@ class AdminDashboard {
 
   updateRealtimeMetrics(data) {
     this.updateElement('active-users', data.activeUsers)
+    this.updateElement('today-cart-adds', data.todayCartAdds ?? 0)
     
     // Calculate conversion rate (simplified)
     const conversionRate = data.todayOrders > 0 && data.activeUsers > 0 
@@ -521,6 +530,10 @@ class AdminDashboard {
     if (data.activeUsers !== undefined) {
       this.updateElement('active-users', data.activeUsers)
     }
+    
+    if (data.todayCartAdds !== undefined) {
+      this.updateElement('today-cart-adds', data.todayCartAdds)
+    }
   }
 
   incrementCounter(elementId) {
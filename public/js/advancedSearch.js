@@ -1,3 +1,6 @@
+import { coverUrl } from './productDetails.js'
+import { sanitizeText } from './xssPrevention.js'
+
 // Advanced Search Service
 class AdvancedSearchService {
   constructor() {
@@ -7,12 +10,13 @@ class AdvancedSearchService {
     this.resultsContainer = null
     this.currentFilters = {
       search: '',
-      genre: 'all',
       minPrice: '',
       maxPrice: '',
       sortBy: 'title',
       sortOrder: 'asc'
     }
+    // Selected values per facet (genre, decade, priceBand, label, format, stock)
+    this.selectedFacets = {}
     this.searchTimeout = null
     this.currentPage = 1
     this.sessionId = this.generateSessionId()
@@ -45,13 +49,6 @@ class AdvancedSearchService {
         </div>
         
         <div class="filters-container" id="filters-container">
-          <div class="filter-group">
-            <label for="genre-filter">Genre:</label>
-            <select id="genre-filter">
-              <option value="all">All Genres</option>
-            </select>
-          </div>
-          
           <div class="filter-group">
             <label>Price Range:</label>
             <div class="price-range">
@@ -82,6 +79,8 @@ class AdvancedSearchService {
           <button id="reset-filters" class="reset-filters-btn">Reset Filters</button>
         </div>
         
+        <div class="facet-groups" id="facet-groups"></div>
+        
         <div class="search-stats" id="search-stats"></div>
       </div>
     `
@@ -98,6 +97,7 @@ class AdvancedSearchService {
     this.filtersContainer = document.getElementById('filters-container')
     this.resultsContainer = document.getElementById('products-container') || document.querySelector('.products-grid')
     this.statsContainer = document.getElementById('search-stats')
+    this.facetsContainer = document.getElementById('facet-groups')
   }
 
   bindEvents() {
@@ -153,20 +153,12 @@ class AdvancedSearchService {
     }
 
     // Filter controls
-    const genreFilter = document.getElementById('genre-filter')
     const minPrice = document.getElementById('min-price')
     const maxPrice = document.getElementById('max-price')
     const sortBy = document.getElementById('sort-by')
     const sortOrder = document.getElementById('sort-order')
     const resetBtn = document.getElementById('reset-filters')
 
-    if (genreFilter) {
-      genreFilter.addEventListener('change', () => {
-        this.currentFilters.genre = genreFilter.value
-        this.performSearch()
-      })
-    }
-
     if (minPrice) {
       minPrice.addEventListener('input', this.debounce(() => {
         this.currentFilters.minPrice = minPrice.value
@@ -200,41 +192,40 @@ class AdvancedSearchService {
         this.resetFilters()
       })
     }
+
+    // Facet checkboxes are re-rendered with each result set, so listen on the container
+    if (this.facetsContainer) {
+      this.facetsContainer.addEventListener('change', (e) => {
+        const checkbox = e.target.closest('input[data-facet]')
+        if (!checkbox) return
+
+        const { facet } = checkbox.dataset
+        const selected = new Set(this.selectedFacets[facet] || [])
+        if (checkbox.checked) {
+          selected.add(checkbox.value)
+        } else {
+          selected.delete(checkbox.value)
+        }
+        this.selectedFacets[facet] = [...selected]
+        this.currentPage = 1
+        this.performSearch()
+      })
+    }
   }
 
   async loadInitialData() {
-    await this.loadGenres()
     await this.performSearch()
   }
 
-  async loadGenres() {
-    try {
-      const response = await fetch('/api/products/genres')
-      const genres = await response.json()
-      
-      const genreSelect = document.getElementById('genre-filter')
-      if (genreSelect && Array.isArray(genres)) {
-        // Clear existing options except "All Genres"
-        genreSelect.innerHTML = '<option value="all">All Genres</option>'
-        
-        genres.forEach(genre => {
-          const option = document.createElement('option')
-          option.value = genre
-          option.textContent = genre
-          genreSelect.appendChild(option)
-        })
-      }
-    } catch (error) {
-      console.error('Failed to load genres:', error)
-    }
-  }
-
   async loadSuggestions(query) {
     try {
-      const response = await fetch(`/api/products/search-suggestions?q=${encodeURIComponent(query)}`)
-      const { suggestions } = await response.json()
+      const response = await fetch(`/api/v1/products/search/suggestions?q=${encodeURIComponent(query)}`)
+      const { suggestions, didYouMean } = await response.json()
       
-      this.displaySuggestions(suggestions)
+      // A corrected spelling goes first so one click searches for it
+      this.displaySuggestions(
+        didYouMean ? [{ text: didYouMean, type: 'did you mean' }, ...suggestions] : suggestions
+      )
     } catch (error) {
       console.error('Failed to load suggestions:', error)
     }
@@ -283,18 +274,26 @@ class AdvancedSearchService {
         }
       })
 
+      // Multi-select facets repeat the key: ?genre=Rock&genre=Jazz
+      Object.entries(this.selectedFacets).forEach(([facet, values]) => {
+        values.forEach(value => params.append(facet, value))
+      })
+
       params.append('page', this.currentPage)
       params.append('limit', 20)
 
-      const response = await fetch(`/api/products?${params}`)
-      const data = await response.json()
+      const response = await fetch(`/api/v1/products?${params}`)
+      const { data } = await response.json()
       
       this.displayResults(data)
       this.updateStats(data)
+      this.displayFacets(data.facets)
 
       // Track search analytics if there's a search query
       if (this.currentFilters.search.trim()) {
-        this.trackSearchAnalytics(this.currentFilters.search, this.currentFilters, data.pagination?.total || 0)
+        // Results for a corrected spelling still count as a zero-result search
+        const resultsCount = data.didYouMean ? 0 : data.pagination?.total || 0
+        this.trackSearchAnalytics(this.currentFilters.search, this.currentFilters, resultsCount)
         this.lastSearchQuery = this.currentFilters.search
       }
     } catch (error) {
@@ -321,7 +320,7 @@ class AdvancedSearchService {
     const productsHTML = products.map(product => `
       <div class="product-card" data-product-id="${product.id}">
         <div class="product-image">
-          <img src="/images/${product.image}" alt="${product.title}" loading="lazy">
+          <img src="${coverUrl(product.image, 320)}" alt="${product.title}" loading="lazy">
         </div>
         <div class="product-info">
           <h3 class="product-title">${product.title}</h3>
@@ -346,6 +345,34 @@ class AdvancedSearchService {
     this.bindAddToCartEvents()
   }
 
+  displayFacets(facets) {
+    if (!this.facetsContainer || !facets) return
+
+    const titles = {
+      genre: 'Genre',
+      decade: 'Decade',
+      priceBand: 'Price',
+      label: 'Label',
+      format: 'Format',
+      stock: 'Availability'
+    }
+
+    this.facetsContainer.innerHTML = Object.entries(facets)
+      .filter(([, buckets]) => buckets.length > 0)
+      .map(([facet, buckets]) => `
+        <fieldset class="facet-group">
+          <legend>${titles[facet] || facet}</legend>
+          ${buckets.map(bucket => `
+            <label class="facet-option">
+              <input type="checkbox" data-facet="${facet}" value="${sanitizeText(String(bucket.value))}" ${bucket.selected ? 'checked' : ''}>
+              <span class="facet-label">${sanitizeText(String(bucket.label))}</span>
+              <span class="facet-count">${bucket.count}</span>
+            </label>
+          `).join('')}
+        </fieldset>
+      `).join('')
+  }
+
   updateStats(data) {
     if (!this.statsContainer) return
 
@@ -356,6 +383,7 @@ class AdvancedSearchService {
     this.statsContainer.innerHTML = `
       <span class="search-results-count">
         Showing ${start}-${end} of ${pagination.total} products
+        ${data.didYouMean ? `for <strong>${data.didYouMean}</strong> (no exact matches)` : ''}
       </span>
     `
   }
@@ -420,19 +448,16 @@ class AdvancedSearchService {
   resetFilters() {
     this.currentFilters = {
       search: '',
-      genre: 'all',
       minPrice: '',
       maxPrice: '',
       sortBy: 'title',
       sortOrder: 'asc'
     }
+    this.selectedFacets = {}
 
     // Reset UI elements
     if (this.searchInput) this.searchInput.value = ''
     
-    const genreFilter = document.getElementById('genre-filter')
-    if (genreFilter) genreFilter.value = 'all'
-    
     const minPrice = document.getElementById('min-price')
     if (minPrice) minPrice.value = ''
     
@@ -35,6 +35,11 @@ export function showHideMenuItems(name) {
   document.getElementById('signup').style.display = isLoggedIn ? 'none' : 'inline'
   document.getElementById('logout-btn').style.display = isLoggedIn ? 'inline' : 'none'
   
+  const wishlistLink = document.getElementById('wishlist-link')
+  if (wishlistLink) {
+    wishlistLink.classList.toggle('hidden', !isLoggedIn)
+  }
+
   // Show admin dashboard link for authenticated users (in a real app, check for admin role)
   const adminLink = document.getElementById('admin-dashboard')
   if (adminLink) {
@@ -1,6 +1,6 @@
 import { logout } from './logout.js'
 import { checkAuth, renderGreeting, showHideMenuItems } from './authUI.js'
-import { loadCart, removeItem, removeAll } from './cartService.js'
+import { loadCart, removeItem, checkout, updateQuantity, applyCoupon, removeCoupon } from './cartService.js'
 
 const dom = {
   checkoutBtn: document.getElementById('checkout-btn'),
@@ -17,11 +17,34 @@ dom.cartList.addEventListener('click', event => {
   }
 })
 
+dom.cartList.addEventListener('change', event => {
+  if (event.target.matches('.quantity-input')) {
+    updateQuantity(event.target.dataset.id, parseInt(event.target.value, 10) || 0, dom)
+  }
+})
+
+document.getElementById('coupon-form').addEventListener('submit', event => {
+  event.preventDefault()
+  const code = document.getElementById('coupon-code').value.trim()
+  if (code) applyCoupon(code, dom)
+})
+
+document.getElementById('coupon-remove-btn').addEventListener('click', () => {
+  removeCoupon(dom)
+})
+
+// Re-price shipping and tax when the ship-to address or method changes
+document.getElementById('ship-to-form').addEventListener('change', () => {
+  loadCart(dom)
+})
+
+document.getElementById('ship-to-form').addEventListener('submit', event => {
+  event.preventDefault()
+  loadCart(dom)
+})
+
 dom.checkoutBtn.addEventListener('click', () => {
-  removeAll(dom)
-  dom.userMessage.textContent = 'Your order has been sent for processing.'
-  dom.checkoutBtn.classList.add('visually-hidden')
-  dom.cartTotal.classList.add('visually-hidden')
+  checkout(dom)
 })
 
 async function init() {
@@ -1,5 +1,6 @@
-export function addBtnListeners() {
-  document.querySelectorAll('.add-btn').forEach(button => {
+// `root` limits binding to newly rendered buttons (e.g. the quick-view modal)
+export function addBtnListeners(root = document) {
+  root.querySelectorAll('.add-btn').forEach(button => {
     button.addEventListener('click', async (event) => {
       const albumId = event.currentTarget.dataset.id
 
@@ -15,7 +16,19 @@ export function addBtnListeners() {
         })
 
         if (!res.ok) {
-          return window.location.href = '/login.html'
+          // Error pages from a proxy aren't JSON
+          const body = await res.json().catch(() => ({}))
+
+          // Only the stock check says how many are left
+          if (typeof body.available === 'number') {
+            button.textContent = body.available > 0 ? `Only ${body.available} left` : 'Sold Out'
+            button.disabled = true
+            return
+          }
+
+          const message = typeof body.error === 'string' ? body.error : body.error?.message
+          showButtonError(button, message || 'Could not add to cart')
+          return
         }
 
         await updateCartIcon()
@@ -26,6 +39,17 @@ export function addBtnListeners() {
   })
 }
 
+// Show a failed request on the button for a moment, then let the shopper try again
+function showButtonError(button, message) {
+  // Kept from the first failure, so a second click doesn't keep the message as the label
+  button.dataset.label ??= button.innerHTML
+  button.textContent = message
+  clearTimeout(button.errorTimer)
+  button.errorTimer = setTimeout(() => {
+    button.innerHTML = button.dataset.label
+  }, 3000)
+}
+
 export async function updateCartIcon() {
   try {
     const res = await fetch('/api/v1/cart/count', {
@@ -47,20 +71,40 @@ export async function updateCartIcon() {
 }
 
 export async function loadCart(dom) {
-  const { checkoutBtn, userMessage, cartList, cartTotal } = dom
+  const { cartList, cartTotal, checkoutBtn } = dom
 
   try {
-    const items = await fetchCartItems(dom)
+    const { items, summary, coupon, priceChanges } = await fetchCartSummary(dom)
     renderCartItems(items, cartList)
-    updateCartTotal(items, cartTotal, checkoutBtn)
+    updateCartTotal(summary, cartTotal, checkoutBtn)
+    renderCoupon(coupon)
+    renderPriceChanges(priceChanges, dom)
   } catch (err) {
     console.error('Error loading cart:', err)
     cartList.innerHTML = '<li>Error loading cart data.</li>'
   }
 }
 
-async function fetchCartItems({ userMessage, checkoutBtn }) {
-  const res = await fetch('/api/v1/cart/', { 
+// Ship-to address and shipping method chosen on the cart page
+function getShippingSelection() {
+  const country = document.getElementById('ship-country')?.value
+  if (!country) return {}
+
+  return {
+    shippingAddress: {
+      country,
+      region: document.getElementById('ship-region').value.trim(),
+      postalCode: document.getElementById('ship-postal-code').value.trim()
+    },
+    shippingMethod: document.getElementById('shipping-method').value || undefined
+  }
+}
+
+async function fetchCartSummary({ userMessage, checkoutBtn }) {
+  const { shippingAddress, shippingMethod } = getShippingSelection()
+  const params = new URLSearchParams({ ...shippingAddress, ...(shippingMethod && { shippingMethod }) })
+
+  const res = await fetch(`/api/v1/cart/summary?${params}`, { 
     headers: {
       'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
     },
@@ -72,11 +116,11 @@ async function fetchCartItems({ userMessage, checkoutBtn }) {
     checkoutBtn.disabled = true
     checkoutBtn.classList.add('disabled')
     userMessage.innerHTML = 'Please <a href="login.html">log in</a>.'
-    return []
+    return { items: [], summary: { itemCount: 0, subtotal: 0, discount: 0, shipping: 0, tax: 0, taxLines: [], total: 0 }, coupon: null, priceChanges: [] }
   }
 
-  const { items } = await res.json()
-  return items
+  const { data } = await res.json()
+  return data
 }
 
 function renderCartItems(items, cartList) {
@@ -95,7 +139,9 @@ function renderCartItems(items, cartList) {
     const li = document.createElement('li')
     li.className = 'cart-item'
 
-    const itemTotal = item.price * item.quantity
+    const priceNote = item.priceChanged
+      ? `<span class="cart-item-price-change">${item.priceDifference > 0 ? 'Up' : 'Down'} from $${item.priceAtAdd.toFixed(2)}</span>`
+      : ''
 
     li.innerHTML = `
       <div class="cart-item-image">
@@ -105,8 +151,13 @@ function renderCartItems(items, cartList) {
         <h4 class="cart-item-title">${item.title}</h4>
         <p class="cart-item-artist">${item.artist}</p>
         <div class="cart-item-meta">
-          <span class="cart-item-quantity">Qty: ${item.quantity}</span>
-          <span class="cart-item-price">$${item.price}</span>
+          <label class="cart-item-quantity">
+            Qty:
+            <input type="number" class="quantity-input" data-id="${item.cartItemId}"
+              value="${item.quantity}" min="0" max="${Math.min(item.availableStock, 10)}">
+          </label>
+          <span class="cart-item-price">$${item.price.toFixed(2)}</span>
+          ${priceNote}
         </div>
       </div>
       <div class="cart-item-actions">
@@ -120,17 +171,25 @@ function renderCartItems(items, cartList) {
   })
 }
 
-function updateCartTotal(items, cartTotal, checkoutBtn) {
-  const total = items.reduce((sum, item) => sum + item.price * item.quantity, 0)
-  cartTotal.innerHTML = `$${total.toFixed(2)}`
+function updateCartTotal(summary, cartTotal, checkoutBtn) {
+  cartTotal.innerHTML = `$${summary.total.toFixed(2)}`
   
   const cartSubtotal = document.getElementById('cart-subtotal')
-  if (cartSubtotal) cartSubtotal.innerHTML = `$${total.toFixed(2)}`
+  if (cartSubtotal) cartSubtotal.innerHTML = `$${summary.subtotal.toFixed(2)}`
+
+  const discountLine = document.getElementById('discount-line')
+  if (discountLine) {
+    discountLine.classList.toggle('hidden', !summary.discount)
+    document.getElementById('cart-discount').innerHTML = `-$${summary.discount.toFixed(2)}`
+  }
+
+  renderShipping(summary)
+  renderTaxLines(summary)
   
   const cartItemCount = document.getElementById('cart-item-count')
-  if (cartItemCount) cartItemCount.innerHTML = `${items.length} item${items.length !== 1 ? 's' : ''}`
+  if (cartItemCount) cartItemCount.innerHTML = `${summary.itemCount} item${summary.itemCount !== 1 ? 's' : ''}`
 
-  if (total <= 0) {
+  if (summary.total <= 0) {
     checkoutBtn.disabled = true
     checkoutBtn.classList.add('disabled')
   } else {
@@ -139,6 +198,139 @@ function updateCartTotal(items, cartTotal, checkoutBtn) {
   }
 }
 
+function renderShipping(summary) {
+  const cartShipping = document.getElementById('cart-shipping')
+  if (!cartShipping) return
+
+  const { shippingMethod, shippingOptions = [], shippingAddress } = summary
+  cartShipping.textContent = shippingMethod?.waived ? 'Free' : `$${summary.shipping.toFixed(2)}`
+  document.getElementById('shipping-method-name').textContent = shippingMethod
+    ? `(${shippingMethod.name}, ${shippingMethod.estimatedDays} days)`
+    : ''
+
+  const methodSelect = document.getElementById('shipping-method')
+  methodSelect.innerHTML = shippingOptions
+    .map(option => `<option value="${option.method}">${option.name} - $${option.cost.toFixed(2)}</option>`)
+    .join('')
+  if (shippingMethod) methodSelect.value = shippingMethod.method
+
+  document.getElementById('shipping-estimate').textContent = shippingAddress?.estimated
+    ? 'Estimated for our home region. Enter your address for exact rates.'
+    : ''
+}
+
+function renderTaxLines(summary) {
+  const taxLines = document.getElementById('tax-lines')
+  if (!taxLines) return
+
+  const lines = summary.taxLines?.length > 0 ? summary.taxLines : [{ name: 'Tax', amount: summary.tax }]
+  taxLines.innerHTML = lines
+    .map(line => `
+      <div class="summary-line">
+        <span>${line.name}${line.rate ? ` (${parseFloat((line.rate * 100).toFixed(3))}%)` : ''}:</span>
+        <span>$${line.amount.toFixed(2)}</span>
+      </div>
+    `)
+    .join('')
+}
+
+function renderCoupon(coupon) {
+  const couponMessage = document.getElementById('coupon-message')
+  if (!couponMessage) return
+
+  document.getElementById('coupon-applied').textContent = coupon ? `(${coupon.code})` : ''
+  document.getElementById('coupon-remove-btn').classList.toggle('hidden', !coupon)
+
+  if (!coupon) {
+    couponMessage.textContent = ''
+  } else if (!coupon.valid) {
+    couponMessage.textContent = `${coupon.code}: ${coupon.problem}`
+  } else {
+    couponMessage.textContent = coupon.freeShipping
+      ? `${coupon.code} applied: free shipping`
+      : `${coupon.code} applied: you save $${coupon.discount.toFixed(2)}`
+  }
+}
+
+export async function applyCoupon(code, dom) {
+  const couponMessage = document.getElementById('coupon-message')
+
+  try {
+    const res = await fetch('/api/v1/cart/coupon', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
+      },
+      credentials: 'include',
+      body: JSON.stringify({ code })
+    })
+
+    if (res.status === 401) {
+      couponMessage.innerHTML = 'Please <a href="login.html">log in</a> to use a coupon.'
+      return
+    }
+
+    if (!res.ok) {
+      const body = await res.json()
+      couponMessage.textContent = body.error?.message || 'Could not apply coupon.'
+      return
+    }
+
+    await loadCart(dom)
+  } catch (err) {
+    console.error('Error applying coupon:', err)
+  }
+}
+
+export async function removeCoupon(dom) {
+  try {
+    await fetch('/api/v1/cart/coupon', {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
+      },
+      credentials: 'include'
+    })
+
+    await loadCart(dom)
+  } catch (err) {
+    console.error('Error removing coupon:', err)
+  }
+}
+
+function renderPriceChanges(priceChanges, { userMessage }) {
+  if (priceChanges.length === 0) return
+
+  userMessage.textContent = `Prices changed since you added: ${priceChanges.map(change => change.title).join(', ')}.`
+}
+
+export async function updateQuantity(itemId, quantity, dom) {
+  try {
+    const res = await fetch(`/api/v1/cart/items/${itemId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
+      },
+      credentials: 'include',
+      body: JSON.stringify({ quantity })
+    })
+
+    if (!res.ok) {
+      const body = await res.json()
+      await loadCart(dom)
+      dom.userMessage.textContent = body.error?.message || 'Could not update quantity.'
+      return
+    }
+
+    dom.userMessage.textContent = ''
+    await loadCart(dom)
+  } catch (err) {
+    console.error('Error updating quantity:', err)
+  }
+}
+
 export async function removeItem(itemId, dom) {
   try {
     const res = await fetch(`/api/v1/cart/items/${itemId}`, {
@@ -178,3 +370,46 @@ export async function removeAll(dom) {
     console.error('Error clearing cart:', err)
   }
 }
+
+export async function checkout(dom) {
+  const { checkoutBtn, userMessage, cartTotal } = dom
+
+  try {
+    const res = await fetch('/api/v1/cart/checkout', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('accessToken')}`,
+        'Content-Type': 'application/json'
+      },
+      credentials: 'include',
+      body: JSON.stringify(getShippingSelection())
+    })
+
+    // Guests keep their cart; it is merged into the account on login
+    if (res.status === 401) {
+      userMessage.innerHTML = 'Please <a href="login.html">log in</a> to check out. Your cart will be saved.'
+      return null
+    }
+
+    const body = await res.json()
+
+    if (!res.ok) {
+      const problems = body.error?.details?.validationErrors?.map(e => e.message) || []
+      userMessage.textContent = problems.length > 0
+        ? problems.join(' ')
+        : body.error?.message || 'Checkout failed. Please try again.'
+      return null
+    }
+
+    const { order } = body.data
+    userMessage.textContent = `Order #${order.id} has been placed for processing.`
+    checkoutBtn.classList.add('visually-hidden')
+    cartTotal.classList.add('visually-hidden')
+    await loadCart(dom)
+    return order
+  } catch (err) {
+    console.error('Error during checkout:', err)
+    userMessage.textContent = 'Checkout failed. Please try again.'
+    return null
+  }
+}
@@ -3,6 +3,7 @@ import { checkAuth, renderGreeting, showHideMenuItems } from './authUI.js'
 import { getProducts, populateGenreSelect } from './productService.js'
 import { renderProducts, applySearchFilter } from './productUI.js'
 import { updateCartIcon } from './cartService.js'
+import { loadWishlistIds } from './wishlistService.js'
 
 document.getElementById('logout-btn').addEventListener('click', logout)
 
@@ -13,6 +14,10 @@ async function init() {
   const products = await getProducts()
   const name = await checkAuth()
   renderGreeting(name)
+  // Hearts on the grid reflect what's already on the wishlist
+  if (name) {
+    await loadWishlistIds()
+  }
   renderProducts(products)
   showHideMenuItems(name)
   if (name) {
@@ -0,0 +1,37 @@
+import { logout } from './logout.js'
+import { checkAuth, renderGreeting, showHideMenuItems } from './authUI.js'
+import { addBtnListeners, updateCartIcon } from './cartService.js'
+import { getProduct, renderProductDetails } from './productDetails.js'
+
+const container = document.getElementById('product-detail')
+const productId = new URLSearchParams(window.location.search).get('id')
+
+document.getElementById('logout-btn').addEventListener('click', logout)
+
+async function loadProduct() {
+  if (!productId) {
+    container.innerHTML = '<p class="user-message error">No record selected.</p>'
+    return
+  }
+
+  try {
+    const product = await getProduct(productId)
+    document.title = `${product.title} by ${product.artist} - Spiral Sounds`
+    container.innerHTML = renderProductDetails(product)
+    addBtnListeners()
+  } catch (err) {
+    container.innerHTML = `<p class="user-message error">${err.message}</p>`
+  }
+}
+
+async function init() {
+  const name = await checkAuth()
+  renderGreeting(name)
+  showHideMenuItems(name)
+  await loadProduct()
+  if (name) {
+    await updateCartIcon()
+  }
+}
+
+init()
@@ -0,0 +1,146 @@
+import { sanitizeText } from './xssPrevention.js'
+
+// ===== Product detail rendering (product page and quick-view modal) =====
+
+export async function getProduct(id) {
+  const res = await fetch(`/api/v1/products/${encodeURIComponent(id)}`)
+
+  if (!res.ok) {
+    const error = new Error(res.status === 404 ? 'Record not found' : 'Could not load this record')
+    error.status = res.status
+    throw error
+  }
+
+  const { data } = await res.json()
+  return data.product
+}
+
+// Uploaded and imported covers are stored by content hash with WebP thumbnails
+// (`products/<hash>-320.webp`); older static covers are single files in /images
+const STORED_IMAGE = /^(products|collection)\/([0-9a-f]{32})\.\w+$/
+
+// `width` (160, 320 or 640) picks a thumbnail where there is one
+export function coverUrl(image, width = null) {
+  // The CSP only allows same-origin images: remote covers show the placeholder
+  // until the image cleanup stores them locally
+  if (!image || /^https?:\/\//.test(image)) return './images/no-cover.svg'
+
+  const stored = width && STORED_IMAGE.exec(image)
+  return stored ? `./images/${stored[1]}/${stored[2]}-${width}.webp` : `./images/${image}`
+}
+
+function renderFacts(product) {
+  const format = [product.format || 'LP', product.format_details].filter(Boolean).join(' · ')
+  const facts = [
+    ['Label', product.label],
+    ['Catalog #', product.catalog_number],
+    ['Format', format],
+    ['Released', product.released || product.year],
+    ['Country', product.country],
+    ['Genre', product.genre],
+    ['Styles', product.styles.join(', ')]
+  ].filter(([, value]) => value)
+
+  return `
+    <dl class="release-facts">
+      ${facts.map(([term, value]) => `
+        <dt>${term}</dt>
+        <dd>${sanitizeText(String(value))}</dd>
+      `).join('')}
+    </dl>
+  `
+}
+
+function renderTracklist(tracklist) {
+  if (tracklist.length === 0) return ''
+
+  const rows = tracklist.map(track => {
+    // Discogs headings split a tracklist into sides or parts
+    if (track.type === 'heading') {
+      return `<tr class="track-heading"><th colspan="3">${sanitizeText(track.title)}</th></tr>`
+    }
+
+    const artists = track.artists?.map(artist => artist.name).join(', ')
+    return `
+      <tr>
+        <td class="track-position">${sanitizeText(track.position || '')}</td>
+        <td class="track-title">
+          ${sanitizeText(track.title)}
+          ${artists ? `<span class="track-artists">${sanitizeText(artists)}</span>` : ''}
+        </td>
+        <td class="track-duration">${sanitizeText(track.duration || '')}</td>
+      </tr>
+    `
+  }).join('')
+
+  return `
+    <section class="release-section">
+      <h3>Tracklist</h3>
+      <table class="tracklist">${rows}</table>
+    </section>
+  `
+}
+
+function renderCredits(credits) {
+  if (credits.length === 0) return ''
+
+  return `
+    <section class="release-section">
+      <h3>Credits</h3>
+      <ul class="credits">
+        ${credits.map(credit => `
+          <li>
+            <span class="credit-role">${sanitizeText(credit.role || 'Credit')}</span>
+            <span class="credit-name">${sanitizeText(credit.name)}</span>
+          </li>
+        `).join('')}
+      </ul>
+    </section>
+  `
+}
+
+function renderCommunity(product) {
+  if (!product.community_have && !product.community_want) return ''
+
+  return `
+    <p class="release-community">
+      On Discogs: ${product.community_have || 0} have · ${product.community_want || 0} want
+      ${product.community_rating ? ` · rated ${Number(product.community_rating).toFixed(2)}/5` : ''}
+    </p>
+  `
+}
+
+// `compact` (quick view) leaves out the description and links to the full page
+export function renderProductDetails(product, { compact = false } = {}) {
+  const soldOut = product.stock <= 0
+
+  return `
+    <article class="product-detail${compact ? ' compact' : ''}">
+      <div class="product-detail-cover">
+        <img src="${coverUrl(product.image, 640)}" alt="${sanitizeText(product.title)}">
+      </div>
+      <div class="product-detail-info">
+        <h2 class="product-detail-title">${sanitizeText(product.title)}</h2>
+        <p class="product-detail-artist">${sanitizeText(product.artist)}</p>
+        <div class="price-rating">
+          <span class="price">$${Number(product.price).toFixed(2)}</span>
+          ${product.reviewCount > 0
+            ? `<span class="rating">⭐ ${Number(product.averageRating).toFixed(1)} (${product.reviewCount})</span>`
+            : ''}
+        </div>
+        <button class="btn btn-primary add-btn" data-id="${product.id}" ${soldOut ? 'disabled' : ''}>
+          <span class="btn-text">${soldOut ? 'Sold Out' : 'Add to Cart'}</span>
+          <span class="btn-icon">🛒</span>
+        </button>
+        ${renderFacts(product)}
+        ${renderCommunity(product)}
+        ${!compact && product.description ? `<p class="product-detail-description">${sanitizeText(product.description)}</p>` : ''}
+        ${compact ? `<a class="product-detail-link" href="/product.html?id=${product.id}">View full details →</a>` : ''}
+      </div>
+      <div class="product-detail-extra">
+        ${renderTracklist(product.tracklist)}
+        ${renderCredits(product.credits)}
+      </div>
+    </article>
+  `
+}
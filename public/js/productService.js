@@ -4,7 +4,15 @@ export async function getProducts(filters = {}) {
   const queryParams = new URLSearchParams(filters)
   const res = await fetch(`/api/v1/products?${queryParams}`)
   const data = await res.json()
-  return data.products || data // Handle both old and new response formats
+  return data.data?.products || data.products || data // Handle both old and new response formats
+}
+
+// Search results plus the corrected spelling they're for, when the typed query found nothing
+export async function searchProducts(filters = {}) {
+  const queryParams = new URLSearchParams(filters)
+  const res = await fetch(`/api/v1/products?${queryParams}`)
+  const { data } = await res.json()
+  return { products: data.products, didYouMean: data.didYouMean }
 }
 
 // ===== Populate the genre dropdown =====
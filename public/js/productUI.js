@@ -1,9 +1,12 @@
 import { addBtnListeners } from './cartService.js'
-import { getProducts } from './productService.js'
+import { searchProducts } from './productService.js'
+import { coverUrl, getProduct, renderProductDetails } from './productDetails.js'
+import { addToWishlist, isWishlisted, removeFromWishlist } from './wishlistService.js'
+import { sanitizeText } from './xssPrevention.js'
 
 // ===== Enhanced Product Rendering with Animations =====
 
-export function renderProducts(products, showLoadingState = false) {
+export function renderProducts(products, showLoadingState = false, { didYouMean = null } = {}) {
   const albumsContainer = document.getElementById('products-container')
 
   if (showLoadingState) {
@@ -16,10 +19,15 @@ export function renderProducts(products, showLoadingState = false) {
 
   setTimeout(() => {
     const cards = products.map((album, index) => {
+      const liked = isWishlisted(album.id)
+      // Search highlights come HTML-escaped, with the matched words wrapped in <mark>
+      const title = album.highlights?.title || sanitizeText(album.title)
+      const artist = album.highlights?.artist || sanitizeText(album.artist)
+      const snippet = album.highlights?.description
       return `
         <div class="product-card" style="animation-delay: ${index * 0.1}s;">
           <div class="product-image-container">
-            <img src="./images/${album.image}" alt="${album.title}" loading="lazy">
+            <img src="${coverUrl(album.image, 320)}" alt="${sanitizeText(album.title)}" loading="lazy">
             <div class="image-overlay">
               <button class="quick-view-btn" data-id="${album.id}">
                 <span>👁️</span> Quick View
@@ -27,8 +35,9 @@ export function renderProducts(products, showLoadingState = false) {
             </div>
           </div>
           <div class="product-info">
-            <h3 class="product-title">${album.title}</h3>
-            <p class="product-artist">${album.artist}</p>
+            <h3 class="product-title"><a href="/product.html?id=${album.id}">${title}</a></h3>
+            <p class="product-artist">${artist}</p>
+            ${snippet && snippet.includes('<mark>') ? `<p class="product-snippet">${snippet}</p>` : ''}
             <div class="price-rating">
               <span class="price">$${album.price}</span>
               <div class="rating">
@@ -42,8 +51,9 @@ export function renderProducts(products, showLoadingState = false) {
           </div>
           <div class="product-meta">
             <span class="genre-label">${album.genre}</span>
-            <button class="wishlist-btn" data-id="${album.id}" title="Add to Wishlist">
-              <span class="heart">🤍</span>
+            <button class="wishlist-btn${liked ? ' liked' : ''}" data-id="${album.id}"
+              title="${liked ? 'Remove from Wishlist' : 'Add to Wishlist'}">
+              <span class="heart">${liked ? '❤️' : '🤍'}</span>
             </button>
           </div>
         </div>
@@ -68,7 +78,7 @@ export function renderProducts(products, showLoadingState = false) {
     addQuickViewListeners()
 
     // Show results count
-    showSearchResults(products.length)
+    showSearchResults(products.length, didYouMean)
   }, 200)
 }
 
@@ -112,8 +122,8 @@ export async function applySearchFilter() {
       const filters = {}
       if (search) filters.search = search
 
-      const products = await getProducts(filters)
-      renderProducts(products)
+      const { products, didYouMean } = await searchProducts(filters)
+      renderProducts(products, false, { didYouMean })
 
       // Update URL without reloading page
       const url = new URL(window.location)
@@ -154,12 +164,18 @@ function addQuickViewListeners() {
   })
 }
 
-function toggleWishlist(btn) {
-  const heart = btn.querySelector('.heart')
-  const isLiked = heart.textContent === '❤️'
+function setHeart(btn, liked) {
+  btn.querySelector('.heart').textContent = liked ? '❤️' : '🤍'
+  btn.classList.toggle('liked', liked)
+  btn.title = liked ? 'Remove from Wishlist' : 'Add to Wishlist'
+}
+
+async function toggleWishlist(btn) {
+  const productId = btn.dataset.id
+  const isLiked = isWishlisted(productId)
 
-  heart.textContent = isLiked ? '🤍' : '❤️'
-  btn.classList.toggle('liked', !isLiked)
+  // Update optimistically, then roll back if the server says no
+  setHeart(btn, !isLiked)
 
   // Add animation
   btn.style.transform = 'scale(1.3)'
@@ -167,25 +183,74 @@ function toggleWishlist(btn) {
     btn.style.transform = ''
   }, 200)
 
-  // Show toast notification
-  showToast(isLiked ? 'Removed from wishlist' : 'Added to wishlist', 'success')
+  try {
+    if (isLiked) {
+      await removeFromWishlist(productId)
+    } else {
+      await addToWishlist(productId)
+    }
+    showToast(isLiked ? 'Removed from wishlist' : 'Added to wishlist', 'success')
+  } catch (err) {
+    setHeart(btn, isLiked)
+    showToast(
+      err.status === 401 ? 'Log in to save records to your wishlist' : 'Could not update your wishlist',
+      'error'
+    )
+  }
+}
+
+// ===== Quick View Modal =====
+function closeQuickView() {
+  document.getElementById('quick-view')?.remove()
+  document.removeEventListener('keydown', closeOnEscape)
 }
 
-function openQuickView(productId) {
-  // Placeholder for modal functionality
-  showToast('Quick view coming soon!', 'info')
+function closeOnEscape(e) {
+  if (e.key === 'Escape') closeQuickView()
+}
+
+async function openQuickView(productId) {
+  closeQuickView()
+
+  const modal = document.createElement('div')
+  modal.id = 'quick-view'
+  modal.className = 'modal-backdrop'
+  modal.innerHTML = `
+    <div class="modal-content quick-view-modal" role="dialog" aria-modal="true" aria-label="Quick view">
+      <button class="modal-close" aria-label="Close">×</button>
+      <div class="modal-body">
+        <div class="loading-container"><div class="loading-spinner"></div></div>
+      </div>
+    </div>
+  `
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal || e.target.closest('.modal-close')) closeQuickView()
+  })
+  document.addEventListener('keydown', closeOnEscape)
+  document.body.appendChild(modal)
+  requestAnimationFrame(() => modal.classList.add('show'))
+
+  try {
+    const product = await getProduct(productId)
+    const body = modal.querySelector('.modal-body')
+    body.innerHTML = renderProductDetails(product, { compact: true })
+    addBtnListeners(body)
+  } catch (err) {
+    closeQuickView()
+    showToast(err.message, 'error')
+  }
 }
 
-function showSearchResults(count) {
+function showSearchResults(count, didYouMean = null) {
   const existingCount = document.querySelector('.search-results-count')
   if (existingCount) existingCount.remove()
 
   if (count > 0) {
     const countElement = document.createElement('div')
     countElement.className = 'search-results-count'
-    countElement.innerHTML = `
-      <span>Found ${count} record${count !== 1 ? 's' : ''}</span>
-    `
+    countElement.innerHTML = didYouMean
+      ? `<span>No exact matches. Showing ${count} record${count !== 1 ? 's' : ''} for <strong>${didYouMean}</strong></span>`
+      : `<span>Found ${count} record${count !== 1 ? 's' : ''}</span>`
 
     const container = document.getElementById('products-container')
     container.parentNode.insertBefore(countElement, container)
@@ -0,0 +1,150 @@
+import { logout } from './logout.js'
+import { coverUrl } from './productDetails.js'
+import { checkAuth, renderGreeting, showHideMenuItems } from './authUI.js'
+import {
+  getSharedWishlist,
+  getWishlist,
+  moveToCart,
+  removeFromWishlist,
+  setSharing
+} from './wishlistService.js'
+
+const dom = {
+  list: document.getElementById('wishlist-list'),
+  count: document.getElementById('wishlist-count'),
+  empty: document.getElementById('empty-wishlist'),
+  share: document.getElementById('wishlist-share'),
+  shareToggle: document.getElementById('share-toggle'),
+  shareUrl: document.getElementById('share-url'),
+  userMessage: document.getElementById('user-message')
+}
+
+// ?share=<token> shows someone else's wishlist read-only
+const shareToken = new URLSearchParams(window.location.search).get('share')
+
+document.getElementById('logout-btn').addEventListener('click', logout)
+
+function showMessage(text, type = 'success') {
+  dom.userMessage.textContent = text
+  dom.userMessage.className = `user-message ${type}`
+}
+
+function renderItems(items, { readOnly = false } = {}) {
+  dom.list.innerHTML = ''
+  dom.count.textContent = `${items.length} record${items.length !== 1 ? 's' : ''}`
+  dom.empty.classList.toggle('hidden', items.length > 0)
+
+  items.forEach(item => {
+    const li = document.createElement('li')
+    li.className = 'cart-item'
+
+    const actions = readOnly
+      ? ''
+      : `
+        <div class="cart-item-actions">
+          <button class="btn btn-primary move-btn" data-id="${item.productId}" ${item.inStock ? '' : 'disabled'}>
+            <span>🛒</span> ${item.inStock ? 'Move to Cart' : 'Sold Out'}
+          </button>
+          <button class="btn btn-outline remove-btn" data-id="${item.productId}">
+            <span>🗑️</span> Remove
+          </button>
+        </div>
+      `
+
+    li.innerHTML = `
+      <div class="cart-item-image">
+        <img src="${coverUrl(item.image, 160)}" alt="${item.title}">
+      </div>
+      <div class="cart-item-details">
+        <h4 class="cart-item-title">${item.title}</h4>
+        <p class="cart-item-artist">${item.artist}</p>
+        <div class="cart-item-meta">
+          <span class="cart-item-price">$${item.price.toFixed(2)}</span>
+          ${item.inStock ? '' : '<span class="cart-item-price-change">Out of stock</span>'}
+        </div>
+      </div>
+      ${actions}
+    `
+
+    dom.list.appendChild(li)
+  })
+}
+
+function renderShare(share) {
+  dom.share.classList.remove('hidden')
+  dom.shareToggle.checked = Boolean(share)
+  dom.shareUrl.classList.toggle('hidden', !share)
+  dom.shareUrl.value = share ? share.url : ''
+}
+
+async function loadWishlist() {
+  try {
+    const { items, share } = await getWishlist()
+    renderItems(items)
+    renderShare(share)
+  } catch (err) {
+    if (err.status === 401) {
+      window.location.href = '/login.html'
+      return
+    }
+    showMessage('Error loading your wishlist.', 'error')
+  }
+}
+
+async function loadSharedWishlist() {
+  try {
+    const { owner, items } = await getSharedWishlist(shareToken)
+    document.getElementById('wishlist-heading').textContent = `❤️ ${owner.name}'s Wishlist`
+    document.getElementById('empty-wishlist-title').textContent = 'Nothing here yet'
+    document.getElementById('empty-wishlist-text').textContent = ''
+    renderItems(items, { readOnly: true })
+  } catch (err) {
+    dom.empty.classList.add('hidden')
+    showMessage(err.message, 'error')
+  }
+}
+
+dom.list.addEventListener('click', async event => {
+  const button = event.target.closest('button')
+  if (!button) return
+
+  try {
+    if (button.matches('.move-btn')) {
+      const { message } = await moveToCart(button.dataset.id)
+      showMessage(message)
+    } else if (button.matches('.remove-btn')) {
+      await removeFromWishlist(button.dataset.id)
+      showMessage('Removed from wishlist')
+    }
+    await loadWishlist()
+  } catch (err) {
+    showMessage(err.message, 'error')
+  }
+})
+
+dom.shareToggle.addEventListener('change', async () => {
+  try {
+    renderShare(await setSharing(dom.shareToggle.checked))
+  } catch (err) {
+    dom.shareToggle.checked = !dom.shareToggle.checked
+    showMessage('Could not update sharing', 'error')
+  }
+})
+
+dom.shareUrl.addEventListener('focus', () => {
+  dom.shareUrl.select()
+})
+
+async function init() {
+  const name = await checkAuth()
+  renderGreeting(name)
+  showHideMenuItems(name)
+
+  if (shareToken) {
+    await loadSharedWishlist()
+  } else {
+    await loadWishlist()
+  }
+}
+
+init()
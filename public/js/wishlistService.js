@@ -0,0 +1,84 @@
+// ===== Wishlist API calls =====
+
+// Product IDs on the signed-in user's wishlist (used to fill in the grid hearts)
+let wishlistIds = new Set()
+
+function authHeaders(extra = {}) {
+  return {
+    ...extra,
+    'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
+  }
+}
+
+async function request(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: authHeaders(options.headers),
+    credentials: 'include'
+  })
+  const body = await res.json().catch(() => ({}))
+
+  if (!res.ok) {
+    const error = new Error(body.error?.message || 'Wishlist request failed')
+    error.status = res.status
+    throw error
+  }
+
+  return body
+}
+
+export async function loadWishlistIds() {
+  try {
+    const { data } = await request('/api/v1/me/wishlist')
+    wishlistIds = new Set(data.items.map(item => item.productId))
+  } catch (err) {
+    wishlistIds = new Set()
+  }
+  return wishlistIds
+}
+
+export function isWishlisted(productId) {
+  return wishlistIds.has(Number(productId))
+}
+
+export async function getWishlist() {
+  const { data } = await request('/api/v1/me/wishlist')
+  wishlistIds = new Set(data.items.map(item => item.productId))
+  return data
+}
+
+export async function addToWishlist(productId) {
+  await request('/api/v1/me/wishlist', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ productId: Number(productId) })
+  })
+  wishlistIds.add(Number(productId))
+}
+
+export async function removeFromWishlist(productId) {
+  await request(`/api/v1/me/wishlist/${productId}`, { method: 'DELETE' })
+  wishlistIds.delete(Number(productId))
+}
+
+export async function moveToCart(productId) {
+  const body = await request(`/api/v1/me/wishlist/${productId}/move-to-cart`, { method: 'POST' })
+  wishlistIds.delete(Number(productId))
+  return body
+}
+
+export async function setSharing(enabled) {
+  const { data } = await request('/api/v1/me/wishlist/share', {
+    method: enabled ? 'POST' : 'DELETE'
+  })
+  return data.share
+}
+
+export async function getSharedWishlist(token) {
+  const res = await fetch(`/api/v1/wishlists/${encodeURIComponent(token)}`)
+  if (!res.ok) {
+    throw new Error('This wishlist is no longer shared')
+  }
+  const { data } = await res.json()
+  return data
+}
@@ -0,0 +1,225 @@
+import crypto from 'node:crypto'
+import { NotFoundError, ValidationError } from '../utils/errors.js'
+import { BaseRepository } from './BaseRepository.js'
+
+export const ALERT_TYPES = {
+  RESTOCK: 'restock',
+  PRICE_BELOW: 'price_below',
+}
+
+export const ALERT_STATUS = {
+  ACTIVE: 'active',
+  TRIGGERED: 'triggered',
+}
+
+export class AlertRepository extends BaseRepository {
+  constructor() {
+    super('product_alerts')
+  }
+
+  /**
+   * Subscribe a user to a product alert
+   * Subscribing again to the same product and type re-arms the alert with the new target
+   */
+  async subscribe(userId, productId, { type, targetPrice = null }) {
+    const product = await this.executeGetQuery(
+      'SELECT id, title, price, stock FROM products WHERE id = ?',
+      [productId]
+    )
+    if (!product) {
+      throw new NotFoundError('Product', productId)
+    }
+
+    if (type === ALERT_TYPES.RESTOCK && product.stock > 0) {
+      throw new ValidationError(`${product.title} is already in stock`, [
+        { field: 'type', message: `${product.title} is already in stock`, value: type },
+      ])
+    }
+
+    if (type === ALERT_TYPES.PRICE_BELOW && parseFloat(product.price) <= targetPrice) {
+      const message = `${product.title} is already at or below $${targetPrice.toFixed(2)}`
+      throw new ValidationError(message, [{ field: 'targetPrice', message, value: targetPrice }])
+    }
+
+    const now = new Date().toISOString()
+    const existing = await this.findOneWhere('user_id = ? AND product_id = ? AND type = ?', [
+      userId,
+      productId,
+      type,
+    ])
+
+    if (existing) {
+      await this.updateById(existing.id, {
+        target_price: targetPrice,
+        status: ALERT_STATUS.ACTIVE,
+        triggered_at: null,
+        updated_at: now,
+      })
+      return this.getUserAlert(userId, existing.id)
+    }
+
+    const { id } = await this.create({
+      user_id: userId,
+      product_id: productId,
+      type,
+      target_price: targetPrice,
+      status: ALERT_STATUS.ACTIVE,
+      unsubscribe_token: crypto.randomBytes(24).toString('hex'),
+      created_at: now,
+      updated_at: now,
+    })
+
+    return this.getUserAlert(userId, id)
+  }
+
+  /**
+   * A user's alerts (optionally for one product), newest first
+   */
+  async getUserAlerts(userId, { productId = null } = {}) {
+    const params = [userId]
+    let where = 'a.user_id = ?'
+
+    if (productId) {
+      where += ' AND a.product_id = ?'
+      params.push(productId)
+    }
+
+    const rows = await this.executeQuery(
+      `SELECT a.*, p.title, p.artist, p.price, p.stock
+       FROM product_alerts a
+       JOIN products p ON a.product_id = p.id
+       WHERE ${where}
+       ORDER BY a.created_at DESC, a.id DESC`,
+      params
+    )
+
+    return rows.map((row) => this.normalizeAlert(row))
+  }
+
+  async getUserAlert(userId, alertId) {
+    const row = await this.executeGetQuery(
+      `SELECT a.*, p.title, p.artist, p.price, p.stock
+       FROM product_alerts a
+       JOIN products p ON a.product_id = p.id
+       WHERE a.id = ? AND a.user_id = ?`,
+      [alertId, userId]
+    )
+    if (!row) {
+      throw new NotFoundError('Alert', alertId)
+    }
+    return this.normalizeAlert(row)
+  }
+
+  async deleteUserAlert(userId, productId, alertId) {
+    const alert = await this.findOneWhere('id = ? AND user_id = ? AND product_id = ?', [
+      alertId,
+      userId,
+      productId,
+    ])
+    if (!alert) {
+      throw new NotFoundError('Alert', alertId)
+    }
+
+    await this.deleteById(alertId)
+  }
+
+  /**
+   * Remove every alert a user has
+   */
+  async deleteAllForUser(userId) {
+    const result = await this.executeRunQuery('DELETE FROM product_alerts WHERE user_id = ?', [
+      userId,
+    ])
+    return result.changes
+  }
+
+  /**
+   * Unsubscribe from an email link: one alert, or (all = true) every alert of its owner
+   */
+  async unsubscribeByToken(token, { all = false } = {}) {
+    const alert = await this.findOneWhere('unsubscribe_token = ?', [token])
+    if (!alert) {
+      throw new NotFoundError('Alert subscription')
+    }
+
+    if (all) {
+      return this.deleteAllForUser(alert.user_id)
+    }
+
+    await this.deleteById(alert.id)
+    return 1
+  }
+
+  /**
+   * Active restock alerts for a product, marked triggered so each fires once
+   */
+  async claimRestockAlerts(productId) {
+    return this.claimAlerts(productId, 'a.type = ?', [ALERT_TYPES.RESTOCK])
+  }
+
+  /**
+   * Active price alerts whose target the new price has reached, marked triggered
+   */
+  async claimPriceAlerts(productId, price) {
+    return this.claimAlerts(productId, 'a.type = ? AND a.target_price >= ?', [
+      ALERT_TYPES.PRICE_BELOW,
+      price,
+    ])
+  }
+
+  async claimAlerts(productId, condition, params) {
+    const rows = await this.executeQuery(
+      `SELECT a.*, p.title, p.artist, p.price, p.stock, u.email, u.name as user_name
+       FROM product_alerts a
+       JOIN products p ON a.product_id = p.id
+       JOIN users u ON a.user_id = u.id
+       WHERE a.product_id = ? AND a.status = ? AND ${condition}`,
+      [productId, ALERT_STATUS.ACTIVE, ...params]
+    )
+
+    const now = new Date().toISOString()
+    const claimed = []
+
+    for (const row of rows) {
+      // Guard on status so concurrent dispatches can't deliver the same alert twice
+      const result = await this.executeRunQuery(
+        'UPDATE product_alerts SET status = ?, triggered_at = ?, updated_at = ? WHERE id = ? AND status = ?',
+        [ALERT_STATUS.TRIGGERED, now, now, row.id, ALERT_STATUS.ACTIVE]
+      )
+
+      if (result.changes > 0) {
+        claimed.push({
+          ...this.normalizeAlert({ ...row, status: ALERT_STATUS.TRIGGERED, triggered_at: now }),
+          email: row.email,
+          userName: row.user_name,
+          unsubscribeToken: row.unsubscribe_token,
+        })
+      }
+    }
+
+    return claimed
+  }
+
+  /**
+   * Normalize alert row for API response
+   */
+  normalizeAlert(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      productId: row.product_id,
+      type: row.type,
+      targetPrice: row.target_price === null ? null : parseFloat(row.target_price),
+      status: row.status,
+      triggeredAt: row.triggered_at || null,
+      product: {
+        title: row.title,
+        artist: row.artist,
+        price: parseFloat(row.price),
+        stock: row.stock,
+      },
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    }
+  }
+}
@@ -1,9 +1,14 @@
 import { BaseRepository } from './BaseRepository.js'
+import { PromotionRepository } from './PromotionRepository.js'
+import { ReservationRepository } from './ReservationRepository.js'
+import { getRatesService } from '../services/RatesService.js'
 import { NotFoundError, ValidationError } from '../utils/errors.js'
 
 export class CartRepository extends BaseRepository {
   constructor() {
     super('cart_items')
+    this.reservationRepository = new ReservationRepository()
+    this.promotionRepository = new PromotionRepository()
   }
 
   /**
@@ -15,17 +20,23 @@ export class CartRepository extends BaseRepository {
         ci.*,
         p.title,
         p.artist,
-        p.album,
         p.price,
-        p.image_url,
+        p.image,
+        p.genre,
+        p.format,
+        p.weight_grams,
         p.stock,
+        p.stock - COALESCE((
+          SELECT SUM(sr.quantity) FROM stock_reservations sr
+          WHERE sr.product_id = ci.product_id AND sr.user_id != ci.user_id AND sr.expires_at > ?
+        ), 0) as available_stock,
         (ci.quantity * p.price) as subtotal
       FROM cart_items ci
       JOIN products p ON ci.product_id = p.id
       WHERE ci.user_id = ?
       ORDER BY ci.created_at DESC
     `
-    return await this.executeQuery(query, [userId])
+    return await this.executeQuery(query, [new Date().toISOString(), userId])
   }
 
   /**
@@ -71,11 +82,17 @@ export class CartRepository extends BaseRepository {
       const newQuantity = existingItem.quantity + quantity
       return await this.updateCartItemQuantity(existingItem.id, newQuantity)
     } else {
-      // Add new item
+      // Add new item, remembering the price it was added at
+      const product = await this.executeGetQuery('SELECT price FROM products WHERE id = ?', [productId])
+      if (!product) {
+        throw new NotFoundError('Product', productId)
+      }
+
       return await this.create({
         user_id: userId,
         product_id: productId,
         quantity,
+        price_at_add: product.price,
         created_at: new Date().toISOString()
       })
     }
@@ -144,21 +161,22 @@ export class CartRepository extends BaseRepository {
   }
 
   /**
-   * Validate cart items (check stock availability)
+   * Validate cart items (check stock availability, less units other users have reserved)
    */
   async validateCartItems(userId) {
     const cartItems = await this.getCartItems(userId)
     const validationErrors = []
 
     for (const item of cartItems) {
-      if (item.quantity > item.stock) {
+      if (item.quantity > item.available_stock) {
+        const available = Math.max(item.available_stock, 0)
         validationErrors.push({
           itemId: item.id,
           productId: item.product_id,
           productTitle: item.title,
           requested: item.quantity,
-          available: item.stock,
-          message: `Only ${item.stock} units available for ${item.title}`
+          available,
+          message: `Only ${available} units available for ${item.title}`
         })
       }
     }
@@ -172,61 +190,153 @@ export class CartRepository extends BaseRepository {
 
   /**
    * Transfer cart items to order (for checkout)
+   * Must be called with the connection that owns the checkout transaction so
+   * stock decrements, order lines and cart clearing commit or roll back together.
    */
-  async transferToOrder(userId, orderId) {
+  async transferToOrder(userId, orderId, db) {
     // Get validated cart items
     const cartItems = await this.validateCartItems(userId)
 
-    // Insert into order_items (assuming this table exists)
-    const orderItemPromises = cartItems.map(item => {
-      const orderItemQuery = `
-        INSERT INTO order_items (order_id, product_id, quantity, price, created_at)
-        VALUES (?, ?, ?, ?, ?)
-      `
-      return this.executeRunQuery(orderItemQuery, [
-        orderId,
-        item.product_id,
-        item.quantity,
-        item.price,
-        new Date().toISOString()
-      ])
-    })
+    if (cartItems.length === 0) {
+      throw new ValidationError('Cannot checkout an empty cart')
+    }
+
+    const now = new Date().toISOString()
 
-    await Promise.all(orderItemPromises)
+    for (const item of cartItems) {
+      // Conditional decrement guards against a concurrent checkout taking the last copy
+      // and against units other shoppers are still holding
+      const stockResult = await db.run(
+        `UPDATE products SET stock = stock - ?, updated_at = ?
+         WHERE id = ? AND stock - COALESCE((
+           SELECT SUM(quantity) FROM stock_reservations
+           WHERE product_id = ? AND user_id != ? AND expires_at > ?
+         ), 0) >= ?`,
+        [item.quantity, now, item.product_id, item.product_id, userId, now, item.quantity]
+      )
 
-    // Clear the cart after successful transfer
-    await this.clearCart(userId)
+      if (stockResult.changes === 0) {
+        throw new ValidationError('Some cart items are not available in requested quantity', [{
+          itemId: item.id,
+          productId: item.product_id,
+          productTitle: item.title,
+          requested: item.quantity,
+          message: `${item.title} sold out during checkout`
+        }])
+      }
+
+      await db.run(
+        `INSERT INTO order_items (order_id, product_id, title, artist, quantity, price, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [orderId, item.product_id, item.title, item.artist, item.quantity, item.price, now]
+      )
+    }
+
+    // Clear the cart and the user's holds after successful transfer
+    await db.run('DELETE FROM cart_items WHERE user_id = ?', [userId])
+    await db.run('DELETE FROM stock_reservations WHERE user_id = ?', [userId])
 
     return cartItems
   }
 
   /**
-   * Get cart summary with totals
+   * Shipping, itemized tax and total for normalized cart lines (discounts come off before tax)
+   * Rates come from the RatesService; without an address they're estimated for the store's region
    */
-  async getCartSummary(userId) {
-    const items = await this.getCartItems(userId)
-    const totals = await this.getCartTotal(userId)
-    
-    // Calculate tax (assuming 8.25% tax rate, configurable via env)
-    const taxRate = parseFloat(process.env.TAX_RATE) || 0.0825
-    const subtotal = totals.total
-    const tax = subtotal * taxRate
-    const total = subtotal + tax
+  calculateTotals(items, { discount = 0, freeShipping = false, address = null, shippingMethod } = {}) {
+    return getRatesService().calculate(items, { discount, freeShipping, address, shippingMethod })
+  }
+
+  /**
+   * Shape a cart row for API responses, flagging lines whose price moved since they were added
+   */
+  normalizeCartItem(item) {
+    const priceAtAdd = item.price_at_add ?? item.price
+    const priceDifference = parseFloat((item.price - priceAtAdd).toFixed(2))
+
+    return {
+      cartItemId: item.id,
+      productId: item.product_id,
+      title: item.title,
+      artist: item.artist,
+      genre: item.genre,
+      image: item.image,
+      format: item.format ?? null,
+      weightGrams: item.weight_grams ?? null,
+      quantity: item.quantity,
+      price: item.price,
+      priceAtAdd,
+      priceChanged: priceDifference !== 0,
+      priceDifference,
+      lineTotal: parseFloat((item.quantity * item.price).toFixed(2)),
+      availableStock: Math.max(item.available_stock, 0)
+    }
+  }
+
+  /**
+   * Get cart summary with totals (at current prices) and any price changes
+   * `address` ({ country, region, postalCode }) and `shippingMethod` drive the tax and shipping lines
+   */
+  async getCartSummary(userId, { address = null, shippingMethod } = {}) {
+    const items = (await this.getCartItems(userId)).map((item) => this.normalizeCartItem(item))
+    const priceChanges = items
+      .filter((item) => item.priceChanged)
+      .map((item) => ({
+        cartItemId: item.cartItemId,
+        productId: item.productId,
+        title: item.title,
+        priceAtAdd: item.priceAtAdd,
+        price: item.price,
+        priceDifference: item.priceDifference
+      }))
+
+    const coupon = await this.getCouponSummary(userId, items)
 
     return {
       items,
       summary: {
-        itemCount: totals.itemCount,
-        subtotal: parseFloat(subtotal.toFixed(2)),
-        tax: parseFloat(tax.toFixed(2)),
-        taxRate,
-        total: parseFloat(total.toFixed(2))
-      }
+        lineCount: items.length,
+        itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+        ...this.calculateTotals(items, {
+          discount: coupon?.discount || 0,
+          freeShipping: coupon?.freeShipping || false,
+          address,
+          shippingMethod
+        }),
+        freeShipping: coupon?.freeShipping || false
+      },
+      coupon,
+      priceChanges
+    }
+  }
+
+  /**
+   * The applied coupon re-checked against the current cart
+   * A coupon that stopped applying stays attached but reports its problem and no discount
+   */
+  async getCouponSummary(userId, items) {
+    const promotion = await this.promotionRepository.getCartPromotion(userId)
+    if (!promotion) {
+      return null
+    }
+
+    const evaluation = await this.promotionRepository.evaluate(promotion, userId, items)
+
+    return {
+      code: promotion.code,
+      name: promotion.name,
+      type: promotion.type,
+      valid: !evaluation.problem,
+      problem: evaluation.problem,
+      discount: evaluation.discount,
+      freeShipping: evaluation.freeShipping,
+      eligibleProductIds: evaluation.eligibleProductIds
     }
   }
 
   /**
    * Update cart item (quantity update with validation)
+   * Returns the updated line, or null when a zero quantity removed it
    */
   async updateCartItem(userId, cartItemId, updates) {
     const item = await this.getCartItem(userId, cartItemId)
@@ -234,17 +344,30 @@ export class CartRepository extends BaseRepository {
     if (updates.quantity !== undefined) {
       // Validate quantity
       if (updates.quantity <= 0) {
-        return await this.removeFromCart(userId, cartItemId)
+        await this.removeFromCart(userId, cartItemId)
+        return null
       }
       
-      if (updates.quantity > item.stock) {
-        throw new ValidationError(`Only ${item.stock} units available for ${item.title}`)
+      const reserved = await this.reservationRepository.getReservedQuantity(item.product_id, userId)
+      const available = Math.max(item.stock - reserved, 0)
+      if (updates.quantity > available) {
+        throw new ValidationError(`Only ${available} units available for ${item.title}`, [{
+          itemId: item.id,
+          productId: item.product_id,
+          productTitle: item.title,
+          requested: updates.quantity,
+          available,
+          message: `Only ${available} units available for ${item.title}`
+        }])
       }
     }
 
-    return await this.updateById(cartItemId, {
+    await this.updateById(cartItemId, {
       ...updates,
       updated_at: new Date().toISOString()
     })
+
+    const [updated] = (await this.getCartItems(userId)).filter((row) => row.id === item.id)
+    return this.normalizeCartItem(updated)
   }
-}
\ No newline at end of file
+}
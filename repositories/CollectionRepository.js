@@ -0,0 +1,160 @@
+import { BaseRepository } from './BaseRepository.js'
+
+// Where an item's current_value came from
+export const VALUE_SOURCES = {
+  MANUAL: 'manual',
+  PURCHASE_PRICE: 'purchase_price',
+  DISCOGS: 'discogs',
+}
+
+export const VALUATION_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+}
+
+// Columns an import can set on a new collection item
+const ITEM_COLUMNS = [
+  'discogs_release_id',
+  'title',
+  'artist',
+  'year',
+  'format',
+  'label',
+  'catalog_number',
+  'notes',
+  'media_condition',
+  'sleeve_condition',
+  'folder_id',
+  'created_at',
+]
+
+export class CollectionRepository extends BaseRepository {
+  constructor() {
+    super('collection_items')
+  }
+
+  async getItems(userId) {
+    return this.executeQuery('SELECT * FROM collection_items WHERE user_id = ? ORDER BY id', [
+      userId,
+    ])
+  }
+
+  async createItem(userId, values) {
+    const columns = ITEM_COLUMNS.filter((column) => values[column] !== undefined)
+    const { lastID } = await this.executeRunQuery(
+      `INSERT INTO collection_items (user_id, ${columns.join(', ')})
+       VALUES (?, ${columns.map(() => '?').join(', ')})`,
+      [userId, ...columns.map((column) => values[column])]
+    )
+    return lastID
+  }
+
+  async getFolders(userId) {
+    return this.executeQuery('SELECT * FROM collection_folders WHERE user_id = ?', [userId])
+  }
+
+  /**
+   * The user's default "All" folder, created the way CollectionService.getFolders does
+   */
+  async getDefaultFolder(userId) {
+    await this.executeRunQuery(
+      `INSERT OR IGNORE INTO collection_folders (user_id, name, description, sort_order)
+       VALUES (?, 'All', 'All records in collection', 0)`,
+      [userId]
+    )
+    return this.executeGetQuery(
+      "SELECT * FROM collection_folders WHERE user_id = ? AND name = 'All'",
+      [userId]
+    )
+  }
+
+  async createFolder(userId, name, description = null) {
+    const { lastID } = await this.executeRunQuery(
+      'INSERT INTO collection_folders (user_id, name, description) VALUES (?, ?, ?)',
+      [userId, name, description]
+    )
+    return { id: lastID, user_id: userId, name, description }
+  }
+
+  // ========== Valuation ==========
+
+  /**
+   * Every user's items the valuation prices: those with a Discogs release
+   * and a value that wasn't typed in, grouped by release
+   */
+  async getValuationCandidates() {
+    return this.executeQuery(
+      `SELECT id, user_id, discogs_release_id, media_condition, sleeve_condition, current_value
+       FROM collection_items
+       WHERE discogs_release_id IS NOT NULL
+         AND (current_value_source IS NULL OR current_value_source != ?)
+       ORDER BY discogs_release_id, id`,
+      [VALUE_SOURCES.MANUAL]
+    )
+  }
+
+  /**
+   * Set a value the valuation worked out, unless the item has been valued by
+   * hand since the candidates were read
+   * @returns {Promise<boolean>} whether the value was set
+   */
+  async setCurrentValue(itemId, value, source) {
+    const { changes } = await this.executeRunQuery(
+      `UPDATE collection_items
+       SET current_value = ?, current_value_source = ?, current_value_updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND (current_value_source IS NULL OR current_value_source != ?)`,
+      [value, source, itemId, VALUE_SOURCES.MANUAL]
+    )
+    return changes > 0
+  }
+
+  async getCollectorIds() {
+    const rows = await this.executeQuery(
+      'SELECT DISTINCT user_id FROM collection_items ORDER BY user_id'
+    )
+    return rows.map((row) => row.user_id)
+  }
+
+  async createValuationRun(startedBy = null) {
+    const { lastID } = await this.executeRunQuery(
+      'INSERT INTO collection_valuation_runs (started_by) VALUES (?)',
+      [startedBy]
+    )
+    return this.getValuationRun(lastID)
+  }
+
+  async getValuationRun(id) {
+    return this.executeGetQuery('SELECT * FROM collection_valuation_runs WHERE id = ?', [id])
+  }
+
+  async getLatestValuationRun(status = null) {
+    return this.executeGetQuery(
+      `SELECT * FROM collection_valuation_runs
+       ${status ? 'WHERE status = ?' : ''}
+       ORDER BY id DESC LIMIT 1`,
+      status ? [status] : []
+    )
+  }
+
+  async updateValuationRun(id, values) {
+    const columns = Object.keys(values)
+    await this.executeRunQuery(
+      `UPDATE collection_valuation_runs SET ${columns.map((column) => `${column} = ?`).join(', ')}
+       WHERE id = ?`,
+      [...Object.values(values), id]
+    )
+  }
+
+  /**
+   * Runs a stopped server left marked as running
+   */
+  async failInterruptedValuationRuns() {
+    await this.executeRunQuery(
+      `UPDATE collection_valuation_runs
+       SET status = ?, last_error = 'Interrupted', finished_at = CURRENT_TIMESTAMP
+       WHERE status = ?`,
+      [VALUATION_STATUS.FAILED, VALUATION_STATUS.RUNNING]
+    )
+  }
+}
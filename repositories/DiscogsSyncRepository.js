@@ -0,0 +1,183 @@
+import { BaseRepository } from './BaseRepository.js'
+
+export const SYNC_KINDS = {
+  COLLECTION: 'collection',
+  WANTLIST: 'wantlist',
+}
+
+// Local tables the sync reads and writes, by kind
+const LOCAL_TABLES = {
+  collection: 'collection_items',
+  wantlist: 'wantlist_items',
+}
+
+// Columns a pulled item can set on a new local record
+const LOCAL_COLUMNS = {
+  collection: [
+    'discogs_release_id',
+    'title',
+    'artist',
+    'year',
+    'format',
+    'label',
+    'catalog_number',
+    'genres',
+    'styles',
+    'cover_image',
+    'notes',
+    'media_condition',
+    'sleeve_condition',
+    'folder_id',
+  ],
+  wantlist: [
+    'discogs_release_id',
+    'title',
+    'artist',
+    'year',
+    'format',
+    'label',
+    'cover_image',
+    'notes',
+  ],
+}
+
+export class DiscogsSyncRepository extends BaseRepository {
+  constructor() {
+    super('discogs_accounts')
+  }
+
+  async getAccount(userId) {
+    return this.executeGetQuery('SELECT * FROM discogs_accounts WHERE user_id = ?', [userId])
+  }
+
+  async saveAccount(userId, { discogsUserId, username, accessToken, accessSecret }) {
+    await this.executeRunQuery(
+      `INSERT INTO discogs_accounts (user_id, discogs_user_id, discogs_username, access_token, access_secret)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(user_id) DO UPDATE SET
+         discogs_user_id = excluded.discogs_user_id,
+         discogs_username = excluded.discogs_username,
+         access_token = excluded.access_token,
+         access_secret = excluded.access_secret,
+         connected_at = CURRENT_TIMESTAMP`,
+      [userId, discogsUserId, username, accessToken, accessSecret]
+    )
+  }
+
+  async recordSync(userId, report) {
+    await this.executeRunQuery(
+      `UPDATE discogs_accounts SET last_synced_at = CURRENT_TIMESTAMP, last_sync_report = ?
+       WHERE user_id = ?`,
+      [JSON.stringify(report), userId]
+    )
+  }
+
+  /**
+   * Forget the account and everything synced with it; local items stay
+   */
+  async deleteAccount(userId) {
+    await this.executeRunQuery('DELETE FROM discogs_sync_items WHERE user_id = ?', [userId])
+    await this.executeRunQuery('DELETE FROM discogs_oauth_requests WHERE user_id = ?', [userId])
+    const { changes } = await this.executeRunQuery(
+      'DELETE FROM discogs_accounts WHERE user_id = ?',
+      [userId]
+    )
+    return changes > 0
+  }
+
+  // ========== OAuth request tokens ==========
+
+  async saveRequestToken(userId, requestToken, requestSecret) {
+    await this.executeRunQuery(
+      'INSERT OR REPLACE INTO discogs_oauth_requests (request_token, request_secret, user_id) VALUES (?, ?, ?)',
+      [requestToken, requestSecret, userId]
+    )
+  }
+
+  /**
+   * Look a request token up and remove it; each can be exchanged once
+   */
+  async takeRequestToken(requestToken) {
+    const row = await this.executeGetQuery(
+      'SELECT * FROM discogs_oauth_requests WHERE request_token = ?',
+      [requestToken]
+    )
+    if (row) {
+      await this.executeRunQuery('DELETE FROM discogs_oauth_requests WHERE request_token = ?', [
+        requestToken,
+      ])
+    }
+    return row ?? null
+  }
+
+  async deleteRequestTokensBefore(createdBefore) {
+    const { changes } = await this.executeRunQuery(
+      'DELETE FROM discogs_oauth_requests WHERE created_at < ?',
+      [createdBefore]
+    )
+    return changes
+  }
+
+  // ========== Sync state ==========
+
+  async getSyncItems(userId, kind) {
+    const rows = await this.executeQuery(
+      'SELECT * FROM discogs_sync_items WHERE user_id = ? AND kind = ? ORDER BY id',
+      [userId, kind]
+    )
+    return rows.map((row) => ({ ...row, snapshot: JSON.parse(row.snapshot) }))
+  }
+
+  async saveSyncItem(userId, kind, { remoteKey, localId, releaseId, folderId = null, snapshot }) {
+    await this.executeRunQuery(
+      `INSERT INTO discogs_sync_items
+         (user_id, kind, remote_key, local_id, discogs_release_id, discogs_folder_id, snapshot)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(user_id, kind, remote_key) DO UPDATE SET
+         local_id = excluded.local_id,
+         discogs_folder_id = excluded.discogs_folder_id,
+         snapshot = excluded.snapshot,
+         synced_at = CURRENT_TIMESTAMP`,
+      [userId, kind, String(remoteKey), localId, releaseId, folderId, JSON.stringify(snapshot)]
+    )
+  }
+
+  async deleteSyncItem(id) {
+    await this.executeRunQuery('DELETE FROM discogs_sync_items WHERE id = ?', [id])
+  }
+
+  // ========== Local items ==========
+
+  async getLocalItems(userId, kind) {
+    return this.executeQuery(`SELECT * FROM ${LOCAL_TABLES[kind]} WHERE user_id = ? ORDER BY id`, [
+      userId,
+    ])
+  }
+
+  async createLocalItem(userId, kind, values) {
+    const columns = LOCAL_COLUMNS[kind].filter((column) => values[column] !== undefined)
+    const { lastID } = await this.executeRunQuery(
+      `INSERT INTO ${LOCAL_TABLES[kind]} (user_id, ${columns.join(', ')})
+       VALUES (?, ${columns.map(() => '?').join(', ')})`,
+      [userId, ...columns.map((column) => values[column])]
+    )
+    return lastID
+  }
+
+  async updateLocalItem(kind, id, values) {
+    const columns = Object.keys(values)
+    if (columns.length === 0) return
+
+    // wantlist_items has no updated_at
+    const touch = kind === SYNC_KINDS.COLLECTION ? ', updated_at = CURRENT_TIMESTAMP' : ''
+    await this.executeRunQuery(
+      `UPDATE ${LOCAL_TABLES[kind]} SET ${columns.map((column) => `${column} = ?`).join(', ')}${touch}
+       WHERE id = ?`,
+      [...Object.values(values), id]
+    )
+  }
+
+  async deleteLocalItem(kind, id) {
+    await this.executeRunQuery(`DELETE FROM ${LOCAL_TABLES[kind]} WHERE id = ?`, [id])
+  }
+}
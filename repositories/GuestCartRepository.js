@@ -0,0 +1,234 @@
+import { logger } from '../middleware/errorHandler.js'
+import { NotFoundError } from '../utils/errors.js'
+import { CartRepository } from './CartRepository.js'
+
+// How long an untouched guest cart (and its cookie) lives
+export const GUEST_CART_DAYS = 30
+
+/**
+ * Server-side cart for anonymous shoppers, keyed by the guestCartId cookie
+ * Shares summary/quantity logic with CartRepository; only the ownership queries differ
+ */
+export class GuestCartRepository extends CartRepository {
+  constructor() {
+    super()
+    this.tableName = 'guest_cart_items'
+  }
+
+  /**
+   * Get guest cart items with product details
+   * Guests don't hold stock, so every active reservation counts against them
+   */
+  async getCartItems(guestToken) {
+    const query = `
+      SELECT
+        gci.*,
+        p.title,
+        p.artist,
+        p.price,
+        p.image,
+        p.genre,
+        p.format,
+        p.weight_grams,
+        p.stock,
+        p.stock - COALESCE((
+          SELECT SUM(sr.quantity) FROM stock_reservations sr
+          WHERE sr.product_id = gci.product_id AND sr.expires_at > ?
+        ), 0) as available_stock,
+        (gci.quantity * p.price) as subtotal
+      FROM guest_cart_items gci
+      JOIN products p ON gci.product_id = p.id
+      WHERE gci.guest_token = ?
+      ORDER BY gci.created_at DESC
+    `
+    return await this.executeQuery(query, [new Date().toISOString(), guestToken])
+  }
+
+  // Coupons need an account (usage limits are per user)
+  async getCouponSummary() {
+    return null
+  }
+
+  async getCartCount(guestToken) {
+    const query =
+      'SELECT COALESCE(SUM(quantity), 0) as count FROM guest_cart_items WHERE guest_token = ?'
+    const result = await this.executeGetQuery(query, [guestToken])
+    return result.count || 0
+  }
+
+  async getCartItem(guestToken, cartItemId) {
+    const query = `
+      SELECT
+        gci.*,
+        p.title,
+        p.artist,
+        p.price,
+        p.stock
+      FROM guest_cart_items gci
+      JOIN products p ON gci.product_id = p.id
+      WHERE gci.id = ? AND gci.guest_token = ?
+    `
+
+    const item = await this.executeGetQuery(query, [cartItemId, guestToken])
+    if (!item) {
+      throw new NotFoundError('Cart item', cartItemId)
+    }
+
+    return item
+  }
+
+  /**
+   * Add a product or bump its quantity (stock is checked by the caller)
+   */
+  async addToCart(guestToken, productId, quantity = 1) {
+    const now = new Date().toISOString()
+    const existingItem = await this.findOneWhere('guest_token = ? AND product_id = ?', [
+      guestToken,
+      productId,
+    ])
+
+    if (existingItem) {
+      return await this.updateById(existingItem.id, {
+        quantity: existingItem.quantity + quantity,
+        updated_at: now,
+      })
+    }
+
+    const product = await this.executeGetQuery('SELECT price FROM products WHERE id = ?', [
+      productId,
+    ])
+    if (!product) {
+      throw new NotFoundError('Product', productId)
+    }
+
+    return await this.create({
+      guest_token: guestToken,
+      product_id: productId,
+      quantity,
+      price_at_add: product.price,
+      created_at: now,
+      updated_at: now,
+    })
+  }
+
+  async removeFromCart(guestToken, cartItemId) {
+    const item = await this.findOneWhere('id = ? AND guest_token = ?', [cartItemId, guestToken])
+
+    if (!item) {
+      throw new NotFoundError('Cart item', cartItemId)
+    }
+
+    return await this.deleteById(cartItemId)
+  }
+
+  async clearCart(guestToken) {
+    return await this.executeRunQuery('DELETE FROM guest_cart_items WHERE guest_token = ?', [
+      guestToken,
+    ])
+  }
+
+  /**
+   * Move a guest cart into a user's cart and delete it
+   *
+   * Merge rules:
+   * - A product already in the user's cart gets the guest quantity added to it
+   * - The merged quantity is capped at the stock available to the user
+   *   (stock less other shoppers' active holds); lines that can't fit at all are dropped
+   * - An existing user line is never reduced by the merge
+   * - An existing user line keeps its own price_at_add; new lines keep the guest's
+   * Every capped or dropped line is reported in `adjustments`.
+   */
+  async mergeIntoUserCart(guestToken, userId) {
+    const db = await this.getDB()
+
+    try {
+      await db.exec('BEGIN IMMEDIATE')
+
+      const guestItems = await db.all(
+        `SELECT gci.product_id, gci.quantity, gci.price_at_add, p.title, p.stock
+         FROM guest_cart_items gci
+         LEFT JOIN products p ON gci.product_id = p.id
+         WHERE gci.guest_token = ?
+         ORDER BY gci.created_at`,
+        [guestToken]
+      )
+
+      const now = new Date().toISOString()
+      const merged = []
+      const adjustments = []
+
+      for (const item of guestItems) {
+        const existing = await db.get(
+          'SELECT id, quantity FROM cart_items WHERE user_id = ? AND product_id = ?',
+          [userId, item.product_id]
+        )
+        const currentQuantity = existing?.quantity || 0
+        const requested = currentQuantity + item.quantity
+
+        const reservedByOthers =
+          item.stock === null
+            ? 0
+            : await this.reservationRepository.getReservedQuantity(item.product_id, userId, db)
+        const available = Math.max((item.stock ?? 0) - reservedByOthers, 0)
+        const quantity = Math.max(currentQuantity, Math.min(requested, available))
+
+        if (quantity < requested) {
+          adjustments.push({
+            productId: item.product_id,
+            productTitle: item.title,
+            requested,
+            quantity,
+            reason: quantity === 0 ? 'out_of_stock' : 'stock_limit',
+          })
+        }
+
+        if (quantity === currentQuantity) continue
+
+        if (existing) {
+          await db.run('UPDATE cart_items SET quantity = ?, updated_at = ? WHERE id = ?', [
+            quantity,
+            now,
+            existing.id,
+          ])
+        } else {
+          await db.run(
+            `INSERT INTO cart_items (user_id, product_id, quantity, price_at_add, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [userId, item.product_id, quantity, item.price_at_add, now, now]
+          )
+        }
+
+        merged.push({ productId: item.product_id, productTitle: item.title, quantity })
+      }
+
+      await db.run('DELETE FROM guest_cart_items WHERE guest_token = ?', [guestToken])
+      await db.exec('COMMIT')
+
+      return { merged, adjustments }
+    } catch (error) {
+      await db.exec('ROLLBACK').catch((rollbackError) => {
+        logger.error('Guest cart merge rollback failed:', rollbackError)
+      })
+      throw error
+    } finally {
+      await db.close()
+    }
+  }
+
+  /**
+   * Delete guest carts nobody has touched for the given number of days
+   */
+  async deleteStale(days = GUEST_CART_DAYS) {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()
+    const result = await this.executeRunQuery(
+      `DELETE FROM guest_cart_items WHERE guest_token IN (
+        SELECT guest_token FROM guest_cart_items
+        GROUP BY guest_token
+        HAVING MAX(updated_at) < ?
+      )`,
+      [cutoff]
+    )
+
+    return result.changes
+  }
+}
@@ -0,0 +1,184 @@
+import { BaseRepository } from './BaseRepository.js'
+
+export const BACKFILL_STATUS = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+}
+
+export const LOOKUP_STATUS = {
+  MATCHED: 'matched',
+  NOT_FOUND: 'not_found',
+  FAILED: 'failed',
+}
+
+// Records the backfill fills in, in the order a run works through them
+export const BACKFILL_ENTITIES = {
+  product: {
+    table: 'products',
+    imageColumn: 'image',
+    imageFolder: 'products',
+    barcodeColumn: 'barcode',
+  },
+  collection_item: {
+    table: 'collection_items',
+    imageColumn: 'cover_image',
+    imageFolder: 'collection',
+    barcodeColumn: null,
+  },
+}
+
+export class MetadataBackfillRepository extends BaseRepository {
+  constructor() {
+    super('metadata_backfill_jobs')
+  }
+
+  /**
+   * Conditions for a record that is missing a cover, year or label and
+   * hasn't been looked up since `checkedBefore` (failed lookups are retried)
+   */
+  candidateClause(entityType) {
+    const { table, imageColumn } = BACKFILL_ENTITIES[entityType]
+
+    return {
+      from: `${table} e
+        LEFT JOIN metadata_lookups l ON l.entity_type = ? AND l.entity_id = e.id`,
+      where: `(e.${imageColumn} IS NULL OR e.${imageColumn} = ''
+          OR e.year IS NULL OR e.label IS NULL OR e.label = '')
+        AND (l.checked_at IS NULL OR l.status = 'failed' OR l.checked_at < ?)`,
+    }
+  }
+
+  /**
+   * The next batch of records to look up, after `afterId`
+   */
+  async findCandidates(entityType, afterId, checkedBefore, limit = 50) {
+    const { imageColumn, barcodeColumn } = BACKFILL_ENTITIES[entityType]
+    const { from, where } = this.candidateClause(entityType)
+
+    return this.executeQuery(
+      `SELECT e.id, e.title, e.artist, e.year, e.label, e.${imageColumn} AS image
+         ${barcodeColumn ? `, e.${barcodeColumn} AS barcode` : ', NULL AS barcode'}
+       FROM ${from}
+       WHERE e.id > ? AND ${where}
+       ORDER BY e.id
+       LIMIT ?`,
+      [entityType, afterId, checkedBefore, limit]
+    )
+  }
+
+  async countCandidates(entityType, checkedBefore) {
+    const { from, where } = this.candidateClause(entityType)
+    const row = await this.executeGetQuery(`SELECT COUNT(*) AS count FROM ${from} WHERE ${where}`, [
+      entityType,
+      checkedBefore,
+    ])
+    return row.count
+  }
+
+  /**
+   * Fill in a field only while it is still empty, so nothing entered by hand
+   * (or by another run) is overwritten
+   * @returns {Promise<boolean>} whether the field was set
+   */
+  async fillField(entityType, entityId, column, value) {
+    const { table } = BACKFILL_ENTITIES[entityType]
+    const { changes } = await this.executeRunQuery(
+      `UPDATE ${table} SET ${column} = ?
+       WHERE id = ? AND (${column} IS NULL OR ${column} = '')`,
+      [value, entityId]
+    )
+    return changes > 0
+  }
+
+  async recordSource(entityType, entityId, { field, source, mbid, value }) {
+    await this.executeRunQuery(
+      `INSERT INTO metadata_sources (entity_type, entity_id, field, source, mbid, value, recorded_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(entity_type, entity_id, field) DO UPDATE SET
+         source = excluded.source,
+         mbid = excluded.mbid,
+         value = excluded.value,
+         recorded_at = excluded.recorded_at`,
+      [entityType, entityId, field, source, mbid, String(value), new Date().toISOString()]
+    )
+  }
+
+  async recordLookup(entityType, entityId, status, mbid = null) {
+    await this.executeRunQuery(
+      `INSERT INTO metadata_lookups (entity_type, entity_id, status, mbid, checked_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(entity_type, entity_id) DO UPDATE SET
+         status = excluded.status,
+         mbid = excluded.mbid,
+         checked_at = excluded.checked_at`,
+      [entityType, entityId, status, mbid, new Date().toISOString()]
+    )
+  }
+
+  /**
+   * Where a record's filled-in fields came from
+   */
+  async getSources(entityType, entityId) {
+    return this.executeQuery(
+      `SELECT field, source, mbid, value, recorded_at FROM metadata_sources
+       WHERE entity_type = ? AND entity_id = ?
+       ORDER BY field`,
+      [entityType, entityId]
+    )
+  }
+
+  async getRecentSources(limit = 20) {
+    return this.executeQuery(
+      `SELECT entity_type, entity_id, field, source, mbid, value, recorded_at
+       FROM metadata_sources
+       ORDER BY recorded_at DESC, id DESC
+       LIMIT ?`,
+      [limit]
+    )
+  }
+
+  async createJob(startedBy, total) {
+    const now = new Date().toISOString()
+    const { id } = await this.create({
+      status: BACKFILL_STATUS.RUNNING,
+      total,
+      cursor: JSON.stringify({}),
+      started_by: startedBy,
+      created_at: now,
+      updated_at: now,
+    })
+    return this.getJob(id)
+  }
+
+  async getJob(id) {
+    const job = await this.findById(id)
+    return job ? this.normalizeJob(job) : null
+  }
+
+  async getLatestJob() {
+    const job = await this.executeGetQuery(
+      'SELECT * FROM metadata_backfill_jobs ORDER BY id DESC LIMIT 1'
+    )
+    return job ? this.normalizeJob(job) : null
+  }
+
+  async updateJob(id, fields) {
+    const data = { ...fields, updated_at: new Date().toISOString() }
+    if (data.cursor) {
+      data.cursor = JSON.stringify(data.cursor)
+    }
+    await this.updateById(id, data)
+  }
+
+  normalizeJob(job) {
+    let cursor = {}
+    try {
+      cursor = JSON.parse(job.cursor || '{}')
+    } catch {
+      // Start the run over rather than fail on a damaged cursor
+    }
+    return { ...job, cursor }
+  }
+}
@@ -0,0 +1,297 @@
+import { logger } from '../middleware/errorHandler.js'
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js'
+import { BaseRepository } from './BaseRepository.js'
+
+export const MODERATION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+}
+
+// Open reports that send approved content back to the queue (hidden until reviewed)
+const DEFAULT_REPORT_THRESHOLD = 3
+
+/**
+ * Moderated content types: the table holding the user text, extra queue
+ * columns/joins (aliased `c` for the content row) and how to present them.
+ * Each table carries user_id, moderation_status, moderation_reason,
+ * moderated_by and moderated_at columns.
+ */
+export const MODERATED_CONTENT = {
+  review: {
+    table: 'reviews',
+    select: 'c.rating, c.comment, c.product_id, p.title as product_title',
+    joins: 'JOIN products p ON c.product_id = p.id',
+    toContent: (row) => ({
+      text: row.comment,
+      rating: row.rating,
+      productId: row.product_id,
+      productTitle: row.product_title,
+    }),
+  },
+}
+
+export class ModerationRepository extends BaseRepository {
+  constructor(options = {}) {
+    super('content_reports')
+    this.reportThreshold =
+      options.reportThreshold ||
+      parseInt(process.env.MODERATION_REPORT_THRESHOLD, 10) ||
+      DEFAULT_REPORT_THRESHOLD
+  }
+
+  getContentType(type) {
+    const config = MODERATED_CONTENT[type]
+    if (!config) {
+      throw new ValidationError(
+        `Content type must be one of: ${Object.keys(MODERATED_CONTENT).join(', ')}`
+      )
+    }
+    return config
+  }
+
+  /**
+   * The moderation queue for a content type. Without a status filter it holds
+   * pending items plus anything with unresolved reports, most-reported first.
+   */
+  async getQueue(type, { status = null, limit = 20, offset = 0 } = {}) {
+    const config = this.getContentType(type)
+    const params = [type]
+    let where = "c.moderation_status = 'pending' OR COALESCE(cr.open_reports, 0) > 0"
+
+    if (status) {
+      where = 'c.moderation_status = ?'
+      params.push(status)
+    }
+
+    const from = `FROM ${config.table} c
+       JOIN users u ON c.user_id = u.id
+       ${config.joins}
+       LEFT JOIN (
+         SELECT content_id, COUNT(*) as open_reports
+         FROM content_reports
+         WHERE content_type = ? AND resolved_at IS NULL
+         GROUP BY content_id
+       ) cr ON cr.content_id = c.id
+       WHERE ${where}`
+
+    const rows = await this.executeQuery(
+      `SELECT c.id, c.user_id, c.moderation_status, c.moderation_reason, c.moderated_by,
+              c.moderated_at, c.created_at, c.updated_at, u.username,
+              COALESCE(cr.open_reports, 0) as open_reports, ${config.select}
+       ${from}
+       ORDER BY open_reports DESC, c.created_at ASC, c.id ASC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    )
+    const { total } = await this.executeGetQuery(`SELECT COUNT(*) as total ${from}`, params)
+
+    const reports = await this.getOpenReports(
+      type,
+      rows.map((row) => row.id)
+    )
+
+    return {
+      items: rows.map((row) => this.normalizeItem(type, row, reports[row.id] || [])),
+      total,
+    }
+  }
+
+  /**
+   * Unresolved reports for a set of content ids, grouped by id
+   */
+  async getOpenReports(type, contentIds) {
+    if (contentIds.length === 0) {
+      return {}
+    }
+
+    const rows = await this.executeQuery(
+      `SELECT cr.*, u.username
+       FROM content_reports cr
+       JOIN users u ON cr.reporter_id = u.id
+       WHERE cr.content_type = ? AND cr.resolved_at IS NULL
+         AND cr.content_id IN (${contentIds.map(() => '?').join(', ')})
+       ORDER BY cr.created_at ASC, cr.id ASC`,
+      [type, ...contentIds]
+    )
+
+    const grouped = {}
+    for (const row of rows) {
+      grouped[row.content_id] ||= []
+      grouped[row.content_id].push({
+        id: row.id,
+        reporterId: row.reporter_id,
+        reporter: row.username,
+        reason: row.reason,
+        createdAt: row.created_at,
+      })
+    }
+    return grouped
+  }
+
+  async getItem(type, id, db = null) {
+    const config = this.getContentType(type)
+    const query = `SELECT c.id, c.user_id, c.moderation_status, c.moderation_reason, c.moderated_by,
+              c.moderated_at, c.created_at, c.updated_at, u.username, ${config.select}
+       FROM ${config.table} c
+       JOIN users u ON c.user_id = u.id
+       ${config.joins}
+       WHERE c.id = ?`
+
+    return db ? db.get(query, [id]) : this.executeGetQuery(query, [id])
+  }
+
+  /**
+   * A user flags content for review. One report per user per item; enough open
+   * reports against approved content pull it back into the pending queue.
+   */
+  async report(type, id, reporterId, reason) {
+    const config = this.getContentType(type)
+    const item = await this.getItem(type, id)
+
+    if (!item) {
+      throw new NotFoundError('Content', id)
+    }
+
+    if (item.user_id === reporterId) {
+      throw new ValidationError('You cannot report your own content')
+    }
+
+    const existing = await this.findOneWhere(
+      'content_type = ? AND content_id = ? AND reporter_id = ?',
+      [type, id, reporterId]
+    )
+    if (existing) {
+      throw new ConflictError('You have already reported this content', 'contentId')
+    }
+
+    await this.create({
+      content_type: type,
+      content_id: id,
+      reporter_id: reporterId,
+      reason,
+      created_at: new Date().toISOString(),
+    })
+
+    const reportCount = await this.count(
+      'WHERE content_type = ? AND content_id = ? AND resolved_at IS NULL',
+      [type, id]
+    )
+
+    let status = item.moderation_status
+    if (status === MODERATION_STATUS.APPROVED && reportCount >= this.reportThreshold) {
+      await this.executeRunQuery(
+        `UPDATE ${config.table} SET moderation_status = ? WHERE id = ? AND moderation_status = ?`,
+        [MODERATION_STATUS.PENDING, id, MODERATION_STATUS.APPROVED]
+      )
+      status = MODERATION_STATUS.PENDING
+      logger.info(`${type} ${id} hidden for moderation after ${reportCount} reports`)
+    }
+
+    return { contentType: type, contentId: id, reportCount, status }
+  }
+
+  /**
+   * Approve or reject content, resolve its open reports and record the decision
+   * in rbac_audit_log, all in one transaction
+   * `audit` carries the acting moderator's permission, IP address and user agent
+   */
+  async moderate(type, id, status, { moderatorId, reason = null, audit = {} }) {
+    const config = this.getContentType(type)
+    const db = await this.getDB()
+
+    try {
+      await db.exec('BEGIN IMMEDIATE')
+
+      const item = await this.getItem(type, id, db)
+      if (!item) {
+        throw new NotFoundError('Content', id)
+      }
+
+      const now = new Date().toISOString()
+      await db.run(
+        `UPDATE ${config.table}
+         SET moderation_status = ?, moderation_reason = ?, moderated_by = ?, moderated_at = ?
+         WHERE id = ?`,
+        [status, reason, moderatorId, now, id]
+      )
+
+      const { changes: resolvedReports } = await db.run(
+        `UPDATE content_reports SET resolved_at = ?, resolution = ?
+         WHERE content_type = ? AND content_id = ? AND resolved_at IS NULL`,
+        [now, status, type, id]
+      )
+
+      await db.run(
+        `INSERT INTO rbac_audit_log
+           (user_id, action, target_user_id, permission, ip_address, user_agent,
+            target_type, target_id, details, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          moderatorId,
+          `${type}_${status}`,
+          item.user_id,
+          audit.permission || null,
+          audit.ipAddress || null,
+          audit.userAgent || null,
+          type,
+          id,
+          JSON.stringify({
+            previousStatus: item.moderation_status,
+            reason,
+            resolvedReports,
+          }),
+          now,
+        ]
+      )
+
+      await db.exec('COMMIT')
+    } catch (error) {
+      await db.exec('ROLLBACK').catch((rollbackError) => {
+        logger.error('Moderation rollback failed:', rollbackError)
+      })
+      throw error
+    } finally {
+      await db.close()
+    }
+
+    return this.normalizeItem(type, await this.getItem(type, id), [])
+  }
+
+  /**
+   * Drop reports for content that no longer exists
+   */
+  async deleteReportsFor(type, contentIds) {
+    if (contentIds.length === 0) {
+      return
+    }
+
+    await this.executeRunQuery(
+      `DELETE FROM content_reports
+       WHERE content_type = ? AND content_id IN (${contentIds.map(() => '?').join(', ')})`,
+      [type, ...contentIds]
+    )
+  }
+
+  /**
+   * Normalize a queue row for API response
+   */
+  normalizeItem(type, row, reports) {
+    return {
+      contentType: type,
+      contentId: row.id,
+      status: row.moderation_status,
+      author: { id: row.user_id, username: row.username },
+      content: MODERATED_CONTENT[type].toContent(row),
+      reportCount: row.open_reports ?? reports.length,
+      reports,
+      moderation: {
+        moderatedBy: row.moderated_by,
+        moderatedAt: row.moderated_at,
+        reason: row.moderation_reason,
+      },
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    }
+  }
+}
@@ -0,0 +1,294 @@
+import { logger } from '../middleware/errorHandler.js'
+import { NotFoundError, ValidationError } from '../utils/errors.js'
+import { BaseRepository } from './BaseRepository.js'
+import { CartRepository } from './CartRepository.js'
+import { PromotionRepository } from './PromotionRepository.js'
+
+// Order lifecycle states (mirrors the CHECK constraint in migration 012)
+export const ORDER_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+  CANCELLED: 'cancelled',
+}
+
+// Allowed status changes; anything else is ignored so late or out-of-order events can't regress an order
+export const ORDER_TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.PAID, ORDER_STATUS.FAILED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.FAILED]: [ORDER_STATUS.PAID, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PAID]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.REFUNDED]: [],
+  [ORDER_STATUS.CANCELLED]: [],
+}
+
+export class OrderRepository extends BaseRepository {
+  constructor() {
+    super('orders')
+    this.cartRepository = new CartRepository()
+    this.promotionRepository = new PromotionRepository()
+  }
+
+  /**
+   * Create an order from the user's cart in a single transaction
+   * (stock decrement, price snapshot and cart clearing are all-or-nothing)
+   * `shippingAddress` and `shippingMethod` price the shipping and tax lines
+   */
+  async createFromCart(userId, { shippingAddress = null, shippingMethod } = {}) {
+    const db = await this.getDB()
+
+    try {
+      // IMMEDIATE takes the write lock up front so two checkouts can't interleave
+      await db.exec('BEGIN IMMEDIATE')
+
+      const now = new Date().toISOString()
+      const { lastID: orderId } = await db.run(
+        'INSERT INTO orders (user_id, status, created_at, updated_at) VALUES (?, ?, ?, ?)',
+        [userId, ORDER_STATUS.PENDING, now, now]
+      )
+
+      const items = await this.cartRepository.transferToOrder(userId, orderId, db)
+      const lines = items.map((item) => this.cartRepository.normalizeCartItem(item))
+
+      const itemCount = items.reduce((sum, item) => sum + item.quantity, 0)
+      const promotion = await this.applyCartPromotion(userId, orderId, lines, db)
+      const { shippingOptions, ...totals } = this.cartRepository.calculateTotals(lines, {
+        discount: promotion?.discount || 0,
+        freeShipping: promotion?.freeShipping || false,
+        address: shippingAddress,
+        shippingMethod,
+      })
+
+      await db.run(
+        `UPDATE orders
+         SET item_count = ?, subtotal = ?, discount = ?, promotion_id = ?, shipping = ?,
+             shipping_method = ?, shipping_address = ?, tax = ?, tax_rate = ?, tax_lines = ?, total = ?
+         WHERE id = ?`,
+        [
+          itemCount,
+          totals.subtotal,
+          totals.discount,
+          promotion?.id || null,
+          totals.shipping,
+          totals.shippingMethod.method,
+          JSON.stringify(totals.shippingAddress),
+          totals.tax,
+          totals.taxRate,
+          JSON.stringify(totals.taxLines),
+          totals.total,
+          orderId,
+        ]
+      )
+
+      await db.exec('COMMIT')
+
+      return {
+        id: orderId,
+        userId,
+        status: ORDER_STATUS.PENDING,
+        itemCount,
+        ...totals,
+        couponCode: promotion?.code || null,
+        items: items.map((item) => ({
+          productId: item.product_id,
+          title: item.title,
+          artist: item.artist,
+          quantity: item.quantity,
+          price: item.price,
+          newStock: item.stock - item.quantity,
+        })),
+        createdAt: now,
+      }
+    } catch (error) {
+      await db.exec('ROLLBACK').catch((rollbackError) => {
+        logger.error('Checkout rollback failed:', rollbackError)
+      })
+      throw error
+    } finally {
+      await db.close()
+    }
+  }
+
+  /**
+   * Redeem the cart's coupon against the order being placed
+   * A coupon that no longer applies blocks checkout so the shopper sees the real total first
+   */
+  async applyCartPromotion(userId, orderId, items, db) {
+    const promotion = await this.promotionRepository.getCartPromotion(userId, db)
+    if (!promotion) {
+      return null
+    }
+
+    const evaluation = await this.promotionRepository.evaluate(promotion, userId, items, db)
+
+    if (evaluation.problem) {
+      throw new ValidationError(`Coupon ${promotion.code} can't be used: ${evaluation.problem}`, [
+        { field: 'code', message: evaluation.problem, value: promotion.code },
+      ])
+    }
+
+    await this.promotionRepository.recordRedemption(
+      promotion,
+      userId,
+      orderId,
+      evaluation.discount,
+      db
+    )
+    await this.promotionRepository.removeFromCart(userId, db)
+
+    return {
+      id: promotion.id,
+      code: promotion.code,
+      discount: evaluation.discount,
+      freeShipping: evaluation.freeShipping,
+    }
+  }
+
+  /**
+   * Get a user's orders (newest first)
+   */
+  async getUserOrders(userId, { limit = 20, offset = 0 } = {}) {
+    const query = `
+      SELECT * FROM orders
+      WHERE user_id = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `
+    const orders = await this.executeQuery(query, [userId, limit, offset])
+    const total = await this.count('WHERE user_id = ?', [userId])
+
+    return {
+      orders: orders.map((order) => this.normalizeOrder(order)),
+      total,
+    }
+  }
+
+  /**
+   * Get a single order with its line items, scoped to the owning user
+   */
+  async getUserOrder(userId, orderId) {
+    const order = await this.findOneWhere('id = ? AND user_id = ?', [orderId, userId])
+
+    if (!order) {
+      throw new NotFoundError('Order', orderId)
+    }
+
+    const items = await this.getOrderItems(orderId)
+
+    return {
+      ...this.normalizeOrder(order),
+      items,
+    }
+  }
+
+  /**
+   * Attach a Stripe PaymentIntent to an order
+   */
+  async setPaymentIntent(orderId, paymentIntentId) {
+    return this.updateById(orderId, {
+      payment_intent_id: paymentIntentId,
+      updated_at: new Date().toISOString(),
+    })
+  }
+
+  /**
+   * Find the order paid for by a Stripe PaymentIntent
+   */
+  async findByPaymentIntent(paymentIntentId, db = null) {
+    if (db) {
+      return db.get('SELECT * FROM orders WHERE payment_intent_id = ?', [paymentIntentId])
+    }
+    return this.findOneWhere('payment_intent_id = ?', [paymentIntentId])
+  }
+
+  /**
+   * Move an order to a new status if the transition is allowed
+   * Returns false (and leaves the order untouched) for disallowed transitions
+   */
+  async transitionStatus(order, status, db) {
+    if (!ORDER_TRANSITIONS[order.status]?.includes(status)) {
+      return false
+    }
+
+    const now = new Date().toISOString()
+    const updates = ['status = ?', 'updated_at = ?']
+    const params = [status, now]
+
+    if (status === ORDER_STATUS.PAID) {
+      updates.push('paid_at = ?')
+      params.push(now)
+    } else if (status === ORDER_STATUS.REFUNDED) {
+      updates.push('refunded_at = ?')
+      params.push(now)
+    }
+
+    // Guard on the current status too, in case another event moved the order first
+    const result = await db.run(
+      `UPDATE orders SET ${updates.join(', ')} WHERE id = ? AND status = ?`,
+      [...params, order.id, order.status]
+    )
+
+    return result.changes > 0
+  }
+
+  /**
+   * Get line items for an order
+   */
+  async getOrderItems(orderId) {
+    const query = `
+      SELECT
+        oi.id,
+        oi.product_id,
+        oi.title,
+        oi.artist,
+        oi.quantity,
+        oi.price,
+        (oi.quantity * oi.price) as line_total,
+        p.image
+      FROM order_items oi
+      LEFT JOIN products p ON oi.product_id = p.id
+      WHERE oi.order_id = ?
+      ORDER BY oi.id
+    `
+    const rows = await this.executeQuery(query, [orderId])
+
+    return rows.map((row) => ({
+      id: row.id,
+      productId: row.product_id,
+      title: row.title,
+      artist: row.artist,
+      quantity: row.quantity,
+      price: parseFloat(row.price),
+      lineTotal: parseFloat(Number(row.line_total).toFixed(2)),
+      image: row.image,
+    }))
+  }
+
+  /**
+   * Normalize order row for API response
+   */
+  normalizeOrder(order) {
+    return {
+      id: order.id,
+      userId: order.user_id,
+      status: order.status,
+      itemCount: order.item_count,
+      subtotal: parseFloat(order.subtotal),
+      discount: parseFloat(order.discount || 0),
+      promotionId: order.promotion_id || null,
+      shipping: parseFloat(order.shipping || 0),
+      shippingMethod: order.shipping_method || null,
+      shippingAddress: order.shipping_address ? JSON.parse(order.shipping_address) : null,
+      tax: parseFloat(order.tax),
+      taxRate: parseFloat(order.tax_rate),
+      taxLines: order.tax_lines ? JSON.parse(order.tax_lines) : [],
+      total: parseFloat(order.total),
+      currency: order.currency,
+      paymentIntentId: order.payment_intent_id || null,
+      paidAt: order.paid_at || null,
+      refundedAt: order.refunded_at || null,
+      createdAt: order.created_at,
+      updatedAt: order.updated_at,
+    }
+  }
+}
@@ -1,39 +1,214 @@
 import { BaseRepository } from './BaseRepository.js'
+import { ReservationRepository } from './ReservationRepository.js'
 import { NotFoundError } from '../utils/errors.js'
+import { editDistance, foldTerm, maxEditsFor } from '../utils/fuzzy.js'
+import { escapeHtml } from '../utils/sanitization.js'
+
+// products_fts columns are title, artist, genre, description; bm25 weights follow that order
+const RELEVANCE_SQL = 'bm25(products_fts, 10.0, 8.0, 3.0, 1.0)'
+// FTS marks matches with control characters (char(2) and char(3) in SQL) that catalog
+// text never holds; they become <mark> tags once the text around them is HTML-escaped
+const HIGHLIGHT_OPEN = '\u0002'
+const HIGHLIGHT_CLOSE = '\u0003'
+
+const CATALOG_SORT_FIELDS = ['title', 'artist', 'genre', 'price', 'year', 'created_at', 'id']
+const SUGGESTION_TYPES = ['title', 'artist', 'genre']
+// Release detail columns holding JSON arrays
+const JSON_COLUMNS = ['tracklist', 'credits']
+
+// Price bands for the price facet, cheapest first
+export const PRICE_BANDS = [
+  { value: 'under-20', label: 'Under $20', max: 20 },
+  { value: '20-30', label: '$20 – $30', max: 30 },
+  { value: '30-40', label: '$30 – $40', max: 40 },
+  { value: '40-60', label: '$40 – $60', max: 60 },
+  { value: '60-plus', label: '$60 & up' },
+]
+
+const PRICE_BAND_SQL = `CASE ${PRICE_BANDS.filter((band) => band.max)
+  .map((band) => `WHEN p.price < ${band.max} THEN '${band.value}'`)
+  .join(' ')} ELSE '${PRICE_BANDS[PRICE_BANDS.length - 1].value}' END`
+
+const STOCK_STATUSES = [
+  { value: 'in_stock', label: 'In stock' },
+  { value: 'out_of_stock', label: 'Out of stock' },
+]
+
+const byCount = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value))
+const inOrder = (options) => (a, b) =>
+  options.findIndex((option) => option.value === a.value) -
+  options.findIndex((option) => option.value === b.value)
+
+/**
+ * Catalog facets: the SQL expression that buckets a product (aliased `p`), how
+ * to read filter values from the query string, and how buckets are labelled
+ * and ordered. Filters accept several values per facet (?genre=Rock&genre=Jazz).
+ */
+export const CATALOG_FACETS = {
+  genre: {
+    sql: 'p.genre',
+    sort: byCount,
+  },
+  decade: {
+    sql: 'CAST(p.year / 10 AS INTEGER) * 10',
+    parse: (value) => (/^\d{4}s?$/.test(value) ? parseInt(value, 10) : null),
+    label: (value) => `${value}s`,
+    sort: (a, b) => a.value - b.value,
+  },
+  priceBand: {
+    sql: PRICE_BAND_SQL,
+    parse: (value) => (PRICE_BANDS.some((band) => band.value === value) ? value : null),
+    label: (value) => PRICE_BANDS.find((band) => band.value === value).label,
+    sort: inOrder(PRICE_BANDS),
+  },
+  label: {
+    sql: "NULLIF(TRIM(p.label), '')",
+    sort: byCount,
+  },
+  format: {
+    // Products without a format are single 12" LPs (as in RatesService.describeFormat)
+    sql: "COALESCE(NULLIF(TRIM(p.format), ''), 'LP')",
+    sort: byCount,
+  },
+  stock: {
+    sql: "CASE WHEN p.stock > 0 THEN 'in_stock' ELSE 'out_of_stock' END",
+    parse: (value) => (STOCK_STATUSES.some((status) => status.value === value) ? value : null),
+    label: (value) => STOCK_STATUSES.find((status) => status.value === value).label,
+    sort: inOrder(STOCK_STATUSES),
+  },
+}
+
+/**
+ * Selected values for a facet from a query-string value (string or array);
+ * `all` and values the facet doesn't recognise are dropped
+ */
+export function parseFacetValues(facet, raw) {
+  const config = CATALOG_FACETS[facet]
+  const values = []
+
+  for (const item of [].concat(raw ?? [])) {
+    const text = String(item).trim()
+    if (!text || text === 'all') continue
+
+    const value = config.parse ? config.parse(text) : text
+    if (value !== null && !values.includes(value)) {
+      values.push(value)
+    }
+  }
+
+  return values
+}
+
+/**
+ * Turn free text into a safe FTS5 MATCH expression. Each word is quoted (so
+ * punctuation and FTS operators in user input can't break the query), every
+ * word must match, and the last one matches as a prefix for search-as-you-type.
+ * `column` restricts the match to one indexed column. Returns null when the
+ * text has no searchable words.
+ */
+export function toMatchQuery(text, { column = null } = {}) {
+  const terms = String(text || '')
+    .normalize('NFKC')
+    .match(/[\p{L}\p{N}]+/gu)
+
+  if (!terms) {
+    return null
+  }
+
+  const expression = terms
+    .map((term, index) => (index === terms.length - 1 ? `"${term}"*` : `"${term}"`))
+    .join(' AND ')
+
+  return column ? `{${column}} : (${expression})` : expression
+}
 
 export class ProductRepository extends BaseRepository {
   constructor() {
     super('products')
+    this.reservationRepository = new ReservationRepository()
   }
 
   /**
-   * Get products with search and filtering
+   * Shared FROM/WHERE for catalog listings; a search joins the full-text index
+   * `excludeFacet` leaves one facet's own filter out, so its buckets show the
+   * alternatives to what's selected (drill-down counts)
    */
-  async getProducts(filters = {}) {
-    const { search, genre, sort = 'title', order = 'ASC', limit, offset = 0 } = filters
-    
-    let query = 'SELECT * FROM products WHERE 1=1'
+  buildCatalogQuery(filters = {}, { excludeFacet = null } = {}) {
+    const { search, minPrice, maxPrice } = filters
+    const conditions = []
     const params = []
+    let from = 'products p'
+    let searching = false
+
+    if (search?.trim()) {
+      const match = toMatchQuery(search)
 
-    // Search filter
-    if (search) {
-      query += ' AND (title LIKE ? OR artist LIKE ? OR album LIKE ?)'
-      const searchPattern = `%${search}%`
-      params.push(searchPattern, searchPattern, searchPattern)
+      if (match) {
+        from = 'products_fts JOIN products p ON p.id = products_fts.rowid'
+        conditions.push('products_fts MATCH ?')
+        params.push(match)
+        searching = true
+      } else {
+        // Nothing searchable (only punctuation), so nothing matches
+        conditions.push('0')
+      }
     }
 
-    // Genre filter
-    if (genre && genre !== 'all') {
-      query += ' AND genre = ?'
-      params.push(genre)
+    for (const facet of Object.keys(CATALOG_FACETS)) {
+      const values = facet === excludeFacet ? [] : parseFacetValues(facet, filters[facet])
+
+      if (values.length > 0) {
+        conditions.push(`${CATALOG_FACETS[facet].sql} IN (${values.map(() => '?').join(', ')})`)
+        params.push(...values)
+      }
+    }
+
+    if (minPrice !== undefined && minPrice !== null && !Number.isNaN(parseFloat(minPrice))) {
+      conditions.push('p.price >= ?')
+      params.push(parseFloat(minPrice))
     }
 
+    if (maxPrice !== undefined && maxPrice !== null && !Number.isNaN(parseFloat(maxPrice))) {
+      conditions.push('p.price <= ?')
+      params.push(parseFloat(maxPrice))
+    }
+
+    return {
+      from,
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params,
+      searching,
+    }
+  }
+
+  /**
+   * Get products with search and filtering
+   * Searches rank by relevance (bm25) unless another sort is asked for, and
+   * each result carries `highlights` with the matched words wrapped in <mark>
+   */
+  async getProducts(filters = {}) {
+    const { sort, order = 'ASC', limit, offset = 0 } = filters
+    const { from, where, params, searching } = this.buildCatalogQuery(filters)
+
+    const columns = searching
+      ? `p.*,
+        highlight(products_fts, 0, char(2), char(3)) as title_highlight,
+        highlight(products_fts, 1, char(2), char(3)) as artist_highlight,
+        snippet(products_fts, 3, char(2), char(3), '…', 16) as description_snippet`
+      : 'p.*'
+
+    let query = `SELECT ${columns} FROM ${from} ${where}`
+
     // Sorting
-    const validSortFields = ['title', 'artist', 'album', 'price', 'year', 'created_at']
-    const validOrders = ['ASC', 'DESC']
-    
-    if (validSortFields.includes(sort) && validOrders.includes(order.toUpperCase())) {
-      query += ` ORDER BY ${sort} ${order.toUpperCase()}`
+    const sortField = sort || (searching ? 'relevance' : 'title')
+    const direction = String(order).toUpperCase() === 'DESC' ? 'DESC' : 'ASC'
+
+    if (sortField === 'relevance' && searching) {
+      query += ` ORDER BY ${RELEVANCE_SQL}, p.title ASC`
+    } else if (CATALOG_SORT_FIELDS.includes(sortField)) {
+      query += ` ORDER BY p.${sortField} ${direction}`
+    } else {
+      query += ' ORDER BY p.title ASC'
     }
 
     // Pagination
@@ -42,31 +217,66 @@ export class ProductRepository extends BaseRepository {
       params.push(limit, offset)
     }
 
-    return await this.executeQuery(query, params)
+    const rows = await this.executeQuery(query, params)
+    return searching ? rows.map((row) => this.withHighlights(row)) : rows
   }
 
   /**
    * Get product count with filters
    */
   async getProductCount(filters = {}) {
-    const { search, genre } = filters
-    
-    let query = 'SELECT COUNT(*) as count FROM products WHERE 1=1'
-    const params = []
+    const { from, where, params } = this.buildCatalogQuery(filters)
+    const result = await this.executeGetQuery(`SELECT COUNT(*) as count FROM ${from} ${where}`, params)
+    return result.count
+  }
 
-    if (search) {
-      query += ' AND (title LIKE ? OR artist LIKE ? OR album LIKE ?)'
-      const searchPattern = `%${search}%`
-      params.push(searchPattern, searchPattern, searchPattern)
+  /**
+   * Lowest and highest price among products matching the filters
+   */
+  async getPriceRange(filters = {}) {
+    const { from, where, params } = this.buildCatalogQuery(filters)
+    const result = await this.executeGetQuery(
+      `SELECT MIN(p.price) as minPrice, MAX(p.price) as maxPrice FROM ${from} ${where}`,
+      params
+    )
+    return {
+      min: result?.minPrice || 0,
+      max: result?.maxPrice || 0,
     }
+  }
 
-    if (genre && genre !== 'all') {
-      query += ' AND genre = ?'
-      params.push(genre)
-    }
+  /**
+   * Bucket counts for every facet under the current filters
+   * Each facet ignores its own selection, so picking "Rock" still shows how many
+   * Jazz records there are; buckets report whether they're `selected`
+   */
+  async getFacets(filters = {}) {
+    const entries = await Promise.all(
+      Object.entries(CATALOG_FACETS).map(async ([facet, config]) => {
+        const { from, where, params } = this.buildCatalogQuery(filters, { excludeFacet: facet })
+        const rows = await this.executeQuery(
+          `SELECT ${config.sql} as value, COUNT(*) as count
+           FROM ${from} ${where}
+           GROUP BY 1
+           HAVING value IS NOT NULL`,
+          params
+        )
+        const selected = parseFacetValues(facet, filters[facet])
 
-    const result = await this.executeGetQuery(query, params)
-    return result.count
+        const buckets = rows
+          .map((row) => ({
+            value: row.value,
+            label: config.label ? config.label(row.value) : String(row.value),
+            count: row.count,
+            selected: selected.includes(row.value),
+          }))
+          .sort(config.sort)
+
+        return [facet, buckets]
+      })
+    )
+
+    return Object.fromEntries(entries)
   }
 
   /**
@@ -79,18 +289,123 @@ export class ProductRepository extends BaseRepository {
   }
 
   /**
-   * Get search suggestions based on title, artist, album
+   * Autocomplete: titles, artists and genres with a word starting with the
+   * typed text (accents ignored), best matches first
    */
   async getSearchSuggestions(searchTerm, limit = 10) {
-    const query = `
-      SELECT DISTINCT 
-        title, artist, album
-      FROM products 
-      WHERE title LIKE ? OR artist LIKE ? OR album LIKE ?
-      LIMIT ?
-    `
-    const searchPattern = `%${searchTerm}%`
-    return await this.executeQuery(query, [searchPattern, searchPattern, searchPattern, limit])
+    const matches = SUGGESTION_TYPES.map((type) => toMatchQuery(searchTerm, { column: type }))
+    if (matches.includes(null)) {
+      return []
+    }
+
+    const query = SUGGESTION_TYPES.map(
+      (type) => `
+      SELECT p.${type} as text, '${type}' as type, MIN(f.rank) as score
+      FROM (SELECT rowid, rank FROM products_fts WHERE products_fts MATCH ?) f
+      JOIN products p ON p.id = f.rowid
+      GROUP BY p.${type}`
+    ).join(' UNION ALL ')
+
+    return await this.executeQuery(
+      `SELECT text, type FROM (${query}) ORDER BY score ASC, text ASC LIMIT ?`,
+      [...matches, limit]
+    )
+  }
+
+  /**
+   * "Did you mean": respell each search word the index doesn't know as the
+   * closest word it does. Returns the corrected text, or null when nothing
+   * needed correcting or the correction finds no products under `filters`.
+   */
+  async getSpellingCorrection(text, filters = {}) {
+    const words = String(text || '')
+      .normalize('NFKC')
+      .match(/[\p{L}\p{N}]+/gu)
+
+    if (!words) {
+      return null
+    }
+
+    let corrected = false
+    const respelled = []
+
+    for (const [index, word] of words.entries()) {
+      // The last word may still be being typed, so a known prefix is fine
+      const replacement = await this.findClosestTerm(foldTerm(word), {
+        prefix: index === words.length - 1,
+      })
+      corrected = corrected || Boolean(replacement)
+      respelled.push(replacement || word)
+    }
+
+    if (!corrected) {
+      return null
+    }
+
+    const suggestion = respelled.join(' ')
+    const count = await this.getProductCount({ ...filters, search: suggestion })
+    return count > 0 ? suggestion : null
+  }
+
+  /**
+   * Closest indexed word to a folded search word, by edit distance with ties
+   * going to the word in more products. Null if the word is already indexed,
+   * is a number, or nothing is within the typo allowance for its length.
+   */
+  async findClosestTerm(term, { prefix = false } = {}) {
+    const maxEdits = maxEditsFor(term.length)
+    if (maxEdits === 0 || /^\p{N}+$/u.test(term)) {
+      return null
+    }
+
+    const known = await this.executeGetQuery(
+      prefix
+        ? "SELECT 1 as found FROM products_fts_vocab WHERE term = ? OR term GLOB ? || '*' LIMIT 1"
+        : 'SELECT 1 as found FROM products_fts_vocab WHERE term = ? LIMIT 1',
+      prefix ? [term, term] : [term]
+    )
+    if (known) {
+      return null
+    }
+
+    const candidates = await this.executeQuery(
+      'SELECT term, doc FROM products_fts_vocab WHERE length(term) BETWEEN ? AND ?',
+      [term.length - maxEdits, term.length + maxEdits]
+    )
+
+    let best = null
+    for (const candidate of candidates) {
+      const distance = editDistance(term, candidate.term, maxEdits)
+      if (
+        distance <= maxEdits &&
+        (!best || distance < best.distance || (distance === best.distance && candidate.doc > best.doc))
+      ) {
+        best = { ...candidate, distance }
+      }
+    }
+
+    return best ? best.term : null
+  }
+
+  /**
+   * Move FTS highlight columns into a `highlights` object, as escaped HTML
+   * with the matches in <mark>
+   */
+  withHighlights(row) {
+    const { title_highlight, artist_highlight, description_snippet, ...product } = row
+    const mark = (text) =>
+      escapeHtml(text)
+        ?.replaceAll(HIGHLIGHT_OPEN, '<mark>')
+        .replaceAll(HIGHLIGHT_CLOSE, '</mark>')
+
+    return {
+      ...product,
+      highlights: {
+        title: mark(title_highlight),
+        artist: mark(artist_highlight),
+        description: mark(description_snippet),
+      },
+    }
   }
 
   /**
@@ -134,13 +449,14 @@ export class ProductRepository extends BaseRepository {
   }
 
   /**
-   * Get product with reviews (if reviews exist)
+   * Get the full product record, release details parsed, with its rating summary
    */
   async getProductWithDetails(id) {
-    const product = await this.findById(id)
-    if (!product) {
+    const row = await this.findById(id)
+    if (!row) {
       throw new NotFoundError('Product', id)
     }
+    const product = this.withReleaseDetails(row)
 
     // Get average rating if reviews table exists
     try {
@@ -149,7 +465,7 @@ export class ProductRepository extends BaseRepository {
           AVG(rating) as averageRating,
           COUNT(*) as reviewCount
         FROM reviews 
-        WHERE product_id = ?
+        WHERE product_id = ? AND moderation_status = 'approved'
       `
       const ratingData = await this.executeGetQuery(ratingQuery, [id])
       
@@ -164,6 +480,112 @@ export class ProductRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Tracklist and credits as arrays and styles as a list (stored as JSON and
+   * comma-separated text)
+   */
+  withReleaseDetails(row) {
+    const product = { ...row }
+
+    for (const column of JSON_COLUMNS) {
+      try {
+        product[column] = row[column] ? JSON.parse(row[column]) : []
+      } catch {
+        product[column] = []
+      }
+    }
+
+    product.styles = row.styles
+      ? row.styles
+          .split(',')
+          .map((style) => style.trim())
+          .filter(Boolean)
+      : []
+
+    return product
+  }
+
+  /**
+   * JSON-encode array columns for storage
+   */
+  serializeReleaseDetails(data) {
+    const row = { ...data }
+
+    for (const column of JSON_COLUMNS) {
+      if (Array.isArray(row[column])) {
+        row[column] = JSON.stringify(row[column])
+      }
+    }
+
+    return row
+  }
+
+  /**
+   * Next page of the full catalog in ID order, for exports that stream
+   * rather than load every product at once
+   */
+  async getExportBatch(afterId = 0, limit = 500) {
+    return this.executeQuery('SELECT * FROM products WHERE id > ? ORDER BY id LIMIT ?', [
+      afterId,
+      limit,
+    ])
+  }
+
+  /**
+   * Create a product (admin function)
+   */
+  async createProduct(data) {
+    const now = new Date().toISOString()
+    const { id } = await this.create({
+      ...this.serializeReleaseDetails(data),
+      created_at: now,
+      updated_at: now,
+    })
+    return this.findById(id)
+  }
+
+  /**
+   * Update a product and return both versions so callers can tell what changed
+   */
+  async updateProduct(id, data) {
+    const before = await this.findById(id)
+    if (!before) {
+      throw new NotFoundError('Product', id)
+    }
+
+    await this.updateById(id, {
+      ...this.serializeReleaseDetails(data),
+      updated_at: new Date().toISOString(),
+    })
+    const after = await this.findById(id)
+
+    return { before, after }
+  }
+
+  /**
+   * Delete a product and drop it from any carts (order history keeps its snapshot)
+   */
+  async deleteProduct(id) {
+    const product = await this.findById(id)
+    if (!product) {
+      throw new NotFoundError('Product', id)
+    }
+
+    await this.executeRunQuery('DELETE FROM cart_items WHERE product_id = ?', [id])
+    await this.executeRunQuery('DELETE FROM guest_cart_items WHERE product_id = ?', [id])
+    await this.executeRunQuery('DELETE FROM product_alerts WHERE product_id = ?', [id])
+    await this.executeRunQuery('DELETE FROM wishlists WHERE product_id = ?', [id])
+    await this.executeRunQuery(
+      `DELETE FROM content_reports
+       WHERE content_type = 'review' AND content_id IN (SELECT id FROM reviews WHERE product_id = ?)`,
+      [id]
+    )
+    await this.executeRunQuery('DELETE FROM reviews WHERE product_id = ?', [id])
+    await this.deleteById(id)
+
+    return product
+  }
+
   /**
    * Update product stock/inventory
    */
@@ -178,17 +600,23 @@ export class ProductRepository extends BaseRepository {
   }
 
   /**
-   * Check product availability
+   * Check product availability, net of other shoppers' active reservations
+   * (pass userId so a user's own holds still count as available to them)
    */
-  async checkAvailability(productId, requestedQuantity = 1) {
+  async checkAvailability(productId, requestedQuantity = 1, userId = null) {
     const product = await this.findById(productId)
     if (!product) {
       throw new NotFoundError('Product', productId)
     }
 
+    const reservedQuantity = await this.reservationRepository.getReservedQuantity(productId, userId)
+    const availableStock = Math.max(product.stock - reservedQuantity, 0)
+
     return {
-      available: product.stock >= requestedQuantity,
+      available: availableStock >= requestedQuantity,
       currentStock: product.stock,
+      reservedQuantity,
+      availableStock,
       requestedQuantity
     }
   }
@@ -0,0 +1,227 @@
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js'
+import { calculateDiscount, getPromotionProblem } from '../utils/promotions.js'
+import { BaseRepository } from './BaseRepository.js'
+
+// API field -> column for admin create/update
+const PROMOTION_COLUMNS = {
+  code: 'code',
+  name: 'name',
+  description: 'description',
+  type: 'type',
+  value: 'value',
+  buyQuantity: 'buy_quantity',
+  getQuantity: 'get_quantity',
+  scopeType: 'scope_type',
+  scopeValue: 'scope_value',
+  minSubtotal: 'min_subtotal',
+  maxUses: 'max_uses',
+  maxUsesPerUser: 'max_uses_per_user',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  isActive: 'is_active',
+}
+
+export class PromotionRepository extends BaseRepository {
+  constructor() {
+    super('promotions')
+  }
+
+  toRow(data) {
+    const row = {}
+    for (const [field, column] of Object.entries(PROMOTION_COLUMNS)) {
+      if (data[field] === undefined) continue
+
+      let value = data[field]
+      if (value instanceof Date) value = value.toISOString()
+      if (field === 'code') value = value.toUpperCase()
+      if (field === 'isActive') value = value ? 1 : 0
+      row[column] = value
+    }
+    return row
+  }
+
+  async listPromotions({ limit = 50, offset = 0 } = {}) {
+    const rows = await this.executeQuery(
+      'SELECT * FROM promotions ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?',
+      [limit, offset]
+    )
+    const total = await this.count()
+
+    return {
+      promotions: rows.map((row) => this.normalizePromotion(row)),
+      total,
+    }
+  }
+
+  async getPromotion(id) {
+    const row = await this.findById(id)
+    if (!row) {
+      throw new NotFoundError('Promotion', id)
+    }
+    return this.normalizePromotion(row)
+  }
+
+  async findByCode(code, db = null) {
+    const query = 'SELECT * FROM promotions WHERE code = ?'
+    const params = [String(code).trim()]
+    const row = db ? await db.get(query, params) : await this.executeGetQuery(query, params)
+    return row ? this.normalizePromotion(row) : null
+  }
+
+  async createPromotion(data) {
+    if (await this.findByCode(data.code)) {
+      throw new ConflictError(`Coupon code ${data.code} already exists`, 'code')
+    }
+
+    const now = new Date().toISOString()
+    const { id } = await this.create({ ...this.toRow(data), created_at: now, updated_at: now })
+    return this.getPromotion(id)
+  }
+
+  async updatePromotion(id, data) {
+    await this.getPromotion(id)
+
+    const existing = await this.findByCode(data.code)
+    if (existing && existing.id !== id) {
+      throw new ConflictError(`Coupon code ${data.code} already exists`, 'code')
+    }
+
+    await this.updateById(id, { ...this.toRow(data), updated_at: new Date().toISOString() })
+    return this.getPromotion(id)
+  }
+
+  async deletePromotion(id) {
+    const promotion = await this.getPromotion(id)
+
+    // Redemptions are kept with their orders, so retire used promotions instead of deleting them
+    if (promotion.timesUsed > 0) {
+      throw new ConflictError('Promotion has been redeemed; deactivate it instead', 'id')
+    }
+
+    await this.executeRunQuery('DELETE FROM cart_coupons WHERE promotion_id = ?', [id])
+    await this.deleteById(id)
+    return promotion
+  }
+
+  /**
+   * How many orders this user has placed with the promotion
+   */
+  async countUserRedemptions(promotionId, userId, db = null) {
+    const query =
+      'SELECT COUNT(*) as count FROM promotion_redemptions WHERE promotion_id = ? AND user_id = ?'
+    const params = [promotionId, userId]
+    const result = db ? await db.get(query, params) : await this.executeGetQuery(query, params)
+    return result.count
+  }
+
+  /**
+   * The promotion attached to a user's cart, if any
+   */
+  async getCartPromotion(userId, db = null) {
+    const query = `
+      SELECT p.* FROM cart_coupons cc
+      JOIN promotions p ON cc.promotion_id = p.id
+      WHERE cc.user_id = ?
+    `
+    const row = db ? await db.get(query, [userId]) : await this.executeGetQuery(query, [userId])
+    return row ? this.normalizePromotion(row) : null
+  }
+
+  /**
+   * Check a promotion against a user's cart lines
+   * Returns { promotion, problem, discount, freeShipping, eligibleProductIds }
+   */
+  async evaluate(promotion, userId, items, db = null) {
+    const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+    const userUses = await this.countUserRedemptions(promotion.id, userId, db)
+    const result = calculateDiscount(promotion, items)
+
+    let problem = getPromotionProblem(promotion, { subtotal, userUses })
+    if (!problem && result.eligibleProductIds.length === 0) {
+      problem = 'This coupon does not apply to any items in your cart'
+    }
+
+    return problem
+      ? { promotion, problem, discount: 0, freeShipping: false, eligibleProductIds: [] }
+      : { promotion, problem: null, ...result }
+  }
+
+  /**
+   * Validate a code against the cart and attach it (replacing any previous coupon)
+   */
+  async applyToCart(userId, code, items) {
+    const promotion = await this.findByCode(code)
+    if (!promotion) {
+      throw new ValidationError('Invalid coupon code', [
+        { field: 'code', message: 'Invalid coupon code', value: code },
+      ])
+    }
+
+    const evaluation = await this.evaluate(promotion, userId, items)
+    if (evaluation.problem) {
+      throw new ValidationError(evaluation.problem, [
+        { field: 'code', message: evaluation.problem, value: code },
+      ])
+    }
+
+    await this.executeRunQuery(
+      'INSERT OR REPLACE INTO cart_coupons (user_id, promotion_id, created_at) VALUES (?, ?, ?)',
+      [userId, promotion.id, new Date().toISOString()]
+    )
+
+    return evaluation
+  }
+
+  async removeFromCart(userId, db = null) {
+    const query = 'DELETE FROM cart_coupons WHERE user_id = ?'
+    return db ? db.run(query, [userId]) : this.executeRunQuery(query, [userId])
+  }
+
+  /**
+   * Count a redemption against the promotion's limits (inside the checkout transaction)
+   */
+  async recordRedemption(promotion, userId, orderId, discount, db) {
+    const result = await db.run(
+      `UPDATE promotions SET times_used = times_used + 1, updated_at = ?
+       WHERE id = ? AND (max_uses IS NULL OR times_used < max_uses)`,
+      [new Date().toISOString(), promotion.id]
+    )
+
+    if (result.changes === 0) {
+      throw new ValidationError('This coupon has reached its usage limit')
+    }
+
+    await db.run(
+      `INSERT INTO promotion_redemptions (promotion_id, user_id, order_id, discount, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [promotion.id, userId, orderId, discount, new Date().toISOString()]
+    )
+  }
+
+  /**
+   * Normalize promotion row for API response
+   */
+  normalizePromotion(row) {
+    return {
+      id: row.id,
+      code: row.code,
+      name: row.name,
+      description: row.description,
+      type: row.type,
+      value: parseFloat(row.value),
+      buyQuantity: row.buy_quantity,
+      getQuantity: row.get_quantity,
+      scopeType: row.scope_type,
+      scopeValue: row.scope_value,
+      minSubtotal: parseFloat(row.min_subtotal),
+      maxUses: row.max_uses,
+      maxUsesPerUser: row.max_uses_per_user,
+      timesUsed: row.times_used,
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      isActive: Boolean(row.is_active),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    }
+  }
+}
@@ -0,0 +1,205 @@
+import { logger } from '../middleware/errorHandler.js'
+import { ValidationError } from '../utils/errors.js'
+import { BaseRepository } from './BaseRepository.js'
+
+export class ReservationRepository extends BaseRepository {
+  constructor() {
+    super('stock_reservations')
+  }
+
+  /**
+   * Units of a product held by active reservations (optionally ignoring one user's own holds)
+   */
+  async getReservedQuantity(productId, excludeUserId = null, db = null) {
+    const query = `
+      SELECT COALESCE(SUM(quantity), 0) as reserved
+      FROM stock_reservations
+      WHERE product_id = ? AND user_id IS NOT ? AND expires_at > ?
+    `
+    const params = [productId, excludeUserId, new Date().toISOString()]
+    const result = db ? await db.get(query, params) : await this.executeGetQuery(query, params)
+    return result.reserved
+  }
+
+  /**
+   * Stock left for everyone else once active reservations are taken out, keyed by product id
+   */
+  async getAvailableStock(productIds, db) {
+    if (productIds.length === 0) return new Map()
+
+    const placeholders = productIds.map(() => '?').join(', ')
+    const rows = await db.all(
+      `SELECT
+        p.id,
+        p.stock - COALESCE((
+          SELECT SUM(sr.quantity) FROM stock_reservations sr
+          WHERE sr.product_id = p.id AND sr.expires_at > ?
+        ), 0) as available
+      FROM products p
+      WHERE p.id IN (${placeholders})`,
+      [new Date().toISOString(), ...productIds]
+    )
+
+    return new Map(rows.map((row) => [row.id, row.available]))
+  }
+
+  /**
+   * Reserve everything in the user's cart for the given number of minutes
+   * Replaces any holds the user already has; all-or-nothing if any line is short
+   */
+  async reserveCart(userId, minutes) {
+    const db = await this.getDB()
+
+    try {
+      await db.exec('BEGIN IMMEDIATE')
+
+      const cartItems = await db.all(
+        `SELECT ci.product_id, ci.quantity, p.title, p.stock
+         FROM cart_items ci
+         JOIN products p ON ci.product_id = p.id
+         WHERE ci.user_id = ?`,
+        [userId]
+      )
+
+      if (cartItems.length === 0) {
+        throw new ValidationError('Cannot checkout an empty cart')
+      }
+
+      const existing = await db.all('SELECT product_id FROM stock_reservations WHERE user_id = ?', [
+        userId,
+      ])
+      const productIds = [...new Set([...cartItems, ...existing].map((item) => item.product_id))]
+      const before = await this.getAvailableStock(productIds, db)
+
+      await db.run('DELETE FROM stock_reservations WHERE user_id = ?', [userId])
+
+      const now = new Date()
+      const expiresAt = new Date(now.getTime() + minutes * 60 * 1000).toISOString()
+      const validationErrors = []
+
+      for (const item of cartItems) {
+        const reservedByOthers = await this.getReservedQuantity(item.product_id, userId, db)
+        const available = item.stock - reservedByOthers
+
+        if (item.quantity > available) {
+          validationErrors.push({
+            productId: item.product_id,
+            productTitle: item.title,
+            requested: item.quantity,
+            available: Math.max(available, 0),
+            message: `Only ${Math.max(available, 0)} units available for ${item.title}`,
+          })
+          continue
+        }
+
+        await db.run(
+          `INSERT INTO stock_reservations (user_id, product_id, quantity, expires_at, created_at)
+           VALUES (?, ?, ?, ?, ?)`,
+          [userId, item.product_id, item.quantity, expiresAt, now.toISOString()]
+        )
+      }
+
+      if (validationErrors.length > 0) {
+        throw new ValidationError(
+          'Some cart items are not available in requested quantity',
+          validationErrors
+        )
+      }
+
+      const after = await this.getAvailableStock(productIds, db)
+
+      await db.exec('COMMIT')
+
+      return {
+        expiresAt,
+        items: cartItems.map((item) => ({
+          productId: item.product_id,
+          title: item.title,
+          quantity: item.quantity,
+        })),
+        stockChanges: this.diffAvailability(before, after),
+      }
+    } catch (error) {
+      await db.exec('ROLLBACK').catch((rollbackError) => {
+        logger.error('Reservation rollback failed:', rollbackError)
+      })
+      throw error
+    } finally {
+      await db.close()
+    }
+  }
+
+  /**
+   * Drop all of a user's holds
+   */
+  async releaseForUser(userId) {
+    const active = await this.executeQuery(
+      'SELECT product_id, quantity FROM stock_reservations WHERE user_id = ? AND expires_at > ?',
+      [userId, new Date().toISOString()]
+    )
+    await this.executeRunQuery('DELETE FROM stock_reservations WHERE user_id = ?', [userId])
+
+    return this.releasedStockChanges(active)
+  }
+
+  /**
+   * Delete expired holds and report how much stock each product got back
+   */
+  async releaseExpired() {
+    const now = new Date().toISOString()
+    const expired = await this.executeQuery(
+      'SELECT product_id, quantity FROM stock_reservations WHERE expires_at <= ?',
+      [now]
+    )
+
+    if (expired.length === 0) return []
+
+    await this.executeRunQuery('DELETE FROM stock_reservations WHERE expires_at <= ?', [now])
+
+    return this.releasedStockChanges(expired)
+  }
+
+  /**
+   * Turn released holds into old/new available stock per product
+   */
+  async releasedStockChanges(released) {
+    if (released.length === 0) return []
+
+    const releasedByProduct = new Map()
+    for (const hold of released) {
+      releasedByProduct.set(
+        hold.product_id,
+        (releasedByProduct.get(hold.product_id) || 0) + hold.quantity
+      )
+    }
+
+    const db = await this.getDB()
+    try {
+      const available = await this.getAvailableStock([...releasedByProduct.keys()], db)
+
+      return [...available.entries()].map(([productId, newStock]) => ({
+        productId,
+        oldStock: newStock - releasedByProduct.get(productId),
+        newStock,
+      }))
+    } finally {
+      await db.close()
+    }
+  }
+
+  /**
+   * Products whose available stock moved between two snapshots
+   */
+  diffAvailability(before, after) {
+    const changes = []
+
+    for (const [productId, newStock] of after.entries()) {
+      const oldStock = before.get(productId)
+      if (oldStock !== newStock) {
+        changes.push({ productId, oldStock, newStock })
+      }
+    }
+
+    return changes
+  }
+}
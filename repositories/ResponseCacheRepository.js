@@ -0,0 +1,78 @@
+import { BaseRepository } from './BaseRepository.js'
+
+export class ResponseCacheRepository extends BaseRepository {
+  constructor() {
+    super('api_response_cache')
+  }
+
+  async getEntry(cacheKey) {
+    return this.executeGetQuery('SELECT * FROM api_response_cache WHERE cache_key = ?', [cacheKey])
+  }
+
+  async saveEntry({ cacheKey, endpoint, body, fetchedAt, freshUntil, staleUntil }) {
+    await this.executeRunQuery(
+      `INSERT INTO api_response_cache (cache_key, endpoint, body, fetched_at, fresh_until, stale_until)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(cache_key) DO UPDATE SET
+         body = excluded.body,
+         fetched_at = excluded.fetched_at,
+         fresh_until = excluded.fresh_until,
+         stale_until = excluded.stale_until`,
+      [cacheKey, endpoint, body, fetchedAt, freshUntil, staleUntil]
+    )
+  }
+
+  /**
+   * Remove cached responses: one endpoint's (`discogs:release`), one
+   * source's (`discogs`), or everything
+   * @returns {Promise<number>} entries removed
+   */
+  async purge({ source = null, endpoint = null } = {}) {
+    const conditions = []
+    const params = []
+
+    if (endpoint) {
+      conditions.push('endpoint = ?')
+      params.push(endpoint)
+    }
+    if (source) {
+      conditions.push("endpoint LIKE ? || ':%'")
+      params.push(source)
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+    const { changes } = await this.executeRunQuery(
+      `DELETE FROM api_response_cache ${where}`,
+      params
+    )
+    return changes
+  }
+
+  /**
+   * Remove entries past their stale window
+   */
+  async deleteExpired(now) {
+    const { changes } = await this.executeRunQuery(
+      'DELETE FROM api_response_cache WHERE stale_until <= ?',
+      [now]
+    )
+    return changes
+  }
+
+  /**
+   * Entries per endpoint, split into fresh and stale
+   */
+  async getStats(now) {
+    return this.executeQuery(
+      `SELECT endpoint,
+         COUNT(*) AS entries,
+         SUM(CASE WHEN fresh_until > ? THEN 1 ELSE 0 END) AS fresh,
+         SUM(CASE WHEN fresh_until <= ? AND stale_until > ? THEN 1 ELSE 0 END) AS stale,
+         MIN(fetched_at) AS oldest
+       FROM api_response_cache
+       GROUP BY endpoint
+       ORDER BY endpoint`,
+      [now, now, now]
+    )
+  }
+}
@@ -0,0 +1,183 @@
+import { ConflictError, NotFoundError } from '../utils/errors.js'
+import { BaseRepository } from './BaseRepository.js'
+import { MODERATION_STATUS } from './ModerationRepository.js'
+import { ORDER_STATUS } from './OrderRepository.js'
+
+// Sort options for review listings -> ORDER BY clause
+export const REVIEW_SORTS = {
+  newest: 'r.created_at DESC, r.id DESC',
+  oldest: 'r.created_at ASC, r.id ASC',
+  rating_high: 'r.rating DESC, r.created_at DESC',
+  rating_low: 'r.rating ASC, r.created_at DESC',
+  verified: 'verified_purchase DESC, r.created_at DESC',
+}
+
+// A paid order containing the product earns the verified-purchase badge
+const VERIFIED_PURCHASE_SQL = `EXISTS (
+  SELECT 1 FROM orders o
+  JOIN order_items oi ON oi.order_id = o.id
+  WHERE o.user_id = r.user_id AND oi.product_id = r.product_id AND o.status = '${ORDER_STATUS.PAID}'
+)`
+
+export class ReviewRepository extends BaseRepository {
+  constructor() {
+    super('reviews')
+  }
+
+  /**
+   * A page of a product's approved reviews with reviewer name and verified-purchase flag
+   */
+  async listProductReviews(
+    productId,
+    { sort = 'newest', rating = null, limit = 10, offset = 0 } = {}
+  ) {
+    const params = [productId, MODERATION_STATUS.APPROVED]
+    let where = 'product_id = ? AND moderation_status = ?'
+
+    if (rating) {
+      where += ' AND rating = ?'
+      params.push(rating)
+    }
+
+    const rows = await this.executeQuery(
+      `SELECT r.*, u.username, ${VERIFIED_PURCHASE_SQL} as verified_purchase
+       FROM reviews r
+       JOIN users u ON r.user_id = u.id
+       WHERE ${where}
+       ORDER BY ${REVIEW_SORTS[sort] || REVIEW_SORTS.newest}
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    )
+    const total = await this.count(`WHERE ${where}`, params)
+
+    return {
+      reviews: rows.map((row) => this.normalizeReview(row)),
+      total,
+    }
+  }
+
+  /**
+   * Average rating, count and a 1-5 star histogram for a product's approved reviews
+   */
+  async getRatingSummary(productId) {
+    const rows = await this.executeQuery(
+      `SELECT rating, COUNT(*) as count FROM reviews
+       WHERE product_id = ? AND moderation_status = ?
+       GROUP BY rating`,
+      [productId, MODERATION_STATUS.APPROVED]
+    )
+
+    const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+    for (const row of rows) {
+      histogram[row.rating] = row.count
+    }
+
+    const reviewCount = rows.reduce((sum, row) => sum + row.count, 0)
+    const ratingTotal = rows.reduce((sum, row) => sum + row.rating * row.count, 0)
+
+    return {
+      averageRating: reviewCount ? parseFloat((ratingTotal / reviewCount).toFixed(2)) : 0,
+      reviewCount,
+      histogram,
+    }
+  }
+
+  /**
+   * The user's own review whatever its moderation status
+   */
+  async getUserReview(userId, productId) {
+    const row = await this.executeGetQuery(
+      `SELECT r.*, u.username, ${VERIFIED_PURCHASE_SQL} as verified_purchase
+       FROM reviews r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.user_id = ? AND r.product_id = ?`,
+      [userId, productId]
+    )
+    return row ? this.normalizeReview(row) : null
+  }
+
+  /**
+   * Create a user's review of a product (one per user per product)
+   * New reviews wait in the moderation queue until approved
+   */
+  async createReview(userId, productId, { rating, comment = null }) {
+    const product = await this.executeGetQuery('SELECT id FROM products WHERE id = ?', [productId])
+    if (!product) {
+      throw new NotFoundError('Product', productId)
+    }
+
+    if (await this.getUserReview(userId, productId)) {
+      throw new ConflictError(
+        'You have already reviewed this product; update it instead',
+        'productId'
+      )
+    }
+
+    const now = new Date().toISOString()
+    await this.create({
+      user_id: userId,
+      product_id: productId,
+      rating,
+      comment,
+      moderation_status: MODERATION_STATUS.PENDING,
+      created_at: now,
+      updated_at: now,
+    })
+
+    return this.getUserReview(userId, productId)
+  }
+
+  /**
+   * Edits go back through moderation
+   */
+  async updateReview(userId, productId, { rating, comment }) {
+    const existing = await this.getUserReview(userId, productId)
+    if (!existing) {
+      throw new NotFoundError('Review')
+    }
+
+    const updates = {
+      moderation_status: MODERATION_STATUS.PENDING,
+      moderation_reason: null,
+      updated_at: new Date().toISOString(),
+    }
+    if (rating !== undefined) updates.rating = rating
+    if (comment !== undefined) updates.comment = comment
+
+    await this.updateById(existing.id, updates)
+    return this.getUserReview(userId, productId)
+  }
+
+  async deleteReview(userId, productId) {
+    const existing = await this.getUserReview(userId, productId)
+    if (!existing) {
+      throw new NotFoundError('Review')
+    }
+
+    await this.deleteById(existing.id)
+    await this.executeRunQuery(
+      "DELETE FROM content_reports WHERE content_type = 'review' AND content_id = ?",
+      [existing.id]
+    )
+    return existing
+  }
+
+  /**
+   * Normalize review row for API response
+   */
+  normalizeReview(row) {
+    return {
+      id: row.id,
+      productId: row.product_id,
+      userId: row.user_id,
+      username: row.username,
+      rating: row.rating,
+      comment: row.comment,
+      verifiedPurchase: Boolean(row.verified_purchase),
+      moderationStatus: row.moderation_status,
+      moderationReason: row.moderation_reason,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    }
+  }
+}
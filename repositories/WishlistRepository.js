@@ -0,0 +1,187 @@
+import crypto from 'node:crypto'
+import { NotFoundError, ValidationError } from '../utils/errors.js'
+import { BaseRepository } from './BaseRepository.js'
+import { CartRepository } from './CartRepository.js'
+import { ProductRepository } from './ProductRepository.js'
+
+export class WishlistRepository extends BaseRepository {
+  constructor() {
+    super('wishlists')
+    this.cartRepository = new CartRepository()
+    this.productRepository = new ProductRepository()
+  }
+
+  /**
+   * A user's wishlisted products, most recently added first
+   */
+  async getWishlist(userId) {
+    const rows = await this.executeQuery(
+      `SELECT w.product_id, w.created_at, p.title, p.artist, p.price, p.image, p.genre, p.year, p.stock
+       FROM wishlists w
+       JOIN products p ON w.product_id = p.id
+       WHERE w.user_id = ?
+       ORDER BY w.created_at DESC, w.id DESC`,
+      [userId]
+    )
+    return rows.map((row) => this.normalizeItem(row))
+  }
+
+  async getWishlistItem(userId, productId) {
+    const row = await this.executeGetQuery(
+      `SELECT w.product_id, w.created_at, p.title, p.artist, p.price, p.image, p.genre, p.year, p.stock
+       FROM wishlists w
+       JOIN products p ON w.product_id = p.id
+       WHERE w.user_id = ? AND w.product_id = ?`,
+      [userId, productId]
+    )
+    return row ? this.normalizeItem(row) : null
+  }
+
+  /**
+   * Add a product to the wishlist (adding it again is a no-op)
+   * Returns the item and whether it was newly added
+   */
+  async addItem(userId, productId) {
+    const product = await this.executeGetQuery('SELECT id FROM products WHERE id = ?', [productId])
+    if (!product) {
+      throw new NotFoundError('Product', productId)
+    }
+
+    const { changes } = await this.executeRunQuery(
+      'INSERT OR IGNORE INTO wishlists (user_id, product_id, created_at) VALUES (?, ?, ?)',
+      [userId, productId, new Date().toISOString()]
+    )
+
+    return {
+      item: await this.getWishlistItem(userId, productId),
+      created: changes > 0,
+    }
+  }
+
+  async removeItem(userId, productId) {
+    const { changes } = await this.executeRunQuery(
+      'DELETE FROM wishlists WHERE user_id = ? AND product_id = ?',
+      [userId, productId]
+    )
+
+    if (changes === 0) {
+      throw new NotFoundError('Wishlist item', productId)
+    }
+  }
+
+  /**
+   * Move a wishlisted product into the cart: the cart line is added (subject
+   * to available stock) before the wishlist entry is removed
+   */
+  async moveToCart(userId, productId, quantity = 1) {
+    const item = await this.getWishlistItem(userId, productId)
+    if (!item) {
+      throw new NotFoundError('Wishlist item', productId)
+    }
+
+    const existing = await this.cartRepository.findOneWhere('user_id = ? AND product_id = ?', [
+      userId,
+      productId,
+    ])
+    const requested = (existing?.quantity || 0) + quantity
+    const availability = await this.productRepository.checkAvailability(
+      productId,
+      requested,
+      userId
+    )
+
+    if (!availability.available) {
+      const message =
+        availability.availableStock > 0
+          ? `Only ${availability.availableStock} of ${item.title} available`
+          : `${item.title} is out of stock`
+      throw new ValidationError(message, [
+        {
+          field: 'quantity',
+          message,
+          requested,
+          available: availability.availableStock,
+        },
+      ])
+    }
+
+    await this.cartRepository.addToCart(userId, productId, quantity)
+    await this.removeItem(userId, productId)
+
+    return { productId, title: item.title, quantity: requested }
+  }
+
+  /**
+   * The user's share token, creating one on first use
+   */
+  async enableSharing(userId) {
+    const user = await this.executeGetQuery('SELECT wishlist_share_token FROM users WHERE id = ?', [
+      userId,
+    ])
+    if (!user) {
+      throw new NotFoundError('User', userId)
+    }
+
+    if (user.wishlist_share_token) {
+      return user.wishlist_share_token
+    }
+
+    const token = crypto.randomBytes(16).toString('hex')
+    await this.executeRunQuery('UPDATE users SET wishlist_share_token = ? WHERE id = ?', [
+      token,
+      userId,
+    ])
+    return token
+  }
+
+  async getShareToken(userId) {
+    const user = await this.executeGetQuery('SELECT wishlist_share_token FROM users WHERE id = ?', [
+      userId,
+    ])
+    return user?.wishlist_share_token || null
+  }
+
+  /**
+   * Revoke the share link; old links stop working
+   */
+  async disableSharing(userId) {
+    await this.executeRunQuery('UPDATE users SET wishlist_share_token = NULL WHERE id = ?', [
+      userId,
+    ])
+  }
+
+  /**
+   * A shared wishlist by token (read-only, no login needed)
+   */
+  async getSharedWishlist(token) {
+    const owner = await this.executeGetQuery(
+      'SELECT id, name, username FROM users WHERE wishlist_share_token = ?',
+      [token]
+    )
+    if (!owner) {
+      throw new NotFoundError('Wishlist')
+    }
+
+    return {
+      owner: { name: owner.name || owner.username },
+      items: await this.getWishlist(owner.id),
+    }
+  }
+
+  /**
+   * Normalize wishlist row for API response
+   */
+  normalizeItem(row) {
+    return {
+      productId: row.product_id,
+      title: row.title,
+      artist: row.artist,
+      price: parseFloat(row.price),
+      image: row.image,
+      genre: row.genre,
+      year: row.year,
+      inStock: row.stock > 0,
+      addedAt: row.created_at,
+    }
+  }
+}
@@ -3,15 +3,64 @@
  */
 export { BaseRepository } from './BaseRepository.js'
 export { UserRepository } from './UserRepository.js'
-export { ProductRepository } from './ProductRepository.js'
+export {
+  ProductRepository,
+  CATALOG_FACETS,
+  PRICE_BANDS,
+} from './ProductRepository.js'
 export { CartRepository } from './CartRepository.js'
+export { OrderRepository, ORDER_STATUS } from './OrderRepository.js'
+export { ReservationRepository } from './ReservationRepository.js'
+export { GuestCartRepository, GUEST_CART_DAYS } from './GuestCartRepository.js'
+export { PromotionRepository } from './PromotionRepository.js'
+export { AlertRepository, ALERT_TYPES, ALERT_STATUS } from './AlertRepository.js'
+export { ReviewRepository, REVIEW_SORTS } from './ReviewRepository.js'
+export {
+  ModerationRepository,
+  MODERATION_STATUS,
+  MODERATED_CONTENT,
+} from './ModerationRepository.js'
+export { WishlistRepository } from './WishlistRepository.js'
+export {
+  MetadataBackfillRepository,
+  BACKFILL_STATUS,
+  LOOKUP_STATUS,
+  BACKFILL_ENTITIES,
+} from './MetadataBackfillRepository.js'
+export { ResponseCacheRepository } from './ResponseCacheRepository.js'
+export { DiscogsSyncRepository, SYNC_KINDS } from './DiscogsSyncRepository.js'
+export { CollectionRepository, VALUATION_STATUS, VALUE_SOURCES } from './CollectionRepository.js'
 
 // Import classes to create singleton instances
 import { UserRepository } from './UserRepository.js'
 import { ProductRepository } from './ProductRepository.js'
 import { CartRepository } from './CartRepository.js'
+import { OrderRepository } from './OrderRepository.js'
+import { ReservationRepository } from './ReservationRepository.js'
+import { GuestCartRepository } from './GuestCartRepository.js'
+import { PromotionRepository } from './PromotionRepository.js'
+import { AlertRepository } from './AlertRepository.js'
+import { ReviewRepository } from './ReviewRepository.js'
+import { ModerationRepository } from './ModerationRepository.js'
+import { WishlistRepository } from './WishlistRepository.js'
+import { MetadataBackfillRepository } from './MetadataBackfillRepository.js'
+import { ResponseCacheRepository } from './ResponseCacheRepository.js'
+import { DiscogsSyncRepository } from './DiscogsSyncRepository.js'
+import { CollectionRepository } from './CollectionRepository.js'
 
 // Create singleton instances for common use
 export const userRepository = new UserRepository()
 export const productRepository = new ProductRepository()
-export const cartRepository = new CartRepository()
\ No newline at end of file
+export const cartRepository = new CartRepository()
+export const orderRepository = new OrderRepository()
+export const reservationRepository = new ReservationRepository()
+export const guestCartRepository = new GuestCartRepository()
+export const promotionRepository = new PromotionRepository()
+export const alertRepository = new AlertRepository()
+export const reviewRepository = new ReviewRepository()
+export const moderationRepository = new ModerationRepository()
+export const wishlistRepository = new WishlistRepository()
+export const metadataBackfillRepository = new MetadataBackfillRepository()
+export const responseCacheRepository = new ResponseCacheRepository()
+export const discogsSyncRepository = new DiscogsSyncRepository()
+export const collectionRepository = new CollectionRepository()
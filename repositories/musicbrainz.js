@@ -8,30 +8,30 @@
  * Implements direct MB API calls for lookup operations not yet in the service.
  */
 
-import mbService from "../services/MusicBrainzService.js";
+import mbService, {
+  rateLimitedFetch as mbFetch,
+} from "../services/MusicBrainzService.js";
+import { getResponseCacheService } from "../services/ResponseCacheService.js";
 
 const BASE_URL = "https://musicbrainz.org/ws/2";
-const USER_AGENT = "SpiralSounds/1.0 (https://spiralsounds.com)";
-
-// Simple rate limiter: ensure at least 1100ms between requests
-let lastRequestTime = 0;
 
+// Same limiter as the service, so calls through either count against one limit
 async function rateLimitedFetch(url) {
-  const elapsed = Date.now() - lastRequestTime;
-  if (elapsed < 1100) {
-    await new Promise((resolve) => setTimeout(resolve, 1100 - elapsed));
-  }
-  lastRequestTime = Date.now();
-
-  const res = await fetch(url, {
-    headers: { "User-Agent": USER_AGENT, Accept: "application/json" },
-  });
+  const res = await mbFetch(url);
 
   if (!res.ok)
     throw new Error(`MusicBrainz error: ${res.status} ${res.statusText}`);
   return res.json();
 }
 
+// Lookups are served from the response cache when it has a usable copy;
+// `endpoint` picks the cache policy (musicbrainz:<endpoint>)
+function cachedFetch(endpoint, url) {
+  return getResponseCacheService().wrap(`musicbrainz:${endpoint}`, url, () =>
+    rateLimitedFetch(url),
+  );
+}
+
 function buildUrl(endpoint, params = {}) {
   const url = new URL(`${BASE_URL}/${endpoint}`);
   url.searchParams.set("fmt", "json");
@@ -57,7 +57,8 @@ export async function searchReleases(artist, album, limit = 20) {
  * @param {string} mbid - MusicBrainz release ID
  */
 export async function getRelease(mbid) {
-  return rateLimitedFetch(
+  return cachedFetch(
+    "release",
     buildUrl(`release/${mbid}`, {
       inc: "recordings+artists+labels+release-groups",
     }),
@@ -69,7 +70,8 @@ export async function getRelease(mbid) {
  * @param {string} mbid - MusicBrainz artist ID
  */
 export async function getArtist(mbid) {
-  return rateLimitedFetch(
+  return cachedFetch(
+    "artist",
     buildUrl(`artist/${mbid}`, { inc: "release-groups" }),
   );
 }
@@ -79,7 +81,8 @@ export async function getArtist(mbid) {
  * @param {string} mbid - MusicBrainz release-group ID
  */
 export async function getReleaseGroup(mbid) {
-  return rateLimitedFetch(
+  return cachedFetch(
+    "releaseGroup",
     buildUrl(`release-group/${mbid}`, { inc: "artist-credits+releases" }),
   );
 }
@@ -90,11 +93,31 @@ export async function getReleaseGroup(mbid) {
  * @param {number} [limit=5]
  */
 export async function lookupByBarcode(barcode, limit = 5) {
-  return rateLimitedFetch(
+  return cachedFetch(
+    "barcode",
     buildUrl("release", { query: `barcode:${barcode}`, limit }),
   );
 }
 
+/**
+ * Search releases by artist + album title, with match scores.
+ * Unlike searchReleases, a failed request throws instead of reading as
+ * "no results", for callers that record what MusicBrainz doesn't know.
+ * @param {string} artist
+ * @param {string} album
+ * @param {number} [limit=5]
+ */
+export async function findReleases(artist, album, limit = 5) {
+  const quote = (value) => `"${String(value).replace(/[\\"]/g, "\\$&")}"`;
+  return cachedFetch(
+    "search",
+    buildUrl("release", {
+      query: `release:${quote(album)} AND artist:${quote(artist)}`,
+      limit,
+    }),
+  );
+}
+
 /**
  * Get cover art images for a release MBID.
  * Delegates to MusicBrainzService.
@@ -104,6 +127,15 @@ export async function getCoverArt(mbid) {
   return mbService.getCoverArt(mbid);
 }
 
+/**
+ * Get cover art images for a release-group MBID.
+ * Delegates to MusicBrainzService.
+ * @param {string} mbid
+ */
+export async function getReleaseGroupCoverArt(mbid) {
+  return mbService.getReleaseGroupCoverArt(mbid);
+}
+
 /**
  * Get the front cover art URL for artist + album.
  * Delegates to MusicBrainzService.
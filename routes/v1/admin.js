@@ -0,0 +1,101 @@
+import express from 'express'
+import {
+  getValuationStatus,
+  startValuation,
+} from '../../controllers/collectionValuationController.js'
+import {
+  getBackfillProgress,
+  pauseBackfill,
+  startBackfill,
+} from '../../controllers/metadataBackfillController.js'
+import { exportProducts, importProducts } from '../../controllers/productImportController.js'
+import { getCacheStats, purgeCache } from '../../controllers/responseCacheController.js'
+import { PERMISSIONS, requireAdmin, requirePermission } from '../../middleware/rbac.js'
+import { requireAuth } from '../../middleware/requireAuth.js'
+
+export const adminRouter = express.Router()
+
+/**
+ * Bulk catalog management: creating and updating products in one go
+ * @access Admin (product:create and product:update)
+ */
+adminRouter.use(
+  '/products',
+  requireAuth,
+  requirePermission(PERMISSIONS.PRODUCT_CREATE),
+  requirePermission(PERMISSIONS.PRODUCT_UPDATE)
+)
+
+/**
+ * POST /api/v1/admin/products/import?dryRun=false
+ * Create or update products from a CSV document (text/csv) or JSON
+ * (an array, or { products: [...] }), matched on sku, barcode or discogs_id.
+ * A dry run unless dryRun=false.
+ */
+adminRouter.post(
+  '/products/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  importProducts
+)
+
+/**
+ * GET /api/v1/admin/products/export?format=csv|json
+ * Stream the whole catalog in the import's format
+ */
+adminRouter.get('/products/export', exportProducts)
+
+/**
+ * Missing covers, years and labels filled in from MusicBrainz and the Cover Art Archive
+ * @access Admin
+ */
+adminRouter.use('/backfill', requireAuth, requireAdmin)
+
+/**
+ * GET /api/v1/admin/backfill/musicbrainz
+ * Progress of the latest run and the fields most recently filled in
+ */
+adminRouter.get('/backfill/musicbrainz', getBackfillProgress)
+
+/**
+ * POST /api/v1/admin/backfill/musicbrainz
+ * Start a run in the background, or resume a paused or interrupted one
+ */
+adminRouter.post('/backfill/musicbrainz', startBackfill)
+
+/**
+ * POST /api/v1/admin/backfill/musicbrainz/pause
+ * Stop after the current record
+ */
+adminRouter.post('/backfill/musicbrainz/pause', pauseBackfill)
+
+/**
+ * Scheduled collection valuation from Discogs price suggestions
+ * @access Admin
+ */
+adminRouter.use('/valuation', requireAuth, requireAdmin)
+
+/**
+ * GET /api/v1/admin/valuation
+ * The latest run and the last one that completed
+ */
+adminRouter.get('/valuation', getValuationStatus)
+
+/**
+ * POST /api/v1/admin/valuation
+ * Value every collection now instead of waiting for the schedule
+ */
+adminRouter.post('/valuation', startValuation)
+
+/**
+ * GET /api/v1/admin/cache
+ * Cached Discogs and MusicBrainz responses per endpoint, with each endpoint's TTLs
+ * @access Admin
+ */
+adminRouter.get('/cache', requireAuth, requireAdmin, getCacheStats)
+
+/**
+ * DELETE /api/v1/admin/cache?source=discogs|musicbrainz&endpoint=discogs:release
+ * Drop cached responses (all of them without a filter) so the next lookups go upstream
+ * @access Admin
+ */
+adminRouter.delete('/cache', requireAuth, requireAdmin, purgeCache)
@@ -0,0 +1,8 @@
+import express from 'express'
+import { unsubscribe } from '../../controllers/alertController.js'
+
+export const alertsRouter = express.Router()
+
+// Unsubscribe links in alert emails (the token stands in for a login)
+alertsRouter.get('/unsubscribe', unsubscribe)
+alertsRouter.post('/unsubscribe', unsubscribe)
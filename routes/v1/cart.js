@@ -4,25 +4,41 @@ import {
   getCartCount, 
   getAll, 
   deleteItem, 
-  deleteAll 
+  deleteAll,
+  updateCartItem,
+  getCartSummary,
+  applyCoupon,
+  removeCoupon
 } from '../../controllers/cartController.js'
+import * as guest from '../../controllers/guestCartController.js'
+import { checkoutCart, startCheckout } from '../../controllers/orderController.js'
+import { forGuests, resolveGuestCart } from '../../middleware/guestCart.js'
 import { requireAuth } from '../../middleware/requireAuth.js'
+import { optionalAuth } from '../../utils/jwt.js'
+import { cartItemUpdateSchema, checkoutSchema, couponSchema, validate } from '../../utils/validation.js'
 
 export const cartRouter = express.Router()
 
-// All cart endpoints require authentication
-cartRouter.use(requireAuth)
+// Logged-in shoppers use their account cart; everyone else gets a cookie-keyed guest cart
+cartRouter.use(optionalAuth, resolveGuestCart)
 
 // Cart management endpoints
-cartRouter.get('/', getAll)
-cartRouter.post('/items', addToCart)
-cartRouter.delete('/items/:itemId', deleteItem)
-cartRouter.delete('/items', deleteAll)
+cartRouter.get('/', forGuests(guest.getAll), getAll)
+cartRouter.post('/items', forGuests(guest.addToCart), addToCart)
+cartRouter.put('/items/:itemId', validate(cartItemUpdateSchema), forGuests(guest.updateCartItem), updateCartItem)
+cartRouter.delete('/items/:itemId', forGuests(guest.deleteItem), deleteItem)
+cartRouter.delete('/items', forGuests(guest.deleteAll), deleteAll)
 
-// Cart summary endpoints
-cartRouter.get('/count', getCartCount)
+// Cart summary endpoints (?country=&region=&postalCode=&shippingMethod= price shipping and tax)
+cartRouter.get('/count', forGuests(guest.getCartCount), getCartCount)
+cartRouter.get('/summary', forGuests(guest.getCartSummary), getCartSummary)
 
-// Future cart endpoints
-// cartRouter.put('/items/:itemId', updateCartItem) // Update quantity
-// cartRouter.post('/checkout', checkoutCart) // Checkout process
-// cartRouter.get('/summary', getCartSummary) // Total price, tax, etc.
\ No newline at end of file
+// Coupons (usage limits are per account, so guests must log in first)
+cartRouter.post('/coupon', requireAuth, validate(couponSchema), applyCoupon)
+cartRouter.delete('/coupon', requireAuth, removeCoupon)
+
+// Checkout start (reserves cart stock for RESERVATION_MINUTES)
+cartRouter.post('/checkout/start', requireAuth, startCheckout)
+
+// Checkout (validates stock, creates order with shipping and tax, clears cart)
+cartRouter.post('/checkout', requireAuth, validate(checkoutSchema), checkoutCart)
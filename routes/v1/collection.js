@@ -22,6 +22,7 @@ import {
   recordValueSnapshot,
   getValueHistory
 } from '../../controllers/collectionController.js'
+import { importCollection, exportCollection } from '../../controllers/collectionImportController.js'
 
 export const collectionRouter = express.Router()
 
@@ -95,6 +96,29 @@ collectionRouter.get('/value-history', getValueHistory)
  */
 collectionRouter.post('/value-snapshot', recordValueSnapshot)
 
+/**
+ * @route POST /api/v1/collection/import
+ * @desc Import a Discogs collection export (CSV, or a JSON array with its column names)
+ * @query dryRun - Preview only (default); pass false to add the records
+ * @body Catalog#, Artist, Title, Label, Format, Rating, Released, release_id,
+ *   CollectionFolder, Date Added, Collection Media Condition,
+ *   Collection Sleeve Condition, Collection Notes
+ * @access Private
+ */
+collectionRouter.post(
+  '/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  importCollection
+)
+
+/**
+ * @route GET /api/v1/collection/export
+ * @desc Export the collection in Discogs' collection export format
+ * @query format - csv (default) or json
+ * @access Private
+ */
+collectionRouter.get('/export', exportCollection)
+
 // ========== Folders (static routes) ==========
 
 /**
@@ -16,8 +16,13 @@ import {
   getMarketplaceListings,
   getPriceSuggestions,
   getGradingSystem,
-  importRelease
+  importRelease,
+  importReleases
 } from '../../controllers/discogsController.js'
+import { discogsOAuthCallback } from '../../controllers/discogsSyncController.js'
+import { PERMISSIONS, requirePermission } from '../../middleware/rbac.js'
+import { authenticateToken as requireAuth } from '../../utils/jwt.js'
+import { discogsBatchImportSchema, discogsImportSchema, validate } from '../../utils/validation.js'
 
 export const discogsRouter = express.Router()
 
@@ -71,12 +76,34 @@ discogsRouter.get('/releases/:id/prices', getPriceSuggestions)
 
 /**
  * @route POST /api/v1/discogs/releases/:id/import
- * @desc Import release data for creating a local product
+ * @desc Create a store product from a release (cover stored locally); an
+ *   already-listed release returns the existing product
  * @param id - Discogs release ID
- * @body Additional product data (price, stock, etc.)
- * @access Public
+ * @body price, stock - Optional overrides for the suggested price and stock of 1
+ * @access Admin (product:create)
  */
-discogsRouter.post('/releases/:id/import', importRelease)
+discogsRouter.post(
+  '/releases/:id/import',
+  requireAuth,
+  requirePermission(PERMISSIONS.PRODUCT_CREATE),
+  validate(discogsImportSchema),
+  importRelease
+)
+
+/**
+ * @route POST /api/v1/discogs/import
+ * @desc Import many releases as store products, reporting each one
+ * @body releases - Release IDs or { releaseId, price, stock } (up to 100), or
+ * @body inventory - A Discogs seller inventory export (CSV)
+ * @access Admin (product:create)
+ */
+discogsRouter.post(
+  '/import',
+  requireAuth,
+  requirePermission(PERMISSIONS.PRODUCT_CREATE),
+  validate(discogsBatchImportSchema),
+  importReleases
+)
 
 /**
  * @route GET /api/v1/discogs/masters/:id
@@ -140,3 +167,13 @@ discogsRouter.get('/labels/:id', getLabel)
  * @access Public
  */
 discogsRouter.get('/grading', getGradingSystem)
+
+/**
+ * @route GET /api/v1/discogs/oauth/callback
+ * @desc Where Discogs sends users back after they authorize (or decline)
+ *       linking their account; redirects to the account settings page
+ * @query oauth_token - Request token from POST /api/v1/me/discogs/connect
+ * @query oauth_verifier - Verifier Discogs adds once the user authorizes
+ * @access Public (the request token identifies the user)
+ */
+discogsRouter.get('/oauth/callback', discogsOAuthCallback)
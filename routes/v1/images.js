@@ -0,0 +1,43 @@
+import express from 'express'
+import { uploadCollectionImage, uploadProductImage } from '../../controllers/imageController.js'
+import { PERMISSIONS, requirePermission } from '../../middleware/rbac.js'
+import { requireAuth } from '../../middleware/requireAuth.js'
+import { getImageStorageService, IMAGE_TYPES } from '../../services/ImageStorageService.js'
+import { ValidationError } from '../../utils/errors.js'
+
+export const imagesRouter = express.Router()
+
+// Raw image bytes, capped at the storage limit
+function readImage(req, res, next) {
+  const { maxBytes } = getImageStorageService()
+  const parse = express.raw({ type: Object.keys(IMAGE_TYPES), limit: maxBytes })
+
+  parse(req, res, (err) => {
+    if (err?.type === 'entity.too.large') {
+      return next(
+        new ValidationError(`Image is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`)
+      )
+    }
+    next(err)
+  })
+}
+
+/**
+ * POST /api/v1/images/products
+ * Upload a product image; set the returned path as the product's `image`
+ * @access Staff (product:update)
+ */
+imagesRouter.post(
+  '/products',
+  requireAuth,
+  requirePermission(PERMISSIONS.PRODUCT_UPDATE),
+  readImage,
+  uploadProductImage
+)
+
+/**
+ * POST /api/v1/images/collection
+ * Upload a cover for a collection or wantlist item (its `cover_image`)
+ * @access Private
+ */
+imagesRouter.post('/collection', requireAuth, readImage, uploadCollectionImage)
@@ -7,6 +7,13 @@ import { analyticsRouter } from "./analytics.js";
 import { discogsRouter } from "./discogs.js";
 import { collectionRouter } from "./collection.js";
 import { catalogRouter } from "./catalog.js";
+import { paymentsRouter } from "./payments.js";
+import { promotionsRouter } from "./promotions.js";
+import { alertsRouter } from "./alerts.js";
+import { moderationRouter } from "./moderation.js";
+import { wishlistsRouter } from "./wishlists.js";
+import { adminRouter } from "./admin.js";
+import { imagesRouter } from "./images.js";
 
 export const v1Router = express.Router();
 
@@ -19,6 +26,13 @@ v1Router.use("/analytics", analyticsRouter);
 v1Router.use("/discogs", discogsRouter);
 v1Router.use("/collection", collectionRouter);
 v1Router.use("/catalog", catalogRouter);
+v1Router.use("/payments", paymentsRouter);
+v1Router.use("/promotions", promotionsRouter);
+v1Router.use("/alerts", alertsRouter);
+v1Router.use("/moderation", moderationRouter);
+v1Router.use("/wishlists", wishlistsRouter);
+v1Router.use("/admin", adminRouter);
+v1Router.use("/images", imagesRouter);
 
 // API v1 Health check
 v1Router.get("/health", (req, res) => {
@@ -46,6 +60,13 @@ v1Router.get("/info", (req, res) => {
       discogs: "/api/v1/discogs",
       collection: "/api/v1/collection",
       catalog: "/api/v1/catalog",
+      payments: "/api/v1/payments",
+      promotions: "/api/v1/promotions",
+      alerts: "/api/v1/alerts",
+      moderation: "/api/v1/moderation",
+      wishlists: "/api/v1/wishlists",
+      admin: "/api/v1/admin",
+      images: "/api/v1/images",
     },
     documentation: "/api/v1/docs", // Future Swagger docs
   });
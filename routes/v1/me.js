@@ -1,6 +1,28 @@
 import express from 'express'
+import { deleteMyAlerts, getMyAlerts } from '../../controllers/alertController.js'
+import {
+  connectDiscogs,
+  disconnectDiscogs,
+  getDiscogsConnection,
+  syncDiscogs,
+} from '../../controllers/discogsSyncController.js'
 import { getCurrentUser } from '../../controllers/meController.js'
+import { getUserOrderById, getUserOrders } from '../../controllers/orderController.js'
+import {
+  addToWishlist,
+  getWishlist,
+  moveToCart,
+  removeFromWishlist,
+  shareWishlist,
+  unshareWishlist,
+} from '../../controllers/wishlistController.js'
 import { requireAuth } from '../../middleware/requireAuth.js'
+import {
+  discogsSyncSchema,
+  validate,
+  wishlistItemSchema,
+  wishlistMoveSchema,
+} from '../../utils/validation.js'
 
 export const meRouter = express.Router()
 
@@ -10,9 +32,30 @@ meRouter.use(requireAuth)
 // User profile endpoints
 meRouter.get('/', getCurrentUser)
 
+// Order history endpoints
+meRouter.get('/orders', getUserOrders)
+meRouter.get('/orders/:id', getUserOrderById)
+
+// Product alert subscriptions
+meRouter.get('/alerts', getMyAlerts)
+meRouter.delete('/alerts', deleteMyAlerts)
+
+// Wishlist (share routes before /:productId so "share" isn't read as an ID)
+meRouter.get('/wishlist', getWishlist)
+meRouter.post('/wishlist', validate(wishlistItemSchema), addToWishlist)
+meRouter.post('/wishlist/share', shareWishlist)
+meRouter.delete('/wishlist/share', unshareWishlist)
+meRouter.delete('/wishlist/:productId', removeFromWishlist)
+meRouter.post('/wishlist/:productId/move-to-cart', validate(wishlistMoveSchema), moveToCart)
+
+// Linked Discogs account: connect over OAuth, then sync collection and wantlist
+meRouter.get('/discogs', getDiscogsConnection)
+meRouter.delete('/discogs', disconnectDiscogs)
+meRouter.post('/discogs/connect', connectDiscogs)
+meRouter.post('/discogs/sync', validate(discogsSyncSchema), syncDiscogs)
+
 // Future user management endpoints
 // meRouter.put('/', updateUserProfile)
 // meRouter.put('/password', changePassword)
 // meRouter.delete('/', deleteAccount)
-// meRouter.get('/activity', getUserActivity)
-// meRouter.get('/orders', getUserOrders)
\ No newline at end of file
+// meRouter.get('/activity', getUserActivity)
\ No newline at end of file
@@ -0,0 +1,38 @@
+import express from 'express'
+import {
+  approveContent,
+  getQueue,
+  rejectContent,
+  reportContent,
+} from '../../controllers/moderationController.js'
+import { PERMISSIONS, requirePermission } from '../../middleware/rbac.js'
+import { requireAuth } from '../../middleware/requireAuth.js'
+import {
+  moderationRejectSchema,
+  moderationSchema,
+  reportSchema,
+  validate,
+} from '../../utils/validation.js'
+
+export const moderationRouter = express.Router()
+
+const requireModeration = requirePermission(PERMISSIONS.MODERATION_MANAGE)
+
+moderationRouter.use(requireAuth)
+
+// Any user can report content (e.g. POST /moderation/review/12/report)
+moderationRouter.post('/:type/:id/report', validate(reportSchema), reportContent)
+
+moderationRouter.get('/queue', requireModeration, getQueue)
+moderationRouter.post(
+  '/:type/:id/approve',
+  requireModeration,
+  validate(moderationSchema),
+  approveContent
+)
+moderationRouter.post(
+  '/:type/:id/reject',
+  requireModeration,
+  validate(moderationRejectSchema),
+  rejectContent
+)
@@ -0,0 +1,11 @@
+import express from 'express'
+import { createPaymentIntent, handleWebhook } from '../../controllers/paymentController.js'
+import { requireAuth } from '../../middleware/requireAuth.js'
+
+export const paymentsRouter = express.Router()
+
+// Stripe signs the exact bytes it sent, so the webhook must see the unparsed body
+paymentsRouter.post('/webhook', express.raw({ type: 'application/json' }), handleWebhook)
+
+// Start payment for a pending order
+paymentsRouter.post('/intent', requireAuth, createPaymentIntent)
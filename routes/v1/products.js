@@ -1,6 +1,32 @@
 import express from 'express'
-import { getGenres, getProducts, getSearchSuggestions, trackSearch, trackProductClick } from '../../controllers/productsController.js'
-import { authenticateToken as requireAuth } from '../../utils/jwt.js'
+import {
+  getGenres,
+  getProducts,
+  getSearchSuggestions,
+  trackSearch,
+  trackProductClick,
+  getProductById,
+  createProduct,
+  updateProduct,
+  deleteProduct
+} from '../../controllers/productsController.js'
+import { createAlert, deleteAlert, getProductAlerts } from '../../controllers/alertController.js'
+import {
+  createReview,
+  deleteReview,
+  getProductReviews,
+  updateReview
+} from '../../controllers/reviewController.js'
+import { PERMISSIONS, requirePermission } from '../../middleware/rbac.js'
+import { optionalAuth, authenticateToken as requireAuth } from '../../utils/jwt.js'
+import {
+  alertSchema,
+  productSchema,
+  productUpdateSchema,
+  reviewSchema,
+  reviewUpdateSchema,
+  validate
+} from '../../utils/validation.js'
 
 export const productsRouter = express.Router()
 
@@ -15,8 +41,22 @@ productsRouter.get('/search/suggestions', getSearchSuggestions)
 productsRouter.post('/analytics/search', trackSearch)
 productsRouter.post('/analytics/click', trackProductClick)
 
-// Future product management endpoints (admin only)
-// productsRouter.post('/', requireAuth, requireAdmin, createProduct)
-// productsRouter.put('/:id', requireAuth, requireAdmin, updateProduct)
-// productsRouter.delete('/:id', requireAuth, requireAdmin, deleteProduct)
-// productsRouter.get('/:id', getProductById)
\ No newline at end of file
+// Product management endpoints (admin only)
+productsRouter.post('/', requireAuth, requirePermission(PERMISSIONS.PRODUCT_CREATE), validate(productSchema), createProduct)
+productsRouter.put('/:id', requireAuth, requirePermission(PERMISSIONS.PRODUCT_UPDATE), validate(productSchema), updateProduct)
+productsRouter.patch('/:id', requireAuth, requirePermission(PERMISSIONS.PRODUCT_UPDATE), validate(productUpdateSchema), updateProduct)
+productsRouter.delete('/:id', requireAuth, requirePermission(PERMISSIONS.PRODUCT_DELETE), deleteProduct)
+
+// Back-in-stock and price-drop alerts for the current user
+productsRouter.get('/:id/alerts', requireAuth, getProductAlerts)
+productsRouter.post('/:id/alerts', requireAuth, validate(alertSchema), createAlert)
+productsRouter.delete('/:id/alerts/:alertId', requireAuth, deleteAlert)
+
+// Reviews (PUT/DELETE act on the current user's own review)
+productsRouter.get('/:id/reviews', optionalAuth, getProductReviews)
+productsRouter.post('/:id/reviews', requireAuth, validate(reviewSchema), createReview)
+productsRouter.put('/:id/reviews', requireAuth, validate(reviewUpdateSchema), updateReview)
+productsRouter.delete('/:id/reviews', requireAuth, deleteReview)
+
+// Keep last so it doesn't shadow the named routes above
+productsRouter.get('/:id', getProductById)
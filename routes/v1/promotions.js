@@ -0,0 +1,22 @@
+import express from 'express'
+import {
+  createPromotion,
+  deletePromotion,
+  getPromotion,
+  listPromotions,
+  updatePromotion,
+} from '../../controllers/promotionController.js'
+import { PERMISSIONS, requirePermission } from '../../middleware/rbac.js'
+import { requireAuth } from '../../middleware/requireAuth.js'
+import { promotionSchema, validate } from '../../utils/validation.js'
+
+export const promotionsRouter = express.Router()
+
+// Promotion management is admin-only
+promotionsRouter.use(requireAuth, requirePermission(PERMISSIONS.PROMOTION_MANAGE))
+
+promotionsRouter.get('/', listPromotions)
+promotionsRouter.post('/', validate(promotionSchema), createPromotion)
+promotionsRouter.get('/:id', getPromotion)
+promotionsRouter.put('/:id', validate(promotionSchema), updatePromotion)
+promotionsRouter.delete('/:id', deletePromotion)
@@ -0,0 +1,7 @@
+import express from 'express'
+import { getSharedWishlist } from '../../controllers/wishlistController.js'
+
+export const wishlistsRouter = express.Router()
+
+// Read-only shared wishlists (the link token stands in for a login)
+wishlistsRouter.get('/:token', getSharedWishlist)
@@ -7,6 +7,7 @@ import dotenv from 'dotenv'
 import compression from 'compression'
 import morgan from 'morgan'
 import cookieParser from 'cookie-parser'
+import path from 'node:path'
 import { sanitizeRequestBody } from './utils/sanitization.js'
 
 // Load environment variables
@@ -40,7 +41,8 @@ app.use(helmet({
       defaultSrc: ["'self'"],
       styleSrc: ["'self'", "'unsafe-inline'", "fonts.googleapis.com"],
       fontSrc: ["'self'", "fonts.gstatic.com"],
-      imgSrc: ["'self'", "data:", "https:"],
+      // Covers are stored locally (see ImageStorageService), so no remote images
+      imgSrc: ["'self'", "data:"],
       scriptSrc: ["'self'"],
       connectSrc: ["'self'"],
     },
@@ -59,7 +61,9 @@ const limiter = rateLimit({
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
   message: {
     error: 'Too many requests from this IP, please try again later.'
-  }
+  },
+  // Stripe retries webhooks from a handful of IPs; throttling them would drop payment updates
+  skip: (req) => req.originalUrl.startsWith('/api/v1/payments/webhook')
 })
 app.use('/api/', limiter)
 
@@ -78,6 +82,8 @@ app.use('/api/auth/forgot-password', authLimiter)
 
 // Body parsing and compression
 app.use(compression())
+// Stripe webhooks are verified against the raw body, so they must skip the JSON parser
+app.use('/api/v1/payments/webhook', express.raw({ type: 'application/json' }))
 app.use(express.json({ limit: '10mb' }))
 app.use(express.urlencoded({ extended: true }))
 app.use(cookieParser())
@@ -104,6 +110,14 @@ app.use(session({
 
 
 
+// Stored covers are named by content hash, so they never change
+for (const folder of IMAGE_FOLDERS) {
+  app.use(
+    `/images/${folder}`,
+    express.static(path.join(getImageStorageService().rootDir, folder), { immutable: true, maxAge: '1y' })
+  )
+}
+
 app.use(express.static('public'))
 
 // Import error handlers and migrations
@@ -112,6 +126,12 @@ import { runMigrations } from './migrate.js'
 import { runSeeding } from './seed.js'
 import { initializeSocketManager } from './websocket/socketManager.js'
 import AnalyticsService from './services/AnalyticsService.js'
+import { getReservationService } from './services/ReservationService.js'
+import { IMAGE_FOLDERS, getImageStorageService } from './services/ImageStorageService.js'
+import { getMetadataBackfillService } from './services/MetadataBackfillService.js'
+import { getCollectionValuationService } from './services/CollectionValuationService.js'
+import { getResponseCacheService } from './services/ResponseCacheService.js'
+import { guestCartRepository } from './repositories/index.js'
 import { createServer } from 'http'
 
 // Import versioned API routes
@@ -178,6 +198,32 @@ async function startServer() {
     const analyticsInterval = await AnalyticsService.startRealtimeAnalytics()
     logger.info('📊 Real-time analytics started')
 
+    // Release checkout holds once they expire
+    const reservationInterval = getReservationService().startSweeper()
+    logger.info('⏳ Stock reservation sweeper started')
+
+    // Store any remaining remote covers locally and drop unused images
+    const imageCleanupInterval = getImageStorageService().startCleanup()
+    logger.info('🖼️ Image cleanup scheduled')
+
+    // Drop cached Discogs and MusicBrainz responses past their stale window
+    const responseCacheInterval = getResponseCacheService().startSweeper()
+    logger.info('🗃️ Response cache sweeper started')
+
+    // Price collections from Discogs once a day and snapshot their value
+    const valuationInterval = getCollectionValuationService().startScheduler()
+    logger.info('💰 Collection valuation scheduled')
+
+    // Pick up a MusicBrainz backfill the last shutdown stopped partway
+    await getMetadataBackfillService().resumeInterrupted()
+
+    // Guest carts outlive their cookie otherwise
+    const guestCartInterval = setInterval(() => {
+      guestCartRepository.deleteStale().catch((err) => {
+        logger.error('Error purging stale guest carts:', err)
+      })
+    }, 24 * 60 * 60 * 1000)
+
     // Start server
     server.listen(PORT, () => {
       logger.info(`🚀 Spiral Sounds server running at http://localhost:${PORT}`)
@@ -195,6 +241,15 @@ async function startServer() {
       if (analyticsInterval) {
         clearInterval(analyticsInterval)
       }
+
+      if (reservationInterval) {
+        clearInterval(reservationInterval)
+      }
+
+      clearInterval(guestCartInterval)
+      clearInterval(imageCleanupInterval)
+      clearInterval(responseCacheInterval)
+      clearInterval(valuationInterval)
       
       if (socketManager) {
         socketManager.destroy()
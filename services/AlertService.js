@@ -0,0 +1,107 @@
+/**
+ * Alert Service
+ * Fires back-in-stock and price-drop subscriptions when a product changes,
+ * delivering each alert by email and as an in-app notification
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { ALERT_TYPES, alertRepository } from '../repositories/index.js'
+import { emailService as defaultEmailService } from '../utils/emailService.js'
+import { getSocketManager } from '../websocket/socketManager.js'
+
+export class AlertService {
+  constructor(options = {}) {
+    this.emailService = options.emailService || defaultEmailService
+    this.socketManager = options.socketManager || null
+  }
+
+  /**
+   * Restock alerts fire when a product goes from none available to some
+   */
+  async handleStockChange(productId, newStock, oldStock) {
+    if (!(oldStock <= 0 && newStock > 0)) {
+      return []
+    }
+
+    const alerts = await alertRepository.claimRestockAlerts(productId)
+    await this.deliver(alerts)
+    return alerts
+  }
+
+  /**
+   * Price alerts fire when a price drop reaches the subscriber's target
+   */
+  async handlePriceChange(productId, newPrice, oldPrice) {
+    if (!(newPrice < oldPrice)) {
+      return []
+    }
+
+    const alerts = await alertRepository.claimPriceAlerts(productId, newPrice)
+    await this.deliver(alerts)
+    return alerts
+  }
+
+  /**
+   * Check both alert types against a product's before/after rows
+   */
+  async handleProductUpdate(before, after) {
+    const restocks = await this.handleStockChange(after.id, after.stock, before.stock)
+    const priceDrops = await this.handlePriceChange(
+      after.id,
+      parseFloat(after.price),
+      parseFloat(before.price)
+    )
+    return [...restocks, ...priceDrops]
+  }
+
+  /**
+   * Fire-and-forget wrapper for request handlers; delivery never fails the request
+   */
+  dispatch(promise) {
+    promise.catch((error) => {
+      logger.error('Error dispatching product alerts:', error)
+    })
+  }
+
+  async deliver(alerts) {
+    const socketManager = this.socketManager || getSocketManager()
+
+    for (const alert of alerts) {
+      const message =
+        alert.type === ALERT_TYPES.RESTOCK
+          ? `${alert.product.title} is back in stock`
+          : `${alert.product.title} dropped to $${alert.product.price.toFixed(2)}`
+
+      if (socketManager) {
+        socketManager.sendNotification(alert.userId, {
+          type: 'PRODUCT_ALERT',
+          alertType: alert.type,
+          alertId: alert.id,
+          productId: alert.productId,
+          title: alert.type === ALERT_TYPES.RESTOCK ? 'Back in stock' : 'Price drop',
+          message,
+          price: alert.product.price,
+          stock: alert.product.stock,
+        })
+      }
+
+      if (alert.email) {
+        await this.emailService.sendProductAlertEmail(alert.email, alert.userName, alert)
+      }
+
+      logger.info(`Delivered ${alert.type} alert ${alert.id} to user ${alert.userId}`)
+    }
+  }
+}
+
+// Singleton instance
+let alertService = null
+
+export function getAlertService(options = {}) {
+  if (!alertService || Object.keys(options).length > 0) {
+    alertService = new AlertService(options)
+  }
+  return alertService
+}
+
+export default AlertService
@@ -1,6 +1,13 @@
 import { getDBConnection } from '../db/db.js'
 import { getSocketManager } from '../websocket/socketManager.js'
 import { logger } from '../middleware/errorHandler.js'
+import { ORDER_STATUS } from '../repositories/OrderRepository.js'
+
+// Only paid orders count as sales; pending, failed and refunded orders are excluded
+const COMPLETED = ORDER_STATUS.PAID
+
+// A cart untouched for this long without a checkout counts as abandoned
+const ABANDONED_CART_HOURS = 24
 
 export class AnalyticsService {
   static async getDashboardData() {
@@ -14,7 +21,8 @@ export class AnalyticsService {
         userBehavior,
         revenueData,
         inventoryStatus,
-        recentActivity
+        recentActivity,
+        cartActivity
       ] = await Promise.all([
         this.getSalesOverview(db),
         this.getTopProducts(db),
@@ -22,7 +30,8 @@ export class AnalyticsService {
         this.getUserBehavior(db),
         this.getRevenueData(db),
         this.getInventoryStatus(db),
-        this.getRecentActivity(db)
+        this.getRecentActivity(db),
+        this.getCartActivity(db)
       ])
 
       return {
@@ -33,6 +42,7 @@ export class AnalyticsService {
         revenueData,
         inventoryStatus,
         recentActivity,
+        cartActivity,
         lastUpdated: new Date().toISOString()
       }
     } finally {
@@ -43,42 +53,31 @@ export class AnalyticsService {
   static async getSalesOverview(db) {
     const today = new Date().toISOString().split('T')[0]
     const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
-    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+
+    const periodQuery = `
+      SELECT 
+        COUNT(DISTINCT o.user_id) as total_customers,
+        COUNT(o.id) as total_orders,
+        SUM(o.total) as total_revenue,
+        AVG(o.total) as avg_order_value,
+        SUM(o.item_count) as total_items_sold
+      FROM orders o
+      WHERE o.status = ? AND DATE(o.paid_at) BETWEEN ? AND ?
+    `
 
     const [current, previous, todayStats] = await Promise.all([
-      db.get(`
-        SELECT 
-          COUNT(DISTINCT ci.user_id) as total_customers,
-          COUNT(ci.id) as total_orders,
-          SUM(ci.quantity * p.price) as total_revenue,
-          AVG(ci.quantity * p.price) as avg_order_value,
-          SUM(ci.quantity) as total_items_sold
-        FROM cart_items ci
-        JOIN products p ON ci.product_id = p.id
-        WHERE DATE(ci.created_at) BETWEEN ? AND ?
-      `, [thirtyDaysAgo, today]),
+      db.get(periodQuery, [COMPLETED, thirtyDaysAgo, today]),
       
-      db.get(`
-        SELECT 
-          COUNT(DISTINCT ci.user_id) as total_customers,
-          COUNT(ci.id) as total_orders,
-          SUM(ci.quantity * p.price) as total_revenue,
-          AVG(ci.quantity * p.price) as avg_order_value,
-          SUM(ci.quantity) as total_items_sold
-        FROM cart_items ci
-        JOIN products p ON ci.product_id = p.id
-        WHERE DATE(ci.created_at) BETWEEN ? AND ?
-      `, [new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], thirtyDaysAgo]),
+      db.get(periodQuery, [COMPLETED, new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], thirtyDaysAgo]),
       
       db.get(`
         SELECT 
-          COUNT(DISTINCT ci.user_id) as today_customers,
-          COUNT(ci.id) as today_orders,
-          SUM(ci.quantity * p.price) as today_revenue
-        FROM cart_items ci
-        JOIN products p ON ci.product_id = p.id
-        WHERE DATE(ci.created_at) = ?
-      `, [today])
+          COUNT(DISTINCT o.user_id) as today_customers,
+          COUNT(o.id) as today_orders,
+          SUM(o.total) as today_revenue
+        FROM orders o
+        WHERE o.status = ? AND DATE(o.paid_at) = ?
+      `, [COMPLETED, today])
     ])
 
     // Calculate percentage changes
@@ -115,18 +114,28 @@ export class AnalyticsService {
         p.image,
         p.genre,
         p.stock,
-        COALESCE(SUM(ci.quantity), 0) as units_sold,
-        COALESCE(SUM(ci.quantity * p.price), 0) as revenue,
-        COUNT(DISTINCT ci.user_id) as unique_buyers,
+        COALESCE(sales.units_sold, 0) as units_sold,
+        COALESCE(sales.revenue, 0) as revenue,
+        COALESCE(sales.unique_buyers, 0) as unique_buyers,
         COALESCE(AVG(r.rating), 0) as avg_rating,
         COUNT(DISTINCT r.id) as review_count
       FROM products p
-      LEFT JOIN cart_items ci ON p.id = ci.product_id AND ci.created_at >= date('now', '-30 days')
-      LEFT JOIN reviews r ON p.id = r.product_id
+      LEFT JOIN (
+        SELECT
+          oi.product_id,
+          SUM(oi.quantity) as units_sold,
+          SUM(oi.quantity * oi.price) as revenue,
+          COUNT(DISTINCT o.user_id) as unique_buyers
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        WHERE o.status = ? AND o.paid_at >= date('now', '-30 days')
+        GROUP BY oi.product_id
+      ) sales ON p.id = sales.product_id
+      LEFT JOIN reviews r ON p.id = r.product_id AND r.moderation_status = 'approved'
       GROUP BY p.id
       ORDER BY units_sold DESC, revenue DESC
       LIMIT 10
-    `)
+    `, [COMPLETED])
 
     return results.map(product => ({
       ...product,
@@ -164,17 +173,37 @@ export class AnalyticsService {
         AVG(p.price) as avg_price,
         MIN(p.price) as min_price,
         MAX(p.price) as max_price,
-        COALESCE(SUM(ci.quantity), 0) as total_sold,
-        COALESCE(SUM(ci.quantity * p.price), 0) as genre_revenue,
-        COUNT(DISTINCT ci.user_id) as unique_customers,
-        COALESCE(AVG(r.rating), 0) as avg_rating,
-        COUNT(DISTINCT r.id) as total_reviews
+        COALESCE(SUM(sales.units_sold), 0) as total_sold,
+        COALESCE(SUM(sales.revenue), 0) as genre_revenue,
+        (
+          SELECT COUNT(DISTINCT o.user_id)
+          FROM orders o
+          JOIN order_items oi ON oi.order_id = o.id
+          JOIN products gp ON oi.product_id = gp.id
+          WHERE o.status = ? AND gp.genre = p.genre
+        ) as unique_customers,
+        COALESCE(AVG(r.avg_rating), 0) as avg_rating,
+        COALESCE(SUM(r.review_count), 0) as total_reviews
       FROM products p
-      LEFT JOIN cart_items ci ON p.id = ci.product_id
-      LEFT JOIN reviews r ON p.id = r.product_id
+      LEFT JOIN (
+        SELECT
+          oi.product_id,
+          SUM(oi.quantity) as units_sold,
+          SUM(oi.quantity * oi.price) as revenue
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        WHERE o.status = ?
+        GROUP BY oi.product_id
+      ) sales ON p.id = sales.product_id
+      LEFT JOIN (
+        SELECT product_id, AVG(rating) as avg_rating, COUNT(*) as review_count
+        FROM reviews
+        WHERE moderation_status = 'approved'
+        GROUP BY product_id
+      ) r ON p.id = r.product_id
       GROUP BY p.genre
       ORDER BY genre_revenue DESC
-    `)
+    `, [COMPLETED, COMPLETED])
 
     const totalRevenue = results.reduce((sum, genre) => sum + parseFloat(genre.genre_revenue || 0), 0)
 
@@ -198,13 +227,13 @@ export class AnalyticsService {
   static async getGenreTrend(db, genre) {
     const result = await db.get(`
       SELECT 
-        COUNT(ci.id) as recent_sales,
-        COUNT(ci2.id) as previous_sales
-      FROM products p
-      LEFT JOIN cart_items ci ON p.id = ci.product_id AND ci.created_at >= date('now', '-7 days')
-      LEFT JOIN cart_items ci2 ON p.id = ci2.product_id AND ci2.created_at BETWEEN date('now', '-14 days') AND date('now', '-7 days')
-      WHERE p.genre = ?
-    `, [genre])
+        COALESCE(SUM(CASE WHEN o.paid_at >= date('now', '-7 days') THEN oi.quantity ELSE 0 END), 0) as recent_sales,
+        COALESCE(SUM(CASE WHEN o.paid_at >= date('now', '-14 days') AND o.paid_at < date('now', '-7 days') THEN oi.quantity ELSE 0 END), 0) as previous_sales
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      JOIN products p ON oi.product_id = p.id
+      WHERE o.status = ? AND p.genre = ?
+    `, [COMPLETED, genre])
 
     if (result.previous_sales === 0) return 0
     return Math.round(((result.recent_sales - result.previous_sales) / result.previous_sales) * 100)
@@ -225,7 +254,7 @@ export class AnalyticsService {
       db.get(`
         SELECT 
           ROUND(
-            (COUNT(DISTINCT returning.user_id) * 100.0) / NULLIF(COUNT(DISTINCT all_users.user_id), 0), 2
+            (COUNT(DISTINCT returning_users.user_id) * 100.0) / NULLIF(COUNT(DISTINCT all_users.user_id), 0), 2
           ) as rate
         FROM (
           SELECT DISTINCT user_id FROM cart_items 
@@ -234,24 +263,23 @@ export class AnalyticsService {
         LEFT JOIN (
           SELECT DISTINCT user_id FROM cart_items 
           WHERE DATE(created_at) >= date('now', '-7 days')
-        ) returning ON all_users.user_id = returning.user_id
+        ) returning_users ON all_users.user_id = returning_users.user_id
       `),
       db.all(`
         SELECT 
           u.id,
           u.username,
-          COUNT(ci.id) as order_count,
-          SUM(ci.quantity * p.price) as total_spent,
-          MAX(ci.created_at) as last_order,
-          COUNT(DISTINCT DATE(ci.created_at)) as active_days
+          COUNT(o.id) as order_count,
+          SUM(o.total) as total_spent,
+          MAX(o.paid_at) as last_order,
+          COUNT(DISTINCT DATE(o.paid_at)) as active_days
         FROM users u
-        LEFT JOIN cart_items ci ON u.id = ci.user_id
-        LEFT JOIN products p ON ci.product_id = p.id
+        LEFT JOIN orders o ON u.id = o.user_id AND o.status = ?
         WHERE u.created_at >= date('now', '-30 days')
         GROUP BY u.id
         ORDER BY total_spent DESC
         LIMIT 5
-      `)
+      `, [COMPLETED])
     ])
 
     return {
@@ -286,18 +314,17 @@ export class AnalyticsService {
   static async getRevenueData(db) {
     const results = await db.all(`
       SELECT 
-        DATE(ci.created_at) as date,
-        SUM(ci.quantity * p.price) as revenue,
-        COUNT(ci.id) as orders,
-        COUNT(DISTINCT ci.user_id) as customers,
-        SUM(ci.quantity) as items_sold,
-        AVG(ci.quantity * p.price) as avg_order_value
-      FROM cart_items ci
-      JOIN products p ON ci.product_id = p.id
-      WHERE DATE(ci.created_at) >= date('now', '-30 days')
-      GROUP BY DATE(ci.created_at)
+        DATE(o.paid_at) as date,
+        SUM(o.total) as revenue,
+        COUNT(o.id) as orders,
+        COUNT(DISTINCT o.user_id) as customers,
+        SUM(o.item_count) as items_sold,
+        AVG(o.total) as avg_order_value
+      FROM orders o
+      WHERE o.status = ? AND DATE(o.paid_at) >= date('now', '-30 days')
+      GROUP BY DATE(o.paid_at)
       ORDER BY date DESC
-    `)
+    `, [COMPLETED])
 
     return results.map(row => ({
       ...row,
@@ -316,8 +343,8 @@ export class AnalyticsService {
         p.genre,
         p.price,
         p.stock,
-        COALESCE(SUM(ci.quantity), 0) as sold_count,
-        COALESCE(MAX(ci.created_at), 'Never') as last_sold,
+        COALESCE(sales.sold_count, 0) as sold_count,
+        COALESCE(sales.last_sold, 'Never') as last_sold,
         CASE 
           WHEN p.stock <= 0 THEN 'out_of_stock'
           WHEN p.stock <= 5 THEN 'critical'
@@ -326,14 +353,19 @@ export class AnalyticsService {
           ELSE 'high'
         END as stock_level,
         CASE
-          WHEN COALESCE(SUM(ci.quantity), 0) = 0 THEN 'no_sales'
-          WHEN MAX(ci.created_at) < date('now', '-30 days') THEN 'slow_moving'
-          WHEN MAX(ci.created_at) >= date('now', '-7 days') THEN 'fast_moving'
+          WHEN COALESCE(sales.sold_count, 0) = 0 THEN 'no_sales'
+          WHEN sales.last_sold < date('now', '-30 days') THEN 'slow_moving'
+          WHEN sales.last_sold >= date('now', '-7 days') THEN 'fast_moving'
           ELSE 'normal'
         END as movement_status
       FROM products p
-      LEFT JOIN cart_items ci ON p.id = ci.product_id
-      GROUP BY p.id
+      LEFT JOIN (
+        SELECT oi.product_id, SUM(oi.quantity) as sold_count, MAX(o.paid_at) as last_sold
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        WHERE o.status = ?
+        GROUP BY oi.product_id
+      ) sales ON p.id = sales.product_id
       ORDER BY 
         CASE p.stock 
           WHEN 0 THEN 0
@@ -342,7 +374,7 @@ export class AnalyticsService {
         p.stock ASC,
         sold_count DESC
       LIMIT 50
-    `)
+    `, [COMPLETED])
 
     const stockSummary = await db.get(`
       SELECT 
@@ -385,19 +417,19 @@ export class AnalyticsService {
     const [recentOrders, recentUsers, recentReviews] = await Promise.all([
       db.all(`
         SELECT 
-          ci.id,
-          ci.created_at,
-          ci.quantity,
-          ci.quantity * p.price as total,
-          p.title as product_title,
-          p.artist,
+          o.id,
+          o.paid_at as created_at,
+          o.item_count as quantity,
+          o.total,
+          (SELECT oi.title FROM order_items oi WHERE oi.order_id = o.id ORDER BY oi.id LIMIT 1) as product_title,
+          (SELECT oi.artist FROM order_items oi WHERE oi.order_id = o.id ORDER BY oi.id LIMIT 1) as artist,
           u.username
-        FROM cart_items ci
-        JOIN products p ON ci.product_id = p.id
-        JOIN users u ON ci.user_id = u.id
-        ORDER BY ci.created_at DESC
+        FROM orders o
+        JOIN users u ON o.user_id = u.id
+        WHERE o.status = ?
+        ORDER BY o.paid_at DESC
         LIMIT 10
-      `),
+      `, [COMPLETED]),
       db.all(`
         SELECT 
           id,
@@ -435,6 +467,60 @@ export class AnalyticsService {
     }
   }
 
+  // Cart adds and abandonment, kept apart from sales so carts never count as revenue
+  static async getCartActivity(db) {
+    const [adds, todayAdds, openCarts, convertedCustomers] = await Promise.all([
+      db.get(`
+        SELECT
+          COUNT(ci.id) as cart_adds,
+          COALESCE(SUM(ci.quantity), 0) as units_added,
+          COUNT(DISTINCT ci.user_id) as shoppers
+        FROM cart_items ci
+        WHERE DATE(ci.created_at) >= date('now', '-30 days')
+      `),
+      db.get(`
+        SELECT COUNT(*) as count
+        FROM cart_items
+        WHERE DATE(created_at) = DATE('now')
+      `),
+      db.all(`
+        SELECT
+          ci.user_id,
+          MAX(COALESCE(ci.updated_at, ci.created_at)) as last_activity,
+          SUM(ci.quantity * p.price) as cart_value
+        FROM cart_items ci
+        JOIN products p ON ci.product_id = p.id
+        GROUP BY ci.user_id
+      `),
+      db.get(`
+        SELECT COUNT(DISTINCT user_id) as count
+        FROM orders
+        WHERE status = ? AND paid_at >= date('now', '-30 days')
+      `, [COMPLETED])
+    ])
+
+    const cutoff = Date.now() - ABANDONED_CART_HOURS * 60 * 60 * 1000
+    const abandoned = openCarts.filter(cart => new Date(cart.last_activity).getTime() < cutoff)
+    const abandonedValue = abandoned.reduce((sum, cart) => sum + parseFloat(cart.cart_value || 0), 0)
+
+    // Share of recent shoppers who left a cart behind instead of completing an order
+    const shoppersWithOutcome = abandoned.length + convertedCustomers.count
+    const abandonmentRate = shoppersWithOutcome > 0
+      ? Math.round((abandoned.length / shoppersWithOutcome) * 1000) / 10
+      : 0
+
+    return {
+      cartAdds: adds.cart_adds || 0,
+      unitsAdded: adds.units_added || 0,
+      shoppers: adds.shoppers || 0,
+      todayCartAdds: todayAdds.count || 0,
+      openCarts: openCarts.length,
+      abandonedCarts: abandoned.length,
+      abandonedValue: Math.round(abandonedValue * 100) / 100,
+      abandonmentRate
+    }
+  }
+
   // Real-time metrics for WebSocket updates
   static async getRealtimeMetrics() {
     const db = await getDBConnection()
@@ -450,24 +536,29 @@ export class AnalyticsService {
           activeUsers: 0,
           todayRevenue: 0,
           todayOrders: 0,
+          todayCartAdds: 0,
           onlineUsers: this.getOnlineUserCount(),
           timestamp: new Date().toISOString(),
           note: 'Analytics limited - database migration pending'
         }
       }
 
-      const [activeUsers, todayRevenue, todayOrders, onlineUsers] = await Promise.all([
+      const [activeUsers, todayRevenue, todayOrders, todayCartAdds, onlineUsers] = await Promise.all([
         db.get(`
           SELECT COUNT(DISTINCT user_id) as count
           FROM cart_items
           WHERE datetime(created_at) >= datetime('now', '-1 hour')
         `),
         db.get(`
-          SELECT COALESCE(SUM(ci.quantity * p.price), 0) as revenue
-          FROM cart_items ci
-          JOIN products p ON ci.product_id = p.id
-          WHERE DATE(ci.created_at) = DATE('now')
-        `),
+          SELECT COALESCE(SUM(total), 0) as revenue
+          FROM orders
+          WHERE status = ? AND DATE(paid_at) = DATE('now')
+        `, [COMPLETED]),
+        db.get(`
+          SELECT COUNT(*) as count
+          FROM orders
+          WHERE status = ? AND DATE(paid_at) = DATE('now')
+        `, [COMPLETED]),
         db.get(`
           SELECT COUNT(*) as count
           FROM cart_items
@@ -480,6 +571,7 @@ export class AnalyticsService {
         activeUsers: activeUsers.count,
         todayRevenue: parseFloat(todayRevenue.revenue),
         todayOrders: todayOrders.count,
+        todayCartAdds: todayCartAdds.count,
         onlineUsers,
         timestamp: new Date().toISOString()
       }
@@ -490,6 +582,7 @@ export class AnalyticsService {
         activeUsers: 0,
         todayRevenue: 0,
         todayOrders: 0,
+        todayCartAdds: 0,
         onlineUsers: this.getOnlineUserCount(),
         timestamp: new Date().toISOString(),
         error: 'Database error - check logs'
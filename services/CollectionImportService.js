@@ -0,0 +1,352 @@
+/**
+ * Collection Import Service
+ * Imports a Discogs collection export (CSV, or JSON with the same column names)
+ * into the user's collection and exports the collection back in that format.
+ * Folders map to collection_folders by name, conditions through the Discogs
+ * grade labels. Rows matching records already in the collection are reported
+ * as duplicates and skipped; nothing is written when it's a dry run.
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { collectionRepository } from '../repositories/index.js'
+import { toCsvLine } from '../utils/csv.js'
+import {
+  discogsLabelToGrade,
+  discogsLabelToSleeveGrade,
+  gradeToDiscogsLabel,
+  sleeveGradeToDiscogsLabel,
+} from '../utils/grading.js'
+import { numberImportRows } from '../utils/imports.js'
+
+export const MAX_IMPORT_ROWS = 10000
+
+export const IMPORT_ACTIONS = {
+  CREATE: 'create',
+  DUPLICATE: 'duplicate',
+  ERROR: 'error',
+}
+
+// Columns of a Discogs collection export, in its order
+export const DISCOGS_COLUMNS = [
+  'Catalog#',
+  'Artist',
+  'Title',
+  'Label',
+  'Format',
+  'Rating',
+  'Released',
+  'release_id',
+  'CollectionFolder',
+  'Date Added',
+  'Collection Media Condition',
+  'Collection Sleeve Condition',
+  'Collection Notes',
+]
+
+// Discogs' name for items outside any folder; ours is the default "All" folder
+const UNCATEGORIZED = 'Uncategorized'
+const DEFAULT_FOLDER = 'All'
+const NOT_GRADED = 'Not Graded'
+
+// Discogs tells artists with the same name apart with a number: "Nirvana (2)"
+const stripArtistNumber = (artist) => artist.replace(/ \(\d+\)(?=,| |$)/g, '')
+
+const normalize = (value) => (value ?? '').trim().toLowerCase().replace(/\s+/g, ' ')
+
+// What makes two records the same when neither has a Discogs release ID
+const textKey = ({ artist, title, catalog_number }) =>
+  [artist, title, catalog_number].map(normalize).join('|')
+
+const folderKey = (name) => name.toLowerCase()
+
+function parseDateAdded(value) {
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) return value
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return `${value} 00:00:00`
+
+  const time = Date.parse(value)
+  return Number.isNaN(time) ? null : new Date(time).toISOString().replace('T', ' ').slice(0, 19)
+}
+
+/**
+ * Number the rows of a Discogs collection export (CSV, or a JSON array of
+ * objects with the same column names). Blank values are left out.
+ * @param {string|Object[]} input
+ * @returns {{row: number, data: Object<string, string>}[]}
+ */
+export function parseCollectionRows(input) {
+  return numberImportRows(input, {
+    maxRows: MAX_IMPORT_ROWS,
+    messages: {
+      invalid: 'Send a Discogs collection CSV export or a JSON array of its rows',
+      empty: 'The import has no collection rows',
+      tooMany: `Import at most ${MAX_IMPORT_ROWS} records at a time`,
+    },
+    clean: (record) =>
+      Object.fromEntries(
+        Object.entries(record ?? {})
+          .map(([column, value]) => [column.trim(), String(value ?? '').trim()])
+          .filter(([, value]) => value !== '')
+      ),
+  })
+}
+
+/**
+ * Turn one Discogs export row into collection item values. Warnings name
+ * what the collection has no place for.
+ * @returns {{values?: Object, folder?: string, errors: {field: string, message: string}[], warnings: string[]}}
+ */
+export function mapDiscogsRow(data) {
+  const errors = []
+  const error = (field, message) => errors.push({ field, message })
+  const warnings = []
+  if (data.Rating) warnings.push(`Rating (${data.Rating}) is not imported`)
+
+  const artist = data.Artist ? stripArtistNumber(data.Artist) : ''
+  if (!artist) error('Artist', 'Artist is required')
+  if (!data.Title) error('Title', 'Title is required')
+
+  let releaseId = null
+  if (data.release_id) {
+    releaseId = Number(data.release_id)
+    if (!Number.isInteger(releaseId) || releaseId <= 0) {
+      error('release_id', 'release_id must be a positive whole number')
+    }
+  }
+
+  // "1959", "1959-08-17" or "0" when Discogs doesn't know
+  const year = Number.parseInt(data.Released, 10)
+
+  const grade = (field, label, toGrade) => {
+    if (!label || label === NOT_GRADED) return null
+    const code = toGrade(label)
+    if (!code) error(field, `Unknown Discogs condition "${label}"`)
+    return code
+  }
+
+  const mediaCondition = grade(
+    'Collection Media Condition',
+    data['Collection Media Condition'],
+    discogsLabelToGrade
+  )
+  // Sleeves have Generic and No Cover on top of the media grades
+  const sleeveCondition = grade(
+    'Collection Sleeve Condition',
+    data['Collection Sleeve Condition'],
+    (label) => discogsLabelToSleeveGrade(label) ?? discogsLabelToGrade(label)
+  )
+
+  let createdAt
+  if (data['Date Added']) {
+    createdAt = parseDateAdded(data['Date Added'])
+    if (!createdAt) error('Date Added', `Unrecognised date "${data['Date Added']}"`)
+  }
+
+  if (errors.length > 0) return { errors, warnings }
+
+  const folder = data.CollectionFolder
+  return {
+    errors,
+    warnings,
+    folder: !folder || folder === UNCATEGORIZED ? DEFAULT_FOLDER : folder,
+    values: {
+      discogs_release_id: releaseId,
+      artist,
+      title: data.Title,
+      year: year > 0 ? year : null,
+      format: data.Format ?? null,
+      label: data.Label ?? null,
+      catalog_number: data['Catalog#'] ?? null,
+      notes: data['Collection Notes'] ?? null,
+      media_condition: mediaCondition,
+      sleeve_condition: sleeveCondition,
+      created_at: createdAt,
+    },
+  }
+}
+
+export class CollectionImportService {
+  /**
+   * Plan an import into a user's collection and, unless it's a dry run, apply
+   * it. Duplicates and rows with errors are reported and skipped.
+   * @param {number} userId
+   * @param {{row: number, data: Object}[]} rows - from parseCollectionRows
+   * @returns {Promise<{dryRun: boolean, summary: Object, rows: Object[]}>}
+   */
+  async importCollection(userId, rows, { dryRun = true } = {}) {
+    const existing = await collectionRepository.getItems(userId)
+    const folders = new Map(
+      (await collectionRepository.getFolders(userId)).map((folder) => [
+        folderKey(folder.name),
+        folder,
+      ])
+    )
+
+    const matcher = this.duplicateMatcher(existing)
+    const newFolders = new Map()
+    const plans = rows.map(({ row, data }) => {
+      const { values, folder, errors, warnings } = mapDiscogsRow(data)
+      const described = {
+        row,
+        artist: values?.artist ?? data.Artist ?? null,
+        title: data.Title ?? null,
+        ...(warnings.length > 0 && { warnings }),
+      }
+
+      if (errors.length > 0) {
+        return { ...described, action: IMPORT_ACTIONS.ERROR, errors }
+      }
+
+      const duplicate = matcher(values)
+      if (duplicate) {
+        return { ...described, action: IMPORT_ACTIONS.DUPLICATE, existingId: duplicate.id }
+      }
+
+      const known = folders.get(folderKey(folder))
+      if (!known && folder !== DEFAULT_FOLDER && !newFolders.has(folderKey(folder))) {
+        newFolders.set(folderKey(folder), folder)
+      }
+      return { ...described, action: IMPORT_ACTIONS.CREATE, folder: known?.name ?? folder, values }
+    })
+
+    if (!dryRun) {
+      await this.applyPlans(userId, plans, folders)
+      logger.info(`Collection import for user ${userId} applied: ${plans.length} rows`)
+    }
+
+    const summary = Object.fromEntries(
+      Object.values(IMPORT_ACTIONS).map((action) => [
+        action,
+        plans.filter((plan) => plan.action === action).length,
+      ])
+    )
+    summary.newFolders = [...newFolders.values()]
+
+    return { dryRun, summary, rows: plans.map(({ values, ...result }) => result) }
+  }
+
+  /**
+   * Find the existing record a row repeats. Each existing record matches one
+   * row at most, so an export listing two copies of a release, imported over
+   * a collection holding one, still adds the second copy.
+   * @param {Object[]} items - the user's collection
+   * @returns {(values: Object) => Object|null}
+   */
+  duplicateMatcher(items) {
+    const byRelease = new Map()
+    const byText = new Map()
+    const add = (map, key, item) => map.set(key, [...(map.get(key) ?? []), item])
+
+    for (const item of items) {
+      if (item.discogs_release_id) add(byRelease, item.discogs_release_id, item)
+      add(byText, textKey(item), item)
+    }
+
+    const matched = new Set()
+    return (values) => {
+      const candidates = values.discogs_release_id
+        ? byRelease.get(values.discogs_release_id)
+        : byText.get(textKey(values))
+      const item = candidates?.find((candidate) => !matched.has(candidate.id))
+      if (!item) return null
+
+      matched.add(item.id)
+      return item
+    }
+  }
+
+  async applyPlans(userId, plans, folders) {
+    // Before any new folder, so one can't take the default folder's ID (1) in a fresh database
+    const defaultFolder = await collectionRepository.getDefaultFolder(userId)
+    folders.set(folderKey(DEFAULT_FOLDER), defaultFolder)
+
+    for (const plan of plans) {
+      if (plan.action !== IMPORT_ACTIONS.CREATE) continue
+
+      try {
+        let folder = folders.get(folderKey(plan.folder))
+        if (!folder) {
+          folder = await collectionRepository.createFolder(
+            userId,
+            plan.folder,
+            'Imported from Discogs'
+          )
+          folders.set(folderKey(plan.folder), folder)
+        }
+
+        plan.itemId = await collectionRepository.createItem(userId, {
+          ...plan.values,
+          folder_id: folder.id,
+        })
+      } catch (error) {
+        logger.error(`Collection import row ${plan.row} failed: ${error.message}`)
+        plan.action = IMPORT_ACTIONS.ERROR
+        plan.errors = [{ field: '', message: error.details?.originalMessage || error.message }]
+      }
+    }
+  }
+
+  /**
+   * A user's collection as Discogs export records (column name → value)
+   * @returns {Promise<Object<string, string|number|null>[]>}
+   */
+  async exportRecords(userId) {
+    const items = await collectionRepository.getItems(userId)
+    const folderNames = new Map(
+      (await collectionRepository.getFolders(userId)).map(({ id, name }) => [id, name])
+    )
+
+    return items.map((item) => {
+      const folder = folderNames.get(item.folder_id)
+      return {
+        'Catalog#': item.catalog_number,
+        Artist: item.artist,
+        Title: item.title,
+        Label: item.label,
+        Format: item.format,
+        Rating: null,
+        Released: item.year,
+        release_id: item.discogs_release_id,
+        CollectionFolder: !folder || folder === DEFAULT_FOLDER ? UNCATEGORIZED : folder,
+        'Date Added': item.created_at,
+        'Collection Media Condition': item.media_condition
+          ? gradeToDiscogsLabel(item.media_condition)
+          : null,
+        'Collection Sleeve Condition': item.sleeve_condition
+          ? (sleeveGradeToDiscogsLabel(item.sleeve_condition) ??
+            gradeToDiscogsLabel(item.sleeve_condition))
+          : null,
+        'Collection Notes': item.notes,
+      }
+    })
+  }
+
+  /**
+   * The collection as a Discogs-style CSV export, or JSON with the same columns
+   * @param {'csv'|'json'} format
+   * @returns {Promise<string>}
+   */
+  async exportCollection(userId, format = 'csv') {
+    const records = await this.exportRecords(userId)
+
+    if (format === 'json') {
+      return JSON.stringify(records, null, 2)
+    }
+
+    return [
+      toCsvLine(DISCOGS_COLUMNS),
+      ...records.map((record) => toCsvLine(DISCOGS_COLUMNS.map((column) => record[column]))),
+    ].join('')
+  }
+}
+
+// Singleton instance
+let collectionImportService = null
+
+export function getCollectionImportService() {
+  if (!collectionImportService) {
+    collectionImportService = new CollectionImportService()
+  }
+  return collectionImportService
+}
+
+export default CollectionImportService
@@ -5,12 +5,15 @@
 
 import { getDBConnection } from '../db/db.js'
 import { getDiscogsService } from './DiscogsService.js'
+import { getImageStorageService } from './ImageStorageService.js'
 import { GRADES, SLEEVE_GRADES, calculateGradedPrice } from '../utils/grading.js'
 import { logger } from '../middleware/errorHandler.js'
+import { VALUE_SOURCES } from '../repositories/index.js'
 
 export class CollectionService {
   constructor() {
     this.discogs = getDiscogsService()
+    this.images = getImageStorageService()
   }
 
   /**
@@ -252,13 +255,17 @@ export class CollectionService {
 
       // Merge with provided data (provided data takes precedence)
       const itemData = { ...releaseData, ...data }
+      itemData.cover_image = await this.images.localize(itemData.cover_image, { folder: 'collection' })
 
       // Calculate current value based on condition if not provided
-      if (!itemData.current_value && itemData.purchase_price) {
+      if (itemData.current_value) {
+        itemData.current_value_source = VALUE_SOURCES.MANUAL
+      } else if (itemData.purchase_price) {
         itemData.current_value = calculateGradedPrice(
           itemData.purchase_price,
           itemData.media_condition || 'VG+'
         )
+        itemData.current_value_source = VALUE_SOURCES.PURCHASE_PRICE
       }
 
       const result = await db.run(`
@@ -267,8 +274,9 @@ export class CollectionService {
           format, label, catalog_number, country, genres, styles,
           cover_image, notes, media_condition, sleeve_condition,
           purchase_price, purchase_date, purchase_location, current_value,
+          current_value_source, current_value_updated_at,
           folder_id, is_for_sale, asking_price
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         userId,
         itemData.discogs_release_id || null,
@@ -290,6 +298,9 @@ export class CollectionService {
         itemData.purchase_date || null,
         itemData.purchase_location || null,
         itemData.current_value || null,
+        itemData.current_value_source || null,
+        // Same format as CURRENT_TIMESTAMP
+        itemData.current_value_source ? new Date().toISOString().replace('T', ' ').slice(0, 19) : null,
         itemData.folder_id || 1,
         itemData.is_for_sale || false,
         itemData.asking_price || null
@@ -334,6 +345,12 @@ export class CollectionService {
         throw new Error('No valid fields to update')
       }
 
+      // A value typed in is kept over the scheduled valuation; clearing it hands it back
+      if ('current_value' in updates) {
+        setClauses.push('current_value_source = ?', 'current_value_updated_at = CURRENT_TIMESTAMP')
+        params.push(updates.current_value === null ? null : VALUE_SOURCES.MANUAL)
+      }
+
       setClauses.push('updated_at = CURRENT_TIMESTAMP')
       params.push(itemId, userId)
 
@@ -531,6 +548,7 @@ export class CollectionService {
       }
 
       const itemData = { ...releaseData, ...data }
+      itemData.cover_image = await this.images.localize(itemData.cover_image, { folder: 'collection' })
 
       const result = await db.run(`
         INSERT INTO wantlist_items (
@@ -746,6 +764,8 @@ export class CollectionService {
       purchaseDate: item.purchase_date,
       purchaseLocation: item.purchase_location,
       currentValue: item.current_value,
+      currentValueSource: item.current_value_source,
+      currentValueUpdatedAt: item.current_value_updated_at,
       folderId: item.folder_id,
       playCount: item.play_count,
       lastPlayed: item.last_played,
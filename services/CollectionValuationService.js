@@ -0,0 +1,216 @@
+/**
+ * Collection Valuation Service
+ * Prices every user's collection from Discogs price suggestions, adjusted for
+ * each copy's media and sleeve grade, then records a value snapshot per user
+ * for the value history. Runs on a schedule; each release is looked up once
+ * per run however many users own it. Values typed in by hand are left alone.
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { collectionRepository, VALUATION_STATUS, VALUE_SOURCES } from '../repositories/index.js'
+import { ConflictError, RateLimitError } from '../utils/errors.js'
+import { calculateGradedPrice, GRADE_ORDER, GRADES } from '../utils/grading.js'
+import { getCollectionService } from './CollectionService.js'
+import { getDiscogsService } from './DiscogsService.js'
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+// How much of a copy's value rides on its sleeve; the rest is the record itself
+export const SLEEVE_SHARE = 0.25
+
+// What the collection assumes for items nobody graded
+const DEFAULT_GRADE = 'VG+'
+
+// Times to wait out the Discogs rate limit for one release before giving up on it
+const MAX_RATE_LIMIT_WAITS = 3
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Value one copy from a release's price suggestions. The suggestions are
+ * scaled to a Mint copy, then graded for the media and for the sleeve (a
+ * generic sleeve or none adds nothing).
+ * @param {Object<string, {value: number}>} suggestions - by grade code, from getPriceSuggestions
+ * @param {string|null} mediaCondition
+ * @param {string|null} sleeveCondition
+ * @returns {number|null} null when Discogs has no price for the release
+ */
+export function estimateValue(suggestions, mediaCondition, sleeveCondition) {
+  const priced = GRADE_ORDER.find((code) => suggestions?.[code]?.value > 0)
+  if (!priced) return null
+
+  const mintPrice = suggestions[priced].value / GRADES[priced].valueMultiplier
+  const graded = (code) => calculateGradedPrice(mintPrice, code ?? DEFAULT_GRADE)
+
+  const media = graded(GRADES[mediaCondition?.toUpperCase()] ? mediaCondition : null)
+  const sleeve =
+    !sleeveCondition || GRADES[sleeveCondition.toUpperCase()] ? graded(sleeveCondition) : 0
+
+  return Math.round((media * (1 - SLEEVE_SHARE) + sleeve * SLEEVE_SHARE) * 100) / 100
+}
+
+export class CollectionValuationService {
+  constructor(options = {}) {
+    this.discogs = options.discogs || getDiscogsService()
+    this.sleep = options.sleep || sleep
+    this.intervalMs = options.intervalMs ?? DAY
+    // The run in progress in this process, if any
+    this.running = null
+  }
+
+  /**
+   * Start a run in the background
+   * @param {number|null} userId - the admin starting it; null when scheduled
+   */
+  async start(userId = null) {
+    if (this.running) {
+      throw new ConflictError('A collection valuation is already running')
+    }
+
+    await collectionRepository.failInterruptedValuationRuns()
+    const run = await collectionRepository.createValuationRun(userId)
+    logger.info(`Collection valuation ${run.id} started${userId ? ` by user ${userId}` : ''}`)
+
+    this.running = this.process(run.id).finally(() => {
+      this.running = null
+    })
+    return run
+  }
+
+  async getStatus() {
+    return {
+      running: Boolean(this.running),
+      run: await collectionRepository.getLatestValuationRun(),
+      lastCompleted: await collectionRepository.getLatestValuationRun(VALUATION_STATUS.COMPLETED),
+    }
+  }
+
+  /**
+   * Whether the last completed run is older than the interval
+   */
+  async isDue(now = Date.now()) {
+    if (this.running) return false
+
+    const last = await collectionRepository.getLatestValuationRun(VALUATION_STATUS.COMPLETED)
+    // SQLite timestamps are UTC without a zone
+    return !last || now - Date.parse(`${last.finished_at.replace(' ', 'T')}Z`) >= this.intervalMs
+  }
+
+  async process(runId) {
+    const counts = { releases: 0, valued: 0, unpriced: 0, skipped: 0, snapshots: 0 }
+
+    try {
+      const byRelease = new Map()
+      for (const item of await collectionRepository.getValuationCandidates()) {
+        if (!byRelease.has(item.discogs_release_id)) byRelease.set(item.discogs_release_id, [])
+        byRelease.get(item.discogs_release_id).push(item)
+      }
+
+      for (const [releaseId, items] of byRelease) {
+        const suggestions = await this.priceSuggestions(releaseId)
+
+        for (const item of items) {
+          const value = estimateValue(suggestions, item.media_condition, item.sleeve_condition)
+          if (value === null) {
+            counts.unpriced++
+            continue
+          }
+
+          // Skipped when someone valued it by hand while this run waited on Discogs
+          const set = await collectionRepository.setCurrentValue(
+            item.id,
+            value,
+            VALUE_SOURCES.DISCOGS
+          )
+          if (set) {
+            counts.valued++
+          } else {
+            counts.skipped++
+          }
+        }
+
+        counts.releases++
+        await collectionRepository.updateValuationRun(runId, counts)
+      }
+
+      // Every collection, including those with nothing to price, so the history has no gaps
+      const collectionService = getCollectionService()
+      for (const userId of await collectionRepository.getCollectorIds()) {
+        await collectionService.recordValueSnapshot(userId)
+        counts.snapshots++
+      }
+
+      await collectionRepository.updateValuationRun(runId, {
+        ...counts,
+        status: VALUATION_STATUS.COMPLETED,
+        finished_at: new Date().toISOString().replace('T', ' ').slice(0, 19),
+      })
+      logger.info(
+        `Collection valuation ${runId} completed: ${counts.valued} items valued across ${counts.releases} releases, ${counts.unpriced} without a price, ${counts.skipped} valued by hand meanwhile, ${counts.snapshots} snapshots`
+      )
+    } catch (error) {
+      logger.error(`Collection valuation ${runId} failed:`, error)
+      await collectionRepository
+        .updateValuationRun(runId, {
+          ...counts,
+          status: VALUATION_STATUS.FAILED,
+          last_error: error.message,
+        })
+        .catch(() => {})
+    }
+  }
+
+  /**
+   * A release's price suggestions, waiting out the Discogs rate limit;
+   * null when Discogs has none or the lookup fails
+   */
+  async priceSuggestions(releaseId) {
+    for (let waits = 0; ; waits++) {
+      try {
+        return await this.discogs.getPriceSuggestions(releaseId)
+      } catch (error) {
+        // A 429 straight from Discogs, or DiscogsService refusing until the quota resets
+        const rateLimited =
+          error instanceof RateLimitError || (error.statusCode ?? error.status) === 429
+        if (rateLimited && waits < MAX_RATE_LIMIT_WAITS) {
+          await this.sleep((error.retryAfter ?? 60) * 1000)
+          continue
+        }
+
+        logger.warn(`No price suggestions for release ${releaseId}: ${error.message}`)
+        return null
+      }
+    }
+  }
+
+  /**
+   * Check every `checkMs` whether a run is due and start one if so, so a
+   * restart doesn't push the next valuation back a whole interval
+   */
+  startScheduler(checkMs = HOUR) {
+    const check = async () => {
+      try {
+        if (await this.isDue()) {
+          await this.start()
+        }
+      } catch (error) {
+        logger.error('Error starting the collection valuation:', error)
+      }
+    }
+
+    return setInterval(check, checkMs)
+  }
+}
+
+// Singleton instance
+let collectionValuationService = null
+
+export function getCollectionValuationService(options = {}) {
+  if (!collectionValuationService || Object.keys(options).length > 0) {
+    collectionValuationService = new CollectionValuationService(options)
+  }
+  return collectionValuationService
+}
+
+export default CollectionValuationService
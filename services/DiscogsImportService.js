@@ -0,0 +1,237 @@
+/**
+ * Discogs Import Service
+ * Turns Discogs releases into store products: one product per release, the
+ * cover copied into local image storage, price and stock overridable
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { productRepository } from '../repositories/index.js'
+import { parseCsv } from '../utils/csv.js'
+import {
+  ExternalServiceError,
+  NotFoundError,
+  RateLimitError,
+  ValidationError,
+} from '../utils/errors.js'
+import { sanitizeObject } from '../utils/sanitization.js'
+import { productSchema } from '../utils/validation.js'
+import { getDiscogsService } from './DiscogsService.js'
+import { getImageStorageService } from './ImageStorageService.js'
+
+// Largest batch per request (matches discogsBatchImportSchema)
+export const MAX_BATCH_SIZE = 100
+
+export const IMPORT_STATUS = {
+  CREATED: 'created',
+  DUPLICATE: 'duplicate',
+  FAILED: 'failed',
+}
+
+// Times a batch waits out the Discogs rate limit for one release before reporting it failed
+const MAX_RATE_LIMIT_WAITS = 3
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Discogs uses year 0 for unknown release dates
+const importedProductSchema = productSchema.fork(['year'], (field) => field.allow(null).optional())
+
+function isUniqueViolation(error) {
+  const message = error.details?.originalMessage || error.message || ''
+  return message.includes('UNIQUE constraint failed: products.discogs_id')
+}
+
+/**
+ * Batch entries from a Discogs seller inventory export (CSV, one row per
+ * listing): each release once, priced from its first listing, with one copy
+ * in stock per listing. Sold listings are skipped.
+ */
+export function entriesFromInventory(csv) {
+  const rows = parseCsv(csv)
+  if (rows.length > 0 && !('release_id' in rows[0])) {
+    throw new ValidationError('Inventory export must have a release_id column')
+  }
+
+  const entries = new Map()
+  for (const row of rows) {
+    const releaseId = parseInt(row.release_id, 10)
+    if (Number.isNaN(releaseId) || row.status?.trim().toLowerCase() === 'sold') continue
+
+    const entry = entries.get(releaseId)
+    if (entry) {
+      entry.stock++
+    } else {
+      const price = parseFloat(row.price)
+      entries.set(releaseId, {
+        releaseId,
+        stock: 1,
+        ...(price > 0 && { price: Math.round(price * 100) / 100 }),
+      })
+    }
+  }
+
+  return [...entries.values()]
+}
+
+export class DiscogsImportService {
+  constructor(options = {}) {
+    this.discogs = options.discogs || getDiscogsService()
+    this.images = options.images || getImageStorageService()
+    this.sleep = options.sleep || sleep
+  }
+
+  /**
+   * Create a product from a Discogs release. A release already in the catalog
+   * is returned as a duplicate rather than imported again.
+   * @returns {Promise<{status: string, product: Object, warnings: string[]}>}
+   */
+  async importRelease(releaseId, { price, stock } = {}) {
+    const existing = await productRepository.findOneWhere('discogs_id = ?', [releaseId])
+    if (existing) {
+      return { status: IMPORT_STATUS.DUPLICATE, product: existing, warnings: [] }
+    }
+
+    const overrides = {
+      ...(price !== undefined && { price }),
+      ...(stock !== undefined && { stock }),
+    }
+    const release = await this.fetchRelease(releaseId, overrides)
+    const warnings = []
+
+    // Keep the remote cover if the download fails; the image cleanup job retries it
+    if (/^https?:\/\//.test(release.image || '')) {
+      try {
+        release.image = await this.images.saveFromUrl(release.image, {
+          headers: { 'User-Agent': this.discogs.userAgent },
+        })
+      } catch (error) {
+        logger.warn(`Cover for Discogs release ${releaseId} not stored locally: ${error.message}`)
+        warnings.push(`Cover not downloaded: ${error.message}`)
+      }
+    }
+
+    // Without a price suggestion the product would go on sale at a guess
+    if (release.price_source === 'lowest_price') {
+      warnings.push(
+        `No Discogs price suggestion: priced at the lowest listing (${release.price}), check it before selling`
+      )
+    } else if (release.price_source === 'placeholder') {
+      warnings.push(
+        `No Discogs price available: priced at the ${release.price} placeholder, set the price before selling`
+      )
+    }
+
+    try {
+      const product = await productRepository.createProduct(this.toProductData(release))
+      logger.info(`Imported Discogs release ${releaseId} as product ${product.id}`)
+      return { status: IMPORT_STATUS.CREATED, product, warnings }
+    } catch (error) {
+      // Imported concurrently by another request
+      if (isUniqueViolation(error)) {
+        const product = await productRepository.findOneWhere('discogs_id = ?', [releaseId])
+        return { status: IMPORT_STATUS.DUPLICATE, product, warnings }
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Import releases one after another (Discogs rate-limits requests, so the
+   * batch waits when it runs out); a failed release is reported and doesn't
+   * stop the rest
+   * @param {{releaseId: number, price?: number, stock?: number}[]} entries
+   */
+  async importBatch(entries) {
+    if (entries.length > MAX_BATCH_SIZE) {
+      throw new ValidationError(`Import at most ${MAX_BATCH_SIZE} releases at a time`)
+    }
+
+    const results = []
+
+    for (const { releaseId, ...overrides } of entries) {
+      results.push(await this.importBatchEntry(releaseId, overrides))
+    }
+
+    const summary = Object.fromEntries(
+      Object.values(IMPORT_STATUS).map((status) => [
+        status,
+        results.filter((result) => result.status === status).length,
+      ])
+    )
+
+    return { results, summary }
+  }
+
+  async importBatchEntry(releaseId, overrides) {
+    for (let waits = 0; ; waits++) {
+      try {
+        const { status, product, warnings } = await this.importRelease(releaseId, overrides)
+        return { releaseId, status, productId: product.id, title: product.title, warnings }
+      } catch (error) {
+        if (error instanceof RateLimitError && waits < MAX_RATE_LIMIT_WAITS) {
+          await this.sleep((error.retryAfter ?? 60) * 1000)
+          continue
+        }
+        return { releaseId, status: IMPORT_STATUS.FAILED, error: error.message }
+      }
+    }
+  }
+
+  async fetchRelease(releaseId, overrides) {
+    try {
+      return await this.discogs.importReleaseAsProduct(releaseId, overrides)
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        throw error
+      }
+      // A 429 straight from Discogs, whose quota resets every minute
+      if ((error.statusCode ?? error.status) === 429) {
+        throw new RateLimitError('Discogs rate limit reached', 60)
+      }
+      if (error.statusCode === 404 || error.status === 404) {
+        throw new NotFoundError('Discogs release', releaseId)
+      }
+      throw new ExternalServiceError(
+        'discogs',
+        `Could not fetch release ${releaseId}: ${error.message}`
+      )
+    }
+  }
+
+  /**
+   * Fit prepared release data to the product schema. Release text is typed in
+   * by Discogs users, so it's sanitized like request bodies, and it can run
+   * longer than the store allows.
+   */
+  toProductData(data) {
+    const release = sanitizeObject(data)
+    const { error, value } = importedProductSchema.validate(
+      {
+        ...release,
+        title: release.title?.slice(0, 100),
+        artist: release.artist?.slice(0, 100),
+        genre: release.genre?.slice(0, 50),
+        year: release.year || null,
+        description: release.description?.slice(0, 2000),
+      },
+      { abortEarly: false, stripUnknown: true }
+    )
+
+    if (error) {
+      throw ValidationError.fromJoiError(error)
+    }
+
+    return value
+  }
+}
+
+// Singleton instance
+let discogsImportService = null
+
+export function getDiscogsImportService(options = {}) {
+  if (!discogsImportService || Object.keys(options).length > 0) {
+    discogsImportService = new DiscogsImportService(options)
+  }
+  return discogsImportService
+}
+
+export default DiscogsImportService
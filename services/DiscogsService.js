@@ -1,12 +1,18 @@
 /**
  * Discogs API Integration Service
- * Uses disconnect library for OAuth and API calls
+ * Uses disconnect library for public database lookups; OAuth and the
+ * user's collection and wantlist go straight to the API so they can be
+ * pointed at a local stand-in (DISCOGS_API_URL)
  */
 
+import crypto from 'crypto'
 import Discogs from 'disconnect'
+import { RateLimitError } from '../utils/errors.js'
 import { GRADES, discogsLabelToGrade } from '../utils/grading.js'
+import { getResponseCacheService } from './ResponseCacheService.js'
 
 const DISCOGS_API_BASE = 'https://api.discogs.com'
+const DISCOGS_AUTHORIZE_URL = 'https://www.discogs.com/oauth/authorize'
 
 export class DiscogsService {
   constructor(options = {}) {
@@ -15,6 +21,8 @@ export class DiscogsService {
     this.consumerSecret = options.consumerSecret || process.env.DISCOGS_CONSUMER_SECRET
     this.accessToken = options.accessToken || null
     this.accessSecret = options.accessSecret || null
+    this.apiBase = options.apiBase || process.env.DISCOGS_API_URL || DISCOGS_API_BASE
+    this.authorizeUrl = options.authorizeUrl || process.env.DISCOGS_AUTHORIZE_URL || DISCOGS_AUTHORIZE_URL
     this.rateLimitRemaining = 60
     this.rateLimitReset = null
 
@@ -65,47 +73,87 @@ export class DiscogsService {
     this.initialize()
   }
 
+  /**
+   * OAuth 1.0a Authorization header. Discogs takes PLAINTEXT signatures
+   * (the consumer and token secrets) since every call is over HTTPS.
+   */
+  oauthHeader(params = {}, tokenSecret = '') {
+    const oauth = {
+      oauth_consumer_key: this.consumerKey,
+      oauth_nonce: crypto.randomBytes(16).toString('hex'),
+      oauth_signature: `${encodeURIComponent(this.consumerSecret)}&${encodeURIComponent(tokenSecret)}`,
+      oauth_signature_method: 'PLAINTEXT',
+      oauth_timestamp: Math.floor(Date.now() / 1000),
+      oauth_version: '1.0',
+      ...params
+    }
+
+    return 'OAuth ' + Object.entries(oauth)
+      .map(([key, value]) => `${key}="${encodeURIComponent(value)}"`)
+      .join(', ')
+  }
+
+  /**
+   * Call one of the OAuth token endpoints, which answer form-encoded
+   */
+  async oauthRequest(endpoint, method, params, tokenSecret) {
+    const response = await fetch(`${this.apiBase}${endpoint}`, {
+      method,
+      headers: {
+        'User-Agent': this.userAgent,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': this.oauthHeader(params, tokenSecret)
+      }
+    })
+
+    if (!response.ok) {
+      const error = new Error(`Discogs OAuth error: ${response.status}`)
+      error.status = response.status
+      throw error
+    }
+
+    return Object.fromEntries(new URLSearchParams(await response.text()))
+  }
+
   /**
    * Get OAuth request token for authorization flow
+   * @returns {Promise<{token: string, tokenSecret: string, authorizeUrl: string}>}
    */
   async getRequestToken(callbackUrl) {
-    const oauth = new Discogs.Client(this.userAgent).oauth()
-    return new Promise((resolve, reject) => {
-      oauth.getRequestToken(this.consumerKey, this.consumerSecret, callbackUrl, (err, requestData) => {
-        if (err) reject(err)
-        else resolve(requestData)
-      })
+    const data = await this.oauthRequest('/oauth/request_token', 'GET', {
+      oauth_callback: callbackUrl
     })
+
+    return {
+      token: data.oauth_token,
+      tokenSecret: data.oauth_token_secret,
+      authorizeUrl: `${this.authorizeUrl}?oauth_token=${encodeURIComponent(data.oauth_token)}`
+    }
   }
 
   /**
    * Exchange request token for access token
+   * @returns {Promise<{token: string, tokenSecret: string}>}
    */
   async getAccessToken(requestToken, requestSecret, verifier) {
-    const oauth = new Discogs.Client(this.userAgent).oauth()
-    return new Promise((resolve, reject) => {
-      oauth.getAccessToken(requestToken, requestSecret, verifier, (err, accessData) => {
-        if (err) reject(err)
-        else resolve(accessData)
-      })
-    })
+    const data = await this.oauthRequest('/oauth/access_token', 'POST', {
+      oauth_token: requestToken,
+      oauth_verifier: verifier
+    }, requestSecret)
+
+    return { token: data.oauth_token, tokenSecret: data.oauth_token_secret }
   }
 
   /**
    * Get authenticated user identity
    */
   async getIdentity() {
-    this.initialize()
-    return new Promise((resolve, reject) => {
-      this.client.getIdentity((err, data) => {
-        if (err) reject(err)
-        else resolve(data)
-      })
-    })
+    return this.request('/oauth/identity')
   }
 
   /**
-   * Build headers for direct API requests
+   * Build headers for direct API requests: the user's OAuth tokens when set,
+   * the app's key and secret otherwise
    */
   getHeaders() {
     const headers = {
@@ -113,7 +161,9 @@ export class DiscogsService {
       'Accept': 'application/vnd.discogs.v2.discogs+json'
     }
 
-    if (this.consumerKey && this.consumerSecret) {
+    if (this.accessToken && this.accessSecret) {
+      headers['Authorization'] = this.oauthHeader({ oauth_token: this.accessToken }, this.accessSecret)
+    } else if (this.consumerKey && this.consumerSecret) {
       headers['Authorization'] = `Discogs key=${this.consumerKey}, secret=${this.consumerSecret}`
     }
 
@@ -136,24 +186,58 @@ export class DiscogsService {
   }
 
   /**
-   * Wait if rate limited
+   * Record the quota Discogs reports with each response made through the
+   * disconnect client. Discogs counts requests over a moving minute.
+   */
+  trackRateLimit(rateLimit) {
+    if (!rateLimit || Number.isNaN(rateLimit.remaining)) return
+
+    this.rateLimitRemaining = rateLimit.remaining
+    if (rateLimit.remaining <= 0) {
+      this.rateLimitReset = new Date(Date.now() + 60 * 1000)
+    }
+  }
+
+  /**
+   * Fail fast while the quota is used up rather than hold the request until
+   * it resets; cached responses are served meanwhile
    */
   async checkRateLimit() {
     if (this.rateLimitRemaining <= 0 && this.rateLimitReset) {
       const waitTime = this.rateLimitReset.getTime() - Date.now()
       if (waitTime > 0) {
-        await new Promise(resolve => setTimeout(resolve, waitTime + 100))
+        throw new RateLimitError('Discogs rate limit reached', Math.ceil(waitTime / 1000))
       }
     }
   }
 
+  /**
+   * Serve a public lookup through the response cache, only calling Discogs
+   * when there is no usable cached copy
+   * @param {string} endpoint - cache policy name, without the `discogs:` prefix
+   */
+  cached(endpoint, params, lookup) {
+    return getResponseCacheService().wrap(`discogs:${endpoint}`, params, async () => {
+      await this.checkRateLimit()
+
+      try {
+        return await lookup()
+      } catch (error) {
+        if ((error.statusCode ?? error.status) === 429) {
+          this.trackRateLimit({ remaining: 0 })
+        }
+        throw error
+      }
+    })
+  }
+
   /**
    * Make a direct request to Discogs API (fallback)
    */
   async request(endpoint, options = {}) {
     await this.checkRateLimit()
 
-    const url = `${DISCOGS_API_BASE}${endpoint}`
+    const url = `${this.apiBase}${endpoint}`
     const response = await fetch(url, {
       ...options,
       headers: {
@@ -171,9 +255,21 @@ export class DiscogsService {
       throw error
     }
 
+    if (response.status === 204) return null
     return response.json()
   }
 
+  /**
+   * Write to the API with a JSON body
+   */
+  async send(method, endpoint, body = null) {
+    return this.request(endpoint, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    })
+  }
+
   /**
    * Search for releases on Discogs
    * @param {Object} params - Search parameters
@@ -198,15 +294,18 @@ export class DiscogsService {
     if (params.barcode) searchParams.barcode = params.barcode
     if (params.catno) searchParams.catno = params.catno
 
-    return new Promise((resolve, reject) => {
-      this.db.search(searchParams, (err, data) => {
-        if (err) reject(err)
-        else resolve({
-          results: data.results.map(this.normalizeRelease),
-          pagination: data.pagination
+    return this.cached('search', searchParams, () =>
+      new Promise((resolve, reject) => {
+        this.db.search(searchParams, (err, data, rateLimit) => {
+          this.trackRateLimit(rateLimit)
+          if (err) reject(err)
+          else resolve({
+            results: data.results.map(this.normalizeRelease),
+            pagination: data.pagination
+          })
         })
       })
-    })
+    )
   }
 
   /**
@@ -215,12 +314,15 @@ export class DiscogsService {
   async getRelease(releaseId) {
     this.initialize()
 
-    return new Promise((resolve, reject) => {
-      this.db.getRelease(releaseId, (err, data) => {
-        if (err) reject(err)
-        else resolve(this.normalizeReleaseDetails(data))
+    return this.cached('release', { releaseId: String(releaseId) }, () =>
+      new Promise((resolve, reject) => {
+        this.db.getRelease(releaseId, (err, data, rateLimit) => {
+          this.trackRateLimit(rateLimit)
+          if (err) reject(err)
+          else resolve(this.normalizeReleaseDetails(data))
+        })
       })
-    })
+    )
   }
 
   /**
@@ -229,12 +331,15 @@ export class DiscogsService {
   async getMasterRelease(masterId) {
     this.initialize()
 
-    return new Promise((resolve, reject) => {
-      this.db.getMaster(masterId, (err, data) => {
-        if (err) reject(err)
-        else resolve(this.normalizeMasterRelease(data))
+    return this.cached('master', { masterId: String(masterId) }, () =>
+      new Promise((resolve, reject) => {
+        this.db.getMaster(masterId, (err, data, rateLimit) => {
+          this.trackRateLimit(rateLimit)
+          if (err) reject(err)
+          else resolve(this.normalizeMasterRelease(data))
+        })
       })
-    })
+    )
   }
 
   /**
@@ -243,15 +348,18 @@ export class DiscogsService {
   async getMasterVersions(masterId, page = 1, perPage = 50) {
     this.initialize()
 
-    return new Promise((resolve, reject) => {
-      this.db.getMasterVersions(masterId, { page, per_page: perPage }, (err, data) => {
-        if (err) reject(err)
-        else resolve({
-          versions: data.versions.map(this.normalizeVersion),
-          pagination: data.pagination
+    return this.cached('masterVersions', { masterId: String(masterId), page, perPage }, () =>
+      new Promise((resolve, reject) => {
+        this.db.getMasterVersions(masterId, { page, per_page: perPage }, (err, data, rateLimit) => {
+          this.trackRateLimit(rateLimit)
+          if (err) reject(err)
+          else resolve({
+            versions: data.versions.map(this.normalizeVersion),
+            pagination: data.pagination
+          })
         })
       })
-    })
+    )
   }
 
   /**
@@ -266,12 +374,14 @@ export class DiscogsService {
     params.set('page', (options.page || 1).toString())
     params.set('per_page', (options.perPage || 25).toString())
 
-    const data = await this.request(`/marketplace/listings?release_id=${releaseId}&${params}`)
+    return this.cached('listings', { releaseId: String(releaseId), ...options }, async () => {
+      const data = await this.request(`/marketplace/listings?release_id=${releaseId}&${params}`)
 
-    return {
-      listings: data.listings.map(this.normalizeMarketplaceListing),
-      pagination: data.pagination
-    }
+      return {
+        listings: data.listings.map(this.normalizeMarketplaceListing),
+        pagination: data.pagination
+      }
+    })
   }
 
   /**
@@ -280,12 +390,15 @@ export class DiscogsService {
   async getPriceSuggestions(releaseId) {
     this.initialize()
 
-    return new Promise((resolve, reject) => {
-      this.marketplace.getPriceSuggestions(releaseId, (err, data) => {
-        if (err) reject(err)
-        else resolve(this.normalizePriceSuggestions(data))
+    return this.cached('prices', { releaseId: String(releaseId) }, () =>
+      new Promise((resolve, reject) => {
+        this.marketplace.getPriceSuggestions(releaseId, (err, data, rateLimit) => {
+          this.trackRateLimit(rateLimit)
+          if (err) reject(err)
+          else resolve(this.normalizePriceSuggestions(data))
+        })
       })
-    })
+    )
   }
 
   /**
@@ -294,12 +407,15 @@ export class DiscogsService {
   async getArtist(artistId) {
     this.initialize()
 
-    return new Promise((resolve, reject) => {
-      this.db.getArtist(artistId, (err, data) => {
-        if (err) reject(err)
-        else resolve(this.normalizeArtist(data))
+    return this.cached('artist', { artistId: String(artistId) }, () =>
+      new Promise((resolve, reject) => {
+        this.db.getArtist(artistId, (err, data, rateLimit) => {
+          this.trackRateLimit(rateLimit)
+          if (err) reject(err)
+          else resolve(this.normalizeArtist(data))
+        })
       })
-    })
+    )
   }
 
   /**
@@ -308,20 +424,23 @@ export class DiscogsService {
   async getArtistReleases(artistId, options = {}) {
     this.initialize()
 
-    return new Promise((resolve, reject) => {
-      this.db.getArtistReleases(artistId, {
-        page: options.page || 1,
-        per_page: options.perPage || 50,
-        sort: options.sort || 'year',
-        sort_order: options.sortOrder || 'asc'
-      }, (err, data) => {
-        if (err) reject(err)
-        else resolve({
-          releases: data.releases.map(this.normalizeArtistRelease),
-          pagination: data.pagination
+    return this.cached('artistReleases', { artistId: String(artistId), ...options }, () =>
+      new Promise((resolve, reject) => {
+        this.db.getArtistReleases(artistId, {
+          page: options.page || 1,
+          per_page: options.perPage || 50,
+          sort: options.sort || 'year',
+          sort_order: options.sortOrder || 'asc'
+        }, (err, data, rateLimit) => {
+          this.trackRateLimit(rateLimit)
+          if (err) reject(err)
+          else resolve({
+            releases: data.releases.map(this.normalizeArtistRelease),
+            pagination: data.pagination
+          })
         })
       })
-    })
+    )
   }
 
   /**
@@ -330,15 +449,18 @@ export class DiscogsService {
   async searchArtists(query, page = 1, perPage = 25) {
     this.initialize()
 
-    return new Promise((resolve, reject) => {
-      this.db.search({ q: query, type: 'artist', page, per_page: perPage }, (err, data) => {
-        if (err) reject(err)
-        else resolve({
-          results: data.results.map(this.normalizeArtistSearchResult),
-          pagination: data.pagination
+    return this.cached('artistSearch', { query, page, perPage }, () =>
+      new Promise((resolve, reject) => {
+        this.db.search({ q: query, type: 'artist', page, per_page: perPage }, (err, data, rateLimit) => {
+          this.trackRateLimit(rateLimit)
+          if (err) reject(err)
+          else resolve({
+            results: data.results.map(this.normalizeArtistSearchResult),
+            pagination: data.pagination
+          })
         })
       })
-    })
+    )
   }
 
   /**
@@ -347,124 +469,142 @@ export class DiscogsService {
   async getLabel(labelId) {
     this.initialize()
 
-    return new Promise((resolve, reject) => {
-      this.db.getLabel(labelId, (err, data) => {
-        if (err) reject(err)
-        else resolve(this.normalizeLabel(data))
+    return this.cached('label', { labelId: String(labelId) }, () =>
+      new Promise((resolve, reject) => {
+        this.db.getLabel(labelId, (err, data, rateLimit) => {
+          this.trackRateLimit(rateLimit)
+          if (err) reject(err)
+          else resolve(this.normalizeLabel(data))
+        })
       })
-    })
+    )
   }
 
   /**
    * Get user collection (requires OAuth)
    */
   async getUserCollection(username, folderId = 0, options = {}) {
-    this.initialize()
-
-    return new Promise((resolve, reject) => {
-      this.user.collection().getReleases(username, folderId, {
-        page: options.page || 1,
-        per_page: options.perPage || 50,
-        sort: options.sort || 'added',
-        sort_order: options.sortOrder || 'desc'
-      }, (err, data) => {
-        if (err) reject(err)
-        else resolve({
-          releases: data.releases.map(this.normalizeCollectionRelease),
-          pagination: data.pagination
-        })
-      })
+    const params = new URLSearchParams({
+      page: options.page || 1,
+      per_page: options.perPage || 50,
+      sort: options.sort || 'added',
+      sort_order: options.sortOrder || 'desc'
     })
+
+    const data = await this.request(
+      `/users/${encodeURIComponent(username)}/collection/folders/${folderId}/releases?${params}`
+    )
+    return {
+      releases: data.releases.map(this.normalizeCollectionRelease),
+      pagination: data.pagination
+    }
   }
 
   /**
    * Get collection folders (requires OAuth)
    */
   async getCollectionFolders(username) {
-    this.initialize()
+    const data = await this.request(`/users/${encodeURIComponent(username)}/collection/folders`)
+    return data.folders
+  }
 
-    return new Promise((resolve, reject) => {
-      this.user.collection().getFolders(username, (err, data) => {
-        if (err) reject(err)
-        else resolve(data.folders)
-      })
-    })
+  /**
+   * Create a collection folder (requires OAuth)
+   */
+  async createCollectionFolder(username, name) {
+    return this.send('POST', `/users/${encodeURIComponent(username)}/collection/folders`, { name })
+  }
+
+  /**
+   * Get the user's collection fields: Media Condition, Sleeve Condition,
+   * Notes and any they added (requires OAuth)
+   */
+  async getCollectionFields(username) {
+    const data = await this.request(`/users/${encodeURIComponent(username)}/collection/fields`)
+    return data.fields
   }
 
   /**
    * Add release to collection (requires OAuth)
+   * @returns {Promise<{instance_id: number, resource_url: string}>}
    */
   async addToCollection(username, folderId, releaseId) {
-    this.initialize()
+    return this.send(
+      'POST',
+      `/users/${encodeURIComponent(username)}/collection/folders/${folderId}/releases/${releaseId}`
+    )
+  }
 
-    return new Promise((resolve, reject) => {
-      this.user.collection().addRelease(username, folderId, releaseId, (err, data) => {
-        if (err) reject(err)
-        else resolve(data)
-      })
-    })
+  /**
+   * Move a collection item to another folder (requires OAuth)
+   */
+  async moveCollectionItem(username, folderId, releaseId, instanceId, newFolderId) {
+    return this.send(
+      'POST',
+      `/users/${encodeURIComponent(username)}/collection/folders/${folderId}/releases/${releaseId}/instances/${instanceId}`,
+      { folder_id: newFolderId }
+    )
+  }
+
+  /**
+   * Set one field (condition, notes) on a collection item (requires OAuth)
+   */
+  async setCollectionField(username, folderId, releaseId, instanceId, fieldId, value) {
+    return this.send(
+      'POST',
+      `/users/${encodeURIComponent(username)}/collection/folders/${folderId}/releases/${releaseId}/instances/${instanceId}/fields/${fieldId}`,
+      { value }
+    )
   }
 
   /**
    * Remove release from collection (requires OAuth)
    */
   async removeFromCollection(username, folderId, releaseId, instanceId) {
-    this.initialize()
-
-    return new Promise((resolve, reject) => {
-      this.user.collection().removeRelease(username, folderId, releaseId, instanceId, (err, data) => {
-        if (err) reject(err)
-        else resolve(data)
-      })
-    })
+    return this.send(
+      'DELETE',
+      `/users/${encodeURIComponent(username)}/collection/folders/${folderId}/releases/${releaseId}/instances/${instanceId}`
+    )
   }
 
   /**
    * Get user wantlist (requires OAuth)
    */
   async getUserWantlist(username, options = {}) {
-    this.initialize()
-
-    return new Promise((resolve, reject) => {
-      this.user.wantlist().getReleases(username, {
-        page: options.page || 1,
-        per_page: options.perPage || 50
-      }, (err, data) => {
-        if (err) reject(err)
-        else resolve({
-          wants: data.wants.map(this.normalizeWantlistItem),
-          pagination: data.pagination
-        })
-      })
+    const params = new URLSearchParams({
+      page: options.page || 1,
+      per_page: options.perPage || 50
     })
+
+    const data = await this.request(`/users/${encodeURIComponent(username)}/wants?${params}`)
+    return {
+      wants: data.wants.map(this.normalizeWantlistItem),
+      pagination: data.pagination
+    }
   }
 
   /**
    * Add release to wantlist (requires OAuth)
    */
   async addToWantlist(username, releaseId, notes = '', rating = 0) {
-    this.initialize()
-
-    return new Promise((resolve, reject) => {
-      this.user.wantlist().addRelease(username, releaseId, { notes, rating }, (err, data) => {
-        if (err) reject(err)
-        else resolve(data)
-      })
+    return this.send('PUT', `/users/${encodeURIComponent(username)}/wants/${releaseId}`, {
+      notes,
+      rating
     })
   }
 
+  /**
+   * Edit the notes or rating of a wantlist item (requires OAuth)
+   */
+  async updateWantlistItem(username, releaseId, changes = {}) {
+    return this.send('POST', `/users/${encodeURIComponent(username)}/wants/${releaseId}`, changes)
+  }
+
   /**
    * Remove release from wantlist (requires OAuth)
    */
   async removeFromWantlist(username, releaseId) {
-    this.initialize()
-
-    return new Promise((resolve, reject) => {
-      this.user.wantlist().removeRelease(username, releaseId, (err, data) => {
-        if (err) reject(err)
-        else resolve(data)
-      })
-    })
+    return this.send('DELETE', `/users/${encodeURIComponent(username)}/wants/${releaseId}`)
   }
 
   // ========== NORMALIZATION METHODS ==========
@@ -878,14 +1018,19 @@ export class DiscogsService {
 
     try {
       priceSuggestions = await this.getPriceSuggestions(releaseId)
-    } catch {
-      // Price suggestions may not be available
+    } catch (error) {
+      // Price suggestions may not be available, but the rate limit stops the whole import
+      if (error instanceof RateLimitError || (error.statusCode ?? error.status) === 429) {
+        throw error
+      }
     }
 
     // Get suggested price based on NM condition or lowest available
     let suggestedPrice = release.lowestPrice
+    let priceSource = suggestedPrice ? 'lowest_price' : 'placeholder'
     if (priceSuggestions?.NM) {
       suggestedPrice = priceSuggestions.NM.value
+      priceSource = 'price_suggestion'
     }
 
     return {
@@ -896,7 +1041,9 @@ export class DiscogsService {
       description: release.notes || `${release.title} by ${release.artistsSort}`,
       image: release.images?.[0]?.uri || additionalData.image,
       price: additionalData.price || suggestedPrice || 29.99,
-      stock: additionalData.stock || 1,
+      // Where the price came from, so an importer can flag a guessed one
+      price_source: additionalData.price ? 'given' : priceSource,
+      stock: additionalData.stock ?? 1,
       // Discogs metadata
       discogs_id: release.discogsId,
       discogs_master_id: release.masterId,
@@ -908,6 +1055,7 @@ export class DiscogsService {
       released: release.releasedFormatted,
       styles: release.styles?.join(', '),
       tracklist: JSON.stringify(release.tracklist),
+      credits: JSON.stringify(release.extraArtists),
       community_rating: release.community?.rating,
       community_have: release.community?.have,
       community_want: release.community?.want,
@@ -0,0 +1,767 @@
+/**
+ * Discogs Sync Service
+ * Links a user's Discogs account over OAuth (tokens stored encrypted) and
+ * keeps their collection and wantlist in step with it. Each sync compares
+ * both sides with what they looked like after the last one: a change made on
+ * one side is copied to the other, and a field changed differently on both is
+ * reported as a conflict and left alone unless the caller says which side
+ * wins. Every item's state is saved as soon as it is synced, so a sync cut
+ * short (e.g. by the Discogs rate limit) carries on where it stopped.
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { collectionRepository, discogsSyncRepository, SYNC_KINDS } from '../repositories/index.js'
+import {
+  APIError,
+  ConflictError,
+  ExternalServiceError,
+  NotFoundError,
+  RateLimitError,
+  ValidationError,
+} from '../utils/errors.js'
+import {
+  discogsLabelToGrade,
+  discogsLabelToSleeveGrade,
+  gradeToDiscogsLabel,
+  sleeveGradeToDiscogsLabel,
+} from '../utils/grading.js'
+import { decryptSecret, encryptSecret } from '../utils/secrets.js'
+import { DiscogsService } from './DiscogsService.js'
+import { getImageStorageService } from './ImageStorageService.js'
+
+export const CONFLICT_REASONS = {
+  CHANGED_ON_BOTH: 'changed_on_both',
+  REMOVED_LOCALLY: 'removed_locally',
+  REMOVED_ON_DISCOGS: 'removed_on_discogs',
+}
+
+// Request tokens the user hasn't come back from Discogs with by then are dropped
+const REQUEST_TOKEN_TTL_MS = 15 * 60 * 1000
+
+// Discogs' default folder. Folder 0 ("All") lists every item but can't hold any.
+const UNCATEGORIZED = { id: 1, name: 'Uncategorized' }
+// The folder every user has here (CollectionService.getFolders)
+const LOCAL_DEFAULT_FOLDER = 'All'
+
+const PER_PAGE = 100
+
+// Item fields kept in step, by kind
+const SYNC_FIELDS = {
+  collection: ['folder', 'media_condition', 'sleeve_condition', 'notes'],
+  wantlist: ['notes'],
+}
+
+// Discogs' built-in collection fields the sync maps onto ours
+const COLLECTION_FIELDS = {
+  media_condition: 'Media Condition',
+  sleeve_condition: 'Sleeve Condition',
+  notes: 'Notes',
+}
+
+const blank = (value) => (value === undefined || value === '' ? null : value)
+const same = (a, b) => blank(a) === blank(b)
+
+// SQLite CURRENT_TIMESTAMP format, in UTC
+const sqliteTimestamp = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19)
+
+// Discogs tells same-named artists apart with a number: "Nirvana (2)"
+const artistName = (artists = []) =>
+  artists.map(({ name }) => name.replace(/ \(\d+\)$/, '')).join(', ') || 'Unknown Artist'
+
+export class DiscogsSyncService {
+  constructor(options = {}) {
+    // Passed to every DiscogsService the sync creates (apiBase for a stand-in)
+    this.discogsOptions = options.discogs || {}
+    this.images = options.images || getImageStorageService()
+    // Users with a sync under way
+    this.syncing = new Set()
+  }
+
+  client(tokens = {}) {
+    return new DiscogsService({ ...this.discogsOptions, ...tokens })
+  }
+
+  clientFor(account) {
+    return this.client({
+      accessToken: decryptSecret(account.access_token),
+      accessSecret: decryptSecret(account.access_secret),
+    })
+  }
+
+  /**
+   * Turn a failed Discogs call into an error the API can answer with
+   */
+  upstreamError(error) {
+    if (error instanceof APIError) return error
+    if (error.status === 429) {
+      return new RateLimitError('Discogs rate limit reached; sync again in a minute', 60)
+    }
+    if (error.status === 401) {
+      return new ExternalServiceError(
+        'Discogs',
+        'Discogs no longer accepts this account; connect it again'
+      )
+    }
+    return new ExternalServiceError('Discogs', error.message)
+  }
+
+  // ========== Connecting ==========
+
+  /**
+   * Start the OAuth flow: get a request token and the Discogs page the user
+   * authorizes us on, which sends them back to `callbackUrl`
+   */
+  async startConnect(userId, callbackUrl) {
+    const discogs = this.client()
+    if (!discogs.consumerKey || !discogs.consumerSecret) {
+      throw new ExternalServiceError('Discogs', 'Discogs API credentials are not configured')
+    }
+
+    await discogsSyncRepository.deleteRequestTokensBefore(
+      sqliteTimestamp(Date.now() - REQUEST_TOKEN_TTL_MS)
+    )
+
+    let request
+    try {
+      request = await discogs.getRequestToken(callbackUrl)
+    } catch (error) {
+      throw this.upstreamError(error)
+    }
+
+    await discogsSyncRepository.saveRequestToken(
+      userId,
+      request.token,
+      encryptSecret(request.tokenSecret)
+    )
+    return { authorizeUrl: request.authorizeUrl }
+  }
+
+  /**
+   * Finish the OAuth flow when Discogs sends the user back
+   * @returns {Promise<number>} the user whose account was connected
+   */
+  async completeConnect(requestToken, verifier) {
+    const pending = await discogsSyncRepository.takeRequestToken(requestToken)
+    const expired =
+      pending &&
+      Date.parse(`${pending.created_at.replace(' ', 'T')}Z`) < Date.now() - REQUEST_TOKEN_TTL_MS
+
+    if (!pending || expired) {
+      throw new ValidationError(
+        'Discogs authorization expired or was not started here; connect again'
+      )
+    }
+
+    let access
+    let identity
+    try {
+      access = await this.client().getAccessToken(
+        requestToken,
+        decryptSecret(pending.request_secret),
+        verifier
+      )
+      identity = await this.client({
+        accessToken: access.token,
+        accessSecret: access.tokenSecret,
+      }).getIdentity()
+    } catch (error) {
+      throw this.upstreamError(error)
+    }
+
+    await discogsSyncRepository.saveAccount(pending.user_id, {
+      discogsUserId: identity.id,
+      username: identity.username,
+      accessToken: encryptSecret(access.token),
+      accessSecret: encryptSecret(access.tokenSecret),
+    })
+    logger.info(`User ${pending.user_id} connected Discogs account ${identity.username}`)
+
+    return pending.user_id
+  }
+
+  async getConnection(userId) {
+    const account = await discogsSyncRepository.getAccount(userId)
+    if (!account) {
+      return { connected: false }
+    }
+
+    return {
+      connected: true,
+      username: account.discogs_username,
+      connectedAt: account.connected_at,
+      lastSyncedAt: account.last_synced_at,
+      lastSync: account.last_sync_report ? JSON.parse(account.last_sync_report) : null,
+    }
+  }
+
+  /**
+   * Forget the account's tokens and sync state; local items are kept
+   */
+  async disconnect(userId) {
+    if (!(await discogsSyncRepository.deleteAccount(userId))) {
+      throw new NotFoundError('Discogs account')
+    }
+    logger.info(`User ${userId} disconnected their Discogs account`)
+  }
+
+  // ========== Syncing ==========
+
+  /**
+   * Sync the user's collection and wantlist with Discogs
+   * @param {number} userId
+   * @param {{direction?: 'both'|'pull'|'push', prefer?: 'local'|'discogs'}} [options] -
+   *   `pull` only brings Discogs changes in, `push` only sends local ones out;
+   *   `prefer` settles conflicts instead of reporting them
+   */
+  async sync(userId, { direction = 'both', prefer = null } = {}) {
+    const account = await discogsSyncRepository.getAccount(userId)
+    if (!account) {
+      throw new NotFoundError('Discogs account')
+    }
+    if (this.syncing.has(userId)) {
+      throw new ConflictError('A Discogs sync is already running for this account')
+    }
+
+    this.syncing.add(userId)
+    try {
+      const session = {
+        userId,
+        username: account.discogs_username,
+        discogs: this.clientFor(account),
+        pull: direction !== 'push',
+        push: direction !== 'pull',
+        prefer,
+        conflicts: [],
+      }
+
+      const report = {
+        direction,
+        prefer,
+        collection: await this.syncKind(session, SYNC_KINDS.COLLECTION),
+        wantlist: await this.syncKind(session, SYNC_KINDS.WANTLIST),
+        conflicts: session.conflicts,
+        syncedAt: new Date().toISOString(),
+      }
+
+      await discogsSyncRepository.recordSync(userId, report)
+      logger.info(
+        `Discogs sync for user ${userId}: ${report.conflicts.length} conflicts, ` +
+          `collection ${JSON.stringify(report.collection)}, wantlist ${JSON.stringify(report.wantlist)}`
+      )
+      return report
+    } catch (error) {
+      throw this.upstreamError(error)
+    } finally {
+      this.syncing.delete(userId)
+    }
+  }
+
+  async syncKind(session, kind) {
+    const adapter = kind === SYNC_KINDS.COLLECTION ? this.collectionAdapter : this.wantlistAdapter
+    const counts = {
+      pulled: { added: 0, updated: 0, removed: 0 },
+      pushed: { added: 0, updated: 0, removed: 0 },
+      // Local items without a Discogs release, which can't be synced
+      skipped: 0,
+      conflicts: 0,
+    }
+    const context = { ...session, kind, adapter: adapter.call(this, session), counts }
+
+    const remote = new Map((await context.adapter.fetchRemote()).map((item) => [item.key, item]))
+    const local = new Map((await context.adapter.fetchLocal()).map((item) => [item.id, item]))
+    const linkedRemote = new Set()
+    const linkedLocal = new Set()
+
+    for (const link of await discogsSyncRepository.getSyncItems(session.userId, kind)) {
+      linkedRemote.add(link.remote_key)
+      linkedLocal.add(link.local_id)
+      await this.reconcile(context, link, local.get(link.local_id), remote.get(link.remote_key))
+    }
+
+    // New on Discogs: paired with a local item of the same release that isn't
+    // linked yet, otherwise pulled in
+    const unlinked = [...local.values()].filter((item) => !linkedLocal.has(item.id))
+    for (const item of remote.values()) {
+      if (linkedRemote.has(item.key)) continue
+
+      const match = unlinked.findIndex(({ releaseId }) => releaseId === item.releaseId)
+      const [localItem] = match === -1 ? [] : unlinked.splice(match, 1)
+      await this.reconcile(context, null, localItem, item)
+    }
+
+    // New here: pushed to Discogs
+    for (const item of unlinked) {
+      if (!item.releaseId) {
+        counts.skipped++
+        continue
+      }
+      await this.reconcile(context, null, item, undefined)
+    }
+
+    return counts
+  }
+
+  /**
+   * Bring one item into step: `link` is its state after the last sync (null
+   * for items never synced), `localItem`/`remoteItem` what each side has now
+   */
+  async reconcile(context, link, localItem, remoteItem) {
+    const { adapter, counts, pull, push, prefer } = context
+    const base = link?.snapshot ?? {}
+    const fields = SYNC_FIELDS[context.kind]
+    const changedSince = (item) => fields.filter((field) => !same(item.values[field], base[field]))
+
+    if (localItem && remoteItem) {
+      return this.merge(context, link, localItem, remoteItem)
+    }
+
+    if (link && !localItem && !remoteItem) {
+      await discogsSyncRepository.deleteSyncItem(link.id)
+      return
+    }
+
+    if (link && remoteItem) {
+      // Removed here: remove it on Discogs too, unless it changed there since
+      const changed = changedSince(remoteItem)
+      if (changed.length === 0 || prefer === 'local') {
+        if (!push) return
+        await adapter.deleteRemote(link)
+        await discogsSyncRepository.deleteSyncItem(link.id)
+        counts.pushed.removed++
+      } else if (prefer === 'discogs') {
+        if (!pull) return
+        await this.pullNew(context, remoteItem)
+      } else {
+        this.conflict(context, CONFLICT_REASONS.REMOVED_LOCALLY, link, changed, {
+          discogs: remoteItem,
+        })
+      }
+      return
+    }
+
+    if (link && localItem) {
+      // Removed on Discogs: remove it here too, unless it changed here since
+      const changed = changedSince(localItem)
+      if (changed.length === 0 || prefer === 'discogs') {
+        if (!pull) return
+        await adapter.deleteLocal(localItem)
+        await discogsSyncRepository.deleteSyncItem(link.id)
+        counts.pulled.removed++
+      } else if (prefer === 'local') {
+        if (!push) return
+        await discogsSyncRepository.deleteSyncItem(link.id)
+        await this.pushNew(context, localItem)
+      } else {
+        this.conflict(context, CONFLICT_REASONS.REMOVED_ON_DISCOGS, link, changed, {
+          local: localItem,
+        })
+      }
+      return
+    }
+
+    if (remoteItem && pull) {
+      await this.pullNew(context, remoteItem)
+    } else if (localItem && push) {
+      await this.pushNew(context, localItem)
+    }
+  }
+
+  /**
+   * Item on both sides: copy each field from the side that changed it
+   */
+  async merge(context, link, localItem, remoteItem) {
+    const { adapter, counts, pull, push, prefer } = context
+    const base = link?.snapshot
+    const snapshot = { ...base }
+    const toLocal = {}
+    const toRemote = {}
+    const conflicting = []
+
+    for (const field of SYNC_FIELDS[context.kind]) {
+      const mine = blank(localItem.values[field])
+      const theirs = blank(remoteItem.values[field])
+
+      if (same(mine, theirs)) {
+        snapshot[field] = mine
+        continue
+      }
+
+      let winner
+      if (base) {
+        winner = same(mine, base[field]) ? 'discogs' : same(theirs, base[field]) ? 'local' : prefer
+      } else {
+        // First sync of a pair: a blank side takes the other's value
+        winner = mine === null ? 'discogs' : theirs === null ? 'local' : prefer
+      }
+
+      if (winner === 'discogs' && pull) {
+        toLocal[field] = theirs
+        snapshot[field] = theirs
+      } else if (winner === 'local' && push) {
+        toRemote[field] = mine
+        snapshot[field] = mine
+      } else if (!winner) {
+        conflicting.push(field)
+      }
+    }
+
+    if (Object.keys(toLocal).length > 0) {
+      await adapter.updateLocal(localItem, toLocal)
+      counts.pulled.updated++
+    }
+
+    let folderId = remoteItem.folderId ?? null
+    if (Object.keys(toRemote).length > 0) {
+      folderId = await adapter.updateRemote(remoteItem, toRemote)
+      counts.pushed.updated++
+    }
+
+    if (conflicting.length > 0) {
+      this.conflict(context, CONFLICT_REASONS.CHANGED_ON_BOTH, link, conflicting, {
+        local: localItem,
+        discogs: remoteItem,
+      })
+    }
+
+    await discogsSyncRepository.saveSyncItem(context.userId, context.kind, {
+      remoteKey: remoteItem.key,
+      localId: localItem.id,
+      releaseId: remoteItem.releaseId,
+      folderId,
+      snapshot,
+    })
+  }
+
+  async pullNew(context, remoteItem) {
+    const localId = await context.adapter.createLocal(remoteItem)
+    context.counts.pulled.added++
+
+    await discogsSyncRepository.saveSyncItem(context.userId, context.kind, {
+      remoteKey: remoteItem.key,
+      localId,
+      releaseId: remoteItem.releaseId,
+      folderId: remoteItem.folderId ?? null,
+      snapshot: remoteItem.values,
+    })
+  }
+
+  async pushNew(context, localItem) {
+    const { key, folderId } = await context.adapter.createRemote(localItem)
+    context.counts.pushed.added++
+
+    await discogsSyncRepository.saveSyncItem(context.userId, context.kind, {
+      remoteKey: key,
+      localId: localItem.id,
+      releaseId: localItem.releaseId,
+      folderId,
+      snapshot: localItem.values,
+    })
+  }
+
+  /**
+   * Report fields that can't be synced without knowing which side wins;
+   * `local` or `discogs` is missing when the item was removed there
+   */
+  conflict(context, reason, link, fields, { local = null, discogs = null }) {
+    const item = local ?? discogs
+
+    context.counts.conflicts++
+    context.conflicts.push({
+      kind: context.kind,
+      reason,
+      itemId: link?.local_id ?? local.id,
+      discogsReleaseId: item.releaseId,
+      title: item.title,
+      fields: fields.map((field) => ({
+        field,
+        local: local ? blank(local.values[field]) : null,
+        discogs: discogs ? blank(discogs.values[field]) : null,
+        lastSynced: blank(link?.snapshot[field]) ?? null,
+      })),
+    })
+  }
+
+  // ========== Collection and wantlist on each side ==========
+
+  /**
+   * Collection items: the folder (by name) and the Media Condition, Sleeve
+   * Condition and Notes fields
+   */
+  collectionAdapter({ userId, username, discogs }) {
+    let remoteFolders = []
+    let localFolders = []
+    let fieldIds = {}
+
+    const remoteFolderName = (folderId) =>
+      remoteFolders.find(({ id }) => id === folderId)?.name ?? UNCATEGORIZED.name
+
+    // The local "All" folder and items outside the user's folders are Discogs' Uncategorized
+    const localFolderName = (folderId) => {
+      const name = localFolders.find(({ id }) => id === folderId)?.name
+      return !name || name === LOCAL_DEFAULT_FOLDER ? UNCATEGORIZED.name : name
+    }
+
+    const localFolderId = async (name) => {
+      const folder = localFolders.find((candidate) => candidate.name === name)
+      if (folder) return folder.id
+
+      const created =
+        name === UNCATEGORIZED.name
+          ? await collectionRepository.getDefaultFolder(userId)
+          : await collectionRepository.createFolder(userId, name, 'Synced from Discogs')
+      localFolders.push(created)
+      return created.id
+    }
+
+    const remoteFolderId = async (name) => {
+      if (name === UNCATEGORIZED.name) return UNCATEGORIZED.id
+      const folder = remoteFolders.find((candidate) => candidate.name === name)
+      if (folder) return folder.id
+
+      const created = await discogs.createCollectionFolder(username, name)
+      remoteFolders.push(created)
+      return created.id
+    }
+
+    const fieldValue = (notes, field) =>
+      notes?.find(({ field_id }) => field_id === fieldIds[field])?.value
+
+    const toDiscogs = {
+      media_condition: (grade) => (grade && gradeToDiscogsLabel(grade)) || '',
+      sleeve_condition: (grade) => (grade && sleeveGradeToDiscogsLabel(grade)) || '',
+      notes: (notes) => notes ?? '',
+    }
+
+    const setFields = async (folderId, releaseId, instanceId, values) => {
+      for (const [field, value] of Object.entries(values)) {
+        if (field === 'folder' || !fieldIds[field]) continue
+        await discogs.setCollectionField(
+          username,
+          folderId,
+          releaseId,
+          instanceId,
+          fieldIds[field],
+          toDiscogs[field](value)
+        )
+      }
+    }
+
+    return {
+      fetchRemote: async () => {
+        remoteFolders = await discogs.getCollectionFolders(username)
+        fieldIds = Object.fromEntries(
+          (await discogs.getCollectionFields(username))
+            .map((field) => [
+              Object.keys(COLLECTION_FIELDS).find((key) => COLLECTION_FIELDS[key] === field.name),
+              field.id,
+            ])
+            .filter(([key]) => key)
+        )
+
+        const items = []
+        for (let page = 1, pages = 1; page <= pages; page++) {
+          const { releases, pagination } = await discogs.getUserCollection(username, 0, {
+            page,
+            perPage: PER_PAGE,
+            sortOrder: 'asc',
+          })
+          pages = pagination?.pages ?? 1
+
+          for (const item of releases) {
+            items.push({
+              key: String(item.instanceId),
+              releaseId: item.release.id,
+              folderId: item.folderId,
+              title: item.release.title,
+              release: item.release,
+              values: {
+                folder: remoteFolderName(item.folderId),
+                media_condition: discogsLabelToGrade(fieldValue(item.notes, 'media_condition')),
+                sleeve_condition: discogsLabelToSleeveGrade(
+                  fieldValue(item.notes, 'sleeve_condition')
+                ),
+                notes: blank(fieldValue(item.notes, 'notes')) ?? null,
+              },
+            })
+          }
+        }
+        return items
+      },
+
+      fetchLocal: async () => {
+        // Created before any folder the sync adds, so a new folder can't take
+        // the default folder's ID (1) in a fresh database
+        await collectionRepository.getDefaultFolder(userId)
+        localFolders = await collectionRepository.getFolders(userId)
+        const items = await discogsSyncRepository.getLocalItems(userId, SYNC_KINDS.COLLECTION)
+
+        return items.map((item) => ({
+          id: item.id,
+          releaseId: item.discogs_release_id,
+          title: item.title,
+          values: {
+            folder: localFolderName(item.folder_id),
+            media_condition: blank(item.media_condition),
+            sleeve_condition: blank(item.sleeve_condition),
+            notes: blank(item.notes),
+          },
+        }))
+      },
+
+      updateLocal: async (item, values) => {
+        const { folder, ...rest } = values
+        const changes = { ...rest }
+        if (folder !== undefined) {
+          changes.folder_id = await localFolderId(folder)
+        }
+        await discogsSyncRepository.updateLocalItem(SYNC_KINDS.COLLECTION, item.id, changes)
+      },
+
+      createLocal: async (item) => {
+        const { release, values } = item
+        return discogsSyncRepository.createLocalItem(userId, SYNC_KINDS.COLLECTION, {
+          discogs_release_id: release.id,
+          title: release.title,
+          artist: artistName(release.artists),
+          // Discogs gives 0 for releases without a year
+          year: release.year || null,
+          format: release.formats?.[0]?.name ?? null,
+          label: release.labels?.[0]?.name ?? null,
+          catalog_number: release.labels?.[0]?.catno ?? null,
+          genres: release.genres?.join(', ') || null,
+          styles: release.styles?.join(', ') || null,
+          cover_image:
+            (await this.images.localize(release.coverImage, { folder: 'collection' })) || null,
+          notes: values.notes,
+          media_condition: values.media_condition,
+          sleeve_condition: values.sleeve_condition,
+          folder_id: await localFolderId(values.folder),
+        })
+      },
+
+      deleteLocal: (item) => discogsSyncRepository.deleteLocalItem(SYNC_KINDS.COLLECTION, item.id),
+
+      // Returns the folder the item is in afterwards
+      updateRemote: async (item, values) => {
+        let folderId = item.folderId
+        if (values.folder !== undefined) {
+          const newFolderId = await remoteFolderId(values.folder)
+          await discogs.moveCollectionItem(
+            username,
+            folderId,
+            item.releaseId,
+            Number(item.key),
+            newFolderId
+          )
+          folderId = newFolderId
+        }
+        await setFields(folderId, item.releaseId, Number(item.key), values)
+        return folderId
+      },
+
+      createRemote: async (item) => {
+        const folderId = await remoteFolderId(item.values.folder)
+        const { instance_id: instanceId } = await discogs.addToCollection(
+          username,
+          folderId,
+          item.releaseId
+        )
+
+        const filled = Object.fromEntries(
+          Object.entries(item.values).filter(([, value]) => value !== null)
+        )
+        await setFields(folderId, item.releaseId, instanceId, filled)
+        return { key: String(instanceId), folderId }
+      },
+
+      deleteRemote: (link) =>
+        discogs.removeFromCollection(
+          username,
+          link.discogs_folder_id ?? UNCATEGORIZED.id,
+          link.discogs_release_id,
+          Number(link.remote_key)
+        ),
+    }
+  }
+
+  /**
+   * Wantlist items: one per release, with their notes
+   */
+  wantlistAdapter({ userId, username, discogs }) {
+    return {
+      fetchRemote: async () => {
+        const items = []
+        for (let page = 1, pages = 1; page <= pages; page++) {
+          const { wants, pagination } = await discogs.getUserWantlist(username, {
+            page,
+            perPage: PER_PAGE,
+          })
+          pages = pagination?.pages ?? 1
+
+          for (const want of wants) {
+            items.push({
+              key: String(want.release.id),
+              releaseId: want.release.id,
+              title: want.release.title,
+              release: want.release,
+              values: { notes: blank(want.notes) ?? null },
+            })
+          }
+        }
+        return items
+      },
+
+      fetchLocal: async () => {
+        const items = await discogsSyncRepository.getLocalItems(userId, SYNC_KINDS.WANTLIST)
+        return items.map((item) => ({
+          id: item.id,
+          releaseId: item.discogs_release_id,
+          title: item.title,
+          values: { notes: blank(item.notes) },
+        }))
+      },
+
+      updateLocal: (item, values) =>
+        discogsSyncRepository.updateLocalItem(SYNC_KINDS.WANTLIST, item.id, values),
+
+      createLocal: async ({ release, values }) =>
+        discogsSyncRepository.createLocalItem(userId, SYNC_KINDS.WANTLIST, {
+          discogs_release_id: release.id,
+          title: release.title,
+          artist: artistName(release.artists),
+          year: release.year || null,
+          format: release.formats?.[0]?.name ?? null,
+          label: release.labels?.[0]?.name ?? null,
+          cover_image:
+            (await this.images.localize(release.coverImage, { folder: 'collection' })) || null,
+          notes: values.notes,
+        }),
+
+      deleteLocal: (item) => discogsSyncRepository.deleteLocalItem(SYNC_KINDS.WANTLIST, item.id),
+
+      updateRemote: async (item, values) => {
+        await discogs.updateWantlistItem(username, item.releaseId, { notes: values.notes ?? '' })
+        return null
+      },
+
+      createRemote: async (item) => {
+        await discogs.addToWantlist(username, item.releaseId, item.values.notes ?? '')
+        return { key: String(item.releaseId), folderId: null }
+      },
+
+      deleteRemote: (link) => discogs.removeFromWantlist(username, link.discogs_release_id),
+    }
+  }
+}
+
+// Singleton instance
+let discogsSyncService = null
+
+export function getDiscogsSyncService(options = {}) {
+  if (!discogsSyncService || Object.keys(options).length > 0) {
+    discogsSyncService = new DiscogsSyncService(options)
+  }
+  return discogsSyncService
+}
+
+export default DiscogsSyncService
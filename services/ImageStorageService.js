@@ -0,0 +1,373 @@
+/**
+ * Image Storage Service
+ * Keeps product and collection covers on local disk under public/images, named
+ * by a hash of their contents so the same cover is only ever stored once, with
+ * WebP thumbnails in a few widths next to each original
+ */
+
+import { createHash } from 'node:crypto'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import sharp from 'sharp'
+import { getDBConnection } from '../db/db.js'
+import { logger } from '../middleware/errorHandler.js'
+import { ExternalServiceError, ValidationError } from '../utils/errors.js'
+
+const DEFAULT_ROOT = fileURLToPath(new URL('../public/images', import.meta.url))
+
+export const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+}
+
+// Subfolders of the storefront's /images
+export const IMAGE_FOLDERS = ['products', 'collection']
+
+export const THUMBNAIL_WIDTHS = [160, 320, 640]
+
+// Formats as sharp detects them from the bytes
+const DETECTED_FORMATS = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif' }
+
+// Refuse decompression bombs before decoding them
+const MAX_PIXELS = 50_000_000
+
+const STORED_IMAGE = /^(products|collection)\/([0-9a-f]{32})\.(jpg|png|webp|gif)$/
+const STORED_FILE = /^([0-9a-f]{32})(?:-(\d+))?\.(jpg|png|webp|gif)$/
+
+// Columns that point at stored images, checked before anything is deleted
+const IMAGE_COLUMNS = [
+  { table: 'products', column: 'image', folder: 'products' },
+  { table: 'collection_items', column: 'cover_image', folder: 'collection' },
+  { table: 'wantlist_items', column: 'cover_image', folder: 'collection' },
+]
+
+// Where covers are downloaded from (and their subdomains); nothing else is
+// fetched, since collection covers can be any URL a user typed in
+const REMOTE_HOSTS = ['discogs.com', 'coverartarchive.org', 'archive.org']
+
+// A cover URL may bounce to its CDN; a chain longer than this is refused
+const MAX_REDIRECTS = 5
+
+// Discogs refuses image requests without one
+const USER_AGENT = 'SpiralSounds/1.0 +https://spiralsounds.com'
+
+const isRemote = (image) => /^https?:\/\//.test(image || '')
+
+const isDownloadable = (url) => {
+  const { hostname } = new URL(url)
+  return REMOTE_HOSTS.some((host) => hostname === host || hostname.endsWith(`.${host}`))
+}
+
+/**
+ * Thumbnail paths for a stored image, keyed by width; null for anything else
+ * (static files, remote URLs)
+ * @param {string} imagePath - e.g. `products/3f2a….jpg`
+ * @returns {Record<number, string>|null}
+ */
+export function thumbnailsFor(imagePath) {
+  const match = STORED_IMAGE.exec(imagePath || '')
+  if (!match) return null
+
+  const [, folder, hash] = match
+  return Object.fromEntries(
+    THUMBNAIL_WIDTHS.map((width) => [width, `${folder}/${hash}-${width}.webp`])
+  )
+}
+
+export class ImageStorageService {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || process.env.IMAGE_ROOT || DEFAULT_ROOT
+    this.maxBytes =
+      options.maxBytes || parseInt(process.env.IMAGE_MAX_BYTES, 10) || 10 * 1024 * 1024
+    this.fetch = options.fetch || globalThis.fetch
+    // Uploads aren't referenced until the product or item is saved
+    this.orphanGraceMs = options.orphanGraceMs ?? 24 * 60 * 60 * 1000
+  }
+
+  /**
+   * Store image bytes and their thumbnails. The type is taken from the bytes,
+   * not from what the client or remote server claims.
+   * @returns {Promise<string>} path relative to /images (e.g. `products/3f2a….jpg`)
+   */
+  async save(buffer, { folder = 'products' } = {}) {
+    if (!IMAGE_FOLDERS.includes(folder)) {
+      throw new ValidationError(`Unknown image folder: ${folder}`)
+    }
+    if (!buffer?.length) {
+      throw new ValidationError('Image is empty')
+    }
+    if (buffer.length > this.maxBytes) {
+      throw this.tooLarge()
+    }
+
+    let metadata
+    try {
+      metadata = await sharp(buffer, { limitInputPixels: MAX_PIXELS }).metadata()
+    } catch {
+      throw new ValidationError('File is not a readable image')
+    }
+
+    const extension = DETECTED_FORMATS[metadata.format]
+    if (!extension) {
+      throw new ValidationError(
+        `Unsupported image type: ${metadata.format}. Use JPEG, PNG, WebP or GIF`
+      )
+    }
+
+    const hash = createHash('sha256').update(buffer).digest('hex').slice(0, 32)
+    const relativePath = `${folder}/${hash}.${extension}`
+
+    await fs.mkdir(path.join(this.rootDir, folder), { recursive: true })
+    await this.writeOnce(relativePath, buffer)
+
+    // Same hash, same bytes: only thumbnails an earlier save didn't finish are made
+    for (const [width, thumbnailPath] of Object.entries(thumbnailsFor(relativePath))) {
+      if (await this.exists(thumbnailPath)) continue
+
+      const thumbnail = await sharp(buffer, { limitInputPixels: MAX_PIXELS })
+        .rotate()
+        .resize({ width: Number(width), withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer()
+      await this.writeOnce(thumbnailPath, thumbnail)
+    }
+
+    return relativePath
+  }
+
+  /**
+   * Download a remote image (a Discogs or Cover Art Archive cover) into local storage.
+   * Redirects are followed by hand so every hop stays on a known host, and the body
+   * is read in chunks so a response without a content-length can't run past maxBytes.
+   */
+  async saveFromUrl(url, { headers = {}, folder = 'products' } = {}) {
+    const response = await this.download(url, headers)
+
+    const declaredLength = parseInt(response.headers.get('content-length'), 10)
+    if (declaredLength > this.maxBytes) {
+      throw this.tooLarge()
+    }
+
+    const chunks = []
+    let size = 0
+    for await (const chunk of response.body ?? []) {
+      size += chunk.length
+      if (size > this.maxBytes) {
+        throw this.tooLarge()
+      }
+      chunks.push(chunk)
+    }
+
+    return this.save(Buffer.concat(chunks), { folder })
+  }
+
+  /**
+   * Fetch a URL, following redirects only while they stay on a known host
+   */
+  async download(url, headers) {
+    let current = url
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      if (!isDownloadable(current)) {
+        throw new ValidationError(`Covers can't be downloaded from ${new URL(current).hostname}`)
+      }
+
+      let response
+      try {
+        response = await this.fetch(current, {
+          headers: { 'User-Agent': USER_AGENT, ...headers },
+          redirect: 'manual',
+        })
+      } catch (error) {
+        logger.warn(`Image download failed for ${current}: ${error.message}`)
+        throw new ExternalServiceError('images', 'Could not download image')
+      }
+
+      const location = response.headers.get('location')
+      if (response.status >= 300 && response.status < 400 && location) {
+        await response.body?.cancel()
+        current = new URL(location, current).href
+        continue
+      }
+
+      if (response.url && !isDownloadable(response.url)) {
+        await response.body?.cancel()
+        throw new ValidationError(
+          `Covers can't be downloaded from ${new URL(response.url).hostname}`
+        )
+      }
+      if (!response.ok) {
+        throw new ExternalServiceError('images', `Image download failed: ${response.status}`)
+      }
+      return response
+    }
+
+    throw new ExternalServiceError('images', 'Image download failed: too many redirects')
+  }
+
+  /**
+   * The size error for uploads and downloads alike
+   */
+  tooLarge() {
+    return new ValidationError(`Image is larger than ${Math.round(this.maxBytes / 1024 / 1024)} MB`)
+  }
+
+  /**
+   * Store a remote cover, keeping the URL if that fails (the cleanup job
+   * tries again later); anything else is returned as it is
+   */
+  async localize(image, options = {}) {
+    if (!isRemote(image)) return image
+
+    try {
+      return await this.saveFromUrl(image, options)
+    } catch (error) {
+      logger.warn(`Cover ${image} not stored locally: ${error.message}`)
+      return image
+    }
+  }
+
+  async exists(relativePath) {
+    return fs
+      .access(path.join(this.rootDir, relativePath))
+      .then(() => true)
+      .catch(() => false)
+  }
+
+  /**
+   * Write a file unless it already exists (same name, same contents)
+   */
+  async writeOnce(relativePath, buffer) {
+    await fs
+      .writeFile(path.join(this.rootDir, relativePath), buffer, { flag: 'wx' })
+      .catch((error) => {
+        if (error.code !== 'EEXIST') throw error
+      })
+  }
+
+  /**
+   * Store remote covers still referenced in the database locally. Covers on
+   * other hosts are left as they are; the storefront shows its placeholder
+   * for them, since the CSP only allows same-origin images.
+   * @returns {Promise<number>} covers stored
+   */
+  async localizeRemoteImages() {
+    const db = await getDBConnection()
+    let stored = 0
+
+    try {
+      for (const { table, column, folder } of IMAGE_COLUMNS) {
+        const rows = await db.all(
+          `SELECT DISTINCT ${column} AS image FROM ${table}
+           WHERE ${column} LIKE 'http://%' OR ${column} LIKE 'https://%'`
+        )
+
+        for (const { image } of rows) {
+          if (!URL.canParse(image) || !isDownloadable(image)) continue
+
+          const local = await this.localize(image, { folder })
+          if (local !== image) {
+            await db.run(`UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`, [local, image])
+            stored++
+          }
+        }
+      }
+    } finally {
+      await db.close()
+    }
+
+    return stored
+  }
+
+  /**
+   * Delete stored images nothing refers to any more, with their thumbnails.
+   * Files newer than the grace period are kept for uploads not yet saved.
+   * @returns {Promise<number>} images removed
+   */
+  async removeOrphans() {
+    const db = await getDBConnection()
+    const referenced = new Set()
+
+    try {
+      for (const { table, column } of IMAGE_COLUMNS) {
+        const rows = await db.all(
+          `SELECT DISTINCT ${column} AS image FROM ${table} WHERE ${column} IS NOT NULL`
+        )
+        for (const { image } of rows) {
+          referenced.add(image)
+        }
+      }
+    } finally {
+      await db.close()
+    }
+
+    const cutoff = Date.now() - this.orphanGraceMs
+    let removed = 0
+
+    for (const folder of IMAGE_FOLDERS) {
+      const files = await fs.readdir(path.join(this.rootDir, folder)).catch(() => [])
+
+      // An original and its thumbnails share a hash and go together
+      const byHash = new Map()
+      for (const file of files) {
+        const match = STORED_FILE.exec(file)
+        if (!match) continue
+
+        const group = byHash.get(match[1]) || { original: null, files: [] }
+        group.files.push(file)
+        if (!match[2]) group.original = file
+        byHash.set(match[1], group)
+      }
+
+      for (const group of byHash.values()) {
+        if (group.original && referenced.has(`${folder}/${group.original}`)) continue
+
+        const paths = group.files.map((file) => path.join(this.rootDir, folder, file))
+        const stats = await Promise.all(paths.map((filePath) => fs.stat(filePath)))
+        if (stats.some(({ mtimeMs }) => mtimeMs > cutoff)) continue
+
+        await Promise.all(paths.map((filePath) => fs.rm(filePath, { force: true })))
+        if (group.original) removed++
+      }
+    }
+
+    if (removed > 0) {
+      logger.info(`Removed ${removed} unused images`)
+    }
+    return removed
+  }
+
+  /**
+   * Run the image cleanup (remote covers first, so they aren't counted as
+   * unused) now and then on an interval, so covers imported before a restart
+   * don't wait a day to show up
+   */
+  startCleanup(intervalMs = 24 * 60 * 60 * 1000) {
+    const cleanup = async () => {
+      try {
+        await this.localizeRemoteImages()
+        await this.removeOrphans()
+      } catch (error) {
+        logger.error('Error cleaning up images:', error)
+      }
+    }
+
+    cleanup()
+    return setInterval(cleanup, intervalMs)
+  }
+}
+
+// Singleton instance
+let imageStorageService = null
+
+export function getImageStorageService(options = {}) {
+  if (!imageStorageService || Object.keys(options).length > 0) {
+    imageStorageService = new ImageStorageService(options)
+  }
+  return imageStorageService
+}
+
+export default ImageStorageService
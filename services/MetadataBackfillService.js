@@ -0,0 +1,357 @@
+/**
+ * Metadata Backfill Service
+ * Fills in missing covers, years and labels on products and collection items
+ * from MusicBrainz and the Cover Art Archive. Runs in the background one
+ * record at a time (MusicBrainz allows one request a second), saving its
+ * place after each record so a paused or interrupted run carries on where it
+ * stopped. Fields that already have a value are never overwritten, and every
+ * field filled in is recorded with the source and MBID it came from.
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import {
+  BACKFILL_ENTITIES,
+  BACKFILL_STATUS,
+  LOOKUP_STATUS,
+  metadataBackfillRepository,
+} from '../repositories/index.js'
+import * as musicbrainz from '../repositories/musicbrainz.js'
+import { ConflictError } from '../utils/errors.js'
+import { getImageStorageService } from './ImageStorageService.js'
+
+export const METADATA_SOURCES = {
+  MUSICBRAINZ: 'musicbrainz',
+  COVER_ART_ARCHIVE: 'coverartarchive',
+}
+
+// Search results below this score are too loose to trust
+export const MIN_MATCH_SCORE = 90
+
+// Records MusicBrainz had nothing (more) for are asked about again after this
+const RECHECK_AFTER_MS = 30 * 24 * 60 * 60 * 1000
+
+const BATCH_SIZE = 50
+
+// MusicBrainz's stand-in for releases without one
+const NO_LABEL = '[no label]'
+
+/**
+ * Best release among search results: highest score, then the earliest
+ * release (the original pressing over later reissues)
+ */
+export function pickRelease(releases = []) {
+  const dated = (release) => release.date || '9999'
+
+  return (
+    releases
+      .filter((release) => (release.score ?? 0) >= MIN_MATCH_SCORE)
+      .sort((a, b) => b.score - a.score || dated(a).localeCompare(dated(b)))[0] ?? null
+  )
+}
+
+function releaseYear(release) {
+  const year = parseInt(release.date?.slice(0, 4), 10)
+  return Number.isInteger(year) ? year : null
+}
+
+function releaseLabel(release) {
+  const name = (release['label-info'] ?? [])
+    .map((info) => info.label?.name)
+    .find((label) => label && label !== NO_LABEL)
+  return name ?? null
+}
+
+function describeJob(job) {
+  return {
+    ...job,
+    percent: job.total > 0 ? Math.min(100, Math.round((job.processed / job.total) * 100)) : 100,
+  }
+}
+
+export class MetadataBackfillService {
+  constructor(options = {}) {
+    this.musicbrainz = options.musicbrainz || musicbrainz
+    this.images = options.images || getImageStorageService()
+    this.recheckAfterMs = options.recheckAfterMs ?? RECHECK_AFTER_MS
+    // The run in progress in this process, if any
+    this.running = null
+    this.pauseRequested = false
+  }
+
+  /**
+   * Start a run, or resume the last one if it was paused or stopped early
+   * @param {number} userId - the admin starting it
+   */
+  async start(userId) {
+    if (this.running) {
+      throw new ConflictError('A metadata backfill is already running')
+    }
+
+    let job = await metadataBackfillRepository.getLatestJob()
+
+    if (job && job.status !== BACKFILL_STATUS.COMPLETED) {
+      await metadataBackfillRepository.updateJob(job.id, {
+        status: BACKFILL_STATUS.RUNNING,
+        last_error: null,
+        finished_at: null,
+      })
+      logger.info(`Resuming metadata backfill ${job.id} at ${job.processed}/${job.total}`)
+    } else {
+      const checkedBefore = this.checkedBefore(new Date().toISOString())
+      let total = 0
+      for (const entityType of Object.keys(BACKFILL_ENTITIES)) {
+        total += await metadataBackfillRepository.countCandidates(entityType, checkedBefore)
+      }
+
+      job = await metadataBackfillRepository.createJob(userId, total)
+      logger.info(`Metadata backfill ${job.id} started by user ${userId}: ${total} records`)
+    }
+
+    this.run(job.id)
+    return this.getProgress()
+  }
+
+  /**
+   * Stop after the record being looked up now; start() resumes the run
+   */
+  async pause() {
+    if (!this.running) {
+      throw new ConflictError('No metadata backfill is running')
+    }
+
+    this.pauseRequested = true
+    await this.running
+    return this.getProgress()
+  }
+
+  /**
+   * Carry on with a run the server was stopped in the middle of
+   */
+  async resumeInterrupted() {
+    const job = await metadataBackfillRepository.getLatestJob()
+
+    if (job?.status === BACKFILL_STATUS.RUNNING && !this.running) {
+      logger.info(`Resuming interrupted metadata backfill ${job.id}`)
+      this.run(job.id)
+    }
+  }
+
+  async getProgress() {
+    const job = await metadataBackfillRepository.getLatestJob()
+
+    return {
+      running: Boolean(this.running),
+      job: job ? describeJob(job) : null,
+      recentChanges: await metadataBackfillRepository.getRecentSources(),
+    }
+  }
+
+  run(jobId) {
+    this.pauseRequested = false
+    this.running = this.process(jobId).finally(() => {
+      this.running = null
+      this.pauseRequested = false
+    })
+    return this.running
+  }
+
+  // Records looked up within the recheck window are skipped. Measured from
+  // when the run was created so its total holds however often it's resumed.
+  checkedBefore(createdAt) {
+    return new Date(Date.parse(createdAt) - this.recheckAfterMs).toISOString()
+  }
+
+  async process(jobId) {
+    const job = await metadataBackfillRepository.getJob(jobId)
+    const checkedBefore = this.checkedBefore(job.created_at)
+    const cursor = { ...job.cursor }
+    const counts = {
+      processed: job.processed,
+      updated: job.updated,
+      not_found: job.not_found,
+      failed: job.failed,
+    }
+
+    try {
+      for (const entityType of Object.keys(BACKFILL_ENTITIES)) {
+        for (;;) {
+          const batch = await metadataBackfillRepository.findCandidates(
+            entityType,
+            cursor[entityType] ?? 0,
+            checkedBefore,
+            BATCH_SIZE
+          )
+          if (batch.length === 0) break
+
+          for (const record of batch) {
+            const outcome = await this.backfillRecord(entityType, record)
+
+            counts.processed++
+            if (outcome in counts) counts[outcome]++
+            cursor[entityType] = record.id
+            await metadataBackfillRepository.updateJob(jobId, { ...counts, cursor })
+
+            if (this.pauseRequested) {
+              await metadataBackfillRepository.updateJob(jobId, {
+                status: BACKFILL_STATUS.PAUSED,
+              })
+              logger.info(`Metadata backfill ${jobId} paused at ${counts.processed}/${job.total}`)
+              return
+            }
+          }
+        }
+      }
+
+      await metadataBackfillRepository.updateJob(jobId, {
+        status: BACKFILL_STATUS.COMPLETED,
+        finished_at: new Date().toISOString(),
+      })
+      logger.info(
+        `Metadata backfill ${jobId} completed: ${counts.updated} updated, ${counts.not_found} not found, ${counts.failed} failed`
+      )
+    } catch (error) {
+      logger.error(`Metadata backfill ${jobId} failed:`, error)
+      await metadataBackfillRepository
+        .updateJob(jobId, { status: BACKFILL_STATUS.FAILED, last_error: error.message })
+        .catch(() => {})
+    }
+  }
+
+  /**
+   * Look one record up and fill in what it's missing
+   * @returns {Promise<'updated'|'matched'|'not_found'|'failed'>}
+   */
+  async backfillRecord(entityType, record) {
+    const { imageColumn, imageFolder } = BACKFILL_ENTITIES[entityType]
+
+    let release
+    try {
+      release = await this.findRelease(record)
+    } catch (error) {
+      logger.warn(`MusicBrainz lookup failed for ${entityType} ${record.id}: ${error.message}`)
+      await metadataBackfillRepository.recordLookup(entityType, record.id, LOOKUP_STATUS.FAILED)
+      return 'failed'
+    }
+
+    if (!release) {
+      await metadataBackfillRepository.recordLookup(entityType, record.id, LOOKUP_STATUS.NOT_FOUND)
+      return 'not_found'
+    }
+
+    const fill = async (column, value, source, mbid) => {
+      if (value === null || value === undefined) return false
+
+      const filled = await metadataBackfillRepository.fillField(
+        entityType,
+        record.id,
+        column,
+        value
+      )
+      if (filled) {
+        await metadataBackfillRepository.recordSource(entityType, record.id, {
+          field: column,
+          source,
+          mbid,
+          value,
+        })
+      }
+      return filled
+    }
+
+    const filled = []
+    if (
+      !record.year &&
+      (await fill('year', releaseYear(release), METADATA_SOURCES.MUSICBRAINZ, release.id))
+    ) {
+      filled.push('year')
+    }
+    if (
+      !record.label &&
+      (await fill('label', releaseLabel(release), METADATA_SOURCES.MUSICBRAINZ, release.id))
+    ) {
+      filled.push('label')
+    }
+
+    let coverFailed = false
+    if (!record.image) {
+      try {
+        const cover = await this.findCover(release)
+        if (cover) {
+          const image = await this.images.saveFromUrl(cover.url, { folder: imageFolder })
+          if (await fill(imageColumn, image, METADATA_SOURCES.COVER_ART_ARCHIVE, cover.mbid)) {
+            filled.push(imageColumn)
+          }
+        }
+      } catch (error) {
+        logger.warn(`Cover for ${entityType} ${record.id} not stored: ${error.message}`)
+        coverFailed = true
+      }
+    }
+
+    // A cover that couldn't be downloaded is tried again next run
+    await metadataBackfillRepository.recordLookup(
+      entityType,
+      record.id,
+      coverFailed ? LOOKUP_STATUS.FAILED : LOOKUP_STATUS.MATCHED,
+      release.id
+    )
+
+    if (filled.length > 0) {
+      logger.info(
+        `Filled ${filled.join(', ')} on ${entityType} ${record.id} from release ${release.id}`
+      )
+      return 'updated'
+    }
+    return coverFailed ? 'failed' : 'matched'
+  }
+
+  /**
+   * The release a record is: by barcode when it has one, otherwise by
+   * artist and title
+   */
+  async findRelease(record) {
+    if (record.barcode) {
+      const { releases } = await this.musicbrainz.lookupByBarcode(record.barcode)
+      const release = pickRelease(releases)
+      if (release) return release
+    }
+
+    const { releases } = await this.musicbrainz.findReleases(record.artist, record.title)
+    return pickRelease(releases)
+  }
+
+  /**
+   * Front cover of the release, or of its release group when the release has
+   * none, with the MBID it belongs to
+   * @returns {Promise<{url: string, mbid: string}|null>}
+   */
+  async findCover(release) {
+    const candidates = [
+      { mbid: release.id, lookup: this.musicbrainz.getCoverArt },
+      { mbid: release['release-group']?.id, lookup: this.musicbrainz.getReleaseGroupCoverArt },
+    ]
+
+    for (const { mbid, lookup } of candidates) {
+      if (!mbid) continue
+
+      const front = (await lookup(mbid)).find((image) => image.front)
+      if (front) {
+        // The archive lists its URLs as http
+        return { url: (front.large ?? front.image).replace(/^http:/, 'https:'), mbid }
+      }
+    }
+    return null
+  }
+}
+
+// Singleton instance
+let metadataBackfillService = null
+
+export function getMetadataBackfillService(options = {}) {
+  if (!metadataBackfillService || Object.keys(options).length > 0) {
+    metadataBackfillService = new MetadataBackfillService(options)
+  }
+  return metadataBackfillService
+}
+
+export default MetadataBackfillService
@@ -14,10 +14,12 @@ const MB_API = "https://musicbrainz.org/ws/2";
 const CAA_API = "https://coverartarchive.org";
 const USER_AGENT = "SpiralSounds/1.0 (https://spiralsounds.com)";
 
-// Simple rate limiter: ensure at least 1100ms between requests
+// Simple rate limiter: ensure at least 1100ms between requests. Shared by
+// everything that calls MusicBrainz (repositories/musicbrainz.js, the
+// metadata backfill) so together they stay under the limit.
 let lastRequestTime = 0;
 
-async function rateLimitedFetch(url, options = {}) {
+export async function rateLimitedFetch(url, options = {}) {
   const now = Date.now();
   const elapsed = now - lastRequestTime;
   if (elapsed < 1100) {
@@ -107,7 +109,21 @@ export async function searchRecordings(title, artist) {
  * @returns {Promise<CoverArtImage[]>}
  */
 export async function getCoverArt(mbid) {
-  const res = await fetch(`${CAA_API}/release/${mbid}`, {
+  return fetchCoverArt(`${CAA_API}/release/${mbid}`);
+}
+
+/**
+ * Fetch cover art for a release group (the canonical album), which the
+ * Cover Art Archive picks from one of its releases.
+ * @param {string} mbid - MusicBrainz Release Group ID
+ * @returns {Promise<CoverArtImage[]>}
+ */
+export async function getReleaseGroupCoverArt(mbid) {
+  return fetchCoverArt(`${CAA_API}/release-group/${mbid}`);
+}
+
+async function fetchCoverArt(url) {
+  const res = await fetch(url, {
     headers: { Accept: "application/json" },
   });
   if (!res.ok) return [];
@@ -149,14 +165,9 @@ export async function getFrontCoverArt(artist, album) {
       const rgJson = await rgRes.json();
       const rgMbid = rgJson["release-group"]?.id;
       if (rgMbid) {
-        const rgCoverRes = await fetch(`${CAA_API}/release-group/${rgMbid}`, {
-          headers: { Accept: "application/json" },
-        });
-        if (rgCoverRes.ok) {
-          const rgCoverJson = await rgCoverRes.json();
-          const front = (rgCoverJson.images ?? []).find((img) => img.front);
-          if (front) return front.thumbnails?.large ?? front.image;
-        }
+        const images = await getReleaseGroupCoverArt(rgMbid);
+        const front = images.find((img) => img.front);
+        if (front) return front.large ?? front.image;
       }
     }
   }
@@ -168,6 +179,7 @@ export class MusicBrainzService {
   searchReleases = searchReleases;
   searchRecordings = searchRecordings;
   getCoverArt = getCoverArt;
+  getReleaseGroupCoverArt = getReleaseGroupCoverArt;
   getFrontCoverArt = getFrontCoverArt;
 }
 
@@ -0,0 +1,227 @@
+/**
+ * Payment Service
+ * Stripe PaymentIntents for orders and webhook-driven order status updates
+ */
+
+import Stripe from 'stripe'
+import { getDBConnection } from '../db/db.js'
+import { logger } from '../middleware/errorHandler.js'
+import { ORDER_STATUS, orderRepository } from '../repositories/index.js'
+import {
+  ConflictError,
+  ExternalServiceError,
+  NotFoundError,
+  ValidationError,
+} from '../utils/errors.js'
+
+// Webhook event types that move an order to a new status
+const EVENT_STATUS = {
+  'payment_intent.succeeded': ORDER_STATUS.PAID,
+  'payment_intent.payment_failed': ORDER_STATUS.FAILED,
+  'charge.refunded': ORDER_STATUS.REFUNDED,
+}
+
+export class PaymentService {
+  constructor(options = {}) {
+    this.secretKey = options.secretKey || process.env.STRIPE_SECRET_KEY
+    this.webhookSecret = options.webhookSecret || process.env.STRIPE_WEBHOOK_SECRET
+    this.client = options.client || null
+  }
+
+  /**
+   * Get the Stripe client (STRIPE_API_HOST/PORT/PROTOCOL point it at stripe-mock)
+   */
+  getClient() {
+    if (this.client) return this.client
+
+    if (!this.secretKey) {
+      throw new ExternalServiceError('Stripe', 'Payments are not configured')
+    }
+
+    const config = {}
+
+    if (process.env.STRIPE_API_HOST) {
+      config.host = process.env.STRIPE_API_HOST
+      config.port = parseInt(process.env.STRIPE_API_PORT, 10) || 12111
+      config.protocol = process.env.STRIPE_API_PROTOCOL || 'http'
+    }
+
+    this.client = new Stripe(this.secretKey, config)
+    return this.client
+  }
+
+  /**
+   * Create (or reuse) the PaymentIntent for a user's pending order
+   */
+  async createPaymentIntent(userId, orderId) {
+    const order = await orderRepository.findOneWhere('id = ? AND user_id = ?', [orderId, userId])
+
+    if (!order) {
+      throw new NotFoundError('Order', orderId)
+    }
+
+    if (![ORDER_STATUS.PENDING, ORDER_STATUS.FAILED].includes(order.status)) {
+      throw new ConflictError(`Order ${orderId} is ${order.status} and cannot be paid`, 'status')
+    }
+
+    const stripe = this.getClient()
+
+    try {
+      // A failed attempt can be retried on the same intent, so hand back the existing one
+      if (order.payment_intent_id) {
+        const existing = await stripe.paymentIntents.retrieve(order.payment_intent_id)
+        return this.formatPaymentIntent(existing)
+      }
+
+      const paymentIntent = await stripe.paymentIntents.create(
+        {
+          amount: Math.round(parseFloat(order.total) * 100),
+          currency: order.currency,
+          automatic_payment_methods: { enabled: true },
+          metadata: {
+            order_id: String(order.id),
+            user_id: String(userId),
+          },
+        },
+        { idempotencyKey: `order-${order.id}` }
+      )
+
+      await orderRepository.setPaymentIntent(order.id, paymentIntent.id)
+
+      logger.info(`Created PaymentIntent ${paymentIntent.id} for order ${order.id}`)
+
+      return this.formatPaymentIntent(paymentIntent)
+    } catch (error) {
+      if (error instanceof Stripe.errors.StripeError) {
+        logger.error('Stripe PaymentIntent request failed:', error)
+        throw new ExternalServiceError('Stripe', error.message)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Verify a webhook signature against the raw request body
+   */
+  constructEvent(rawBody, signature) {
+    if (!this.webhookSecret) {
+      throw new ExternalServiceError('Stripe', 'Webhook secret is not configured')
+    }
+
+    if (!Buffer.isBuffer(rawBody) && typeof rawBody !== 'string') {
+      throw new ValidationError('Webhook payload must be the raw request body')
+    }
+
+    try {
+      return Stripe.webhooks.constructEvent(rawBody, signature, this.webhookSecret)
+    } catch (error) {
+      logger.warn(`Rejected Stripe webhook: ${error.message}`)
+      throw new ValidationError('Invalid Stripe signature')
+    }
+  }
+
+  /**
+   * Apply a verified webhook event exactly once
+   */
+  async handleEvent(event) {
+    const db = await getDBConnection()
+
+    try {
+      await db.exec('BEGIN IMMEDIATE')
+
+      const object = event.data.object
+      const paymentIntentId = event.type === 'charge.refunded' ? object.payment_intent : object.id
+
+      // The event id is the primary key, so a replayed event inserts nothing
+      const { changes } = await db.run(
+        'INSERT OR IGNORE INTO payment_events (id, type, payment_intent_id) VALUES (?, ?, ?)',
+        [event.id, event.type, paymentIntentId || null]
+      )
+
+      if (changes === 0) {
+        await db.exec('ROLLBACK')
+        logger.info(`Ignoring replayed Stripe event ${event.id}`)
+        return { duplicate: true, updated: false }
+      }
+
+      const result = await this.applyEvent(event, paymentIntentId, db)
+
+      await db.exec('COMMIT')
+      return { duplicate: false, ...result }
+    } catch (error) {
+      await db.exec('ROLLBACK').catch((rollbackError) => {
+        logger.error('Payment event rollback failed:', rollbackError)
+      })
+      throw error
+    } finally {
+      await db.close()
+    }
+  }
+
+  /**
+   * Move the matching order to the status implied by the event
+   */
+  async applyEvent(event, paymentIntentId, db) {
+    const status = EVENT_STATUS[event.type]
+
+    if (!status || !paymentIntentId) {
+      return { updated: false }
+    }
+
+    // Partial refunds leave the order paid
+    if (event.type === 'charge.refunded' && !event.data.object.refunded) {
+      logger.info(`Partial refund on ${paymentIntentId}; order status unchanged`)
+      return { updated: false }
+    }
+
+    const order = await orderRepository.findByPaymentIntent(paymentIntentId, db)
+
+    if (!order) {
+      logger.warn(`Stripe event ${event.id} references unknown PaymentIntent ${paymentIntentId}`)
+      return { updated: false }
+    }
+
+    await db.run('UPDATE payment_events SET order_id = ? WHERE id = ?', [order.id, event.id])
+
+    const updated = await orderRepository.transitionStatus(order, status, db)
+
+    if (updated) {
+      logger.info(`Order ${order.id} moved from ${order.status} to ${status} (${event.type})`)
+    } else {
+      logger.warn(`Ignoring ${event.type} for order ${order.id} in status ${order.status}`)
+    }
+
+    return {
+      updated,
+      orderId: order.id,
+      userId: order.user_id,
+      total: parseFloat(order.total),
+      status: updated ? status : order.status,
+    }
+  }
+
+  /**
+   * Only expose what the browser needs to confirm the payment
+   */
+  formatPaymentIntent(paymentIntent) {
+    return {
+      id: paymentIntent.id,
+      clientSecret: paymentIntent.client_secret,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      status: paymentIntent.status,
+    }
+  }
+}
+
+// Singleton instance
+let paymentService = null
+
+export function getPaymentService(options = {}) {
+  if (!paymentService || Object.keys(options).length > 0) {
+    paymentService = new PaymentService(options)
+  }
+  return paymentService
+}
+
+export default PaymentService
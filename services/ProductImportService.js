@@ -0,0 +1,293 @@
+/**
+ * Product Import Service
+ * Bulk product changes from CSV or JSON (e.g. distributor price lists). Each
+ * row is validated against productSchema and matched to an existing product
+ * on SKU, barcode or Discogs ID; the plan is only written when it isn't a dry run.
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { productRepository } from '../repositories/index.js'
+import { toCsvLine } from '../utils/csv.js'
+import { ValidationError } from '../utils/errors.js'
+import { numberImportRows } from '../utils/imports.js'
+import { productSchema } from '../utils/validation.js'
+import { getSocketManager } from '../websocket/socketManager.js'
+import { getAlertService } from './AlertService.js'
+
+export const MAX_IMPORT_ROWS = 5000
+
+export const IMPORT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  UNCHANGED: 'unchanged',
+  ERROR: 'error',
+}
+
+// Identifiers a row is matched on; a row can carry any of them
+export const MATCH_KEYS = ['sku', 'barcode', 'discogs_id']
+
+// Everything the importer accepts, so an export can be edited and imported back
+export const EXPORT_COLUMNS = [
+  'id',
+  ...MATCH_KEYS,
+  ...Object.keys(productSchema.describe().keys).filter((field) => !MATCH_KEYS.includes(field)),
+]
+
+const EXPORT_BATCH_SIZE = 500
+const JSON_COLUMNS = ['tracklist', 'credits']
+const VALIDATION_OPTIONS = { abortEarly: false, stripUnknown: true }
+
+// Rows that match a product may update any subset of its fields
+const matchedRowSchema = productSchema.fork(
+  ['title', 'artist', 'price', 'genre', 'year', 'stock'],
+  (field) => field.optional()
+)
+
+const normalize = (value) =>
+  value === null || value === undefined || value === '' ? null : String(value)
+
+function validationErrors(error) {
+  return ValidationError.fromJoiError(error).validationErrors.map(({ field, message }) => ({
+    field,
+    message,
+  }))
+}
+
+function waitForDrain(stream) {
+  return new Promise((resolve) => {
+    const done = () => {
+      stream.off('drain', done)
+      stream.off('close', done)
+      resolve()
+    }
+    stream.on('drain', done)
+    stream.on('close', done)
+  })
+}
+
+function toJsonRecord(product) {
+  return Object.fromEntries(
+    EXPORT_COLUMNS.map((column) => {
+      const value = product[column] ?? null
+      if (!JSON_COLUMNS.includes(column) || value === null) return [column, value]
+
+      try {
+        return [column, JSON.parse(value)]
+      } catch {
+        return [column, null]
+      }
+    })
+  )
+}
+
+/**
+ * Number the rows of a product import (CSV or a JSON array)
+ * @param {string|Object[]} input
+ * @returns {{row: number, data: Object}[]}
+ */
+export function parseImportRows(input) {
+  return numberImportRows(input, {
+    maxRows: MAX_IMPORT_ROWS,
+    messages: {
+      invalid: 'Send a CSV document or a JSON array of products',
+      empty: 'The import has no product rows',
+      tooMany: `Import at most ${MAX_IMPORT_ROWS} products at a time`,
+    },
+  })
+}
+
+export class ProductImportService {
+  /**
+   * Plan an import and, unless it's a dry run, apply it. Rows with errors are
+   * reported and skipped; every other row is written.
+   * @param {{row: number, data: Object}[]} rows - from parseImportRows
+   * @returns {Promise<{dryRun: boolean, summary: Object, rows: Object[]}>}
+   */
+  async importProducts(rows, { dryRun = true } = {}) {
+    const claimed = new Map()
+    const plans = []
+
+    for (const { row, data } of rows) {
+      plans.push(await this.planRow(row, data, claimed))
+    }
+
+    if (!dryRun) {
+      for (const plan of plans) {
+        await this.applyPlan(plan)
+      }
+      logger.info(`Product import applied: ${plans.length} rows`)
+    }
+
+    const summary = Object.fromEntries(
+      Object.values(IMPORT_ACTIONS).map((action) => [
+        action,
+        plans.filter((plan) => plan.action === action).length,
+      ])
+    )
+
+    return { dryRun, summary, rows: plans.map(({ data, ...result }) => result) }
+  }
+
+  /**
+   * Decide what one row does: create, update (with the fields that change),
+   * nothing, or fail with validation errors
+   * @param {Map<string, number>} claimed - match keys already used by earlier rows
+   */
+  async planRow(row, data, claimed) {
+    const failure = (errors) => ({ row, action: IMPORT_ACTIONS.ERROR, errors })
+
+    const { error, value } = matchedRowSchema.validate(data, VALIDATION_OPTIONS)
+    if (error) {
+      return failure(validationErrors(error))
+    }
+
+    const keys = MATCH_KEYS.filter((key) => value[key] !== undefined && value[key] !== null)
+    if (keys.length === 0) {
+      return failure([{ field: 'sku', message: 'A sku, barcode or discogs_id is required' }])
+    }
+
+    for (const key of keys) {
+      const earlierRow = claimed.get(`${key}:${value[key]}`)
+      if (earlierRow) {
+        return failure([{ field: key, message: `Same ${key} as row ${earlierRow}` }])
+      }
+    }
+    for (const key of keys) {
+      claimed.set(`${key}:${value[key]}`, row)
+    }
+
+    const matches = new Map()
+    for (const key of keys) {
+      const product = await productRepository.findOneWhere(`${key} = ?`, [value[key]])
+      if (product && !matches.has(product.id)) {
+        matches.set(product.id, { product, key })
+      }
+    }
+
+    if (matches.size > 1) {
+      return failure(
+        [...matches.values()].map(({ product, key }) => ({
+          field: key,
+          message: `${key} ${value[key]} belongs to product ${product.id}; the row matches more than one product`,
+        }))
+      )
+    }
+
+    if (matches.size === 0) {
+      const { error: createError, value: product } = productSchema.validate(
+        data,
+        VALIDATION_OPTIONS
+      )
+      if (createError) {
+        return failure(validationErrors(createError))
+      }
+      return { row, action: IMPORT_ACTIONS.CREATE, data: product }
+    }
+
+    const [{ product, key }] = matches.values()
+    const stored = productRepository.serializeReleaseDetails(value)
+    const changes = Object.keys(stored).filter(
+      (field) => normalize(stored[field]) !== normalize(product[field])
+    )
+
+    if (changes.length === 0) {
+      return { row, action: IMPORT_ACTIONS.UNCHANGED, productId: product.id, matchedOn: key }
+    }
+
+    return {
+      row,
+      action: IMPORT_ACTIONS.UPDATE,
+      productId: product.id,
+      matchedOn: key,
+      changes,
+      data: Object.fromEntries(changes.map((field) => [field, value[field]])),
+    }
+  }
+
+  async applyPlan(plan) {
+    const socketManager = getSocketManager()
+
+    try {
+      if (plan.action === IMPORT_ACTIONS.CREATE) {
+        const product = await productRepository.createProduct(plan.data)
+        plan.productId = product.id
+
+        if (socketManager) {
+          socketManager.broadcastNewProduct(product)
+        }
+      } else if (plan.action === IMPORT_ACTIONS.UPDATE) {
+        const { before, after } = await productRepository.updateProduct(plan.productId, plan.data)
+
+        if (socketManager) {
+          if (parseFloat(after.price) !== parseFloat(before.price)) {
+            socketManager.broadcastPriceUpdate(
+              after.id,
+              parseFloat(after.price),
+              parseFloat(before.price)
+            )
+          }
+          if (after.stock !== before.stock) {
+            socketManager.broadcastStockUpdate(after.id, after.stock, before.stock)
+          }
+        }
+
+        const alertService = getAlertService()
+        alertService.dispatch(alertService.handleProductUpdate(before, after))
+      }
+    } catch (error) {
+      logger.error(`Product import row ${plan.row} failed: ${error.message}`)
+      plan.action = IMPORT_ACTIONS.ERROR
+      plan.errors = [{ field: '', message: error.details?.originalMessage || error.message }]
+    }
+  }
+
+  /**
+   * Write the whole catalog to a stream (usually the HTTP response) a batch at
+   * a time, waiting whenever the client falls behind
+   * @param {import('node:stream').Writable} stream
+   * @param {'csv'|'json'} format
+   * @returns {Promise<number>} products written
+   */
+  async exportProducts(stream, format = 'csv') {
+    const write = async (chunk) => {
+      if (!stream.write(chunk)) {
+        await waitForDrain(stream)
+      }
+    }
+
+    let count = 0
+    let afterId = 0
+
+    await write(format === 'csv' ? toCsvLine(EXPORT_COLUMNS) : '[')
+
+    while (!stream.destroyed) {
+      const batch = await productRepository.getExportBatch(afterId, EXPORT_BATCH_SIZE)
+      if (batch.length === 0) break
+
+      for (const product of batch) {
+        await write(
+          format === 'csv'
+            ? toCsvLine(EXPORT_COLUMNS.map((column) => product[column]))
+            : `${count > 0 ? ',' : ''}\n${JSON.stringify(toJsonRecord(product))}`
+        )
+        count++
+      }
+      afterId = batch.at(-1).id
+    }
+
+    stream.end(format === 'csv' ? '' : '\n]\n')
+    return count
+  }
+}
+
+// Singleton instance
+let productImportService = null
+
+export function getProductImportService() {
+  if (!productImportService) {
+    productImportService = new ProductImportService()
+  }
+  return productImportService
+}
+
+export default ProductImportService
@@ -0,0 +1,303 @@
+/**
+ * Rates Service
+ * Tax and shipping for carts and orders. Tax comes from per-region tables keyed off the
+ * shipping address; shipping is priced by LP count and parcel weight.
+ * Both are providers, so a live rates API can replace the built-in tables.
+ */
+
+import { ValidationError } from '../utils/errors.js'
+
+/**
+ * Tax lines per country, optionally overridden per region (state/province)
+ * `taxShipping` controls whether the shipping charge is part of the taxable amount
+ */
+export const DEFAULT_TAX_TABLE = {
+  US: {
+    taxShipping: false,
+    lines: [],
+    regions: {
+      TX: {
+        taxShipping: true,
+        lines: [
+          { name: 'Texas state sales tax', rate: 0.0625 },
+          { name: 'Local sales tax', rate: 0.02 },
+        ],
+      },
+      CA: { lines: [{ name: 'California state sales tax', rate: 0.0725 }] },
+      NY: {
+        taxShipping: true,
+        lines: [
+          { name: 'New York state sales tax', rate: 0.04 },
+          { name: 'Local sales tax', rate: 0.045 },
+        ],
+      },
+      WA: { taxShipping: true, lines: [{ name: 'Washington state sales tax', rate: 0.065 }] },
+      OR: { lines: [] },
+    },
+  },
+  CA: {
+    taxShipping: true,
+    lines: [{ name: 'GST', rate: 0.05 }],
+    regions: {
+      ON: { lines: [{ name: 'HST', rate: 0.13 }] },
+      BC: {
+        lines: [
+          { name: 'GST', rate: 0.05 },
+          { name: 'PST', rate: 0.07 },
+        ],
+      },
+      QC: {
+        lines: [
+          { name: 'GST', rate: 0.05 },
+          { name: 'QST', rate: 0.09975 },
+        ],
+      },
+    },
+  },
+  GB: { taxShipping: true, lines: [{ name: 'VAT', rate: 0.2 }] },
+  DE: { taxShipping: true, lines: [{ name: 'VAT', rate: 0.19 }] },
+  FR: { taxShipping: true, lines: [{ name: 'VAT', rate: 0.2 }] },
+}
+
+/**
+ * Shipping methods priced per zone as base + perLp * LPs + perKg * parcel weight
+ */
+export const DEFAULT_SHIPPING_METHODS = {
+  standard: {
+    name: 'Standard',
+    estimatedDays: '5-8',
+    rates: {
+      domestic: { base: 4.5, perLp: 1, perKg: 1.5 },
+      international: { base: 14, perLp: 3, perKg: 9 },
+    },
+  },
+  express: {
+    name: 'Express',
+    estimatedDays: '1-3',
+    rates: {
+      domestic: { base: 12, perLp: 2, perKg: 3 },
+      international: { base: 35, perLp: 5, perKg: 15 },
+    },
+  },
+}
+
+export const DEFAULT_SHIPPING_METHOD = 'standard'
+
+// Typical shipped weights in grams (disc, sleeve/jacket) by record size
+const DISC_GRAMS = { 7: 45, 10: 120, 12: 180 }
+const SLEEVE_GRAMS = { 7: 20, 10: 60, 12: 120 }
+const GATEFOLD_EXTRA_GRAMS = 120
+
+const round = (amount) => parseFloat(amount.toFixed(2))
+
+/**
+ * Read disc count, size and packaging from a format string like `2xLP, Gatefold` or `7"`
+ * Products without a format are treated as a single 12" LP.
+ */
+export function describeFormat(format) {
+  const text = (format || 'LP').toUpperCase()
+  const countMatch = text.match(/(\d+)\s*X/)
+  const discs = countMatch ? parseInt(countMatch[1], 10) : 1
+
+  let size = 12
+  if (/\b7("|\s*IN)|\bSINGLE\b/.test(text)) size = 7
+  else if (/\b10("|\s*IN)/.test(text)) size = 10
+
+  const gatefold = text.includes('GATEFOLD')
+  const weightGrams =
+    discs * DISC_GRAMS[size] + SLEEVE_GRAMS[size] + (gatefold ? GATEFOLD_EXTRA_GRAMS : 0)
+
+  return {
+    discs,
+    size,
+    gatefold,
+    lpCount: size === 7 ? 0 : discs,
+    weightGrams,
+  }
+}
+
+/**
+ * Read `?country=&region=&postalCode=&shippingMethod=` into calculate() options
+ */
+export function ratesOptionsFromQuery(query = {}) {
+  return {
+    address: query.country
+      ? { country: query.country, region: query.region, postalCode: query.postalCode }
+      : null,
+    shippingMethod: query.shippingMethod || undefined,
+  }
+}
+
+/**
+ * Built-in tax provider backed by a region table
+ */
+export class TableTaxProvider {
+  constructor(table = DEFAULT_TAX_TABLE) {
+    this.table = table
+  }
+
+  getRates(address) {
+    const country = this.table[address.country]
+    if (!country) {
+      return { lines: [], taxShipping: false }
+    }
+
+    const region = address.region ? country.regions?.[address.region] : null
+
+    return {
+      lines: region?.lines ?? country.lines ?? [],
+      taxShipping: region?.taxShipping ?? country.taxShipping ?? false,
+    }
+  }
+}
+
+/**
+ * Built-in shipping provider: fixed methods priced by zone, LP count and weight
+ */
+export class TableShippingProvider {
+  constructor(methods = DEFAULT_SHIPPING_METHODS, originCountry = 'US') {
+    this.methods = methods
+    this.originCountry = originCountry
+  }
+
+  getQuotes(parcel, address) {
+    const zone = address.country === this.originCountry ? 'domestic' : 'international'
+
+    return Object.entries(this.methods).map(([method, config]) => {
+      const rate = config.rates[zone]
+      const cost =
+        parcel.units === 0
+          ? 0
+          : rate.base + rate.perLp * parcel.lpCount + (rate.perKg * parcel.weightGrams) / 1000
+
+      return {
+        method,
+        name: config.name,
+        estimatedDays: config.estimatedDays,
+        cost: round(cost),
+      }
+    })
+  }
+}
+
+export class RatesService {
+  constructor(options = {}) {
+    this.defaultAddress = options.defaultAddress || {
+      country: process.env.STORE_COUNTRY || 'US',
+      region: process.env.STORE_REGION || 'TX',
+    }
+    this.taxProvider = options.taxProvider || new TableTaxProvider(options.taxTable)
+    this.shippingProvider =
+      options.shippingProvider ||
+      new TableShippingProvider(options.shippingMethods, this.defaultAddress.country)
+  }
+
+  /**
+   * Clean up a shipping address; without one, rates are estimated for the store's own region
+   */
+  normalizeAddress(address) {
+    if (!address?.country) {
+      return { ...this.defaultAddress, postalCode: null, estimated: true }
+    }
+
+    const country = String(address.country).trim().toUpperCase()
+    if (!/^[A-Z]{2}$/.test(country)) {
+      throw new ValidationError('Country must be a two-letter ISO code', [
+        {
+          field: 'country',
+          message: 'Country must be a two-letter ISO code',
+          value: address.country,
+        },
+      ])
+    }
+
+    return {
+      country,
+      region: address.region ? String(address.region).trim().toUpperCase() : null,
+      postalCode: address.postalCode ? String(address.postalCode).trim() : null,
+      estimated: false,
+    }
+  }
+
+  /**
+   * Total LPs, units and weight for a set of cart lines
+   */
+  describeParcel(items) {
+    return items.reduce(
+      (parcel, item) => {
+        const format = describeFormat(item.format)
+        const weightGrams = item.weightGrams || format.weightGrams
+
+        parcel.units += item.quantity
+        parcel.lpCount += format.lpCount * item.quantity
+        parcel.weightGrams += weightGrams * item.quantity
+        return parcel
+      },
+      { units: 0, lpCount: 0, weightGrams: 0 }
+    )
+  }
+
+  /**
+   * Shipping, itemized tax and total for cart lines
+   * @param {Array} items - Normalized cart lines (price, quantity, format, weightGrams)
+   * @param {Object} options - discount, freeShipping, address, shippingMethod
+   */
+  calculate(items, { discount = 0, freeShipping = false, address = null, shippingMethod } = {}) {
+    const shippingAddress = this.normalizeAddress(address)
+    const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+
+    const shippingOptions = this.shippingProvider.getQuotes(
+      this.describeParcel(items),
+      shippingAddress
+    )
+    const method = shippingMethod || DEFAULT_SHIPPING_METHOD
+    const quote = shippingOptions.find((option) => option.method === method)
+
+    if (!quote) {
+      throw new ValidationError(`Unknown shipping method: ${method}`, [
+        { field: 'shippingMethod', message: `Unknown shipping method: ${method}`, value: method },
+      ])
+    }
+
+    const shippingCost = freeShipping ? 0 : quote.cost
+    const { lines, taxShipping } = this.taxProvider.getRates(shippingAddress)
+    const taxable = Math.max(subtotal - discount, 0) + (taxShipping ? shippingCost : 0)
+
+    const taxLines = lines.map((line) => ({
+      name: line.name,
+      rate: line.rate,
+      amount: round(taxable * line.rate),
+    }))
+    const tax = taxLines.reduce((sum, line) => sum + line.amount, 0)
+    const taxRate = lines.reduce((sum, line) => sum + line.rate, 0)
+
+    return {
+      subtotal: round(subtotal),
+      discount: round(discount),
+      shipping: round(shippingCost),
+      shippingMethod: {
+        ...quote,
+        cost: round(shippingCost),
+        waived: freeShipping && quote.cost > 0,
+      },
+      shippingOptions,
+      tax: round(tax),
+      taxRate: parseFloat(taxRate.toFixed(5)),
+      taxLines,
+      total: round(Math.max(subtotal - discount, 0) + shippingCost + tax),
+      shippingAddress,
+    }
+  }
+}
+
+// Singleton instance
+let ratesService = null
+
+export function getRatesService(options = {}) {
+  if (!ratesService || Object.keys(options).length > 0) {
+    ratesService = new RatesService(options)
+  }
+  return ratesService
+}
+
+export default RatesService
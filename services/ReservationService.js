@@ -0,0 +1,101 @@
+/**
+ * Reservation Service
+ * Holds cart stock during checkout and releases holds once they expire
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { reservationRepository } from '../repositories/index.js'
+import { getSocketManager } from '../websocket/socketManager.js'
+import { getAlertService } from './AlertService.js'
+
+const DEFAULT_RESERVATION_MINUTES = 15
+
+export class ReservationService {
+  constructor(options = {}) {
+    this.minutes =
+      options.minutes ||
+      parseInt(process.env.RESERVATION_MINUTES, 10) ||
+      DEFAULT_RESERVATION_MINUTES
+  }
+
+  /**
+   * Start checkout: reserve the user's cart for the configured window
+   */
+  async reserveCart(userId) {
+    const reservation = await reservationRepository.reserveCart(userId, this.minutes)
+
+    logger.info(
+      `Reserved ${reservation.items.length} cart lines for user ${userId} until ${reservation.expiresAt}`
+    )
+    this.broadcastStockChanges(reservation.stockChanges)
+
+    return {
+      expiresAt: reservation.expiresAt,
+      minutes: this.minutes,
+      items: reservation.items,
+    }
+  }
+
+  /**
+   * Give a user's held units back (e.g. when they empty their cart)
+   */
+  async releaseForUser(userId) {
+    const stockChanges = await reservationRepository.releaseForUser(userId)
+    this.broadcastStockChanges(stockChanges)
+    return stockChanges
+  }
+
+  /**
+   * Sweep expired holds back into available stock
+   */
+  async releaseExpired() {
+    const stockChanges = await reservationRepository.releaseExpired()
+
+    if (stockChanges.length > 0) {
+      logger.info(`Released expired reservations for ${stockChanges.length} products`)
+      this.broadcastStockChanges(stockChanges)
+    }
+
+    return stockChanges
+  }
+
+  broadcastStockChanges(stockChanges) {
+    const socketManager = getSocketManager()
+    const alertService = getAlertService()
+
+    for (const change of stockChanges) {
+      socketManager?.broadcastStockUpdate(change.productId, change.newStock, change.oldStock)
+      // Released holds can bring a sold-out record back
+      alertService.dispatch(
+        alertService.handleStockChange(change.productId, change.newStock, change.oldStock)
+      )
+    }
+  }
+
+  /**
+   * Run the expiry sweeper on an interval
+   */
+  startSweeper(intervalMs = 60000) {
+    const sweep = async () => {
+      try {
+        await this.releaseExpired()
+      } catch (error) {
+        logger.error('Error releasing expired reservations:', error)
+      }
+    }
+
+    return setInterval(sweep, intervalMs)
+  }
+}
+
+// Singleton instance
+let reservationService = null
+
+export function getReservationService(options = {}) {
+  if (!reservationService || Object.keys(options).length > 0) {
+    reservationService = new ReservationService(options)
+  }
+  return reservationService
+}
+
+export default ReservationService
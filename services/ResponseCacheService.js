@@ -0,0 +1,216 @@
+/**
+ * Response Cache Service
+ * Keeps Discogs and MusicBrainz lookups in SQLite so the catalog doesn't call
+ * out for every request. Each endpoint has a TTL during which the cached copy
+ * is served as is, and a stale window after it during which the copy is still
+ * served at once while a fresh one is fetched in the background — so the
+ * catalog keeps answering when an upstream API is slow or rate-limits us.
+ * Identical lookups already in flight share one upstream call.
+ */
+
+import { logger } from '../middleware/errorHandler.js'
+import { responseCacheRepository } from '../repositories/index.js'
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+// How long each endpoint's responses are fresh (ttl) and then usable while
+// being refreshed (staleFor). Prices and listings move; releases hardly do.
+export const CACHE_POLICIES = {
+  'discogs:search': { ttl: HOUR, staleFor: DAY },
+  'discogs:release': { ttl: DAY, staleFor: 30 * DAY },
+  'discogs:master': { ttl: DAY, staleFor: 30 * DAY },
+  'discogs:masterVersions': { ttl: 6 * HOUR, staleFor: 7 * DAY },
+  'discogs:listings': { ttl: 10 * MINUTE, staleFor: HOUR },
+  'discogs:prices': { ttl: HOUR, staleFor: DAY },
+  'discogs:artist': { ttl: DAY, staleFor: 30 * DAY },
+  'discogs:artistReleases': { ttl: 6 * HOUR, staleFor: 7 * DAY },
+  'discogs:artistSearch': { ttl: HOUR, staleFor: DAY },
+  'discogs:label': { ttl: DAY, staleFor: 30 * DAY },
+  'musicbrainz:search': { ttl: DAY, staleFor: 7 * DAY },
+  'musicbrainz:barcode': { ttl: 7 * DAY, staleFor: 30 * DAY },
+  'musicbrainz:release': { ttl: 7 * DAY, staleFor: 30 * DAY },
+  'musicbrainz:artist': { ttl: 7 * DAY, staleFor: 30 * DAY },
+  'musicbrainz:releaseGroup': { ttl: 7 * DAY, staleFor: 30 * DAY },
+}
+
+export const CACHE_SOURCES = ['discogs', 'musicbrainz']
+
+/**
+ * Cache key for a lookup: the endpoint plus its parameters, with object keys
+ * sorted so the same lookup always gets the same key
+ */
+export function cacheKey(endpoint, params) {
+  const canonical = (value) => {
+    if (Array.isArray(value)) return value.map(canonical)
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.keys(value)
+          .filter((key) => value[key] !== undefined)
+          .sort()
+          .map((key) => [key, canonical(value[key])])
+      )
+    }
+    return value
+  }
+
+  return `${endpoint}:${JSON.stringify(canonical(params) ?? null)}`
+}
+
+export class ResponseCacheService {
+  constructor(options = {}) {
+    this.policies = { ...CACHE_POLICIES, ...options.policies }
+    this.now = options.now || Date.now
+    // Upstream lookups under way, by cache key
+    this.inFlight = new Map()
+  }
+
+  policyFor(endpoint) {
+    const policy = this.policies[endpoint]
+    if (!policy) {
+      throw new Error(`No cache policy for ${endpoint}`)
+    }
+    return policy
+  }
+
+  /**
+   * Return a lookup's result from the cache, calling `lookup` when there is
+   * no usable copy. Errors from `lookup` are never cached.
+   * @param {string} endpoint - a key of CACHE_POLICIES
+   * @param {*} params - what identifies the lookup (IDs, query)
+   * @param {() => Promise<*>} lookup - the upstream call
+   */
+  async wrap(endpoint, params, lookup) {
+    this.policyFor(endpoint)
+    const key = cacheKey(endpoint, params)
+
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key)
+    }
+
+    const entry = await this.read(key)
+    const now = new Date(this.now()).toISOString()
+
+    if (entry && now < entry.fresh_until) {
+      return entry.value
+    }
+
+    if (entry && now < entry.stale_until) {
+      this.refresh(key, endpoint, lookup).catch((error) => {
+        logger.warn(`Refreshing cached ${endpoint} failed: ${error.message}`)
+      })
+      return entry.value
+    }
+
+    return this.refresh(key, endpoint, lookup)
+  }
+
+  /**
+   * Call upstream and store the result, sharing the call with any identical
+   * lookup that comes in meanwhile
+   */
+  refresh(key, endpoint, lookup) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key)
+    }
+
+    const pending = (async () => {
+      const value = await lookup()
+      await this.write(key, endpoint, value)
+      return value
+    })().finally(() => {
+      this.inFlight.delete(key)
+    })
+
+    this.inFlight.set(key, pending)
+    return pending
+  }
+
+  // The cache only ever saves calls: if it can't be read or written, the
+  // lookup goes upstream as if nothing were cached
+  async read(key) {
+    try {
+      const entry = await responseCacheRepository.getEntry(key)
+      return entry ? { ...entry, value: JSON.parse(entry.body) } : null
+    } catch (error) {
+      logger.warn(`Response cache read failed: ${error.details?.originalMessage || error.message}`)
+      return null
+    }
+  }
+
+  async write(key, endpoint, value) {
+    if (value === undefined) return
+
+    const { ttl, staleFor } = this.policyFor(endpoint)
+    const now = this.now()
+
+    try {
+      await responseCacheRepository.saveEntry({
+        cacheKey: key,
+        endpoint,
+        body: JSON.stringify(value),
+        fetchedAt: new Date(now).toISOString(),
+        freshUntil: new Date(now + ttl).toISOString(),
+        staleUntil: new Date(now + ttl + staleFor).toISOString(),
+      })
+    } catch (error) {
+      logger.warn(`Response cache write failed: ${error.details?.originalMessage || error.message}`)
+    }
+  }
+
+  /**
+   * Drop cached responses so the next lookups go upstream
+   * @param {{source?: string, endpoint?: string}} [filter] - nothing for everything
+   * @returns {Promise<number>} entries removed
+   */
+  async purge(filter = {}) {
+    const removed = await responseCacheRepository.purge(filter)
+    logger.info(`Purged ${removed} cached responses`)
+    return removed
+  }
+
+  async getStats() {
+    const endpoints = await responseCacheRepository.getStats(new Date(this.now()).toISOString())
+
+    return {
+      entries: endpoints.reduce((sum, { entries }) => sum + entries, 0),
+      endpoints,
+      inFlight: this.inFlight.size,
+    }
+  }
+
+  async removeExpired() {
+    return responseCacheRepository.deleteExpired(new Date(this.now()).toISOString())
+  }
+
+  /**
+   * Remove entries past their stale window on an interval
+   */
+  startSweeper(intervalMs = HOUR) {
+    const sweep = async () => {
+      try {
+        const removed = await this.removeExpired()
+        if (removed > 0) {
+          logger.info(`Removed ${removed} expired cached responses`)
+        }
+      } catch (error) {
+        logger.error('Error removing expired cached responses:', error)
+      }
+    }
+
+    return setInterval(sweep, intervalMs)
+  }
+}
+
+// Singleton instance
+let responseCacheService = null
+
+export function getResponseCacheService(options = {}) {
+  if (!responseCacheService || Object.keys(options).length > 0) {
+    responseCacheService = new ResponseCacheService(options)
+  }
+  return responseCacheService
+}
+
+export default ResponseCacheService
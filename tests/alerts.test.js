@@ -0,0 +1,227 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+
+const TEST_DB = './test-alerts.db'
+
+describe('Product alerts', () => {
+  let app
+  let db
+  let adminToken
+  let userToken
+  let userId
+  let productId
+  let alertService
+  const emails = []
+  const notifications = []
+
+  const auth = (req, token = userToken) => req.set('Authorization', `Bearer ${token}`)
+  const subscribe = (body, id = productId) =>
+    auth(request(app).post(`/api/v1/products/${id}/alerts`)).send(body)
+  const patchProduct = (body) =>
+    auth(request(app).patch(`/api/v1/products/${productId}`), adminToken).send(body)
+
+  // Product updates dispatch alerts without holding up the response
+  const waitFor = async (check) => {
+    for (let attempt = 0; attempt < 40 && !check(); attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 25))
+    }
+  }
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    const { getAlertService } = await import('../services/AlertService.js')
+    alertService = getAlertService({
+      emailService: {
+        sendProductAlertEmail: async (email, _name, alert) => emails.push({ email, alert }),
+      },
+      socketManager: {
+        sendNotification: (id, notification) => notifications.push({ userId: id, notification }),
+      },
+    })
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    const admin = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Admin', 'admin@example.com', 'admin', 'hashed', 'admin']
+    )
+    userId = (
+      await db.run('INSERT INTO users (name, email, username, password) VALUES (?, ?, ?, ?)', [
+        'Collector',
+        'collector@example.com',
+        'collector',
+        'hashed',
+      ])
+    ).lastID
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    adminToken = generateAccessToken({ userId: admin.lastID })
+    userToken = generateAccessToken({ userId })
+  })
+
+  beforeEach(async () => {
+    emails.length = 0
+    notifications.length = 0
+    await db.run('DELETE FROM product_alerts')
+
+    productId = (
+      await db.run(
+        'INSERT INTO products (title, artist, price, image, year, genre, stock) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        ['Pink Moon', 'Nick Drake', 30, 'pink-moon.png', 1972, 'Folk', 0]
+      )
+    ).lastID
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should require login to subscribe', async () => {
+    const response = await request(app)
+      .post(`/api/v1/products/${productId}/alerts`)
+      .send({ type: 'restock' })
+
+    expect(response.status).toBe(401)
+  })
+
+  test('should validate alert types and targets', async () => {
+    expect((await subscribe({ type: 'sale' })).status).toBe(400)
+    expect((await subscribe({ type: 'price_below' })).body.error.code).toBe('VALIDATION_ERROR')
+
+    const tooHigh = await subscribe({ type: 'price_below', targetPrice: 35 })
+    expect(tooHigh.status).toBe(400)
+    expect(tooHigh.body.error.message).toMatch(/already at or below/)
+
+    await db.run('UPDATE products SET stock = 2 WHERE id = ?', [productId])
+    const inStock = await subscribe({ type: 'restock' })
+    expect(inStock.body.error.message).toMatch(/already in stock/)
+
+    expect((await subscribe({ type: 'restock' }, 999999)).status).toBe(404)
+  })
+
+  test('should notify restock subscribers once when stock comes back', async () => {
+    const created = await subscribe({ type: 'restock' })
+    expect(created.status).toBe(201)
+    expect(created.body.data.alert).toMatchObject({ type: 'restock', status: 'active' })
+
+    const response = await patchProduct({ stock: 5 })
+    expect(response.status).toBe(200)
+
+    await waitFor(() => emails.length > 0)
+    expect(emails).toEqual([
+      expect.objectContaining({
+        email: 'collector@example.com',
+        alert: expect.objectContaining({ productId, unsubscribeToken: expect.any(String) }),
+      }),
+    ])
+    expect(notifications).toEqual([
+      {
+        userId,
+        notification: expect.objectContaining({
+          type: 'PRODUCT_ALERT',
+          alertType: 'restock',
+          productId,
+          message: 'Pink Moon is back in stock',
+        }),
+      },
+    ])
+
+    const alerts = await auth(request(app).get(`/api/v1/products/${productId}/alerts`))
+    expect(alerts.body.data.alerts[0]).toMatchObject({ status: 'triggered' })
+
+    // Selling out and restocking again doesn't re-fire a triggered alert
+    await db.run('UPDATE products SET stock = 0 WHERE id = ?', [productId])
+    await alertService.handleStockChange(productId, 3, 0)
+    expect(emails).toHaveLength(1)
+  })
+
+  test('should fire price alerts only when the drop reaches the target', async () => {
+    await subscribe({ type: 'price_below', targetPrice: 25 })
+
+    await db.run('UPDATE products SET price = 27 WHERE id = ?', [productId])
+    expect(await alertService.handlePriceChange(productId, 27, 30)).toEqual([])
+
+    await patchProduct({ price: 24.5 })
+    await waitFor(() => notifications.length > 0)
+
+    expect(notifications[0].notification).toMatchObject({
+      alertType: 'price_below',
+      message: 'Pink Moon dropped to $24.50',
+      price: 24.5,
+    })
+  })
+
+  test('should re-arm an alert when the user subscribes again', async () => {
+    const first = await subscribe({ type: 'price_below', targetPrice: 25 })
+    await db.run("UPDATE product_alerts SET status = 'triggered' WHERE id = ?", [
+      first.body.data.alert.id,
+    ])
+
+    const second = await subscribe({ type: 'price_below', targetPrice: 20 })
+
+    expect(second.body.data.alert).toMatchObject({
+      id: first.body.data.alert.id,
+      targetPrice: 20,
+      status: 'active',
+    })
+  })
+
+  test('should let users unsubscribe from one alert or all of them', async () => {
+    const restock = (await subscribe({ type: 'restock' })).body.data.alert
+    await subscribe({ type: 'price_below', targetPrice: 20 })
+
+    const removed = await auth(
+      request(app).delete(`/api/v1/products/${productId}/alerts/${restock.id}`)
+    )
+    expect(removed.status).toBe(200)
+
+    const mine = await auth(request(app).get('/api/v1/me/alerts'))
+    expect(mine.body.data.alerts.map((alert) => alert.type)).toEqual(['price_below'])
+
+    const cleared = await auth(request(app).delete('/api/v1/me/alerts'))
+    expect(cleared.body.data.removed).toBe(1)
+  })
+
+  test('should unsubscribe from an email link token', async () => {
+    await subscribe({ type: 'restock' })
+    await subscribe({ type: 'price_below', targetPrice: 20 })
+    const tokens = await db.all('SELECT unsubscribe_token FROM product_alerts ORDER BY id')
+
+    const single = await request(app).get(
+      `/api/v1/alerts/unsubscribe?token=${tokens[0].unsubscribe_token}`
+    )
+    expect(single.body.data.removed).toBe(1)
+
+    const all = await request(app).get(
+      `/api/v1/alerts/unsubscribe?token=${tokens[1].unsubscribe_token}&scope=all`
+    )
+    expect(all.body.data.removed).toBe(1)
+
+    const unknown = await request(app).get('/api/v1/alerts/unsubscribe?token=nope')
+    expect(unknown.status).toBe(404)
+  })
+})
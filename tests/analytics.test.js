@@ -0,0 +1,128 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+
+const TEST_DB = './test-analytics.db'
+
+describe('Analytics from completed orders', () => {
+  let db
+  let AnalyticsService
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+    ;({ AnalyticsService } = await import('../services/AnalyticsService.js'))
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    const buyer = await db.run(
+      'INSERT INTO users (name, email, username, password) VALUES (?, ?, ?, ?)',
+      ['Buyer', 'buyer@example.com', 'buyer', 'hashed']
+    )
+    const browser = await db.run(
+      'INSERT INTO users (name, email, username, password) VALUES (?, ?, ?, ?)',
+      ['Browser', 'browser@example.com', 'browser', 'hashed']
+    )
+    const product = await db.run(
+      'INSERT INTO products (title, artist, price, image, year, genre, stock) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      ['Rumours', 'Fleetwood Mac', 30, 'rumours.png', 1977, 'Rock', 10]
+    )
+
+    const now = new Date().toISOString()
+    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString()
+
+    // One paid order and one that never got paid
+    const paid = await db.run(
+      `INSERT INTO orders (user_id, status, item_count, subtotal, tax, tax_rate, total, paid_at, created_at)
+       VALUES (?, 'paid', 2, 60, 0, 0, 60, ?, ?)`,
+      [buyer.lastID, now, now]
+    )
+    await db.run(
+      'INSERT INTO order_items (order_id, product_id, title, artist, quantity, price) VALUES (?, ?, ?, ?, ?, ?)',
+      [paid.lastID, product.lastID, 'Rumours', 'Fleetwood Mac', 2, 30]
+    )
+    const pending = await db.run(
+      `INSERT INTO orders (user_id, status, item_count, subtotal, tax, tax_rate, total, created_at)
+       VALUES (?, 'pending', 5, 150, 0, 0, 150, ?)`,
+      [browser.lastID, now]
+    )
+    await db.run(
+      'INSERT INTO order_items (order_id, product_id, title, artist, quantity, price) VALUES (?, ?, ?, ?, ?, ?)',
+      [pending.lastID, product.lastID, 'Rumours', 'Fleetwood Mac', 5, 30]
+    )
+
+    // A cart that has sat untouched for two days
+    await db.run(
+      'INSERT INTO cart_items (user_id, product_id, quantity, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+      [browser.lastID, product.lastID, 3, twoDaysAgo, twoDaysAgo]
+    )
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should count only paid orders as sales', async () => {
+    const overview = await AnalyticsService.getSalesOverview(db)
+
+    expect(overview.totalOrders).toBe(1)
+    expect(overview.totalRevenue).toBe(60)
+    expect(overview.todayRevenue).toBe(60)
+    expect(overview.totalItemsSold).toBe(2)
+  })
+
+  test('should rank top products by paid units', async () => {
+    const [top] = await AnalyticsService.getTopProducts(db)
+
+    expect(top.title).toBe('Rumours')
+    expect(top.units_sold).toBe(2)
+    expect(top.revenue).toBe(60)
+  })
+
+  test('should not report cart contents as revenue', async () => {
+    const revenue = await AnalyticsService.getRevenueData(db)
+
+    expect(revenue).toHaveLength(1)
+    expect(revenue[0].revenue).toBe(60)
+  })
+
+  test('should report cart adds and abandonment separately', async () => {
+    const carts = await AnalyticsService.getCartActivity(db)
+
+    expect(carts.cartAdds).toBe(1)
+    expect(carts.unitsAdded).toBe(3)
+    expect(carts.abandonedCarts).toBe(1)
+    expect(carts.abandonedValue).toBe(90)
+    expect(carts.abandonmentRate).toBe(50)
+  })
+
+  test('should build the full dashboard from orders', async () => {
+    const dashboard = await AnalyticsService.getDashboardData()
+
+    expect(dashboard.genreAnalytics[0]).toMatchObject({ genre: 'Rock', total_sold: 2 })
+    expect(dashboard.inventoryStatus.products[0].sold_count).toBe(2)
+    expect(dashboard.recentActivity.recentOrders).toHaveLength(1)
+    expect(dashboard.userBehavior.topCustomers[0].total_spent).toBe(60)
+    expect(dashboard.cartActivity.abandonedCarts).toBe(1)
+  })
+
+  test('should base realtime revenue on paid orders', async () => {
+    const metrics = await AnalyticsService.getRealtimeMetrics()
+
+    expect(metrics.todayRevenue).toBe(60)
+    expect(metrics.todayOrders).toBe(1)
+    expect(metrics.todayCartAdds).toBe(0)
+  })
+})
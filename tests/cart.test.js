@@ -0,0 +1,187 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+
+const TEST_DB = './test-cart.db'
+
+describe('Cart API', () => {
+  let app
+  let db
+  let token
+  let userId
+  let productId
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`)
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    // Flat 10% tax and $5 shipping keep the expected totals readable
+    const { getRatesService } = await import('../services/RatesService.js')
+    getRatesService({
+      taxTable: { US: { lines: [{ name: 'Sales tax', rate: 0.1 }] } },
+      shippingMethods: {
+        standard: {
+          name: 'Standard',
+          estimatedDays: '5-8',
+          rates: {
+            domestic: { base: 5, perLp: 0, perKg: 0 },
+            international: { base: 5, perLp: 0, perKg: 0 },
+          },
+        },
+      },
+    })
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    userId = (
+      await db.run('INSERT INTO users (name, email, username, password) VALUES (?, ?, ?, ?)', [
+        'Shopper',
+        'shopper@example.com',
+        'shopper',
+        'hashed',
+      ])
+    ).lastID
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    token = generateAccessToken({ userId })
+  })
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM cart_items')
+    await db.run('DELETE FROM stock_reservations')
+
+    const product = await db.run(
+      'INSERT INTO products (title, artist, price, image, year, genre, stock) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      ['Blue Train', 'John Coltrane', 20, 'blue-train.png', 1957, 'Jazz', 3]
+    )
+    productId = product.lastID
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  const addItem = (quantity) =>
+    auth(request(app).post('/api/v1/cart/items')).send({ product_id: productId, quantity })
+
+  const cartItemId = async () =>
+    (await db.get('SELECT id FROM cart_items WHERE product_id = ?', [productId])).id
+
+  test('should add a quantity and remember the price', async () => {
+    const response = await addItem(2)
+
+    expect(response.status).toBe(200)
+
+    const line = await db.get(
+      'SELECT quantity, price_at_add FROM cart_items WHERE product_id = ?',
+      [productId]
+    )
+    expect(line).toEqual({ quantity: 2, price_at_add: 20 })
+  })
+
+  test('should summarise subtotal, shipping, tax and total', async () => {
+    await addItem(2)
+
+    const response = await auth(request(app).get('/api/v1/cart/summary'))
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.summary).toMatchObject({
+      itemCount: 2,
+      subtotal: 40,
+      shipping: 5,
+      tax: 4,
+      total: 49,
+      taxLines: [{ name: 'Sales tax', rate: 0.1, amount: 4 }],
+    })
+    expect(response.body.data.items[0]).toMatchObject({ quantity: 2, lineTotal: 40 })
+    expect(response.body.data.priceChanges).toEqual([])
+  })
+
+  test('should flag lines whose price changed since they were added', async () => {
+    await addItem(1)
+    await db.run('UPDATE products SET price = 25 WHERE id = ?', [productId])
+
+    const response = await auth(request(app).get('/api/v1/cart/summary'))
+
+    expect(response.body.data.summary.subtotal).toBe(25)
+    expect(response.body.data.priceChanges).toEqual([
+      expect.objectContaining({ productId, priceAtAdd: 20, price: 25, priceDifference: 5 }),
+    ])
+  })
+
+  test('should update a line quantity', async () => {
+    await addItem(1)
+
+    const response = await auth(request(app).put(`/api/v1/cart/items/${await cartItemId()}`)).send({
+      quantity: 3,
+    })
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.item).toMatchObject({ productId, quantity: 3, priceAtAdd: 20 })
+  })
+
+  test('should reject quantities beyond available stock', async () => {
+    await addItem(1)
+
+    const response = await auth(request(app).put(`/api/v1/cart/items/${await cartItemId()}`)).send({
+      quantity: 4,
+    })
+
+    expect(response.status).toBe(400)
+    expect(response.body.error.details.validationErrors[0]).toMatchObject({ available: 3 })
+  })
+
+  test('should remove the line when quantity is zero', async () => {
+    await addItem(1)
+
+    const response = await auth(request(app).put(`/api/v1/cart/items/${await cartItemId()}`)).send({
+      quantity: 0,
+    })
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.item).toBeNull()
+
+    const count = await db.get('SELECT COUNT(*) as count FROM cart_items')
+    expect(count.count).toBe(0)
+  })
+
+  test('should validate the quantity body', async () => {
+    await addItem(1)
+
+    const response = await auth(request(app).put(`/api/v1/cart/items/${await cartItemId()}`)).send({
+      quantity: 'lots',
+    })
+
+    expect(response.status).toBe(400)
+    expect(response.body.error.code).toBe('VALIDATION_ERROR')
+  })
+
+  test('should 404 for an unknown cart line', async () => {
+    const response = await auth(request(app).put('/api/v1/cart/items/99999')).send({ quantity: 1 })
+
+    expect(response.status).toBe(404)
+  })
+})
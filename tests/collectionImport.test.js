@@ -0,0 +1,244 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+
+const TEST_DB = './test-collection-import.db'
+
+describe('Discogs collection import and export', () => {
+  let app
+  let db
+  let token
+  let userId
+  let existingId
+
+  const discogsExport = fs.readFileSync(
+    new URL('./fixtures/discogs/collection-export.csv', import.meta.url),
+    'utf8'
+  )
+
+  const importCsv = (csv, query = '') =>
+    request(app)
+      .post(`/api/v1/collection/import${query}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'text/csv')
+      .send(csv)
+
+  const exportAs = (format) =>
+    request(app)
+      .get(`/api/v1/collection/export?format=${format}`)
+      .set('Authorization', `Bearer ${token}`)
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    const user = await db.run(
+      'INSERT INTO users (name, email, username, password) VALUES (?, ?, ?, ?)',
+      ['Collector', 'collector@example.com', 'collector', 'hashed']
+    )
+    userId = user.lastID
+
+    // Already in the collection, without Discogs' exact title
+    const existing = await db.run(
+      `INSERT INTO collection_items (user_id, discogs_release_id, title, artist)
+       VALUES (?, 2196413, 'Kind of Blue', 'Miles Davis')`,
+      [userId]
+    )
+    existingId = existing.lastID
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    token = generateAccessToken({ userId })
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should need a login', async () => {
+    const response = await request(app).get('/api/v1/collection/export')
+    expect(response.status).toBe(401)
+  })
+
+  test('should preview an import with duplicates and per-row errors', async () => {
+    const response = await importCsv(discogsExport)
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.dryRun).toBe(true)
+    expect(response.body.data.summary).toEqual({
+      create: 3,
+      duplicate: 1,
+      error: 2,
+      newFolders: ['Jazz'],
+    })
+
+    const [kindOfBlue, moanin, nevermind, secondMoanin, unknown, noArtist] = response.body.data.rows
+    expect(kindOfBlue).toMatchObject({ row: 2, action: 'duplicate', existingId })
+    expect(moanin).toMatchObject({ row: 3, action: 'create', folder: 'Jazz' })
+    expect(nevermind).toMatchObject({ action: 'create', artist: 'Nirvana', folder: 'All' })
+    // The collection has nowhere to keep ratings
+    expect(nevermind.warnings).toEqual(['Rating (4) is not imported'])
+    expect(moanin.warnings).toBeUndefined()
+    // A second copy of a release is a record of its own
+    expect(secondMoanin).toMatchObject({ row: 5, action: 'create' })
+    expect(unknown.errors).toEqual([
+      {
+        field: 'Collection Media Condition',
+        message: 'Unknown Discogs condition "Scratched To Bits"',
+      },
+    ])
+    expect(noArtist.errors[0]).toMatchObject({ field: 'Artist' })
+
+    const { count } = await db.get('SELECT COUNT(*) as count FROM collection_items')
+    expect(count).toBe(1)
+    const folders = await db.all('SELECT * FROM collection_folders')
+    expect(folders).toEqual([])
+  })
+
+  test('should add the new records, folders and grades when dryRun=false', async () => {
+    const response = await importCsv(discogsExport, '?dryRun=false')
+
+    expect(response.body.data.dryRun).toBe(false)
+    expect(response.body.data.summary).toMatchObject({ create: 3, duplicate: 1, error: 2 })
+
+    const folders = await db.all(
+      'SELECT id, name FROM collection_folders WHERE user_id = ? ORDER BY id',
+      [userId]
+    )
+    expect(folders.map((folder) => folder.name)).toEqual(['All', 'Jazz'])
+    const [all, jazz] = folders
+
+    const items = await db.all(
+      'SELECT * FROM collection_items WHERE user_id = ? AND id != ? ORDER BY id',
+      [userId, existingId]
+    )
+    expect(items).toHaveLength(3)
+    expect(items[0]).toMatchObject({
+      discogs_release_id: 1389405,
+      artist: 'Art Blakey & The Jazz Messengers',
+      title: "Moanin'",
+      year: 1959,
+      format: 'LP, Album, RE',
+      label: 'Blue Note',
+      catalog_number: 'BLP 4003',
+      media_condition: 'NM',
+      sleeve_condition: 'GENERIC',
+      folder_id: jazz.id,
+      created_at: '2022-07-02 10:45:00',
+    })
+    expect(items[1]).toMatchObject({
+      artist: 'Nirvana',
+      media_condition: 'M',
+      sleeve_condition: 'NM',
+      folder_id: all.id,
+    })
+    expect(items[2]).toMatchObject({
+      media_condition: 'G+',
+      sleeve_condition: null,
+      notes: 'Second copy',
+    })
+    expect(response.body.data.rows[1].itemId).toBe(items[0].id)
+  })
+
+  test('should not import the same export twice', async () => {
+    const response = await importCsv(discogsExport)
+
+    expect(response.body.data.summary).toMatchObject({ create: 0, duplicate: 4, error: 2 })
+  })
+
+  test('should export in Discogs format', async () => {
+    const response = await exportAs('csv')
+
+    expect(response.status).toBe(200)
+    expect(response.headers['content-type']).toMatch(/text\/csv/)
+    expect(response.headers['content-disposition']).toMatch(
+      /attachment; filename="collection-.*\.csv"/
+    )
+
+    const lines = response.text.trim().split('\r\n')
+    expect(lines[0]).toBe(discogsExport.split('\n')[0])
+    expect(lines).toHaveLength(5)
+    // Added here, so Uncategorized, with the collection's default grades
+    expect(lines[1]).toMatch(
+      /^,Miles Davis,Kind of Blue,,,,,2196413,Uncategorized,[\d-]+ [\d:]+,Very Good Plus \(VG\+\),Very Good Plus \(VG\+\),$/
+    )
+    expect(lines[2]).toBe(
+      'BLP 4003,Art Blakey & The Jazz Messengers,Moanin\',Blue Note,"LP, Album, RE",,1959,1389405,Jazz,2022-07-02 10:45:00,Near Mint (NM or M-),Generic,'
+    )
+  })
+
+  test('should import formula-like notes back without the escape', async () => {
+    await db.run("UPDATE collection_items SET notes = '-scratched' WHERE notes = 'Second copy'")
+
+    const exported = await exportAs('csv')
+    expect(exported.text).toContain(",Good Plus (G+),,'-scratched\r\n")
+
+    const { parseCollectionRows } = await import('../services/CollectionImportService.js')
+    const rows = parseCollectionRows(exported.text)
+    expect(rows[3].data['Collection Notes']).toBe('-scratched')
+
+    await db.run("UPDATE collection_items SET notes = 'Second copy' WHERE notes = '-scratched'")
+  })
+
+  test('should import its own JSON export back as duplicates', async () => {
+    const exported = await exportAs('json')
+    expect(exported.headers['content-type']).toMatch(/application\/json/)
+    expect(exported.body).toHaveLength(4)
+    expect(exported.body[3]).toMatchObject({
+      CollectionFolder: 'Jazz',
+      'Collection Media Condition': 'Good Plus (G+)',
+      'Collection Sleeve Condition': null,
+    })
+
+    const response = await request(app)
+      .post('/api/v1/collection/import')
+      .set('Authorization', `Bearer ${token}`)
+      .send(exported.body)
+
+    expect(response.body.data.summary).toMatchObject({ create: 0, duplicate: 4, error: 0 })
+  })
+
+  test('should strip markup from CSV rows as from JSON bodies', async () => {
+    const response = await importCsv(
+      [
+        discogsExport.split('\n')[0],
+        ',Sun Ra,<img src=x onerror=alert(1)>Space Is the Place,,LP,,1973,,,,,,',
+      ].join('\n')
+    )
+
+    expect(response.body.data.rows[0]).toMatchObject({
+      action: 'create',
+      title: 'Space Is the Place',
+    })
+  })
+
+  test('should reject an empty import or an unknown export format', async () => {
+    const empty = await importCsv(discogsExport.split('\n')[0])
+    expect(empty.status).toBe(400)
+
+    const xml = await exportAs('xml')
+    expect(xml.status).toBe(400)
+    expect(xml.body.error.message).toBe('Export format must be csv or json')
+  })
+})
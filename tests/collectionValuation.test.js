@@ -0,0 +1,313 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+
+const TEST_DB = './test-collection-valuation.db'
+
+const KIND_OF_BLUE = 2196413
+const BLUE_TRAIN = 1571029
+// Discogs has no sales data for this one
+const WHITE_LABEL = 999001
+// Valued by hand while its price suggestions are being looked up
+const LOVE_SUPREME = 2196414
+
+describe('Scheduled collection valuation', () => {
+  let app
+  let db
+  let migrator
+  let valuation
+  let estimateValue
+  let adminToken
+  let collectorToken
+  const items = {}
+  const lookups = []
+  const waits = []
+
+  // Price suggestions as DiscogsService.getPriceSuggestions normalizes them
+  let rateLimited = false
+  const discogs = {
+    async getPriceSuggestions(releaseId) {
+      lookups.push(releaseId)
+
+      if (releaseId === KIND_OF_BLUE) {
+        return {
+          M: { value: 100, currency: 'USD', label: 'Mint' },
+          NM: { value: 90, currency: 'USD', label: 'Near Mint' },
+          'VG+': { value: 70, currency: 'USD', label: 'Very Good Plus' },
+        }
+      }
+      if (releaseId === LOVE_SUPREME) {
+        await db.run(
+          "UPDATE collection_items SET current_value = 60, current_value_source = 'manual' WHERE id = ?",
+          [items.loveSupreme]
+        )
+        return { NM: { value: 90, currency: 'USD', label: 'Near Mint' } }
+      }
+      if (releaseId === BLUE_TRAIN) {
+        // The quota runs out once, on the first lookup
+        if (!rateLimited) {
+          rateLimited = true
+          const { RateLimitError } = await import('../utils/errors.js')
+          throw new RateLimitError('Discogs rate limit reached', 2)
+        }
+        return { NM: { value: 45, currency: 'USD', label: 'Near Mint' } }
+      }
+
+      const error = new Error('No price suggestions for this release')
+      error.statusCode = 404
+      throw error
+    },
+  }
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    migrator = (await import('../db/migrator.js')).migrator
+    await migrator.runAllMigrations()
+
+    const service = await import('../services/CollectionValuationService.js')
+    estimateValue = service.estimateValue
+    valuation = service.getCollectionValuationService({
+      discogs,
+      sleep: async (ms) => waits.push(ms),
+    })
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    const admin = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Admin', 'admin@example.com', 'admin', 'hashed', 'admin']
+    )
+    const collector = await db.run(
+      'INSERT INTO users (name, email, username, password) VALUES (?, ?, ?, ?)',
+      ['Collector', 'collector@example.com', 'collector', 'hashed']
+    )
+
+    const addItem = async (key, userId, releaseId, media, sleeve, extra = {}) => {
+      const result = await db.run(
+        `INSERT INTO collection_items
+           (user_id, discogs_release_id, title, artist, media_condition, sleeve_condition,
+            current_value, current_value_source)
+         VALUES (?, ?, ?, 'Various', ?, ?, ?, ?)`,
+        [userId, releaseId, key, media, sleeve, extra.value ?? null, extra.source ?? null]
+      )
+      items[key] = result.lastID
+    }
+
+    await addItem('nearMint', collector.lastID, KIND_OF_BLUE, 'NM', 'NM')
+    // Estimated from the purchase price when it was added: the valuation replaces it
+    await addItem('genericSleeve', admin.lastID, KIND_OF_BLUE, 'VG+', 'GENERIC', {
+      value: 12,
+      source: 'purchase_price',
+    })
+    await addItem('typedIn', collector.lastID, KIND_OF_BLUE, 'M', 'M', {
+      value: 500,
+      source: 'manual',
+    })
+    await addItem('ungraded', collector.lastID, BLUE_TRAIN, null, null)
+    await addItem('unpriced', admin.lastID, WHITE_LABEL, 'VG', 'VG', {
+      value: 8,
+      source: 'purchase_price',
+    })
+    await addItem('noRelease', collector.lastID, null, 'VG', 'VG')
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    adminToken = generateAccessToken({ userId: admin.lastID })
+    collectorToken = generateAccessToken({ userId: collector.lastID })
+  })
+
+  afterAll(async () => {
+    if (valuation?.running) {
+      await valuation.running
+    }
+    if (db) {
+      await db.close()
+    }
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  const itemValue = (key) =>
+    db.get(
+      'SELECT current_value, current_value_source, current_value_updated_at FROM collection_items WHERE id = ?',
+      [items[key]]
+    )
+
+  test('should grade the Mint price for both media and sleeve', () => {
+    const suggestions = { NM: { value: 90 } }
+
+    // Scaled up from the best grade Discogs has a price for
+    expect(estimateValue(suggestions, 'M', 'M')).toBe(100)
+    expect(estimateValue(suggestions, 'VG+', 'VG+')).toBe(70)
+    expect(estimateValue(suggestions, 'NM', 'VG')).toBe(80)
+    expect(estimateValue(suggestions, 'vg+', 'NONE')).toBe(52.5)
+    // Ungraded copies are taken as VG+, like new collection items
+    expect(estimateValue(suggestions, null, null)).toBe(70)
+    expect(estimateValue({}, 'NM', 'NM')).toBeNull()
+    expect(estimateValue(null, 'NM', 'NM')).toBeNull()
+  })
+
+  test('should tell values estimated from the purchase price from typed-in ones', async () => {
+    // Collection items valued before there was a source
+    const legacy = async (purchasePrice, mediaCondition, currentValue) =>
+      (
+        await db.run(
+          `INSERT INTO collection_items
+             (user_id, title, artist, media_condition, purchase_price, current_value)
+           VALUES (1, 'Legacy', 'Various', ?, ?, ?)`,
+          [mediaCondition, purchasePrice, currentValue]
+        )
+      ).lastID
+    const estimated = await legacy(20, 'VG', 10)
+    const ungraded = await legacy(20, null, 14)
+    const typedIn = await legacy(20, 'VG', 35)
+    const noPurchase = await legacy(null, 'VG', 12)
+
+    await migrator.addCollectionValuation()
+
+    const sources = await db.all(
+      'SELECT id, current_value_source FROM collection_items WHERE id IN (?, ?, ?, ?) ORDER BY id',
+      [estimated, ungraded, typedIn, noPurchase]
+    )
+    expect(sources.map((item) => item.current_value_source)).toEqual([
+      'purchase_price',
+      'purchase_price',
+      'manual',
+      'manual',
+    ])
+
+    await db.run("DELETE FROM collection_items WHERE title = 'Legacy'")
+  })
+
+  test('should be limited to admins', async () => {
+    const response = await request(app)
+      .post('/api/v1/admin/valuation')
+      .set('Authorization', `Bearer ${collectorToken}`)
+    expect(response.status).toBe(403)
+  })
+
+  test('should value every collection from Discogs and snapshot it', async () => {
+    expect(await valuation.isDue()).toBe(true)
+
+    const started = await request(app)
+      .post('/api/v1/admin/valuation')
+      .set('Authorization', `Bearer ${adminToken}`)
+
+    expect(started.status).toBe(202)
+    expect(started.body.data.running).toBe(true)
+
+    const again = await request(app)
+      .post('/api/v1/admin/valuation')
+      .set('Authorization', `Bearer ${adminToken}`)
+    expect(again.status).toBe(409)
+
+    await valuation.running
+
+    // One lookup per release however many copies there are, plus the retry
+    expect(lookups).toEqual([WHITE_LABEL, BLUE_TRAIN, BLUE_TRAIN, KIND_OF_BLUE])
+    expect(waits).toEqual([2000])
+
+    expect(await itemValue('nearMint')).toMatchObject({
+      current_value: 90,
+      current_value_source: 'discogs',
+      current_value_updated_at: expect.any(String),
+    })
+    expect(await itemValue('genericSleeve')).toMatchObject({
+      current_value: 52.5,
+      current_value_source: 'discogs',
+    })
+    expect(await itemValue('typedIn')).toMatchObject({
+      current_value: 500,
+      current_value_source: 'manual',
+    })
+    expect(await itemValue('ungraded')).toMatchObject({ current_value: 35 })
+    expect(await itemValue('unpriced')).toMatchObject({
+      current_value: 8,
+      current_value_source: 'purchase_price',
+    })
+
+    const status = await request(app)
+      .get('/api/v1/admin/valuation')
+      .set('Authorization', `Bearer ${adminToken}`)
+    expect(status.body.data.running).toBe(false)
+    expect(status.body.data.run).toMatchObject({
+      status: 'completed',
+      releases: 3,
+      valued: 3,
+      unpriced: 1,
+      snapshots: 2,
+    })
+    expect(status.body.data.lastCompleted.id).toBe(status.body.data.run.id)
+
+    const history = await request(app)
+      .get('/api/v1/collection/value-history')
+      .set('Authorization', `Bearer ${collectorToken}`)
+    expect(history.body.data).toEqual([
+      { total_items: 4, total_value: 625, recorded_at: expect.any(String) },
+    ])
+  })
+
+  test('should only be due again a day after the last run', async () => {
+    expect(await valuation.isDue()).toBe(false)
+    expect(await valuation.isDue(Date.now() + 24 * 60 * 60 * 1000)).toBe(true)
+  })
+
+  test('should hand a cleared value back to the valuation', async () => {
+    const typedIn = await request(app)
+      .put(`/api/v1/collection/${items.nearMint}`)
+      .set('Authorization', `Bearer ${collectorToken}`)
+      .send({ current_value: 120 })
+    expect(typedIn.status).toBe(200)
+    expect(await itemValue('nearMint')).toMatchObject({
+      current_value: 120,
+      current_value_source: 'manual',
+    })
+
+    await request(app)
+      .put(`/api/v1/collection/${items.typedIn}`)
+      .set('Authorization', `Bearer ${collectorToken}`)
+      .send({ current_value: null })
+
+    await valuation.start()
+    await valuation.running
+
+    expect(await itemValue('nearMint')).toMatchObject({ current_value: 120 })
+    expect(await itemValue('typedIn')).toMatchObject({
+      current_value: 100,
+      current_value_source: 'discogs',
+    })
+  })
+
+  test('should leave a value typed in during the run alone', async () => {
+    const { lastID } = await db.run(
+      `INSERT INTO collection_items (user_id, discogs_release_id, title, artist, media_condition)
+       VALUES (1, ?, 'loveSupreme', 'John Coltrane', 'NM')`,
+      [LOVE_SUPREME]
+    )
+    items.loveSupreme = lastID
+
+    await valuation.start()
+    await valuation.running
+
+    expect(await itemValue('loveSupreme')).toMatchObject({
+      current_value: 60,
+      current_value_source: 'manual',
+    })
+    const { run } = await valuation.getStatus()
+    expect(run).toMatchObject({ status: 'completed', skipped: 1 })
+  })
+})
@@ -0,0 +1,280 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+
+const TEST_DB = './test-discogs-import.db'
+
+// Recorded Discogs release, so the suite runs without network access
+const loveSupreme = JSON.parse(
+  fs.readFileSync(new URL('./fixtures/discogs/release-2196413.json', import.meta.url), 'utf8')
+)
+
+// Smallest valid PNG (1x1)
+const COVER_BYTES = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+  'base64'
+)
+
+describe('Discogs release import', () => {
+  let app
+  let db
+  let adminToken
+  let userToken
+  let imageDir
+  const waits = []
+
+  const releases = {
+    [loveSupreme.id]: loveSupreme,
+    3333: { ...loveSupreme, id: 3333, title: 'Crescent', year: 1964 },
+    4444: {
+      ...loveSupreme,
+      id: 4444,
+      title: 'Ballads',
+      year: 0,
+      images: [{ type: 'primary', uri: 'https://i.discogs.com/missing.jpg' }],
+    },
+    5555: { ...loveSupreme, id: 5555, title: 'Transition', year: 1970 },
+    7777: { ...loveSupreme, id: 7777, title: '<img src=x onerror=alert(1)>Om', year: 1968 },
+    // Nobody is selling it
+    6666: { ...loveSupreme, id: 6666, title: 'Sun Ship', year: 1971, lowest_price: null },
+  }
+
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${adminToken}`)
+  const importOne = (id, body = {}) =>
+    asAdmin(request(app).post(`/api/v1/discogs/releases/${id}/import`)).send(body)
+  const importMany = (body) => asAdmin(request(app).post('/api/v1/discogs/import')).send(body)
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+    imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spiral-images-'))
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    const { DiscogsService } = await import('../services/DiscogsService.js')
+    const { ImageStorageService } = await import('../services/ImageStorageService.js')
+    const { getDiscogsImportService } = await import('../services/DiscogsImportService.js')
+
+    const discogs = new DiscogsService()
+    discogs.getRelease = async (id) => {
+      if (!releases[id]) {
+        throw Object.assign(new Error('Release not found.'), { statusCode: 404 })
+      }
+      return discogs.normalizeReleaseDetails(releases[id])
+    }
+    let rateLimited = false
+    discogs.getPriceSuggestions = async (id) => {
+      // The quota runs out once, on the first lookup for this release
+      if (id === 5555 && !rateLimited) {
+        rateLimited = true
+        const { RateLimitError } = await import('../utils/errors.js')
+        throw new RateLimitError('Discogs rate limit reached', 30)
+      }
+      throw Object.assign(new Error('You must authenticate to access this resource.'), {
+        statusCode: 401,
+      })
+    }
+
+    const images = new ImageStorageService({
+      rootDir: imageDir,
+      fetch: async (url) =>
+        url.includes('missing')
+          ? new Response('Not found', { status: 404 })
+          : new Response(COVER_BYTES, { headers: { 'Content-Type': 'image/png' } }),
+    })
+    getDiscogsImportService({ discogs, images, sleep: async (ms) => waits.push(ms) })
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    const admin = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Admin', 'admin@example.com', 'admin', 'hashed', 'admin']
+    )
+    const user = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Shopper', 'shopper@example.com', 'shopper', 'hashed', 'user']
+    )
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    adminToken = generateAccessToken({ userId: admin.lastID })
+    userToken = generateAccessToken({ userId: user.lastID })
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+    fs.rmSync(imageDir, { recursive: true, force: true })
+  })
+
+  test('should be limited to admins', async () => {
+    const anonymous = await request(app).post(`/api/v1/discogs/releases/${loveSupreme.id}/import`)
+    expect(anonymous.status).toBe(401)
+
+    const shopper = await request(app)
+      .post(`/api/v1/discogs/releases/${loveSupreme.id}/import`)
+      .set('Authorization', `Bearer ${userToken}`)
+    expect(shopper.status).toBe(403)
+  })
+
+  test('should create a product with release details, overrides and a local cover', async () => {
+    const response = await importOne(loveSupreme.id, { price: 34.5, stock: 3 })
+
+    expect(response.status).toBe(201)
+    expect(response.body.data.status).toBe('created')
+
+    const { product } = response.body.data
+    expect(product).toMatchObject({
+      title: 'A Love Supreme',
+      artist: 'John Coltrane',
+      genre: 'Jazz',
+      year: 1965,
+      price: 34.5,
+      stock: 3,
+      discogs_id: loveSupreme.id,
+      label: 'Impulse!',
+      catalog_number: 'A-77',
+    })
+    expect(product.image).toMatch(/^products\/[0-9a-f]{32}\.png$/)
+    expect(fs.readFileSync(path.join(imageDir, product.image))).toEqual(COVER_BYTES)
+
+    const details = await request(app).get(`/api/v1/products/${product.id}`)
+    expect(details.body.data.product.tracklist).toHaveLength(5)
+    expect(details.body.data.product.tracklist[0]).toMatchObject({
+      type: 'heading',
+      title: 'Part I',
+    })
+    expect(details.body.data.product.credits).toContainEqual(
+      expect.objectContaining({ name: 'Rudy Van Gelder', role: 'Recorded By' })
+    )
+    expect(details.body.data.product.styles).toEqual(['Free Jazz', 'Modal'])
+  })
+
+  test('should return the existing product when a release is imported again', async () => {
+    const response = await importOne(loveSupreme.id)
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.status).toBe('duplicate')
+
+    const { count } = await db.get('SELECT COUNT(*) as count FROM products WHERE discogs_id = ?', [
+      loveSupreme.id,
+    ])
+    expect(count).toBe(1)
+  })
+
+  test('should 404 for an unknown release and 400 for a bad ID', async () => {
+    expect((await importOne(999999)).status).toBe(404)
+    expect((await importOne('abc')).status).toBe(400)
+    expect((await importOne(3333, { price: -1 })).status).toBe(400)
+  })
+
+  test('should keep the remote cover and warn when the download fails', async () => {
+    const response = await importOne(4444)
+
+    expect(response.status).toBe(201)
+    expect(response.body.data.product.image).toBe('https://i.discogs.com/missing.jpg')
+    // Discogs uses year 0 for unknown
+    expect(response.body.data.product.year).toBeNull()
+    expect(response.body.data.warnings[0]).toMatch(/Cover not downloaded/)
+  })
+
+  test('should warn when no price suggestion is available', async () => {
+    // Priced from the cheapest listing on Discogs
+    const crescent = await importOne(3333)
+    expect(crescent.body.data.product.price).toBe(41.5)
+    expect(crescent.body.data.warnings).toEqual([expect.stringMatching(/lowest listing/)])
+
+    const sunShip = await importOne(6666)
+    expect(sunShip.body.data.product.price).toBe(29.99)
+    expect(sunShip.body.data.warnings).toEqual([expect.stringMatching(/placeholder/)])
+
+    await db.run('DELETE FROM products WHERE discogs_id IN (3333, 6666)')
+
+    const priced = await importOne(3333, { price: 25 })
+    expect(priced.body.data.warnings).toEqual([])
+    await db.run('DELETE FROM products WHERE discogs_id = 3333')
+  })
+
+  test('should strip markup from release text', async () => {
+    const response = await importOne(7777, { price: 30 })
+
+    expect(response.status).toBe(201)
+    expect(response.body.data.product.title).toBe('Om')
+
+    await db.run('DELETE FROM products WHERE discogs_id = 7777')
+  })
+
+  test('should import a list of releases and report each one', async () => {
+    const response = await importMany({
+      releases: [{ releaseId: 3333, price: 22 }, loveSupreme.id, 999999],
+    })
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.summary).toEqual({ created: 1, duplicate: 1, failed: 1 })
+    expect(response.body.data.results.map((result) => result.status)).toEqual([
+      'created',
+      'duplicate',
+      'failed',
+    ])
+
+    // Same cover bytes, same stored file
+    const covers = await db.all('SELECT DISTINCT image FROM products WHERE discogs_id IN (?, ?)', [
+      3333,
+      loveSupreme.id,
+    ])
+    expect(covers).toHaveLength(1)
+  })
+
+  test('should import a seller inventory export with one copy per listing', async () => {
+    await db.run('DELETE FROM products WHERE discogs_id = 3333')
+
+    const inventory = [
+      'listing_id,artist,title,label,catno,format,release_id,status,price,listed,comments,media_condition,sleeve_condition',
+      '101,John Coltrane,Crescent,Impulse!,A-66,LP,3333,For Sale,27.50,2026-01-04,,Near Mint (NM or M-),Very Good Plus (VG+)',
+      '102,John Coltrane,Crescent,Impulse!,A-66,LP,3333,For Sale,24.00,2026-01-05,"Light wear, plays fine",Very Good Plus (VG+),Very Good (VG)',
+      '103,John Coltrane,Crescent,Impulse!,A-66,LP,3333,Sold,30.00,2025-12-01,,Mint (M),Mint (M)',
+      `104,John Coltrane,A Love Supreme,Impulse!,A-77,LP,${loveSupreme.id},For Sale,40.00,2026-01-06,,Mint (M),Mint (M)`,
+    ].join('\n')
+
+    const response = await importMany({ inventory })
+
+    expect(response.body.data.summary).toEqual({ created: 1, duplicate: 1, failed: 0 })
+
+    const crescent = await db.get('SELECT price, stock FROM products WHERE discogs_id = 3333')
+    expect(crescent).toEqual({ price: 27.5, stock: 2 })
+  })
+
+  test('should wait out the Discogs rate limit in a batch', async () => {
+    const response = await importMany({ releases: [{ releaseId: 5555, price: 25 }] })
+
+    expect(response.body.data.summary).toEqual({ created: 1, duplicate: 0, failed: 0 })
+    expect(waits).toEqual([30000])
+  })
+
+  test('should require exactly one of releases or inventory', async () => {
+    expect((await importMany({})).status).toBe(400)
+    expect((await importMany({ releases: [3333], inventory: 'release_id\n3333' })).status).toBe(400)
+    expect((await importMany({ inventory: 'artist,title\nNina Simone,Pastel Blues' })).status).toBe(
+      400
+    )
+  })
+})
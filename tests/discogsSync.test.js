@@ -0,0 +1,375 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+import { createDiscogsStandIn } from './fixtures/discogs/standIn.js'
+
+const TEST_DB = './test-discogs-sync.db'
+const USERNAME = 'spiralcollector'
+
+const release = (title, artist, label, catno, year) => ({
+  title,
+  year,
+  artists: [{ id: 1, name: artist }],
+  labels: [{ id: 1, name: label, catno }],
+  formats: [{ name: 'Vinyl', qty: '1', descriptions: ['LP', 'Album'] }],
+  genres: ['Jazz'],
+  styles: ['Hard Bop'],
+  cover_image: '',
+})
+
+const RELEASES = {
+  1001: release('Kind Of Blue', 'Miles Davis', 'Columbia', 'CL 1355', 1959),
+  1002: release('A Love Supreme', 'John Coltrane', 'Impulse!', 'A-77', 1965),
+  1003: release('Blue Train', 'John Coltrane', 'Blue Note', 'BLP 1577', 1957),
+  1004: release('Moanin’', 'Art Blakey & The Jazz Messengers (2)', 'Blue Note', 'BLP 4003', 0),
+}
+
+describe('Discogs collection and wantlist sync', () => {
+  let app
+  let db
+  let discogs
+  let stand
+  let userToken
+  let userId
+
+  const sync = (body = {}) =>
+    request(app)
+      .post('/api/v1/me/discogs/sync')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(body)
+
+  const localItem = (releaseId) =>
+    db.get('SELECT * FROM collection_items WHERE user_id = ? AND discogs_release_id = ?', [
+      userId,
+      releaseId,
+    ])
+  const localWant = (releaseId) =>
+    db.get('SELECT * FROM wantlist_items WHERE user_id = ? AND discogs_release_id = ?', [
+      userId,
+      releaseId,
+    ])
+  const remoteItem = (releaseId) =>
+    discogs.user(USERNAME).collection.find((item) => item.id === releaseId)
+  const remoteWant = (releaseId) =>
+    discogs.user(USERNAME).wants.find((item) => item.id === releaseId)
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    discogs = createDiscogsStandIn({
+      consumerKey: 'key',
+      consumerSecret: 'secret',
+      releases: RELEASES,
+    })
+    discogs.addUser(USERNAME)
+    stand = await discogs.listen()
+
+    const { getDiscogsSyncService } = await import('../services/DiscogsSyncService.js')
+    getDiscogsSyncService({
+      discogs: { apiBase: stand.url, consumerKey: 'key', consumerSecret: 'secret' },
+    })
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+    const user = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Collector', 'collector@example.com', 'collector', 'hashed', 'user']
+    )
+    userId = user.lastID
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    userToken = generateAccessToken({ userId })
+  })
+
+  afterAll(async () => {
+    await db.close()
+    await stand.close()
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should connect a Discogs account over OAuth and store its tokens encrypted', async () => {
+    expect((await request(app).post('/api/v1/me/discogs/connect')).status).toBe(401)
+
+    const before = await request(app)
+      .get('/api/v1/me/discogs')
+      .set('Authorization', `Bearer ${userToken}`)
+    expect(before.body.data).toEqual({ connected: false })
+    expect((await sync()).status).toBe(404)
+
+    const connect = await request(app)
+      .post('/api/v1/me/discogs/connect')
+      .set('Authorization', `Bearer ${userToken}`)
+    expect(connect.status).toBe(200)
+
+    const authorizeUrl = new URL(connect.body.data.authorizeUrl)
+    expect(authorizeUrl.origin).toBe('https://www.discogs.com')
+    const requestToken = authorizeUrl.searchParams.get('oauth_token')
+
+    // The user authorizes us on Discogs, which sends them back with a verifier
+    const verifier = discogs.authorize(requestToken, USERNAME)
+    const callback = await request(app).get(
+      `/api/v1/discogs/oauth/callback?oauth_token=${requestToken}&oauth_verifier=${verifier}`
+    )
+    expect(callback.status).toBe(302)
+    expect(callback.headers.location).toMatch(/\/account-settings\.html\?discogs=connected$/)
+
+    // Request tokens can't be used twice
+    const replay = await request(app).get(
+      `/api/v1/discogs/oauth/callback?oauth_token=${requestToken}&oauth_verifier=${verifier}`
+    )
+    expect(replay.status).toBe(400)
+
+    const after = await request(app)
+      .get('/api/v1/me/discogs')
+      .set('Authorization', `Bearer ${userToken}`)
+    expect(after.body.data).toEqual(
+      expect.objectContaining({ connected: true, username: USERNAME, lastSyncedAt: null })
+    )
+
+    const { decryptSecret } = await import('../utils/secrets.js')
+    const account = await db.get('SELECT * FROM discogs_accounts WHERE user_id = ?', [userId])
+    expect(account.access_token).toMatch(/^v1:/)
+    expect(decryptSecret(account.access_token)).toMatch(/^[0-9a-f]{20}$/)
+    expect(account.access_token).not.toContain(decryptSecret(account.access_token))
+  })
+
+  test('should pull Discogs items in and push local ones out on the first sync', async () => {
+    const jazzFolder = discogs.addFolder(USERNAME, 'Jazz')
+    discogs.collect(USERNAME, 1001, {
+      folderId: jazzFolder.id,
+      fields: { 1: 'Near Mint (NM or M-)', 2: 'Very Good Plus (VG+)', 3: 'Six-eye label' },
+    })
+    discogs.collect(USERNAME, 1004, { fields: { 1: 'Very Good (VG)' } })
+    discogs.want(USERNAME, 1003, 'Mono only')
+
+    // Already here before the account was linked: one Discogs release, one without
+    await db.run(
+      `INSERT INTO collection_items (user_id, discogs_release_id, title, artist, media_condition, sleeve_condition, notes)
+       VALUES (?, 1002, 'A Love Supreme', 'John Coltrane', 'VG', 'GENERIC', 'Gift from Dad')`,
+      [userId]
+    )
+    await db.run(
+      `INSERT INTO collection_items (user_id, title, artist) VALUES (?, 'Basement Tapes', 'Unknown')`,
+      [userId]
+    )
+    // Same release on both sides: Discogs fills in what is blank here
+    await db.run(
+      `INSERT INTO wantlist_items (user_id, discogs_release_id, title, artist) VALUES (?, 1003, 'Blue Train', 'John Coltrane')`,
+      [userId]
+    )
+
+    const res = await sync()
+    expect(res.status).toBe(200)
+    expect(res.body.data.collection).toEqual({
+      pulled: { added: 2, updated: 0, removed: 0 },
+      pushed: { added: 1, updated: 0, removed: 0 },
+      skipped: 1,
+      conflicts: 0,
+    })
+    expect(res.body.data.wantlist.pulled).toEqual({ added: 0, updated: 1, removed: 0 })
+    expect(res.body.data.conflicts).toEqual([])
+
+    const kindOfBlue = await localItem(1001)
+    expect(kindOfBlue).toEqual(
+      expect.objectContaining({
+        title: 'Kind Of Blue',
+        artist: 'Miles Davis',
+        label: 'Columbia',
+        catalog_number: 'CL 1355',
+        media_condition: 'NM',
+        sleeve_condition: 'VG+',
+        notes: 'Six-eye label',
+      })
+    )
+    const folder = await db.get('SELECT * FROM collection_folders WHERE id = ?', [
+      kindOfBlue.folder_id,
+    ])
+    expect(folder).toEqual(expect.objectContaining({ user_id: userId, name: 'Jazz' }))
+
+    const moanin = await localItem(1004)
+    expect(moanin).toEqual(
+      expect.objectContaining({ artist: 'Art Blakey & The Jazz Messengers', year: null })
+    )
+    expect(moanin.sleeve_condition).toBeNull()
+    // Discogs' Uncategorized is the user's own "All" folder here
+    const all = await db.get('SELECT * FROM collection_folders WHERE id = ?', [moanin.folder_id])
+    expect(all).toEqual(expect.objectContaining({ user_id: userId, name: 'All' }))
+
+    const loveSupreme = remoteItem(1002)
+    expect(loveSupreme.folder_id).toBe(1)
+    expect(discogs.fieldValue(loveSupreme, 1)).toBe('Very Good (VG)')
+    expect(discogs.fieldValue(loveSupreme, 2)).toBe('Generic')
+    expect(discogs.fieldValue(loveSupreme, 3)).toBe('Gift from Dad')
+
+    expect((await localWant(1003)).notes).toBe('Mono only')
+
+    // Nothing changed since: nothing to do, and nothing written to Discogs
+    discogs.calls.length = 0
+    const again = await sync()
+    expect(again.body.data.collection).toEqual(expect.objectContaining({ conflicts: 0 }))
+    expect(again.body.data.collection.pulled).toEqual({ added: 0, updated: 0, removed: 0 })
+    expect(again.body.data.collection.pushed).toEqual({ added: 0, updated: 0, removed: 0 })
+    expect(discogs.calls.every((call) => call.startsWith('GET '))).toBe(true)
+  })
+
+  test('should copy each change to the other side and report fields changed on both', async () => {
+    // Changed here
+    const kindOfBlue = await localItem(1001)
+    const all = await db.get(
+      "SELECT id FROM collection_folders WHERE user_id = ? AND name = 'All'",
+      [userId]
+    )
+    await db.run('UPDATE collection_items SET notes = ?, folder_id = ? WHERE id = ?', [
+      'Six-eye label, some seam wear',
+      all.id,
+      kindOfBlue.id,
+    ])
+    // Changed on Discogs
+    remoteItem(1002).notes = [
+      { field_id: 1, value: 'Very Good Plus (VG+)' },
+      { field_id: 2, value: 'Generic' },
+      { field_id: 3, value: 'Gift from Dad' },
+    ]
+    // Changed differently on both
+    await db.run(
+      'UPDATE wantlist_items SET notes = ? WHERE user_id = ? AND discogs_release_id = 1003',
+      ['Mono or stereo', userId]
+    )
+    remoteWant(1003).notes = 'Mono, RVG stamp'
+
+    // Pull only: the local changes stay here for now
+    const pulled = await sync({ direction: 'pull' })
+    expect(pulled.status).toBe(200)
+    expect(pulled.body.data.collection.pulled.updated).toBe(1)
+    expect(pulled.body.data.collection.pushed.updated).toBe(0)
+    expect((await localItem(1002)).media_condition).toBe('VG+')
+    expect(discogs.fieldValue(remoteItem(1001), 3)).toBe('Six-eye label')
+
+    const res = await sync()
+    expect(res.body.data.collection.pushed.updated).toBe(1)
+    expect(remoteItem(1001).folder_id).toBe(1)
+    expect(discogs.fieldValue(remoteItem(1001), 3)).toBe('Six-eye label, some seam wear')
+
+    expect(res.body.message).toBe('Sync finished with 1 conflicts to resolve')
+    expect(res.body.data.conflicts).toEqual([
+      {
+        kind: 'wantlist',
+        reason: 'changed_on_both',
+        itemId: (await localWant(1003)).id,
+        discogsReleaseId: 1003,
+        title: 'Blue Train',
+        fields: [
+          {
+            field: 'notes',
+            local: 'Mono or stereo',
+            discogs: 'Mono, RVG stamp',
+            lastSynced: 'Mono only',
+          },
+        ],
+      },
+    ])
+    // Left alone on both sides
+    expect((await localWant(1003)).notes).toBe('Mono or stereo')
+    expect(remoteWant(1003).notes).toBe('Mono, RVG stamp')
+
+    // The last report is kept with the account
+    const connection = await request(app)
+      .get('/api/v1/me/discogs')
+      .set('Authorization', `Bearer ${userToken}`)
+    expect(connection.body.data.lastSync.conflicts).toHaveLength(1)
+    expect(connection.body.data.lastSyncedAt).toBeTruthy()
+
+    const invalid = await sync({ prefer: 'newest' })
+    expect(invalid.status).toBe(400)
+
+    const resolved = await sync({ prefer: 'discogs' })
+    expect(resolved.body.data.conflicts).toEqual([])
+    expect((await localWant(1003)).notes).toBe('Mono, RVG stamp')
+  })
+
+  test('should carry removals across unless the other side changed the item', async () => {
+    // Removed here, unchanged on Discogs: removed there
+    await db.run('DELETE FROM collection_items WHERE id = ?', [(await localItem(1001)).id])
+    // Removed on Discogs, unchanged here: removed here
+    const user = discogs.user(USERNAME)
+    user.wants = user.wants.filter((item) => item.id !== 1003)
+    // Removed on Discogs but changed here since: reported
+    user.collection = user.collection.filter((item) => item.id !== 1004)
+    await db.run('UPDATE collection_items SET notes = ? WHERE id = ?', [
+      'Cleaned, plays great',
+      (await localItem(1004)).id,
+    ])
+
+    const res = await sync()
+    expect(res.body.data.collection.pushed.removed).toBe(1)
+    expect(res.body.data.wantlist.pulled.removed).toBe(1)
+    expect(remoteItem(1001)).toBeUndefined()
+    expect(await localWant(1003)).toBeUndefined()
+
+    expect(res.body.data.conflicts).toEqual([
+      expect.objectContaining({
+        kind: 'collection',
+        reason: 'removed_on_discogs',
+        discogsReleaseId: 1004,
+        fields: [
+          { field: 'notes', local: 'Cleaned, plays great', discogs: null, lastSynced: null },
+        ],
+      }),
+    ])
+    expect(await localItem(1004)).toBeDefined()
+
+    // Keeping the local copy adds it back on Discogs
+    const kept = await sync({ prefer: 'local' })
+    expect(kept.body.data.collection.pushed.added).toBe(1)
+    expect(discogs.fieldValue(remoteItem(1004), 3)).toBe('Cleaned, plays great')
+  })
+
+  test('should stop syncing once Discogs rejects the tokens or the account is disconnected', async () => {
+    const account = await db.get('SELECT * FROM discogs_accounts WHERE user_id = ?', [userId])
+    const { encryptSecret } = await import('../utils/secrets.js')
+    await db.run('UPDATE discogs_accounts SET access_secret = ? WHERE user_id = ?', [
+      encryptSecret('revoked'),
+      userId,
+    ])
+
+    const rejected = await sync()
+    expect(rejected.status).toBe(502)
+    expect(rejected.body.error.message).toMatch(/connect it again/)
+
+    await db.run('UPDATE discogs_accounts SET access_secret = ? WHERE user_id = ?', [
+      account.access_secret,
+      userId,
+    ])
+
+    const disconnected = await request(app)
+      .delete('/api/v1/me/discogs')
+      .set('Authorization', `Bearer ${userToken}`)
+    expect(disconnected.status).toBe(200)
+
+    const { count } = await db.get(
+      'SELECT COUNT(*) AS count FROM discogs_sync_items WHERE user_id = ?',
+      [userId]
+    )
+    expect(count).toBe(0)
+    expect(await localItem(1002)).toBeDefined()
+    expect((await sync()).status).toBe(404)
+  })
+})
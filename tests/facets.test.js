@@ -0,0 +1,127 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+
+const TEST_DB = './test-facets.db'
+
+describe('Catalog facets', () => {
+  let app
+  let db
+
+  const browse = async (query) =>
+    (await request(app).get(`/api/v1/products?${new URLSearchParams(query)}`)).body.data
+  const titles = (data) => data.products.map((product) => product.title).sort()
+  const counts = (buckets) =>
+    Object.fromEntries(buckets.map((bucket) => [bucket.value, bucket.count]))
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    for (const [title, artist, genre, year, price, label, format, stock] of [
+      ['Kind of Blue', 'Miles Davis', 'Jazz', 1959, 35, 'Columbia', null, 4],
+      ['A Love Supreme', 'John Coltrane', 'Jazz', 1965, 28, 'Impulse!', null, 0],
+      ['Blue Train', 'John Coltrane', 'Jazz', 1957, 18, 'Blue Note', null, 2],
+      ['Exile on Main St.', 'The Rolling Stones', 'Rock', 1972, 62, 'Rolling Stones', '2xLP', 1],
+      ['Horses', 'Patti Smith', 'Rock', 1975, 26, 'Arista', null, 3],
+      ['Marquee Moon', 'Television', 'Rock', 1977, 31, '', '2xLP', 0],
+    ]) {
+      await db.run(
+        'INSERT INTO products (title, artist, genre, year, price, label, format, stock, image) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [title, artist, genre, year, price, label, format, stock, 'cover.png']
+      )
+    }
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should return bucket counts for every facet', async () => {
+    const { facets } = await browse({})
+
+    expect(counts(facets.genre)).toEqual({ Jazz: 3, Rock: 3 })
+    expect(facets.decade.map((bucket) => bucket.label)).toEqual(['1950s', '1960s', '1970s'])
+    expect(counts(facets.decade)).toEqual({ 1950: 2, 1960: 1, 1970: 3 })
+    expect(facets.priceBand.map((bucket) => bucket.value)).toEqual([
+      'under-20',
+      '20-30',
+      '30-40',
+      '60-plus',
+    ])
+    expect(counts(facets.format)).toEqual({ LP: 4, '2xLP': 2 })
+    expect(counts(facets.stock)).toEqual({ in_stock: 4, out_of_stock: 2 })
+
+    // Blank labels aren't a bucket of their own
+    expect(facets.label).toHaveLength(5)
+    expect(facets.label.every((bucket) => bucket.count === 1)).toBe(true)
+  })
+
+  test('should filter on several values of one facet', async () => {
+    const data = await browse([
+      ['decade', '1950s'],
+      ['decade', '1960'],
+    ])
+
+    expect(titles(data)).toEqual(['A Love Supreme', 'Blue Train', 'Kind of Blue'])
+    expect(data.pagination.total).toBe(3)
+  })
+
+  test('should combine facets and keep drill-down counts for the selected facet', async () => {
+    const data = await browse({ genre: 'Rock', stock: 'in_stock' })
+
+    expect(titles(data)).toEqual(['Exile on Main St.', 'Horses'])
+
+    // Genre counts ignore the genre selection but honour the stock filter
+    expect(counts(data.facets.genre)).toEqual({ Jazz: 2, Rock: 2 })
+    expect(data.facets.genre.find((bucket) => bucket.value === 'Rock').selected).toBe(true)
+    expect(data.facets.genre.find((bucket) => bucket.value === 'Jazz').selected).toBe(false)
+
+    // Other facets narrow to the selection
+    expect(counts(data.facets.stock)).toEqual({ in_stock: 2, out_of_stock: 1 })
+    expect(counts(data.facets.format)).toEqual({ LP: 1, '2xLP': 1 })
+  })
+
+  test('should ignore unknown facet values', async () => {
+    const data = await browse({
+      decade: 'sixties',
+      priceBand: 'free',
+      stock: 'maybe',
+      genre: 'all',
+    })
+
+    expect(data.pagination.total).toBe(6)
+    expect(data.facets.stock.some((bucket) => bucket.selected)).toBe(false)
+  })
+
+  test('should facet full-text search results', async () => {
+    const data = await browse({ search: 'coltrane', priceBand: 'under-20' })
+
+    expect(titles(data)).toEqual(['Blue Train'])
+    expect(counts(data.facets.priceBand)).toEqual({ 'under-20': 1, '20-30': 1 })
+    expect(counts(data.facets.label)).toEqual({ 'Blue Note': 1 })
+  })
+})
@@ -0,0 +1,371 @@
+/**
+ * Local stand-in for the parts of the Discogs API the collection sync uses:
+ * the OAuth 1.0a token endpoints (PLAINTEXT signatures), identity, collection
+ * folders, fields and items, and the wantlist. State lives in memory so tests
+ * can change "Discogs" directly and check what a sync did to it. Point
+ * DiscogsService at it with `apiBase` (or DISCOGS_API_URL).
+ */
+
+import crypto from 'node:crypto'
+import express from 'express'
+
+const FIELDS = [
+  {
+    id: 1,
+    name: 'Media Condition',
+    type: 'dropdown',
+    position: 1,
+    public: true,
+    options: [
+      'Mint (M)',
+      'Near Mint (NM or M-)',
+      'Very Good Plus (VG+)',
+      'Very Good (VG)',
+      'Good Plus (G+)',
+      'Good (G)',
+      'Fair (F)',
+      'Poor (P)',
+    ],
+  },
+  {
+    id: 2,
+    name: 'Sleeve Condition',
+    type: 'dropdown',
+    position: 2,
+    public: true,
+    options: [
+      'Generic',
+      'No Cover',
+      'Mint (M)',
+      'Near Mint (NM or M-)',
+      'Very Good Plus (VG+)',
+      'Very Good (VG)',
+      'Good Plus (G+)',
+      'Good (G)',
+      'Fair (F)',
+      'Poor (P)',
+    ],
+  },
+  { id: 3, name: 'Notes', type: 'textarea', position: 3, public: false, lines: 3 },
+]
+
+const randomToken = () => crypto.randomBytes(10).toString('hex')
+
+function parseOAuthHeader(header = '') {
+  if (!header.startsWith('OAuth ')) return null
+
+  return Object.fromEntries(
+    [...header.slice(6).matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [
+      key,
+      decodeURIComponent(value),
+    ])
+  )
+}
+
+function paginate(items, query) {
+  const page = Number(query.page) || 1
+  const perPage = Number(query.per_page) || 50
+  return {
+    items: items.slice((page - 1) * perPage, page * perPage),
+    pagination: {
+      page,
+      pages: Math.max(1, Math.ceil(items.length / perPage)),
+      per_page: perPage,
+      items: items.length,
+    },
+  }
+}
+
+/**
+ * @param {{consumerKey: string, consumerSecret: string, releases?: Object<number, Object>}} options -
+ *   `releases` are the basic_information of releases that can be added, by ID
+ */
+export function createDiscogsStandIn({ consumerKey, consumerSecret, releases = {} }) {
+  const requestTokens = new Map()
+  const accessTokens = new Map()
+  const users = new Map()
+  // Every API call, as "METHOD /path"
+  const calls = []
+  let nextInstanceId = 1000
+  let nextFolderId = 2
+
+  const addUser = (username) => {
+    const user = {
+      id: users.size + 1,
+      username,
+      folders: [
+        { id: 0, name: 'All' },
+        { id: 1, name: 'Uncategorized' },
+      ],
+      collection: [],
+      wants: [],
+    }
+    users.set(username, user)
+    return user
+  }
+
+  const addFolder = (username, name) => {
+    const folder = { id: nextFolderId++, name }
+    users.get(username).folders.push(folder)
+    return folder
+  }
+
+  const basicInformation = (releaseId) => {
+    const release = releases[releaseId]
+    return release ? { id: Number(releaseId), ...release } : null
+  }
+
+  // Put an item straight into a user's collection, as if added on discogs.com
+  const collect = (username, releaseId, { folderId = 1, fields = {} } = {}) => {
+    const item = {
+      id: Number(releaseId),
+      instance_id: nextInstanceId++,
+      folder_id: folderId,
+      rating: 0,
+      date_added: new Date().toISOString(),
+      notes: Object.entries(fields).map(([fieldId, value]) => ({
+        field_id: Number(fieldId),
+        value,
+      })),
+      basic_information: basicInformation(releaseId),
+    }
+    users.get(username).collection.push(item)
+    return item
+  }
+
+  const want = (username, releaseId, notes = '') => {
+    const item = {
+      id: Number(releaseId),
+      rating: 0,
+      notes,
+      date_added: new Date().toISOString(),
+      basic_information: basicInformation(releaseId),
+    }
+    users.get(username).wants.push(item)
+    return item
+  }
+
+  const fieldValue = (item, fieldId) =>
+    item.notes.find((note) => note.field_id === fieldId)?.value ?? ''
+
+  const app = express()
+  app.use(express.json())
+
+  app.use((req, res, next) => {
+    calls.push(`${req.method} ${req.path}`)
+    req.oauth = parseOAuthHeader(req.get('Authorization'))
+    if (req.oauth?.oauth_consumer_key !== consumerKey) {
+      return res.status(401).json({ message: 'You must authenticate to access this resource.' })
+    }
+    next()
+  })
+
+  app.get('/oauth/request_token', (req, res) => {
+    if (req.oauth.oauth_signature !== `${consumerSecret}&`) {
+      return res.status(401).send('Invalid signature')
+    }
+
+    const token = randomToken()
+    const secret = randomToken()
+    requestTokens.set(token, { secret, callback: req.oauth.oauth_callback })
+    res
+      .type('application/x-www-form-urlencoded')
+      .send(`oauth_token=${token}&oauth_token_secret=${secret}&oauth_callback_confirmed=true`)
+  })
+
+  app.post('/oauth/access_token', (req, res) => {
+    const request = requestTokens.get(req.oauth.oauth_token)
+    if (
+      !request?.verifier ||
+      request.verifier !== req.oauth.oauth_verifier ||
+      req.oauth.oauth_signature !== `${consumerSecret}&${request.secret}`
+    ) {
+      return res.status(401).send('Invalid request token or verifier')
+    }
+
+    requestTokens.delete(req.oauth.oauth_token)
+    const token = randomToken()
+    const secret = randomToken()
+    accessTokens.set(token, { secret, username: request.username })
+    res
+      .type('application/x-www-form-urlencoded')
+      .send(`oauth_token=${token}&oauth_token_secret=${secret}`)
+  })
+
+  // Everything else needs an access token
+  app.use((req, res, next) => {
+    const access = accessTokens.get(req.oauth.oauth_token)
+    if (!access || req.oauth.oauth_signature !== `${consumerSecret}&${access.secret}`) {
+      return res.status(401).json({ message: 'You must authenticate to access this resource.' })
+    }
+    req.account = users.get(access.username)
+    next()
+  })
+
+  app.get('/oauth/identity', (req, res) => {
+    res.json({
+      id: req.account.id,
+      username: req.account.username,
+      resource_url: `https://api.discogs.com/users/${req.account.username}`,
+      consumer_name: 'Spiral Sounds',
+    })
+  })
+
+  app.use('/users/:username', (req, res, next) => {
+    if (req.params.username !== req.account.username) {
+      return res.status(403).json({ message: "You don't have permission to access this resource." })
+    }
+    next()
+  })
+
+  app.get('/users/:username/collection/folders', (req, res) => {
+    const { collection, folders } = req.account
+    res.json({
+      folders: folders.map((folder) => ({
+        ...folder,
+        count: collection.filter((item) => folder.id === 0 || item.folder_id === folder.id).length,
+      })),
+    })
+  })
+
+  app.post('/users/:username/collection/folders', (req, res) => {
+    const folder = addFolder(req.account.username, req.body.name)
+    res.status(201).json({ ...folder, count: 0 })
+  })
+
+  app.get('/users/:username/collection/fields', (_req, res) => {
+    res.json({ fields: FIELDS })
+  })
+
+  app.get('/users/:username/collection/folders/:folderId/releases', (req, res) => {
+    const folderId = Number(req.params.folderId)
+    const items = req.account.collection.filter(
+      (item) => folderId === 0 || item.folder_id === folderId
+    )
+    const { items: releases, pagination } = paginate(items, req.query)
+    res.json({ pagination, releases })
+  })
+
+  app.post('/users/:username/collection/folders/:folderId/releases/:releaseId', (req, res) => {
+    if (!releases[req.params.releaseId]) {
+      return res.status(404).json({ message: 'Release not found.' })
+    }
+
+    const item = collect(req.account.username, req.params.releaseId, {
+      folderId: Number(req.params.folderId),
+    })
+    res.status(201).json({
+      instance_id: item.instance_id,
+      resource_url: `https://api.discogs.com/users/${req.account.username}/collection/folders/${item.folder_id}/releases/${item.id}/instances/${item.instance_id}`,
+    })
+  })
+
+  const findInstance = (req, res, next) => {
+    req.item = req.account.collection.find(
+      (item) =>
+        item.instance_id === Number(req.params.instanceId) &&
+        item.id === Number(req.params.releaseId) &&
+        item.folder_id === Number(req.params.folderId)
+    )
+    if (!req.item) {
+      return res.status(404).json({ message: 'Instance not found.' })
+    }
+    next()
+  }
+
+  const instancePath =
+    '/users/:username/collection/folders/:folderId/releases/:releaseId/instances/:instanceId'
+
+  app.post(instancePath, findInstance, (req, res) => {
+    if (req.body.folder_id !== undefined) {
+      req.item.folder_id = Number(req.body.folder_id)
+    }
+    res.status(204).end()
+  })
+
+  app.post(`${instancePath}/fields/:fieldId`, findInstance, (req, res) => {
+    const fieldId = Number(req.params.fieldId)
+    req.item.notes = req.item.notes.filter((note) => note.field_id !== fieldId)
+    if (req.body.value) {
+      req.item.notes.push({ field_id: fieldId, value: req.body.value })
+    }
+    res.status(204).end()
+  })
+
+  app.delete(instancePath, findInstance, (req, res) => {
+    req.account.collection = req.account.collection.filter((item) => item !== req.item)
+    res.status(204).end()
+  })
+
+  app.get('/users/:username/wants', (req, res) => {
+    const { items: wants, pagination } = paginate(req.account.wants, req.query)
+    res.json({ pagination, wants })
+  })
+
+  app.put('/users/:username/wants/:releaseId', (req, res) => {
+    if (!releases[req.params.releaseId]) {
+      return res.status(404).json({ message: 'Release not found.' })
+    }
+
+    const existing = req.account.wants.find((item) => item.id === Number(req.params.releaseId))
+    const item = existing ?? want(req.account.username, req.params.releaseId)
+    item.notes = req.body.notes ?? item.notes
+    res.status(201).json(item)
+  })
+
+  app.post('/users/:username/wants/:releaseId', (req, res) => {
+    const item = req.account.wants.find(
+      (candidate) => candidate.id === Number(req.params.releaseId)
+    )
+    if (!item) {
+      return res.status(404).json({ message: 'Release not in wantlist.' })
+    }
+
+    if (req.body.notes !== undefined) item.notes = req.body.notes
+    res.json(item)
+  })
+
+  app.delete('/users/:username/wants/:releaseId', (req, res) => {
+    req.account.wants = req.account.wants.filter((item) => item.id !== Number(req.params.releaseId))
+    res.status(204).end()
+  })
+
+  return {
+    app,
+    calls,
+    addUser,
+    addFolder,
+    collect,
+    want,
+    fieldValue,
+    user: (username) => users.get(username),
+
+    /**
+     * What discogs.com does when the user clicks Authorize: ties the request
+     * token to their account and returns the verifier it appends to the
+     * callback URL
+     */
+    authorize(requestToken, username) {
+      const request = requestTokens.get(requestToken)
+      if (!request) throw new Error(`Unknown request token ${requestToken}`)
+
+      request.username = username
+      request.verifier = randomToken()
+      return request.verifier
+    },
+
+    /**
+     * @returns {Promise<{url: string, close: () => Promise<void>}>}
+     */
+    listen() {
+      return new Promise((resolve) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+          resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise((done) => server.close(done)),
+          })
+        })
+      })
+    },
+  }
+}
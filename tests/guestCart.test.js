@@ -0,0 +1,228 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+
+const TEST_DB = './test-guest-cart.db'
+
+describe('Guest Carts', () => {
+  let app
+  let db
+  let guestCartRepository
+  let userId
+  let otherUserId
+  let rareId
+  let commonId
+
+  const guestCookie = (response) =>
+    response.headers['set-cookie'].find((cookie) => cookie.startsWith('guestCartId=')).split(';')[0]
+
+  const guestToken = (cookie) => cookie.split('=')[1]
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+    ;({ guestCartRepository } = await import('../repositories/index.js'))
+
+    const express = (await import('express')).default
+    const cookieParser = (await import('cookie-parser')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use(cookieParser())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    userId = (
+      await db.run('INSERT INTO users (name, email, username, password) VALUES (?, ?, ?, ?)', [
+        'Shopper',
+        'shopper@example.com',
+        'shopper',
+        'hashed',
+      ])
+    ).lastID
+    otherUserId = (
+      await db.run('INSERT INTO users (name, email, username, password) VALUES (?, ?, ?, ?)', [
+        'Other',
+        'other@example.com',
+        'other',
+        'hashed',
+      ])
+    ).lastID
+  })
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM cart_items')
+    await db.run('DELETE FROM guest_cart_items')
+    await db.run('DELETE FROM stock_reservations')
+
+    rareId = (
+      await db.run(
+        'INSERT INTO products (title, artist, price, image, year, genre, stock) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        ['Pet Sounds', 'The Beach Boys', 40, 'pet-sounds.png', 1966, 'Pop', 2]
+      )
+    ).lastID
+    commonId = (
+      await db.run(
+        'INSERT INTO products (title, artist, price, image, year, genre, stock) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        ['Abbey Road', 'The Beatles', 25, 'abbey-road.png', 1969, 'Rock', 20]
+      )
+    ).lastID
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should give anonymous shoppers a cookie-keyed cart', async () => {
+    const added = await request(app).post('/api/v1/cart/items').send({ product_id: commonId })
+
+    expect(added.status).toBe(200)
+    const cookie = guestCookie(added)
+
+    await request(app)
+      .post('/api/v1/cart/items')
+      .set('Cookie', cookie)
+      .send({ product_id: commonId, quantity: 2 })
+
+    const count = await request(app).get('/api/v1/cart/count').set('Cookie', cookie)
+    expect(count.body.totalItems).toBe(3)
+
+    const summary = await request(app).get('/api/v1/cart/summary').set('Cookie', cookie)
+    expect(summary.body.data.summary).toMatchObject({ itemCount: 3, subtotal: 75 })
+
+    // A different visitor sees an empty cart
+    const stranger = await request(app).get('/api/v1/cart/count')
+    expect(stranger.body.totalItems).toBe(0)
+  })
+
+  test('should enforce stock limits for guests', async () => {
+    const response = await request(app)
+      .post('/api/v1/cart/items')
+      .send({ product_id: rareId, quantity: 3 })
+
+    expect(response.status).toBe(400)
+    expect(response.body.available).toBe(2)
+  })
+
+  test('should update and remove guest cart lines', async () => {
+    const cookie = guestCookie(
+      await request(app).post('/api/v1/cart/items').send({ product_id: commonId })
+    )
+    const { id } = await db.get('SELECT id FROM guest_cart_items WHERE guest_token = ?', [
+      guestToken(cookie),
+    ])
+
+    const updated = await request(app)
+      .put(`/api/v1/cart/items/${id}`)
+      .set('Cookie', cookie)
+      .send({ quantity: 4 })
+    expect(updated.body.data.item).toMatchObject({ productId: commonId, quantity: 4 })
+
+    const removed = await request(app).delete(`/api/v1/cart/items/${id}`).set('Cookie', cookie)
+    expect(removed.status).toBe(204)
+  })
+
+  test('should require login to check out', async () => {
+    const response = await request(app).post('/api/v1/cart/checkout')
+
+    expect(response.status).toBe(401)
+  })
+
+  test('should add guest quantities to matching user lines on merge', async () => {
+    const cookie = guestCookie(
+      await request(app).post('/api/v1/cart/items').send({ product_id: commonId, quantity: 2 })
+    )
+    await db.run(
+      'INSERT INTO cart_items (user_id, product_id, quantity, price_at_add) VALUES (?, ?, ?, ?)',
+      [userId, commonId, 1, 22]
+    )
+
+    const result = await guestCartRepository.mergeIntoUserCart(guestToken(cookie), userId)
+
+    expect(result.merged).toEqual([expect.objectContaining({ productId: commonId, quantity: 3 })])
+    expect(result.adjustments).toEqual([])
+
+    const line = await db.get('SELECT quantity, price_at_add FROM cart_items WHERE user_id = ?', [
+      userId,
+    ])
+    expect(line).toEqual({ quantity: 3, price_at_add: 22 })
+
+    const leftover = await db.get('SELECT COUNT(*) as count FROM guest_cart_items')
+    expect(leftover.count).toBe(0)
+  })
+
+  test('should cap merged lines at available stock', async () => {
+    const cookie = guestCookie(
+      await request(app).post('/api/v1/cart/items').send({ product_id: rareId, quantity: 2 })
+    )
+    await db.run('INSERT INTO cart_items (user_id, product_id, quantity) VALUES (?, ?, ?)', [
+      userId,
+      rareId,
+      1,
+    ])
+
+    const result = await guestCartRepository.mergeIntoUserCart(guestToken(cookie), userId)
+
+    expect(result.adjustments).toEqual([
+      expect.objectContaining({
+        productId: rareId,
+        requested: 3,
+        quantity: 2,
+        reason: 'stock_limit',
+      }),
+    ])
+  })
+
+  test('should drop lines held by other shoppers', async () => {
+    const cookie = guestCookie(
+      await request(app).post('/api/v1/cart/items').send({ product_id: rareId, quantity: 1 })
+    )
+    await db.run(
+      'INSERT INTO stock_reservations (user_id, product_id, quantity, expires_at) VALUES (?, ?, ?, ?)',
+      [otherUserId, rareId, 2, new Date(Date.now() + 60000).toISOString()]
+    )
+
+    const result = await guestCartRepository.mergeIntoUserCart(guestToken(cookie), userId)
+
+    expect(result.merged).toEqual([])
+    expect(result.adjustments).toEqual([
+      expect.objectContaining({ productId: rareId, quantity: 0, reason: 'out_of_stock' }),
+    ])
+
+    const lines = await db.get('SELECT COUNT(*) as count FROM cart_items WHERE user_id = ?', [
+      userId,
+    ])
+    expect(lines.count).toBe(0)
+  })
+
+  test('should purge stale guest carts', async () => {
+    await db.run(
+      'INSERT INTO guest_cart_items (guest_token, product_id, quantity, updated_at) VALUES (?, ?, ?, ?)',
+      ['stale', commonId, 1, new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString()]
+    )
+    await db.run(
+      'INSERT INTO guest_cart_items (guest_token, product_id, quantity, updated_at) VALUES (?, ?, ?, ?)',
+      ['fresh', commonId, 1, new Date().toISOString()]
+    )
+
+    const removed = await guestCartRepository.deleteStale()
+
+    expect(removed).toBe(1)
+  })
+})
@@ -0,0 +1,244 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import sharp from 'sharp'
+import request from 'supertest'
+
+const TEST_DB = './test-images.db'
+
+const makeImage = (width, height, format = 'png', background = '#c0392b') =>
+  sharp({ create: { width, height, channels: 3, background } })
+    .toFormat(format)
+    .toBuffer()
+
+describe('Image upload and storage', () => {
+  let app
+  let db
+  let images
+  let imageDir
+  let adminToken
+  let userToken
+  const fetched = []
+
+  const upload = (folder, body, contentType, token = adminToken) =>
+    request(app)
+      .post(`/api/v1/images/${folder}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', contentType)
+      .send(body)
+
+  const stored = (relativePath) => fs.existsSync(path.join(imageDir, relativePath))
+  const fromUrl = (url) => url.slice('/images/'.length)
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+    imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spiral-images-'))
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    const cover = await makeImage(600, 600, 'jpeg', '#2c3e50')
+    const { getImageStorageService } = await import('../services/ImageStorageService.js')
+    images = getImageStorageService({
+      rootDir: imageDir,
+      maxBytes: 200_000,
+      orphanGraceMs: 0,
+      fetch: async (url) => {
+        fetched.push(url)
+        if (url.includes('/moved/')) {
+          return new Response(null, {
+            status: 302,
+            headers: { Location: url.replace(/.*\/moved\//, 'http://') },
+          })
+        }
+        if (url.endsWith('/huge.jpg')) {
+          // Streamed, so no content-length to go by
+          const chunk = new Uint8Array(64_000)
+          const body = new ReadableStream({
+            pull: (controller) => controller.enqueue(chunk),
+          })
+          return new Response(body, { headers: { 'Content-Type': 'image/jpeg' } })
+        }
+        return new Response(cover, { headers: { 'Content-Type': 'image/jpeg' } })
+      },
+    })
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    const admin = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Admin', 'admin@example.com', 'admin', 'hashed', 'admin']
+    )
+    const user = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Collector', 'collector@example.com', 'collector', 'hashed', 'user']
+    )
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    adminToken = generateAccessToken({ userId: admin.lastID })
+    userToken = generateAccessToken({ userId: user.lastID })
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+    fs.rmSync(imageDir, { recursive: true, force: true })
+  })
+
+  test('should store a product image by content hash with thumbnails', async () => {
+    const response = await upload('products', await makeImage(1000, 800), 'image/png')
+
+    expect(response.status).toBe(201)
+    const { image } = response.body.data
+    expect(image.path).toMatch(/^products\/[0-9a-f]{32}\.png$/)
+    expect(image.url).toBe(`/images/${image.path}`)
+    expect(Object.keys(image.thumbnails)).toEqual(['160', '320', '640'])
+
+    const hash = image.path.slice('products/'.length, -'.png'.length)
+    for (const width of [160, 320, 640]) {
+      expect(image.thumbnails[width]).toBe(`/images/products/${hash}-${width}.webp`)
+      const metadata = await sharp(path.join(imageDir, `products/${hash}-${width}.webp`)).metadata()
+      expect(metadata).toMatchObject({ format: 'webp', width })
+    }
+
+    // Same bytes, same file
+    const again = await upload('products', await makeImage(1000, 800), 'image/png')
+    expect(again.body.data.image.path).toBe(image.path)
+  })
+
+  test('should not enlarge small images and should trust the bytes over the Content-Type', async () => {
+    const response = await upload('products', await makeImage(100, 100, 'webp'), 'image/png')
+
+    expect(response.status).toBe(201)
+    expect(response.body.data.image.path).toMatch(/\.webp$/)
+
+    const thumbnail = path.join(imageDir, fromUrl(response.body.data.image.thumbnails[640]))
+    expect((await sharp(thumbnail).metadata()).width).toBe(100)
+  })
+
+  test('should reject files that are not supported images or too large', async () => {
+    const text = await upload('products', Buffer.from('<svg onload="alert(1)"/>'), 'image/png')
+    expect(text.status).toBe(400)
+    expect(text.body.error.message).toBe('File is not a readable image')
+
+    const svg = await upload(
+      'products',
+      '<svg xmlns="http://www.w3.org/2000/svg"/>',
+      'image/svg+xml'
+    )
+    expect(svg.status).toBe(400)
+
+    const tiff = await upload('products', await makeImage(10, 10, 'tiff'), 'image/jpeg')
+    expect(tiff.status).toBe(400)
+    expect(tiff.body.error.message).toMatch(/Unsupported image type: tiff/)
+
+    const noise = await sharp(
+      Buffer.from(Array.from({ length: 300 * 300 * 3 }, () => Math.random() * 256)),
+      {
+        raw: { width: 300, height: 300, channels: 3 },
+      }
+    )
+      .png()
+      .toBuffer()
+    const large = await upload('products', noise, 'image/png')
+    expect(large.status).toBe(400)
+    expect(large.body.error.message).toMatch(/larger than/)
+  })
+
+  test('should let staff upload product images and any user upload collection covers', async () => {
+    const image = await makeImage(200, 200, 'jpeg', '#16a085')
+
+    expect((await request(app).post('/api/v1/images/collection')).status).toBe(401)
+    expect((await upload('products', image, 'image/jpeg', userToken)).status).toBe(403)
+
+    const response = await upload('collection', image, 'image/jpeg', userToken)
+    expect(response.status).toBe(201)
+    expect(response.body.data.image.path).toMatch(/^collection\/[0-9a-f]{32}\.jpg$/)
+  })
+
+  test('should store remote covers locally from known hosts only', async () => {
+    const product = await db.run(
+      `INSERT INTO products (title, artist, genre, year, price, stock, image)
+       VALUES ('Blue Train', 'John Coltrane', 'Jazz', 1958, 30, 1, 'https://i.discogs.com/blue-train.jpg')`
+    )
+    await db.run(
+      `INSERT INTO collection_items (user_id, title, artist, cover_image)
+       VALUES (1, 'Mystery', 'Unknown', 'http://169.254.169.254/latest/meta-data')`
+    )
+
+    expect(await images.localizeRemoteImages()).toBe(1)
+    expect(fetched).toEqual(['https://i.discogs.com/blue-train.jpg'])
+
+    const { image } = await db.get('SELECT image FROM products WHERE id = ?', [product.lastID])
+    expect(image).toMatch(/^products\/[0-9a-f]{32}\.jpg$/)
+    expect(stored(image)).toBe(true)
+  })
+
+  test('should refuse a redirect away from the known hosts', async () => {
+    fetched.length = 0
+
+    await expect(
+      images.saveFromUrl('https://i.discogs.com/moved/169.254.169.254/latest/meta-data')
+    ).rejects.toThrow("Covers can't be downloaded from 169.254.169.254")
+    expect(fetched).toEqual(['https://i.discogs.com/moved/169.254.169.254/latest/meta-data'])
+
+    const image = await images.saveFromUrl(
+      'https://i.discogs.com/moved/coverartarchive.org/release/1/front.jpg'
+    )
+    expect(image).toMatch(/^products\/[0-9a-f]{32}\.jpg$/)
+  })
+
+  test('should stop reading a download once it passes the size limit', async () => {
+    await expect(images.saveFromUrl('https://i.discogs.com/huge.jpg')).rejects.toThrow(
+      'larger than'
+    )
+  })
+
+  test('should remove images nothing refers to, with their thumbnails', async () => {
+    const kept = (await upload('products', await makeImage(50, 50, 'png', '#8e44ad'), 'image/png'))
+      .body.data.image
+    const orphan = (
+      await upload('products', await makeImage(50, 50, 'png', '#d35400'), 'image/png')
+    ).body.data.image
+    await db.run(
+      `INSERT INTO products (title, artist, genre, year, price, stock, image)
+       VALUES ('Giant Steps', 'John Coltrane', 'Jazz', 1960, 28, 2, ?)`,
+      [kept.path]
+    )
+
+    const removed = await images.removeOrphans()
+
+    // The orphan plus the three earlier uploads never attached to anything
+    expect(removed).toBe(4)
+    expect(stored(kept.path)).toBe(true)
+    expect(stored(fromUrl(kept.thumbnails[320]))).toBe(true)
+    expect(stored(orphan.path)).toBe(false)
+    expect(stored(fromUrl(orphan.thumbnails[320]))).toBe(false)
+
+    // Files inside the grace period stay
+    images.orphanGraceMs = 60_000
+    const fresh = (await upload('products', await makeImage(50, 50, 'png', '#27ae60'), 'image/png'))
+      .body.data.image
+    expect(await images.removeOrphans()).toBe(0)
+    expect(stored(fresh.path)).toBe(true)
+  })
+})
@@ -0,0 +1,340 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import sharp from 'sharp'
+import request from 'supertest'
+
+const TEST_DB = './test-metadata-backfill.db'
+const FIXTURES = new URL('./fixtures/musicbrainz/', import.meta.url)
+
+// Recorded MusicBrainz responses, by search query
+const SEARCHES = {
+  'release:"Kind of Blue" AND artist:"Miles Davis"': 'release-search-kind-of-blue.json',
+  'barcode:0724349532726': 'release-barcode-0724349532726.json',
+  'release:"A Love Supreme" AND artist:"John Coltrane"': 'release-search-a-love-supreme.json',
+}
+
+// MusicBrainz is unavailable for this search
+const OUTAGE_QUERY = 'release:"Mingus Ah Um" AND artist:"Charles Mingus"'
+
+const KIND_OF_BLUE = 'c1d0a1f4-5b3e-4a8f-b2f1-9a0f61a3d8c2'
+const BLUE_TRAIN = '5d7ae6f1-2b0c-4d2e-8f61-0b9c3a7e4d15'
+const BLUE_TRAIN_GROUP = '2a0f4c1e-93b6-3d5f-8c47-6e1b0d9a2f38'
+const A_LOVE_SUPREME = 'e1c2a9b4-6f3d-4c8e-9a05-7b2d1f0e3c68'
+
+describe('MusicBrainz metadata backfill', () => {
+  let app
+  let db
+  let backfill
+  let imageDir
+  let adminToken
+  let moderatorToken
+  let originalFetch
+  const products = {}
+  let collectionItemId
+  const requested = []
+
+  const api = (method, url, token = adminToken) =>
+    request(app)
+      [method](`/api/v1/admin/backfill/musicbrainz${url}`)
+      .set('Authorization', `Bearer ${token}`)
+
+  const fixture = (name) => {
+    const file = new URL(name, FIXTURES)
+    if (!fs.existsSync(file)) {
+      return new Response('{"error":"Not Found"}', { status: 404 })
+    }
+    return new Response(fs.readFileSync(file), {
+      headers: { 'Content-Type': 'application/json' },
+    })
+  }
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+    imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spiral-backfill-'))
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    const cover = await sharp({
+      create: { width: 500, height: 500, channels: 3, background: '#1f3a93' },
+    })
+      .jpeg()
+      .toBuffer()
+
+    const stubFetch = async (input) => {
+      const url = new URL(String(input))
+      requested.push(url.href)
+
+      if (url.hostname === 'musicbrainz.org') {
+        const query = url.searchParams.get('query')
+        if (query === OUTAGE_QUERY) {
+          return new Response('Service Unavailable', { status: 503 })
+        }
+        return fixture(SEARCHES[query] ?? 'release-search-empty.json')
+      }
+
+      if (url.hostname === 'coverartarchive.org' && url.pathname.endsWith('.jpg')) {
+        return new Response(cover, { headers: { 'Content-Type': 'image/jpeg' } })
+      }
+
+      if (url.hostname === 'coverartarchive.org') {
+        const [, kind, mbid] = url.pathname.split('/')
+        return fixture(`caa-${kind}-${mbid}.json`)
+      }
+
+      return new Response(null, { status: 404 })
+    }
+
+    originalFetch = globalThis.fetch
+    globalThis.fetch = stubFetch
+
+    const { getImageStorageService } = await import('../services/ImageStorageService.js')
+    const images = getImageStorageService({ rootDir: imageDir, fetch: stubFetch })
+
+    const { getMetadataBackfillService } = await import('../services/MetadataBackfillService.js')
+    backfill = getMetadataBackfillService({ images })
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    const admin = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Admin', 'admin@example.com', 'admin', 'hashed', 'admin']
+    )
+    const moderator = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Moderator', 'moderator@example.com', 'moderator', 'hashed', 'moderator']
+    )
+
+    const addProduct = async (
+      key,
+      { title, artist, year = null, label = null, image = null, barcode = null }
+    ) => {
+      const result = await db.run(
+        `INSERT INTO products (title, artist, genre, year, label, image, barcode, price, stock)
+         VALUES (?, ?, 'Jazz', ?, ?, ?, ?, 30, 1)`,
+        [title, artist, year, label, image, barcode]
+      )
+      products[key] = result.lastID
+    }
+
+    await addProduct('kindOfBlue', { title: 'Kind of Blue', artist: 'Miles Davis', year: 1959 })
+    await addProduct('blueTrain', {
+      title: 'Blue Train',
+      artist: 'John Coltrane',
+      barcode: '0724349532726',
+    })
+    // Nothing missing: not looked up
+    await addProduct('giantSteps', {
+      title: 'Giant Steps',
+      artist: 'John Coltrane',
+      year: 1960,
+      label: 'Atlantic',
+      image: 'vinyl1.png',
+    })
+    await addProduct('unknown', { title: 'Basement Tapes Vol. 9', artist: 'The Nobodies' })
+    await addProduct('mingus', { title: 'Mingus Ah Um', artist: 'Charles Mingus', year: 1959 })
+
+    const item = await db.run(
+      `INSERT INTO collection_items (user_id, title, artist, label)
+       VALUES (?, 'A Love Supreme', 'John Coltrane', 'Impulse!')`,
+      [moderator.lastID]
+    )
+    collectionItemId = item.lastID
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    adminToken = generateAccessToken({ userId: admin.lastID })
+    moderatorToken = generateAccessToken({ userId: moderator.lastID })
+  })
+
+  afterAll(async () => {
+    globalThis.fetch = originalFetch
+
+    if (backfill?.running) {
+      await backfill.running
+    }
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+    fs.rmSync(imageDir, { recursive: true, force: true })
+  })
+
+  test('should be limited to admins', async () => {
+    expect((await request(app).get('/api/v1/admin/backfill/musicbrainz')).status).toBe(401)
+    expect((await api('post', '', moderatorToken)).status).toBe(403)
+
+    const response = await api('get', '')
+    expect(response.status).toBe(200)
+    expect(response.body.data).toEqual({ running: false, job: null, recentChanges: [] })
+  })
+
+  test('should pause after the current record and keep what it filled in', async () => {
+    const started = await api('post', '')
+
+    expect(started.status).toBe(202)
+    expect(started.body.data.running).toBe(true)
+    expect(started.body.data.job).toMatchObject({ status: 'running', total: 5, processed: 0 })
+
+    const paused = await api('post', '/pause')
+
+    expect(paused.status).toBe(200)
+    expect(paused.body.data.running).toBe(false)
+    expect(paused.body.data.job).toMatchObject({
+      status: 'paused',
+      processed: 1,
+      updated: 1,
+      percent: 20,
+      cursor: { product: products.kindOfBlue },
+    })
+
+    // Highest score, earliest release: the 1959 pressing, not the CD reissue
+    const product = await db.get('SELECT year, label, image FROM products WHERE id = ?', [
+      products.kindOfBlue,
+    ])
+    expect(product.year).toBe(1959)
+    expect(product.label).toBe('Columbia')
+    expect(product.image).toMatch(/^products\/[0-9a-f]{32}\.jpg$/)
+    expect(fs.existsSync(path.join(imageDir, product.image))).toBe(true)
+    expect(requested).toContain(
+      `https://coverartarchive.org/release/${KIND_OF_BLUE}/18226504223-500.jpg`
+    )
+
+    const { metadataBackfillRepository } = await import('../repositories/index.js')
+    const sources = await metadataBackfillRepository.getSources('product', products.kindOfBlue)
+    expect(sources).toEqual([
+      expect.objectContaining({
+        field: 'image',
+        source: 'coverartarchive',
+        mbid: KIND_OF_BLUE,
+        value: product.image,
+      }),
+      expect.objectContaining({
+        field: 'label',
+        source: 'musicbrainz',
+        mbid: KIND_OF_BLUE,
+        value: 'Columbia',
+      }),
+    ])
+
+    expect((await api('post', '/pause')).status).toBe(409)
+  })
+
+  test('should resume where it stopped and finish the run', async () => {
+    const resumed = await api('post', '')
+
+    expect(resumed.status).toBe(202)
+    expect(resumed.body.message).toBe('Metadata backfill resumed')
+    expect((await api('post', '')).status).toBe(409)
+
+    await backfill.running
+
+    const progress = (await api('get', '')).body.data
+    expect(progress.running).toBe(false)
+    expect(progress.job).toMatchObject({
+      id: resumed.body.data.job.id,
+      status: 'completed',
+      total: 5,
+      processed: 5,
+      updated: 3,
+      not_found: 1,
+      failed: 1,
+      percent: 100,
+    })
+    expect(progress.job.finished_at).toBeTruthy()
+    expect(progress.recentChanges.length).toBe(7)
+
+    // Matched on barcode; the release has no cover, so the release group's is used
+    const blueTrain = await db.get('SELECT year, label, image FROM products WHERE id = ?', [
+      products.blueTrain,
+    ])
+    expect(blueTrain).toMatchObject({ year: 1997, label: 'Blue Note' })
+    expect(blueTrain.image).toMatch(/^products\//)
+    expect(requested.filter((url) => url.includes('barcode'))).toHaveLength(1)
+
+    const { metadataBackfillRepository } = await import('../repositories/index.js')
+    const sources = await metadataBackfillRepository.getSources('product', products.blueTrain)
+    expect(sources.map(({ field, source, mbid }) => [field, source, mbid])).toEqual([
+      ['image', 'coverartarchive', BLUE_TRAIN_GROUP],
+      ['label', 'musicbrainz', BLUE_TRAIN],
+      ['year', 'musicbrainz', BLUE_TRAIN],
+    ])
+
+    // The label already set is kept
+    const item = await db.get(
+      'SELECT year, label, cover_image FROM collection_items WHERE id = ?',
+      [collectionItemId]
+    )
+    expect(item).toMatchObject({ year: 1965, label: 'Impulse!' })
+    expect(item.cover_image).toMatch(/^collection\/[0-9a-f]{32}\.jpg$/)
+    const itemSources = await metadataBackfillRepository.getSources(
+      'collection_item',
+      collectionItemId
+    )
+    expect(itemSources.map(({ field, mbid }) => [field, mbid])).toEqual([
+      ['cover_image', A_LOVE_SUPREME],
+      ['year', A_LOVE_SUPREME],
+    ])
+
+    const lookups = await db.all(
+      'SELECT entity_id, status FROM metadata_lookups WHERE entity_type = ? ORDER BY entity_id',
+      ['product']
+    )
+    expect(lookups).toEqual([
+      { entity_id: products.kindOfBlue, status: 'matched' },
+      { entity_id: products.blueTrain, status: 'matched' },
+      { entity_id: products.unknown, status: 'not_found' },
+      { entity_id: products.mingus, status: 'failed' },
+    ])
+    expect(
+      (await db.get('SELECT image FROM products WHERE id = ?', [products.giantSteps])).image
+    ).toBe('vinyl1.png')
+  }, 30000)
+
+  test('should only retry failed lookups in a new run', async () => {
+    const started = await api('post', '')
+
+    expect(started.status).toBe(202)
+    expect(started.body.message).toBe('Metadata backfill started')
+    expect(started.body.data.job).toMatchObject({ status: 'running', total: 1 })
+
+    await backfill.running
+
+    const { job } = (await api('get', '')).body.data
+    expect(job).toMatchObject({ status: 'completed', processed: 1, failed: 1 })
+    expect(job.cursor).toEqual({ product: products.mingus })
+  }, 30000)
+
+  test('should carry on with a run the server stopped in the middle of', async () => {
+    const now = new Date().toISOString()
+    const { lastID } = await db.run(
+      `INSERT INTO metadata_backfill_jobs (status, total, cursor, created_at, updated_at)
+         VALUES ('running', 1, '{}', ?, ?)`,
+      [now, now]
+    )
+
+    await backfill.resumeInterrupted()
+    expect(backfill.running).toBeTruthy()
+    await backfill.running
+
+    const { job } = (await api('get', '')).body.data
+    expect(job).toMatchObject({ id: lastID, status: 'completed', processed: 1 })
+  }, 30000)
+})
@@ -0,0 +1,204 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+
+const TEST_DB = './test-moderation.db'
+
+describe('Content moderation', () => {
+  let app
+  let db
+  let productId
+  const users = {}
+
+  const as = (req, name) => req.set('Authorization', `Bearer ${users[name].token}`)
+  const reviewsUrl = () => `/api/v1/products/${productId}/reviews`
+  const postReview = (name, body) => as(request(app).post(reviewsUrl()), name).send(body)
+  const reviewId = async (name) =>
+    (await db.get('SELECT id FROM reviews WHERE user_id = ?', [users[name].id])).id
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+    process.env.MODERATION_REPORT_THRESHOLD = '2'
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    for (const [name, role] of [
+      ['mod', 'moderator'],
+      ['ana', 'user'],
+      ['ben', 'user'],
+      ['cal', 'user'],
+    ]) {
+      const { lastID } = await db.run(
+        'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+        [name, `${name}@example.com`, name, 'hashed', role]
+      )
+      users[name] = { id: lastID, token: generateAccessToken({ userId: lastID }) }
+    }
+
+    productId = (
+      await db.run(
+        'INSERT INTO products (title, artist, price, image, year, genre, stock) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        ['Hejira', 'Joni Mitchell', 26, 'hejira.png', 1976, 'Folk', 4]
+      )
+    ).lastID
+
+    await postReview('ana', { rating: 5, comment: 'Coyote alone is worth it' })
+    await postReview('ben', { rating: 1, comment: 'BUY CHEAP PILLS AT spam.example' })
+  })
+
+  afterAll(async () => {
+    delete process.env.MODERATION_REPORT_THRESHOLD
+
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should gate the queue on the moderation permission', async () => {
+    const user = await as(request(app).get('/api/v1/moderation/queue'), 'ana')
+    expect(user.status).toBe(403)
+
+    const approve = await as(
+      request(app).post(`/api/v1/moderation/review/${await reviewId('ana')}/approve`),
+      'cal'
+    )
+    expect(approve.status).toBe(403)
+  })
+
+  test('should list pending submissions oldest first', async () => {
+    const response = await as(request(app).get('/api/v1/moderation/queue'), 'mod')
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.items.map((item) => item.author.username)).toEqual(['ana', 'ben'])
+    expect(response.body.data.items[0]).toMatchObject({
+      contentType: 'review',
+      status: 'pending',
+      content: { text: 'Coyote alone is worth it', rating: 5, productTitle: 'Hejira' },
+      reportCount: 0,
+    })
+    expect(response.body.data.pagination.total).toBe(2)
+
+    const badType = await as(request(app).get('/api/v1/moderation/queue?type=post'), 'mod')
+    expect(badType.status).toBe(400)
+  })
+
+  test('should publish approved reviews and audit the decision', async () => {
+    const id = await reviewId('ana')
+    const response = await as(
+      request(app).post(`/api/v1/moderation/review/${id}/approve`),
+      'mod'
+    ).set('User-Agent', 'moderation-test')
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.item).toMatchObject({
+      status: 'approved',
+      moderation: { moderatedBy: users.mod.id },
+    })
+
+    const listing = await request(app).get(reviewsUrl())
+    expect(listing.body.data.reviews.map((review) => review.username)).toEqual(['ana'])
+
+    const audit = await db.get('SELECT * FROM rbac_audit_log WHERE target_id = ?', [id])
+    expect(audit).toMatchObject({
+      user_id: users.mod.id,
+      action: 'review_approved',
+      target_user_id: users.ana.id,
+      target_type: 'review',
+      permission: 'moderation:manage',
+      user_agent: 'moderation-test',
+    })
+    expect(JSON.parse(audit.details)).toMatchObject({ previousStatus: 'pending' })
+  })
+
+  test('should require a reason to reject', async () => {
+    const url = `/api/v1/moderation/review/${await reviewId('ben')}/reject`
+
+    const missing = await as(request(app).post(url), 'mod')
+    expect(missing.status).toBe(400)
+
+    const rejected = await as(request(app).post(url), 'mod').send({ reason: 'Spam' })
+    expect(rejected.body.data.item).toMatchObject({
+      status: 'rejected',
+      moderation: { reason: 'Spam' },
+    })
+
+    // The author still sees their review and why it was rejected
+    const mine = await as(request(app).get(reviewsUrl()), 'ben')
+    expect(mine.body.data.myReview).toMatchObject({
+      moderationStatus: 'rejected',
+      moderationReason: 'Spam',
+    })
+    expect(mine.body.data.summary.reviewCount).toBe(1)
+  })
+
+  test('should let users report content once, but not their own', async () => {
+    const url = `/api/v1/moderation/review/${await reviewId('ana')}/report`
+
+    const own = await as(request(app).post(url), 'ana').send({ reason: 'Oops' })
+    expect(own.status).toBe(400)
+
+    const noReason = await as(request(app).post(url), 'ben')
+    expect(noReason.status).toBe(400)
+
+    const first = await as(request(app).post(url), 'ben').send({ reason: 'Off-topic' })
+    expect(first.status).toBe(201)
+    expect(first.body.data.report).toMatchObject({ reportCount: 1, status: 'approved' })
+
+    const again = await as(request(app).post(url), 'ben').send({ reason: 'Still off-topic' })
+    expect(again.status).toBe(409)
+
+    const missing = await as(
+      request(app).post('/api/v1/moderation/review/999999/report'),
+      'ben'
+    ).send({ reason: 'Gone' })
+    expect(missing.status).toBe(404)
+  })
+
+  test('should pull reported content back into the queue at the threshold', async () => {
+    const id = await reviewId('ana')
+
+    const report = await as(
+      request(app).post(`/api/v1/moderation/review/${id}/report`),
+      'cal'
+    ).send({ reason: 'Looks like spam' })
+    expect(report.body.data.report).toMatchObject({ reportCount: 2, status: 'pending' })
+
+    const listing = await request(app).get(reviewsUrl())
+    expect(listing.body.data.reviews).toEqual([])
+
+    const queue = await as(request(app).get('/api/v1/moderation/queue'), 'mod')
+    expect(queue.body.data.items).toHaveLength(1)
+    expect(queue.body.data.items[0]).toMatchObject({ contentId: id, reportCount: 2 })
+    expect(queue.body.data.items[0].reports.map((r) => r.reporter)).toEqual(['ben', 'cal'])
+
+    // Approving again resolves the reports and clears the queue
+    await as(request(app).post(`/api/v1/moderation/review/${id}/approve`), 'mod')
+
+    const cleared = await as(request(app).get('/api/v1/moderation/queue'), 'mod')
+    expect(cleared.body.data.items).toEqual([])
+
+    const rejected = await as(request(app).get('/api/v1/moderation/queue?status=rejected'), 'mod')
+    expect(rejected.body.data.items.map((item) => item.author.username)).toEqual(['ben'])
+  })
+})
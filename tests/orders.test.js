@@ -0,0 +1,129 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+
+const TEST_DB = './test-orders.db'
+
+describe('Checkout and Orders', () => {
+  let db
+  let orderRepository
+  let ValidationError
+  let userId
+  let productId
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+    ;({ orderRepository } = await import('../repositories/index.js'))
+    ;({ ValidationError } = await import('../utils/errors.js'))
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    const user = await db.run(
+      'INSERT INTO users (name, email, username, password) VALUES (?, ?, ?, ?)',
+      ['Order Tester', 'orders@example.com', 'ordertester', 'hashed']
+    )
+    userId = user.lastID
+  })
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM cart_items')
+    const product = await db.run(
+      'INSERT INTO products (title, artist, price, image, year, genre, stock) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      ['Blue Train', 'John Coltrane', 25, 'blue-train.png', 1957, 'Jazz', 3]
+    )
+    productId = product.lastID
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should create an order, decrement stock and clear the cart', async () => {
+    await db.run('INSERT INTO cart_items (user_id, product_id, quantity) VALUES (?, ?, ?)', [
+      userId,
+      productId,
+      2,
+    ])
+
+    const order = await orderRepository.createFromCart(userId)
+
+    expect(order.status).toBe('pending')
+    expect(order.itemCount).toBe(2)
+    expect(order.subtotal).toBe(50)
+    expect(order.shipping).toBeGreaterThan(0)
+    expect(order.total).toBeCloseTo(order.subtotal + order.shipping + order.tax, 2)
+    expect(order.items[0]).toMatchObject({ productId, quantity: 2, price: 25, newStock: 1 })
+
+    const product = await db.get('SELECT stock FROM products WHERE id = ?', [productId])
+    expect(product.stock).toBe(1)
+
+    const cart = await db.get('SELECT COUNT(*) as count FROM cart_items WHERE user_id = ?', [
+      userId,
+    ])
+    expect(cart.count).toBe(0)
+  })
+
+  test('should keep the price snapshot when the product price changes later', async () => {
+    await db.run('INSERT INTO cart_items (user_id, product_id, quantity) VALUES (?, ?, ?)', [
+      userId,
+      productId,
+      1,
+    ])
+
+    const { id } = await orderRepository.createFromCart(userId)
+    await db.run('UPDATE products SET price = ? WHERE id = ?', [40, productId])
+
+    const order = await orderRepository.getUserOrder(userId, id)
+    expect(order.items[0].price).toBe(25)
+    expect(order.items[0].title).toBe('Blue Train')
+  })
+
+  test('should reject checkout when stock is insufficient and roll back', async () => {
+    await db.run('INSERT INTO cart_items (user_id, product_id, quantity) VALUES (?, ?, ?)', [
+      userId,
+      productId,
+      5,
+    ])
+    const before = await db.get('SELECT COUNT(*) as count FROM orders')
+
+    await expect(orderRepository.createFromCart(userId)).rejects.toBeInstanceOf(ValidationError)
+
+    const after = await db.get('SELECT COUNT(*) as count FROM orders')
+    expect(after.count).toBe(before.count)
+
+    const product = await db.get('SELECT stock FROM products WHERE id = ?', [productId])
+    expect(product.stock).toBe(3)
+
+    const cart = await db.get('SELECT COUNT(*) as count FROM cart_items WHERE user_id = ?', [
+      userId,
+    ])
+    expect(cart.count).toBe(1)
+  })
+
+  test('should reject checkout of an empty cart', async () => {
+    await expect(orderRepository.createFromCart(userId)).rejects.toThrow(
+      'Cannot checkout an empty cart'
+    )
+  })
+
+  test('should only return orders belonging to the user', async () => {
+    const { orders, total } = await orderRepository.getUserOrders(userId)
+    expect(total).toBe(orders.length)
+    expect(orders.every((order) => order.userId === userId)).toBe(true)
+
+    await expect(orderRepository.getUserOrder(userId + 1, orders[0].id)).rejects.toThrow()
+  })
+})
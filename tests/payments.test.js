@@ -0,0 +1,163 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import Stripe from 'stripe'
+import request from 'supertest'
+
+const TEST_DB = './test-payments.db'
+const WEBHOOK_SECRET = 'whsec_test_fixture_secret'
+
+// Recorded Stripe responses and webhook events, so the suite runs without network access
+const fixture = (name) =>
+  fs.readFileSync(new URL(`./fixtures/stripe/${name}.json`, import.meta.url), 'utf8')
+
+describe('Stripe Payments', () => {
+  let app
+  let db
+  let orderRepository
+  let paymentService
+  let userId
+  let orderId
+
+  const sendWebhook = (payload, secret = WEBHOOK_SECRET) =>
+    request(app)
+      .post('/api/v1/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', Stripe.webhooks.generateTestHeaderString({ payload, secret }))
+      .send(payload)
+
+  const orderStatus = async () => {
+    const order = await db.get('SELECT status FROM orders WHERE id = ?', [orderId])
+    return order.status
+  }
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    const { getPaymentService } = await import('../services/PaymentService.js')
+    const recordedIntent = JSON.parse(fixture('payment_intent'))
+    paymentService = getPaymentService({
+      webhookSecret: WEBHOOK_SECRET,
+      client: {
+        paymentIntents: {
+          create: async () => recordedIntent,
+          retrieve: async () => recordedIntent,
+        },
+      },
+    })
+
+    // Mirror server.js: the webhook gets the raw body before express.json runs
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use('/api/v1/payments/webhook', express.raw({ type: 'application/json' }))
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+    ;({ orderRepository } = await import('../repositories/index.js'))
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    const user = await db.run(
+      'INSERT INTO users (name, email, username, password) VALUES (?, ?, ?, ?)',
+      ['Payment Tester', 'payments@example.com', 'paymenttester', 'hashed']
+    )
+    userId = user.lastID
+
+    const product = await db.run(
+      'INSERT INTO products (title, artist, price, image, year, genre, stock) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      ['Kind of Blue', 'Miles Davis', 25, 'kind-of-blue.png', 1959, 'Jazz', 5]
+    )
+    await db.run('INSERT INTO cart_items (user_id, product_id, quantity) VALUES (?, ?, ?)', [
+      userId,
+      product.lastID,
+      2,
+    ])
+
+    const order = await orderRepository.createFromCart(userId)
+    orderId = order.id
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should create a PaymentIntent and attach it to the order', async () => {
+    const paymentIntent = await paymentService.createPaymentIntent(userId, orderId)
+
+    expect(paymentIntent.id).toBe('pi_3PfixtureOrder0001')
+    expect(paymentIntent.clientSecret).toBeDefined()
+
+    const order = await orderRepository.getUserOrder(userId, orderId)
+    expect(order.paymentIntentId).toBe('pi_3PfixtureOrder0001')
+  })
+
+  test('should not create a PaymentIntent for another user’s order', async () => {
+    await expect(paymentService.createPaymentIntent(userId + 1, orderId)).rejects.toThrow(
+      'not found'
+    )
+  })
+
+  test('should reject webhooks with an invalid signature', async () => {
+    const response = await sendWebhook(fixture('payment_intent.succeeded'), 'whsec_wrong')
+
+    expect(response.status).toBe(400)
+    expect(await orderStatus()).toBe('pending')
+  })
+
+  test('should mark the order failed on payment_intent.payment_failed', async () => {
+    const response = await sendWebhook(fixture('payment_intent.payment_failed'))
+
+    expect(response.status).toBe(200)
+    expect(await orderStatus()).toBe('failed')
+  })
+
+  test('should mark the order paid on payment_intent.succeeded', async () => {
+    const response = await sendWebhook(fixture('payment_intent.succeeded'))
+
+    expect(response.status).toBe(200)
+    expect(response.body.duplicate).toBe(false)
+    expect(await orderStatus()).toBe('paid')
+  })
+
+  test('should ignore replayed events', async () => {
+    // Replaying the earlier failure must not move a paid order backwards
+    const response = await sendWebhook(fixture('payment_intent.payment_failed'))
+
+    expect(response.status).toBe(200)
+    expect(response.body.duplicate).toBe(true)
+    expect(await orderStatus()).toBe('paid')
+  })
+
+  test('should mark the order refunded on charge.refunded', async () => {
+    const response = await sendWebhook(fixture('charge.refunded'))
+
+    expect(response.status).toBe(200)
+    expect(await orderStatus()).toBe('refunded')
+
+    const events = await db.get('SELECT COUNT(*) as count FROM payment_events WHERE order_id = ?', [
+      orderId,
+    ])
+    expect(events.count).toBe(3)
+  })
+
+  test('should refuse to pay an order that is no longer pending', async () => {
+    await expect(paymentService.createPaymentIntent(userId, orderId)).rejects.toThrow(
+      'cannot be paid'
+    )
+  })
+})
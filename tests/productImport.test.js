@@ -0,0 +1,260 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+
+const TEST_DB = './test-product-import.db'
+
+describe('Bulk product import and export', () => {
+  let app
+  let db
+  let adminToken
+  let moderatorToken
+  let existingId
+
+  const importCsv = (csv, query = '') =>
+    request(app)
+      .post(`/api/v1/admin/products/import${query}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Content-Type', 'text/csv')
+      .send(csv)
+
+  const importJson = (body, query = '') =>
+    request(app)
+      .post(`/api/v1/admin/products/import${query}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body)
+
+  const priceList = [
+    'sku,barcode,title,artist,genre,year,price,stock',
+    "BN-4003,,Moanin',Art Blakey,Jazz,1959,31.00,6",
+    ',0602445790050,"Kind of Blue, Legacy",Miles Davis,Jazz,1959,28.50,10',
+    'BN-1577,,Blue Train,John Coltrane,Jazz,1958,free,2',
+    ',,Unkeyed,Nobody,Jazz,1990,10,1',
+  ].join('\n')
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    const admin = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Admin', 'admin@example.com', 'admin', 'hashed', 'admin']
+    )
+    const moderator = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Moderator', 'moderator@example.com', 'moderator', 'hashed', 'moderator']
+    )
+
+    const existing = await db.run(
+      `INSERT INTO products (title, artist, genre, year, price, stock, barcode)
+       VALUES ('Kind of Blue', 'Miles Davis', 'Jazz', 1959, 24.99, 4, '0602445790050')`
+    )
+    existingId = existing.lastID
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    adminToken = generateAccessToken({ userId: admin.lastID })
+    moderatorToken = generateAccessToken({ userId: moderator.lastID })
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should need both product:create and product:update', async () => {
+    const anonymous = await request(app).get('/api/v1/admin/products/export')
+    expect(anonymous.status).toBe(401)
+
+    // Moderators can update products but not create them
+    const moderator = await request(app)
+      .post('/api/v1/admin/products/import')
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send([{ sku: 'X-1', price: 10 }])
+    expect(moderator.status).toBe(403)
+  })
+
+  test('should dry-run by default and report errors per row', async () => {
+    const response = await importCsv(priceList)
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.dryRun).toBe(true)
+    expect(response.body.data.summary).toEqual({ create: 1, update: 1, unchanged: 0, error: 2 })
+
+    const [moanin, kindOfBlue, blueTrain, unkeyed] = response.body.data.rows
+    expect(moanin).toMatchObject({ row: 2, action: 'create' })
+    expect(kindOfBlue).toMatchObject({
+      row: 3,
+      action: 'update',
+      productId: existingId,
+      matchedOn: 'barcode',
+      changes: ['title', 'price', 'stock'],
+    })
+    expect(blueTrain).toMatchObject({ row: 4, action: 'error' })
+    expect(blueTrain.errors).toContainEqual(expect.objectContaining({ field: 'price' }))
+    expect(unkeyed.errors[0].message).toMatch(/sku, barcode or discogs_id/)
+
+    const { count } = await db.get('SELECT COUNT(*) as count FROM products')
+    expect(count).toBe(1)
+  })
+
+  test('should apply the valid rows when dryRun=false', async () => {
+    const response = await importCsv(priceList, '?dryRun=false')
+
+    expect(response.body.data.dryRun).toBe(false)
+    expect(response.body.data.summary).toMatchObject({ create: 1, update: 1, error: 2 })
+
+    const moanin = await db.get('SELECT * FROM products WHERE sku = ?', ['BN-4003'])
+    expect(moanin).toMatchObject({ title: "Moanin'", price: 31, stock: 6 })
+    expect(response.body.data.rows[0].productId).toBe(moanin.id)
+
+    const kindOfBlue = await db.get('SELECT * FROM products WHERE id = ?', [existingId])
+    expect(kindOfBlue).toMatchObject({ title: 'Kind of Blue, Legacy', price: 28.5, stock: 10 })
+  })
+
+  test('should upsert JSON rows on any key and leave unchanged products alone', async () => {
+    const response = await importJson(
+      {
+        products: [
+          { sku: 'BN-4003', price: 31 },
+          { barcode: '0602445790050', stock: 3 },
+          {
+            sku: 'MW-1',
+            discogs_id: 2196413,
+            title: 'A Love Supreme',
+            artist: 'John Coltrane',
+            genre: 'Jazz',
+            year: 1965,
+            price: 34.5,
+            stock: 2,
+          },
+          { sku: 'MW-1', price: 12 },
+        ],
+      },
+      '?dryRun=false'
+    )
+
+    expect(response.body.data.rows.map((row) => row.action)).toEqual([
+      'unchanged',
+      'update',
+      'create',
+      'error',
+    ])
+    expect(response.body.data.rows[3].errors[0].message).toBe('Same sku as row 3')
+
+    const loveSupreme = await request(app)
+      .post('/api/v1/admin/products/import')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send([{ discogs_id: 2196413, stock: 5 }])
+    expect(loveSupreme.body.data.rows[0]).toMatchObject({
+      action: 'update',
+      matchedOn: 'discogs_id',
+    })
+  })
+
+  test('should reject a row whose keys match different products', async () => {
+    const response = await importJson([{ sku: 'BN-4003', barcode: '0602445790050', price: 20 }])
+
+    expect(response.body.data.rows[0].action).toBe('error')
+    expect(response.body.data.rows[0].errors).toHaveLength(2)
+  })
+
+  test('should reject an empty or unreadable import', async () => {
+    expect((await importJson({})).status).toBe(400)
+    expect((await importCsv('sku,price\n')).status).toBe(400)
+  })
+
+  test('should stream an export that imports back unchanged', async () => {
+    const csv = await request(app)
+      .get('/api/v1/admin/products/export')
+      .set('Authorization', `Bearer ${adminToken}`)
+
+    expect(csv.status).toBe(200)
+    expect(csv.headers['content-type']).toMatch(/text\/csv/)
+    expect(csv.headers['content-disposition']).toMatch(/attachment; filename="products-.*\.csv"/)
+
+    const lines = csv.text.trim().split('\r\n')
+    expect(lines[0]).toMatch(/^id,sku,barcode,discogs_id,title,artist,/)
+    expect(lines).toHaveLength(4)
+    expect(csv.text).toContain('"Kind of Blue, Legacy"')
+
+    const reimport = await importCsv(csv.text)
+    expect(reimport.body.data.summary).toEqual({ create: 0, update: 0, unchanged: 3, error: 0 })
+
+    const json = await request(app)
+      .get('/api/v1/admin/products/export?format=json')
+      .set('Authorization', `Bearer ${adminToken}`)
+    expect(json.headers['content-type']).toMatch(/application\/json/)
+    expect(JSON.parse(json.text)).toHaveLength(3)
+
+    const unknown = await request(app)
+      .get('/api/v1/admin/products/export?format=xml')
+      .set('Authorization', `Bearer ${adminToken}`)
+    expect(unknown.status).toBe(400)
+  })
+
+  test('should strip markup from CSV rows as from JSON bodies', async () => {
+    const response = await importCsv(
+      [
+        'sku,title,artist,genre,year,price,stock',
+        "BN-1595,<img src=x onerror=alert(1)>Somethin' Else,Cannonball Adderley,Jazz,1958,30,1",
+      ].join('\n'),
+      '?dryRun=false'
+    )
+    expect(response.body.data.summary.create).toBe(1)
+
+    const product = await db.get('SELECT title FROM products WHERE sku = ?', ['BN-1595'])
+    expect(product.title).toBe("Somethin' Else")
+  })
+
+  test('should keep spreadsheets from running exported text as a formula', async () => {
+    await importJson(
+      [{ sku: 'BN-1595', title: '=HYPERLINK("https://example.com","Play")' }],
+      '?dryRun=false'
+    )
+
+    const csv = await request(app)
+      .get('/api/v1/admin/products/export')
+      .set('Authorization', `Bearer ${adminToken}`)
+    expect(csv.text).toContain('"\'=HYPERLINK(""https://example.com"",""Play"")"')
+  })
+
+  test('should import formula-like text back as it was exported', async () => {
+    await importJson(
+      [
+        { sku: 'BN-1595', title: '- Live', artist: '+44' },
+        { barcode: '0602445790050', title: "'@home" },
+      ],
+      '?dryRun=false'
+    )
+
+    const csv = await request(app)
+      .get('/api/v1/admin/products/export')
+      .set('Authorization', `Bearer ${adminToken}`)
+    expect(csv.text).toContain("'- Live,'+44,")
+
+    const reimport = await importCsv(csv.text)
+    expect(reimport.body.data.summary).toMatchObject({ update: 0, error: 0 })
+  })
+})
@@ -0,0 +1,229 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+
+const TEST_DB = './test-products.db'
+
+describe('Product Management API', () => {
+  let app
+  let db
+  let adminToken
+  let userToken
+  let productId
+
+  const newProduct = {
+    title: 'A Love Supreme',
+    artist: 'John Coltrane',
+    price: 29.99,
+    genre: 'Jazz',
+    year: 1965,
+    stock: 4,
+  }
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    const admin = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Admin', 'admin@example.com', 'admin', 'hashed', 'admin']
+    )
+    const user = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Shopper', 'shopper@example.com', 'shopper', 'hashed', 'user']
+    )
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    adminToken = generateAccessToken({ userId: admin.lastID })
+    userToken = generateAccessToken({ userId: user.lastID })
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should require authentication to create a product', async () => {
+    const response = await request(app).post('/api/v1/products').send(newProduct)
+
+    expect(response.status).toBe(401)
+  })
+
+  test('should forbid regular users from creating products', async () => {
+    const response = await request(app)
+      .post('/api/v1/products')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(newProduct)
+
+    expect(response.status).toBe(403)
+  })
+
+  test('should validate new products against productSchema', async () => {
+    const response = await request(app)
+      .post('/api/v1/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ ...newProduct, price: -5 })
+
+    expect(response.status).toBe(400)
+    expect(response.body.error.code).toBe('VALIDATION_ERROR')
+  })
+
+  test('should create a product as admin', async () => {
+    const response = await request(app)
+      .post('/api/v1/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(newProduct)
+
+    expect(response.status).toBe(201)
+    expect(response.body.data.product).toMatchObject({ title: 'A Love Supreme', stock: 4 })
+    productId = response.body.data.product.id
+  })
+
+  test('should get a product by id', async () => {
+    const response = await request(app).get(`/api/v1/products/${productId}`)
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.product.title).toBe('A Love Supreme')
+  })
+
+  test('should store Discogs release details and return them with the product', async () => {
+    // Shaped like DiscogsService.importReleaseAsProduct output: JSON strings for arrays
+    const tracklist = [
+      { position: 'A', type: 'track', title: 'Acknowledgement', duration: '7:43' },
+      { position: 'B1', type: 'track', title: 'Resolution', duration: '7:20' },
+    ]
+    const created = await request(app)
+      .post('/api/v1/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        ...newProduct,
+        title: 'A Love Supreme (Mono)',
+        label: 'Impulse!',
+        catalog_number: 'A-77',
+        discogs_id: 2196413,
+        styles: 'Free Jazz, Modal',
+        tracklist: JSON.stringify(tracklist),
+        credits: [{ id: 1, name: 'Rudy Van Gelder', role: 'Recorded By' }],
+        community_have: 5000,
+        community_want: 2100,
+      })
+    expect(created.status).toBe(201)
+
+    const response = await request(app).get(`/api/v1/products/${created.body.data.product.id}`)
+
+    expect(response.body.data.product).toMatchObject({
+      label: 'Impulse!',
+      catalog_number: 'A-77',
+      discogs_id: 2196413,
+      styles: ['Free Jazz', 'Modal'],
+      tracklist,
+      credits: [{ id: 1, name: 'Rudy Van Gelder', role: 'Recorded By' }],
+      community_have: 5000,
+      community_want: 2100,
+    })
+  })
+
+  test('should reject a malformed tracklist', async () => {
+    const response = await request(app)
+      .post('/api/v1/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ ...newProduct, tracklist: 'not json' })
+
+    expect(response.status).toBe(400)
+  })
+
+  test('should return empty release details for a plain product', async () => {
+    const response = await request(app).get(`/api/v1/products/${productId}`)
+
+    expect(response.body.data.product).toMatchObject({ tracklist: [], credits: [], styles: [] })
+  })
+
+  test('should return 404 for a missing product', async () => {
+    const response = await request(app).get('/api/v1/products/99999')
+
+    expect(response.status).toBe(404)
+  })
+
+  test('should partially update a product with PATCH', async () => {
+    const response = await request(app)
+      .patch(`/api/v1/products/${productId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ price: 24.99, stock: 10 })
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.product).toMatchObject({ price: 24.99, stock: 10, genre: 'Jazz' })
+  })
+
+  test('should reject an empty PATCH', async () => {
+    const response = await request(app)
+      .patch(`/api/v1/products/${productId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({})
+
+    expect(response.status).toBe(400)
+  })
+
+  test('should require every field for PUT', async () => {
+    const response = await request(app)
+      .put(`/api/v1/products/${productId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ price: 19.99 })
+
+    expect(response.status).toBe(400)
+  })
+
+  test('should replace a product with PUT', async () => {
+    const response = await request(app)
+      .put(`/api/v1/products/${productId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ ...newProduct, title: 'A Love Supreme (Deluxe)' })
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.product.title).toBe('A Love Supreme (Deluxe)')
+  })
+
+  test('should delete a product and remove it from carts', async () => {
+    const shopper = await db.get("SELECT id FROM users WHERE username = 'shopper'")
+    await db.run('INSERT INTO cart_items (user_id, product_id, quantity) VALUES (?, ?, ?)', [
+      shopper.id,
+      productId,
+      1,
+    ])
+
+    const response = await request(app)
+      .delete(`/api/v1/products/${productId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+
+    expect(response.status).toBe(200)
+
+    const cart = await db.get('SELECT COUNT(*) as count FROM cart_items WHERE product_id = ?', [
+      productId,
+    ])
+    expect(cart.count).toBe(0)
+
+    const missing = await request(app).get(`/api/v1/products/${productId}`)
+    expect(missing.status).toBe(404)
+  })
+})
@@ -0,0 +1,322 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+import { calculateDiscount, getPromotionProblem } from '../utils/promotions.js'
+
+const TEST_DB = './test-promotions.db'
+
+describe('Promotion rules', () => {
+  const items = [
+    { productId: 1, artist: 'Miles Davis', genre: 'Jazz', price: 30, quantity: 2 },
+    { productId: 2, artist: 'Nirvana', genre: 'Grunge', price: 20, quantity: 1 },
+    { productId: 3, artist: 'John Coltrane', genre: 'jazz', price: 10, quantity: 1 },
+  ]
+
+  const rule = (overrides) => ({
+    type: 'percent',
+    value: 0,
+    scopeType: 'all',
+    scopeValue: null,
+    isActive: true,
+    minSubtotal: 0,
+    maxUses: null,
+    maxUsesPerUser: null,
+    timesUsed: 0,
+    ...overrides,
+  })
+
+  test('should take a percentage off scoped lines only', () => {
+    const result = calculateDiscount(
+      rule({ value: 10, scopeType: 'genre', scopeValue: 'Jazz' }),
+      items
+    )
+
+    expect(result.discount).toBe(7)
+    expect(result.eligibleProductIds).toEqual([1, 3])
+  })
+
+  test('should never take more than the eligible subtotal off', () => {
+    const result = calculateDiscount(
+      rule({ type: 'fixed', value: 50, scopeType: 'artist', scopeValue: 'nirvana' }),
+      items
+    )
+
+    expect(result.discount).toBe(20)
+  })
+
+  test('should make the cheapest units free for buy X get Y', () => {
+    const result = calculateDiscount(
+      rule({ type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 }),
+      items
+    )
+
+    // Four units make one complete group; the $10 record is free
+    expect(result.discount).toBe(10)
+  })
+
+  test('should waive shipping without a discount', () => {
+    const result = calculateDiscount(
+      rule({ type: 'free_shipping', scopeType: 'product', scopeValue: '2' }),
+      items
+    )
+
+    expect(result).toMatchObject({ discount: 0, freeShipping: true, eligibleProductIds: [2] })
+  })
+
+  test('should enforce validity windows and usage limits', () => {
+    const now = new Date('2026-06-15T00:00:00Z')
+
+    expect(getPromotionProblem(rule({ startsAt: '2026-07-01T00:00:00Z' }), { now })).toMatch(
+      /not valid yet/
+    )
+    expect(getPromotionProblem(rule({ endsAt: '2026-06-01T00:00:00Z' }), { now })).toMatch(
+      /expired/
+    )
+    expect(getPromotionProblem(rule({ maxUses: 5, timesUsed: 5 }), { now })).toMatch(/usage limit/)
+    expect(getPromotionProblem(rule({ maxUsesPerUser: 1 }), { now, userUses: 1 })).toMatch(
+      /already used/
+    )
+    expect(getPromotionProblem(rule({ minSubtotal: 50 }), { now, subtotal: 40 })).toMatch(
+      /at least \$50.00/
+    )
+    expect(getPromotionProblem(rule({}), { now })).toBeNull()
+  })
+})
+
+describe('Coupon API', () => {
+  let app
+  let db
+  let adminToken
+  let userToken
+  let userId
+  let jazzId
+
+  const addJazzToCart = (quantity = 2) =>
+    db.run(
+      'INSERT INTO cart_items (user_id, product_id, quantity, price_at_add) VALUES (?, ?, ?, ?)',
+      [userId, jazzId, quantity, 30]
+    )
+
+  const createPromotion = (body) =>
+    request(app)
+      .post('/api/v1/promotions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Promo', ...body })
+
+  const applyCoupon = (code) =>
+    request(app)
+      .post('/api/v1/cart/coupon')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ code })
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    // Flat 10% tax and $5 shipping keep the expected totals readable
+    const { getRatesService } = await import('../services/RatesService.js')
+    getRatesService({
+      taxTable: { US: { lines: [{ name: 'Sales tax', rate: 0.1 }] } },
+      shippingMethods: {
+        standard: {
+          name: 'Standard',
+          estimatedDays: '5-8',
+          rates: {
+            domestic: { base: 5, perLp: 0, perKg: 0 },
+            international: { base: 5, perLp: 0, perKg: 0 },
+          },
+        },
+      },
+    })
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    const admin = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Admin', 'admin@example.com', 'admin', 'hashed', 'admin']
+    )
+    userId = (
+      await db.run(
+        'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+        ['Shopper', 'shopper@example.com', 'shopper', 'hashed', 'user']
+      )
+    ).lastID
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    adminToken = generateAccessToken({ userId: admin.lastID })
+    userToken = generateAccessToken({ userId })
+
+    jazzId = (
+      await db.run(
+        'INSERT INTO products (title, artist, price, image, year, genre, stock) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        ['Kind of Blue', 'Miles Davis', 30, 'kind-of-blue.png', 1959, 'Jazz', 50]
+      )
+    ).lastID
+  })
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM cart_items')
+    await db.run('DELETE FROM cart_coupons')
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should restrict promotion management to admins', async () => {
+    const response = await request(app)
+      .post('/api/v1/promotions')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ code: 'NOPE', name: 'Nope', type: 'percent', value: 10 })
+
+    expect(response.status).toBe(403)
+  })
+
+  test('should validate promotion rules', async () => {
+    const response = await createPromotion({ code: 'BROKEN', type: 'buy_x_get_y' })
+
+    expect(response.status).toBe(400)
+    expect(response.body.error.code).toBe('VALIDATION_ERROR')
+  })
+
+  test('should create, update and list promotions', async () => {
+    const created = await createPromotion({
+      code: 'jazz10',
+      type: 'percent',
+      value: 10,
+      scopeType: 'genre',
+      scopeValue: 'Jazz',
+    })
+
+    expect(created.status).toBe(201)
+    expect(created.body.data.promotion).toMatchObject({ code: 'JAZZ10', value: 10, isActive: true })
+
+    const duplicate = await createPromotion({ code: 'JAZZ10', type: 'percent', value: 5 })
+    expect(duplicate.status).toBe(409)
+
+    const updated = await request(app)
+      .put(`/api/v1/promotions/${created.body.data.promotion.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        code: 'JAZZ10',
+        name: 'Jazz sale',
+        type: 'percent',
+        value: 15,
+        scopeType: 'genre',
+        scopeValue: 'Jazz',
+      })
+    expect(updated.body.data.promotion).toMatchObject({ name: 'Jazz sale', value: 15 })
+
+    const list = await request(app)
+      .get('/api/v1/promotions')
+      .set('Authorization', `Bearer ${adminToken}`)
+    expect(list.body.data.promotions.map((promotion) => promotion.code)).toContain('JAZZ10')
+  })
+
+  test('should apply a coupon and show the discount in the summary', async () => {
+    await addJazzToCart()
+
+    const response = await applyCoupon('jazz10')
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.summary).toMatchObject({
+      subtotal: 60,
+      discount: 9,
+      shipping: 5,
+      tax: 5.1,
+      total: 61.1,
+    })
+    expect(response.body.data.coupon).toMatchObject({ code: 'JAZZ10', valid: true })
+
+    const removed = await request(app)
+      .delete('/api/v1/cart/coupon')
+      .set('Authorization', `Bearer ${userToken}`)
+    expect(removed.body.data.summary).toMatchObject({ discount: 0, total: 71 })
+  })
+
+  test('should reject unknown, out-of-scope and expired coupons', async () => {
+    await addJazzToCart()
+    await createPromotion({
+      code: 'ROCK5',
+      type: 'fixed',
+      value: 5,
+      scopeType: 'genre',
+      scopeValue: 'Rock',
+    })
+    await createPromotion({
+      code: 'OLD',
+      type: 'percent',
+      value: 50,
+      startsAt: '2020-01-01T00:00:00Z',
+      endsAt: '2020-02-01T00:00:00Z',
+    })
+
+    expect((await applyCoupon('NOSUCHCODE')).body.error.message).toBe('Invalid coupon code')
+    expect((await applyCoupon('ROCK5')).body.error.message).toMatch(/does not apply/)
+    expect((await applyCoupon('OLD')).body.error.message).toMatch(/expired/)
+  })
+
+  test('should require login to apply a coupon', async () => {
+    const response = await request(app).post('/api/v1/cart/coupon').send({ code: 'JAZZ10' })
+
+    expect(response.status).toBe(401)
+  })
+
+  test('should redeem the coupon at checkout and enforce per-user limits', async () => {
+    await createPromotion({ code: 'ONCE', type: 'fixed', value: 5, maxUsesPerUser: 1 })
+    await addJazzToCart(1)
+    await applyCoupon('ONCE')
+
+    const checkout = await request(app)
+      .post('/api/v1/cart/checkout')
+      .set('Authorization', `Bearer ${userToken}`)
+
+    expect(checkout.status).toBe(201)
+    expect(checkout.body.data.order).toMatchObject({
+      subtotal: 30,
+      discount: 5,
+      shipping: 5,
+      total: 32.5,
+      couponCode: 'ONCE',
+    })
+
+    const promotion = await db.get("SELECT times_used FROM promotions WHERE code = 'ONCE'")
+    expect(promotion.times_used).toBe(1)
+
+    await addJazzToCart(1)
+    const again = await applyCoupon('ONCE')
+    expect(again.status).toBe(400)
+    expect(again.body.error.message).toMatch(/already used/)
+  })
+
+  test('should refuse to delete a redeemed promotion', async () => {
+    const { id } = await db.get("SELECT id FROM promotions WHERE code = 'ONCE'")
+
+    const response = await request(app)
+      .delete(`/api/v1/promotions/${id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+
+    expect(response.status).toBe(409)
+  })
+})
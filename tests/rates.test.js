@@ -0,0 +1,227 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+import { describeFormat, RatesService } from '../services/RatesService.js'
+import { ValidationError } from '../utils/errors.js'
+
+const TEST_DB = './test-rates.db'
+
+describe('RatesService', () => {
+  const rates = new RatesService({ defaultAddress: { country: 'US', region: 'TX' } })
+  const line = (overrides) => ({
+    price: 20,
+    quantity: 1,
+    format: 'LP',
+    weightGrams: null,
+    ...overrides,
+  })
+
+  test('should read disc count, size and packaging from the format', () => {
+    expect(describeFormat('2xLP, Album, Gatefold')).toMatchObject({
+      discs: 2,
+      size: 12,
+      gatefold: true,
+      lpCount: 2,
+      weightGrams: 600,
+    })
+    expect(describeFormat('7", Single')).toMatchObject({ discs: 1, size: 7, lpCount: 0 })
+    expect(describeFormat(null)).toMatchObject({ discs: 1, size: 12, lpCount: 1 })
+  })
+
+  test('should charge more to ship a gatefold double LP than a 7"', () => {
+    const double = rates.calculate([line({ format: '2xLP, Gatefold' })])
+    const single = rates.calculate([line({ format: '7"' })])
+
+    expect(double.shipping).toBe(7.4)
+    expect(single.shipping).toBe(4.6)
+  })
+
+  test('should prefer a stored weight over the format estimate', () => {
+    const heavy = rates.calculate([line({ weightGrams: 2000 })])
+
+    // 4.50 base + 1.00 per LP + 1.50/kg * 2kg
+    expect(heavy.shipping).toBe(8.5)
+  })
+
+  test('should estimate with the store region when no address is given', () => {
+    const result = rates.calculate([line({ quantity: 2 })])
+
+    expect(result.shippingAddress).toMatchObject({ country: 'US', region: 'TX', estimated: true })
+    expect(result.taxLines.map((taxLine) => taxLine.name)).toEqual([
+      'Texas state sales tax',
+      'Local sales tax',
+    ])
+    // Texas taxes shipping: (40 + 7.40 shipping) * (6.25% + 2%)
+    expect(result.shipping).toBe(7.4)
+    expect(result.tax).toBe(3.91)
+    expect(result.total).toBe(51.31)
+  })
+
+  test('should itemize regional tax and price international shipping higher', () => {
+    const quebec = rates.calculate([line()], { address: { country: 'ca', region: 'qc' } })
+    const oregon = rates.calculate([line()], { address: { country: 'US', region: 'OR' } })
+    const domestic = rates.calculate([line()], { address: { country: 'US', region: 'CA' } })
+
+    expect(quebec.taxLines.map((taxLine) => taxLine.name)).toEqual(['GST', 'QST'])
+    expect(quebec.shipping).toBeGreaterThan(domestic.shipping)
+    expect(oregon).toMatchObject({ tax: 0, taxLines: [] })
+    // California doesn't tax shipping
+    expect(domestic.tax).toBe(1.45)
+  })
+
+  test('should waive shipping for free-shipping promotions and take discounts off before tax', () => {
+    const result = rates.calculate([line()], {
+      discount: 5,
+      freeShipping: true,
+      address: { country: 'US', region: 'CA' },
+    })
+
+    expect(result.shipping).toBe(0)
+    expect(result.shippingMethod).toMatchObject({ method: 'standard', waived: true })
+    expect(result.tax).toBe(1.09)
+    expect(result.total).toBe(16.09)
+  })
+
+  test('should reject unknown shipping methods and malformed countries', () => {
+    expect(() => rates.calculate([line()], { shippingMethod: 'carrier-pigeon' })).toThrow(
+      ValidationError
+    )
+    expect(() => rates.calculate([line()], { address: { country: 'USA' } })).toThrow(/two-letter/)
+  })
+
+  test('should accept pluggable tax and shipping providers', () => {
+    const custom = new RatesService({
+      taxProvider: {
+        getRates: () => ({ lines: [{ name: 'Flat', rate: 0.5 }], taxShipping: false }),
+      },
+      shippingProvider: {
+        getQuotes: () => [{ method: 'pickup', name: 'Pickup', estimatedDays: '0', cost: 0 }],
+      },
+    })
+
+    const result = custom.calculate([line()], { shippingMethod: 'pickup' })
+
+    expect(result).toMatchObject({ shipping: 0, tax: 10, total: 30 })
+  })
+})
+
+describe('Tax and shipping API', () => {
+  let app
+  let db
+  let token
+  let userId
+  let productId
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`)
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    userId = (
+      await db.run('INSERT INTO users (name, email, username, password) VALUES (?, ?, ?, ?)', [
+        'Shopper',
+        'shopper@example.com',
+        'shopper',
+        'hashed',
+      ])
+    ).lastID
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    token = generateAccessToken({ userId })
+
+    productId = (
+      await db.run(
+        'INSERT INTO products (title, artist, price, image, year, genre, stock, format) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        ['The Wall', 'Pink Floyd', 40, 'the-wall.png', 1979, 'Rock', 10, '2xLP, Gatefold']
+      )
+    ).lastID
+  })
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM cart_items')
+    await db.run('INSERT INTO cart_items (user_id, product_id, quantity) VALUES (?, ?, ?)', [
+      userId,
+      productId,
+      1,
+    ])
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should price the summary for the ship-to address in the query', async () => {
+    const response = await auth(
+      request(app).get('/api/v1/cart/summary?country=CA&region=BC&shippingMethod=express')
+    )
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.summary.shippingMethod).toMatchObject({ method: 'express' })
+    expect(response.body.data.summary.shippingOptions.map((option) => option.method)).toEqual([
+      'standard',
+      'express',
+    ])
+    expect(response.body.data.summary.taxLines.map((taxLine) => taxLine.name)).toEqual([
+      'GST',
+      'PST',
+    ])
+    expect(response.body.data.items[0]).toMatchObject({ format: '2xLP, Gatefold' })
+  })
+
+  test('should store shipping and itemized tax on the order', async () => {
+    const response = await auth(request(app).post('/api/v1/cart/checkout')).send({
+      shippingAddress: { country: 'GB', postalCode: 'SW1A 1AA' },
+    })
+
+    expect(response.status).toBe(201)
+
+    const { order } = response.body.data
+    expect(order.taxLines).toEqual([{ name: 'VAT', rate: 0.2, amount: expect.any(Number) }])
+    expect(order.total).toBeCloseTo(order.subtotal + order.shipping + order.tax, 2)
+
+    const stored = await db.get(
+      'SELECT shipping, shipping_method, shipping_address, tax_lines FROM orders WHERE id = ?',
+      [order.id]
+    )
+    expect(stored.shipping).toBe(order.shipping)
+    expect(stored.shipping_method).toBe('standard')
+    expect(JSON.parse(stored.shipping_address)).toMatchObject({
+      country: 'GB',
+      postalCode: 'SW1A 1AA',
+    })
+    expect(JSON.parse(stored.tax_lines)).toEqual(order.taxLines)
+  })
+
+  test('should reject a malformed ship-to address at checkout', async () => {
+    const response = await auth(request(app).post('/api/v1/cart/checkout')).send({
+      shippingAddress: { country: 'Britain' },
+    })
+
+    expect(response.status).toBe(400)
+    expect(response.body.error.code).toBe('VALIDATION_ERROR')
+  })
+})
@@ -0,0 +1,147 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+
+const TEST_DB = './test-reservations.db'
+
+describe('Stock Reservations', () => {
+  let db
+  let orderRepository
+  let productRepository
+  let reservationService
+  let alice
+  let bob
+  let productId
+
+  const addToCart = (userId, quantity = 1) =>
+    db.run('INSERT INTO cart_items (user_id, product_id, quantity) VALUES (?, ?, ?)', [
+      userId,
+      productId,
+      quantity,
+    ])
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+    ;({ orderRepository, productRepository } = await import('../repositories/index.js'))
+
+    const { getReservationService } = await import('../services/ReservationService.js')
+    reservationService = getReservationService({ minutes: 10 })
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    alice = (
+      await db.run('INSERT INTO users (name, email, username, password) VALUES (?, ?, ?, ?)', [
+        'Alice',
+        'alice@example.com',
+        'alice',
+        'hashed',
+      ])
+    ).lastID
+    bob = (
+      await db.run('INSERT INTO users (name, email, username, password) VALUES (?, ?, ?, ?)', [
+        'Bob',
+        'bob@example.com',
+        'bob',
+        'hashed',
+      ])
+    ).lastID
+  })
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM cart_items')
+    await db.run('DELETE FROM stock_reservations')
+
+    // One copy of a rare pressing
+    const product = await db.run(
+      'INSERT INTO products (title, artist, price, image, year, genre, stock) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      ['Unknown Pleasures', 'Joy Division', 120, 'unknown-pleasures.png', 1979, 'Post-Punk', 1]
+    )
+    productId = product.lastID
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should hold stock when checkout starts', async () => {
+    await addToCart(alice)
+
+    const reservation = await reservationService.reserveCart(alice)
+
+    expect(reservation.items).toEqual([expect.objectContaining({ productId, quantity: 1 })])
+    expect(new Date(reservation.expiresAt).getTime()).toBeGreaterThan(Date.now())
+
+    const forBob = await productRepository.checkAvailability(productId, 1, bob)
+    expect(forBob).toMatchObject({ available: false, reservedQuantity: 1, availableStock: 0 })
+
+    // Alice's own hold doesn't block her
+    const forAlice = await productRepository.checkAvailability(productId, 1, alice)
+    expect(forAlice.available).toBe(true)
+  })
+
+  test('should refuse a second reservation for held stock', async () => {
+    await addToCart(alice)
+    await addToCart(bob)
+    await reservationService.reserveCart(alice)
+
+    await expect(reservationService.reserveCart(bob)).rejects.toThrow(
+      'Some cart items are not available in requested quantity'
+    )
+  })
+
+  test('should block checkout of units held by someone else', async () => {
+    await addToCart(alice)
+    await addToCart(bob)
+    await reservationService.reserveCart(alice)
+
+    await expect(orderRepository.createFromCart(bob)).rejects.toThrow(
+      'Some cart items are not available in requested quantity'
+    )
+
+    const order = await orderRepository.createFromCart(alice)
+    expect(order.items[0].newStock).toBe(0)
+
+    const holds = await db.get(
+      'SELECT COUNT(*) as count FROM stock_reservations WHERE user_id = ?',
+      [alice]
+    )
+    expect(holds.count).toBe(0)
+  })
+
+  test('should release expired holds', async () => {
+    await addToCart(alice)
+    await reservationService.reserveCart(alice)
+    await db.run('UPDATE stock_reservations SET expires_at = ?', [
+      new Date(Date.now() - 1000).toISOString(),
+    ])
+
+    const changes = await reservationService.releaseExpired()
+
+    expect(changes).toEqual([{ productId, oldStock: 0, newStock: 1 }])
+
+    const forBob = await productRepository.checkAvailability(productId, 1, bob)
+    expect(forBob.available).toBe(true)
+  })
+
+  test('should release holds when the user gives them up', async () => {
+    await addToCart(alice)
+    await reservationService.reserveCart(alice)
+
+    const changes = await reservationService.releaseForUser(alice)
+
+    expect(changes).toEqual([{ productId, oldStock: 0, newStock: 1 }])
+  })
+})
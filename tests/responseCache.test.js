@@ -0,0 +1,264 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+
+const TEST_DB = './test-response-cache.db'
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+const deferred = () => {
+  let resolve
+  const promise = new Promise((done) => {
+    resolve = done
+  })
+  return { promise, resolve }
+}
+
+describe('Discogs and MusicBrainz response cache', () => {
+  let app
+  let cache
+  let discogs
+  let adminToken
+  let userToken
+  let originalFetch
+  let now = Date.parse('2026-03-01T12:00:00Z')
+  const calls = []
+  const titles = {}
+  let rateLimit
+  let gate
+  let mbRequests = 0
+
+  const settle = () => Promise.all([...cache.inFlight.values()].map((p) => p.catch(() => {})))
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    const { getResponseCacheService } = await import('../services/ResponseCacheService.js')
+    cache = getResponseCacheService({ now: () => now })
+
+    // The disconnect client, answering from `titles`; `gate` holds answers back
+    const { getDiscogsService } = await import('../services/DiscogsService.js')
+    discogs = getDiscogsService({ consumerKey: 'key', consumerSecret: 'secret' })
+    discogs.client = {}
+    discogs.db = {
+      getRelease: async (id, callback) => {
+        calls.push(['release', id])
+        await gate?.promise
+        if (!titles[id]) {
+          return callback(Object.assign(new Error('Release not found.'), { statusCode: 404 }))
+        }
+        callback(null, { id: Number(id), title: titles[id], artists_sort: 'Various' }, rateLimit)
+      },
+      search: (params, callback) => {
+        calls.push(['search', params.q])
+        callback(null, { results: [{ id: 1, title: `Result for ${params.q}` }], pagination: {} })
+      },
+    }
+
+    originalFetch = globalThis.fetch
+    globalThis.fetch = async () => {
+      mbRequests++
+      return new Response(
+        JSON.stringify({ count: 1, releases: [{ id: 'mb-1', title: 'Blue Train', score: 100 }] }),
+        { headers: { 'Content-Type': 'application/json' } }
+      )
+    }
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    const db = await getDBConnection()
+    const admin = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Admin', 'admin@example.com', 'admin', 'hashed', 'admin']
+    )
+    const user = await db.run(
+      'INSERT INTO users (name, email, username, password, role) VALUES (?, ?, ?, ?, ?)',
+      ['Collector', 'collector@example.com', 'collector', 'hashed', 'user']
+    )
+    await db.close()
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    adminToken = generateAccessToken({ userId: admin.lastID })
+    userToken = generateAccessToken({ userId: user.lastID })
+  })
+
+  beforeEach(async () => {
+    await cache.purge()
+    calls.length = 0
+    gate = null
+    rateLimit = { limit: 60, used: 1, remaining: 59 }
+    discogs.rateLimitRemaining = 60
+    discogs.rateLimitReset = null
+    titles[249504] = 'Never Gonna Give You Up'
+    titles[1362] = 'Blue Train'
+  })
+
+  afterAll(async () => {
+    globalThis.fetch = originalFetch
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should answer repeat lookups from the cache, whichever route asks', async () => {
+    const first = await request(app).get('/api/v1/catalog/release/249504')
+    const second = await request(app).get('/api/v1/discogs/releases/249504')
+
+    expect(first.status).toBe(200)
+    expect(second.status).toBe(200)
+    expect(second.body.data).toEqual(first.body.data)
+    expect(first.body.data.title).toBe('Never Gonna Give You Up')
+    expect(calls).toEqual([['release', '249504']])
+
+    // Errors aren't cached
+    expect((await request(app).get('/api/v1/catalog/release/404')).status).toBe(500)
+    expect((await request(app).get('/api/v1/catalog/release/404')).status).toBe(500)
+    expect(calls.filter(([, id]) => id === '404')).toHaveLength(2)
+  })
+
+  test('should serve stale copies while refreshing them in the background', async () => {
+    await request(app).get('/api/v1/catalog/release/249504')
+    titles[249504] = 'Never Gonna Give You Up (Remastered)'
+
+    // Still fresh: no call
+    now += 23 * HOUR
+    await request(app).get('/api/v1/catalog/release/249504')
+    expect(calls).toHaveLength(1)
+
+    // Stale: answered at once with the old copy while Discogs is still answering
+    now += 2 * HOUR
+    gate = deferred()
+    const stale = await request(app).get('/api/v1/catalog/release/249504')
+    expect(stale.body.data.title).toBe('Never Gonna Give You Up')
+    expect(calls).toHaveLength(2)
+
+    gate.resolve()
+    await settle()
+
+    const refreshed = await request(app).get('/api/v1/catalog/release/249504')
+    expect(refreshed.body.data.title).toBe('Never Gonna Give You Up (Remastered)')
+    expect(calls).toHaveLength(2)
+
+    // Past the stale window the copy isn't used
+    now += 32 * DAY
+    titles[249504] = 'Never Gonna Give You Up (2026 Mix)'
+    const expired = await request(app).get('/api/v1/catalog/release/249504')
+    expect(expired.body.data.title).toBe('Never Gonna Give You Up (2026 Mix)')
+    expect(calls).toHaveLength(3)
+  })
+
+  test('should share one upstream call between identical lookups in flight', async () => {
+    gate = deferred()
+
+    const pending = [1, 2, 3].map(() => request(app).get('/api/v1/catalog/release/1362').then())
+    // Let all three requests reach the cache before Discogs answers
+    while (cache.inFlight.size === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 5))
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    gate.resolve()
+
+    const responses = await Promise.all(pending)
+    expect(responses.map(({ body }) => body.data.title)).toEqual([
+      'Blue Train',
+      'Blue Train',
+      'Blue Train',
+    ])
+    expect(calls).toEqual([['release', '1362']])
+  })
+
+  test('should fail fast when the Discogs quota is used up and keep serving cached copies', async () => {
+    rateLimit = { limit: 60, used: 60, remaining: 0 }
+    await request(app).get('/api/v1/catalog/release/249504')
+    expect(discogs.rateLimitRemaining).toBe(0)
+
+    const started = Date.now()
+    const uncached = await request(app).get('/api/v1/catalog/release/1362')
+    expect(uncached.status).toBe(500)
+    expect(Date.now() - started).toBeLessThan(1000)
+    expect(calls).toEqual([['release', '249504']])
+
+    // A stale copy is still served; its refresh waits for the quota
+    now += 25 * HOUR
+    const stale = await request(app).get('/api/v1/catalog/release/249504')
+    expect(stale.status).toBe(200)
+    expect(stale.body.data.title).toBe('Never Gonna Give You Up')
+    await settle()
+    expect(calls).toHaveLength(1)
+  })
+
+  test('should cache MusicBrainz lookups', async () => {
+    const first = await request(app).get('/api/v1/catalog/barcode/0724349532726')
+    const second = await request(app).get('/api/v1/catalog/barcode/0724349532726')
+
+    expect(first.status).toBe(200)
+    expect(second.body.data).toEqual(first.body.data)
+    expect(first.body.data.musicbrainz.id).toBe('mb-1')
+    expect(mbRequests).toBe(1)
+    expect(calls).toEqual([['search', '0724349532726']])
+  })
+
+  test('should let admins see and purge the cache', async () => {
+    await request(app).get('/api/v1/catalog/release/249504')
+    await request(app).get('/api/v1/catalog/release/1362')
+    await request(app).get('/api/v1/catalog/search?q=coltrane')
+
+    expect(
+      (await request(app).delete('/api/v1/admin/cache').set('Authorization', `Bearer ${userToken}`))
+        .status
+    ).toBe(403)
+
+    const stats = await request(app)
+      .get('/api/v1/admin/cache')
+      .set('Authorization', `Bearer ${adminToken}`)
+    expect(stats.status).toBe(200)
+    expect(stats.body.data.entries).toBe(3)
+    expect(stats.body.data.endpoints).toEqual([
+      expect.objectContaining({ endpoint: 'discogs:release', entries: 2, fresh: 2, stale: 0 }),
+      expect.objectContaining({ endpoint: 'discogs:search', entries: 1, fresh: 1, stale: 0 }),
+    ])
+    expect(stats.body.data.policies['discogs:release']).toEqual({ ttl: DAY, staleFor: 30 * DAY })
+
+    const invalid = await request(app)
+      .delete('/api/v1/admin/cache?source=spotify')
+      .set('Authorization', `Bearer ${adminToken}`)
+    expect(invalid.status).toBe(400)
+
+    const purged = await request(app)
+      .delete('/api/v1/admin/cache?endpoint=discogs:release')
+      .set('Authorization', `Bearer ${adminToken}`)
+    expect(purged.status).toBe(200)
+    expect(purged.body.data.removed).toBe(2)
+
+    await request(app).get('/api/v1/catalog/release/249504')
+    await request(app).get('/api/v1/catalog/search?q=coltrane')
+    expect(calls.filter(([type]) => type === 'release')).toHaveLength(3)
+    expect(calls.filter(([type]) => type === 'search')).toHaveLength(1)
+
+    const all = await request(app)
+      .delete('/api/v1/admin/cache?source=discogs')
+      .set('Authorization', `Bearer ${adminToken}`)
+    expect(all.body.data.removed).toBe(2)
+
+    // Entries past their stale window are swept
+    await request(app).get('/api/v1/catalog/release/249504')
+    now += 40 * DAY
+    expect(await cache.removeExpired()).toBe(1)
+  })
+})
@@ -0,0 +1,171 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+
+const TEST_DB = './test-reviews.db'
+
+describe('Reviews API', () => {
+  let app
+  let db
+  let productId
+  const users = []
+
+  const reviewsUrl = () => `/api/v1/products/${productId}/reviews`
+  const as = (req, index) => req.set('Authorization', `Bearer ${users[index].token}`)
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    for (const name of ['ana', 'ben', 'cal']) {
+      const { lastID } = await db.run(
+        'INSERT INTO users (name, email, username, password) VALUES (?, ?, ?, ?)',
+        [name, `${name}@example.com`, name, 'hashed']
+      )
+      users.push({ id: lastID, token: generateAccessToken({ userId: lastID }) })
+    }
+
+    productId = (
+      await db.run(
+        'INSERT INTO products (title, artist, price, image, year, genre, stock) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        ['Blue', 'Joni Mitchell', 28, 'blue.png', 1971, 'Folk', 5]
+      )
+    ).lastID
+
+    // Ana bought the record (paid); Ben's order never went through
+    for (const [index, status] of [
+      [0, 'paid'],
+      [1, 'failed'],
+    ]) {
+      const { lastID: orderId } = await db.run(
+        'INSERT INTO orders (user_id, status) VALUES (?, ?)',
+        [users[index].id, status]
+      )
+      await db.run(
+        'INSERT INTO order_items (order_id, product_id, title, artist, quantity, price) VALUES (?, ?, ?, ?, ?, ?)',
+        [orderId, productId, 'Blue', 'Joni Mitchell', 1, 28]
+      )
+    }
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should require login and a valid rating to post', async () => {
+    const anonymous = await request(app).post(reviewsUrl()).send({ rating: 5 })
+    expect(anonymous.status).toBe(401)
+
+    const invalid = await as(request(app).post(reviewsUrl()), 0).send({ rating: 6 })
+    expect(invalid.status).toBe(400)
+    expect(invalid.body.error.code).toBe('VALIDATION_ERROR')
+  })
+
+  test('should post reviews with a verified-purchase badge for paid orders', async () => {
+    const ana = await as(request(app).post(reviewsUrl()), 0).send({
+      rating: 5,
+      comment: 'A perfect record',
+    })
+    const ben = await as(request(app).post(reviewsUrl()), 1).send({ rating: 3 })
+    await as(request(app).post(reviewsUrl()), 2).send({ rating: 4, comment: 'Lovely' })
+
+    expect(ana.status).toBe(201)
+    expect(ana.body.data.review).toMatchObject({
+      rating: 5,
+      username: 'ana',
+      verifiedPurchase: true,
+      moderationStatus: 'pending',
+    })
+    expect(ben.body.data.review.verifiedPurchase).toBe(false)
+  })
+
+  test('should hide reviews until a moderator approves them', async () => {
+    const pending = await request(app).get(reviewsUrl())
+    expect(pending.body.data.reviews).toEqual([])
+    expect(pending.body.data.summary.reviewCount).toBe(0)
+
+    await db.run("UPDATE reviews SET moderation_status = 'approved' WHERE product_id = ?", [
+      productId,
+    ])
+
+    const approved = await request(app).get(reviewsUrl())
+    expect(approved.body.data.reviews).toHaveLength(3)
+  })
+
+  test('should allow only one review per user per product', async () => {
+    const response = await as(request(app).post(reviewsUrl()), 0).send({ rating: 1 })
+
+    expect(response.status).toBe(409)
+  })
+
+  test('should return a rating histogram and sort and paginate reviews', async () => {
+    const response = await request(app).get(`${reviewsUrl()}?sort=rating_low&limit=2`)
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.summary).toEqual({
+      averageRating: 4,
+      reviewCount: 3,
+      histogram: { 1: 0, 2: 0, 3: 1, 4: 1, 5: 1 },
+    })
+    expect(response.body.data.reviews.map((review) => review.rating)).toEqual([3, 4])
+    expect(response.body.data.pagination).toEqual({ page: 1, limit: 2, total: 3, pages: 2 })
+    expect(response.body.data.myReview).toBeNull()
+
+    const verifiedFirst = await request(app).get(`${reviewsUrl()}?sort=verified`)
+    expect(verifiedFirst.body.data.reviews[0].username).toBe('ana')
+
+    const fiveStars = await request(app).get(`${reviewsUrl()}?rating=5`)
+    expect(fiveStars.body.data.pagination.total).toBe(1)
+
+    const badSort = await request(app).get(`${reviewsUrl()}?sort=loudest`)
+    expect(badSort.status).toBe(400)
+  })
+
+  test("should include the caller's own review", async () => {
+    const response = await as(request(app).get(reviewsUrl()), 2)
+
+    expect(response.body.data.myReview).toMatchObject({ rating: 4, comment: 'Lovely' })
+  })
+
+  test('should update and delete only your own review', async () => {
+    const updated = await as(request(app).put(reviewsUrl()), 1).send({ rating: 2 })
+    expect(updated.body.data.review).toMatchObject({
+      rating: 2,
+      verifiedPurchase: false,
+      moderationStatus: 'pending',
+    })
+
+    const deleted = await as(request(app).delete(reviewsUrl()), 1)
+    expect(deleted.status).toBe(200)
+
+    const again = await as(request(app).delete(reviewsUrl()), 1)
+    expect(again.status).toBe(404)
+
+    const remaining = await db.all('SELECT user_id FROM reviews WHERE product_id = ?', [productId])
+    expect(remaining.map((row) => row.user_id).sort()).toEqual([users[0].id, users[2].id])
+  })
+})
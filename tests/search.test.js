@@ -0,0 +1,168 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+
+const TEST_DB = './test-search.db'
+
+describe('Catalog full-text search', () => {
+  let app
+  let db
+
+  const search = async (query) =>
+    (await request(app).get(`/api/v1/products?${new URLSearchParams(query)}`)).body.data
+  const titles = (data) => data.products.map((product) => product.title)
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    for (const [title, artist, genre, price, description] of [
+      ['Homogenic', 'Björk', 'Electronic', 32, 'Strings and beats from Iceland'],
+      ['Vespertine', 'Björk', 'Electronic', 30, null],
+      ['Blue', 'Joni Mitchell', 'Folk', 28, 'A favourite of Björk fans and everyone else'],
+      ['Blue Train', 'John Coltrane', 'Jazz', 26, 'Hard bop on Blue Note'],
+      ['Kind of Blue', 'Miles Davis', 'Jazz', 35, 'Modal jazz landmark'],
+      [
+        'Stand!',
+        'Sly & the Family Stone',
+        'Rock',
+        27,
+        'Sly <img src=x onerror=alert(1)> at his peak',
+      ],
+    ]) {
+      await db.run(
+        'INSERT INTO products (title, artist, genre, price, image, year, description) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [title, artist, genre, price, 'cover.png', 1970, description]
+      )
+    }
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should fold diacritics and rank artist matches above description mentions', async () => {
+    const data = await search({ search: 'bjork' })
+
+    expect(titles(data).slice(0, 2).sort()).toEqual(['Homogenic', 'Vespertine'])
+    expect(titles(data)[2]).toBe('Blue')
+    expect(data.pagination.total).toBe(3)
+  })
+
+  test('should highlight matches and return description snippets', async () => {
+    const data = await search({ search: 'björk' })
+    const blue = data.products.find((product) => product.title === 'Blue')
+
+    expect(data.products[0].highlights.artist).toBe('<mark>Björk</mark>')
+    expect(blue.highlights.description).toContain('<mark>Björk</mark> fans')
+    expect(blue.title).toBe('Blue')
+  })
+
+  test('should escape the text around highlighted matches', async () => {
+    const [stand] = (await search({ search: 'sly' })).products
+
+    expect(stand.highlights.artist).toBe('<mark>Sly</mark> &amp; the Family Stone')
+    expect(stand.highlights.description).toBe(
+      '<mark>Sly</mark> &lt;img src=x onerror=alert(1)&gt; at his peak'
+    )
+  })
+
+  test('should match the last word as a prefix and require every word', async () => {
+    expect(titles(await search({ search: 'vesper' }))).toEqual(['Vespertine'])
+    expect(titles(await search({ search: 'blue tra' }))).toEqual(['Blue Train'])
+  })
+
+  test('should combine search with filters and explicit sorting', async () => {
+    const jazz = await search({ search: 'blue', genre: 'Jazz', sortBy: 'price', sortOrder: 'desc' })
+
+    expect(titles(jazz)).toEqual(['Kind of Blue', 'Blue Train'])
+    expect(jazz.filters.priceRange).toEqual({ min: 26, max: 35 })
+  })
+
+  test('should treat FTS syntax in user input as plain words', async () => {
+    const operators = await request(app).get('/api/v1/products?search=blue%20OR%20"(*')
+    expect(operators.status).toBe(200)
+
+    const punctuation = await search({ search: '!!!' })
+    expect(punctuation.pagination.total).toBe(0)
+  })
+
+  test('should keep the index in sync with product changes', async () => {
+    const { lastID } = await db.run(
+      'INSERT INTO products (title, artist, genre, price, image) VALUES (?, ?, ?, ?, ?)',
+      ['Blonde on Blonde', 'Bob Dylan', 'Rock', 30, 'cover.png']
+    )
+    expect(titles(await search({ search: 'dylan' }))).toEqual(['Blonde on Blonde'])
+
+    await db.run("UPDATE products SET artist = 'Bob Dylan and The Band' WHERE id = ?", [lastID])
+    expect(titles(await search({ search: 'band' }))).toEqual(['Blonde on Blonde'])
+
+    await db.run('DELETE FROM products WHERE id = ?', [lastID])
+    expect(titles(await search({ search: 'dylan' }))).toEqual([])
+  })
+
+  test('should fall back to a typo-corrected search with didYouMean', async () => {
+    const swapped = await search({ search: 'coltrnae' })
+    expect(swapped.didYouMean).toBe('coltrane')
+    expect(titles(swapped)).toEqual(['Blue Train'])
+
+    const severalWords = await search({ search: 'myles daivs' })
+    expect(severalWords.didYouMean).toBe('miles davis')
+    expect(titles(severalWords)).toEqual(['Kind of Blue'])
+
+    // Words that already match are never corrected
+    expect((await search({ search: 'blue' })).didYouMean).toBeNull()
+  })
+
+  test('should only suggest corrections that find something', async () => {
+    const nonsense = await search({ search: 'qwxzvbnm' })
+    expect(nonsense.didYouMean).toBeNull()
+    expect(nonsense.pagination.total).toBe(0)
+
+    // Coltrane is Jazz, so the correction doesn't help within Folk
+    const filtered = await search({ search: 'coltrnae', genre: 'Folk' })
+    expect(filtered.didYouMean).toBeNull()
+    expect(filtered.pagination.total).toBe(0)
+  })
+
+  test('should suggest titles, artists and genres by prefix', async () => {
+    const response = await request(app).get('/api/v1/products/search/suggestions?q=bj')
+    expect(response.body.suggestions).toEqual([{ text: 'Björk', type: 'artist' }])
+
+    const jazz = await request(app).get('/api/v1/products/search/suggestions?q=ja')
+    expect(jazz.body.suggestions).toContainEqual({ text: 'Jazz', type: 'genre' })
+
+    const short = await request(app).get('/api/v1/products/search/suggestions?q=b')
+    expect(short.body.suggestions).toEqual([])
+  })
+
+  test('should suggest from the corrected spelling when the prefix matches nothing', async () => {
+    const response = await request(app).get('/api/v1/products/search/suggestions?q=coltrnae')
+
+    expect(response.body.didYouMean).toBe('coltrane')
+    expect(response.body.suggestions).toEqual([{ text: 'John Coltrane', type: 'artist' }])
+  })
+})
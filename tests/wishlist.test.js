@@ -0,0 +1,161 @@
+import fs from 'node:fs'
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals'
+import request from 'supertest'
+
+const TEST_DB = './test-wishlist.db'
+
+describe('Wishlist API', () => {
+  let app
+  let db
+  let userId
+  let token
+  const products = {}
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`)
+  const add = (productId) => auth(request(app).post('/api/v1/me/wishlist')).send({ productId })
+
+  beforeAll(async () => {
+    process.env.DB_PATH = TEST_DB
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+
+    const { migrator } = await import('../db/migrator.js')
+    await migrator.runAllMigrations()
+
+    const express = (await import('express')).default
+    const { v1Router } = await import('../routes/v1/index.js')
+    const { errorHandler } = await import('../middleware/errorHandler.js')
+    app = express()
+    app.use(express.json())
+    app.use('/api/v1', v1Router)
+    app.use(errorHandler)
+
+    const { getDBConnection } = await import('../db/db.js')
+    db = await getDBConnection()
+
+    userId = (
+      await db.run('INSERT INTO users (name, email, username, password) VALUES (?, ?, ?, ?)', [
+        'Dana',
+        'dana@example.com',
+        'dana',
+        'hashed',
+      ])
+    ).lastID
+
+    const { generateAccessToken } = await import('../utils/jwt.js')
+    token = generateAccessToken({ userId })
+
+    for (const [key, title, stock] of [
+      ['court', 'Court and Spark', 3],
+      ['ladies', 'Ladies of the Canyon', 0],
+    ]) {
+      products[key] = (
+        await db.run(
+          'INSERT INTO products (title, artist, price, image, year, genre, stock) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          [title, 'Joni Mitchell', 24, `${key}.png`, 1974, 'Folk', stock]
+        )
+      ).lastID
+    }
+  })
+
+  afterAll(async () => {
+    if (db) {
+      await db.close()
+    }
+
+    if (fs.existsSync(TEST_DB)) {
+      fs.unlinkSync(TEST_DB)
+    }
+  })
+
+  test('should require login', async () => {
+    const response = await request(app).get('/api/v1/me/wishlist')
+
+    expect(response.status).toBe(401)
+  })
+
+  test('should add products once and list them newest first', async () => {
+    const first = await add(products.court)
+    expect(first.status).toBe(201)
+    expect(first.body.data.item).toMatchObject({
+      productId: products.court,
+      title: 'Court and Spark',
+      inStock: true,
+    })
+
+    expect((await add(products.court)).status).toBe(200)
+    await add(products.ladies)
+
+    const list = await auth(request(app).get('/api/v1/me/wishlist'))
+    expect(list.body.data.items.map((item) => item.productId)).toEqual([
+      products.ladies,
+      products.court,
+    ])
+    expect(list.body.data.share).toBeNull()
+
+    expect((await add(999999)).status).toBe(404)
+    expect((await add('abc')).status).toBe(400)
+  })
+
+  test('should move an in-stock item into the cart', async () => {
+    const soldOut = await auth(
+      request(app).post(`/api/v1/me/wishlist/${products.ladies}/move-to-cart`)
+    )
+    expect(soldOut.status).toBe(400)
+    expect(soldOut.body.error.message).toMatch(/out of stock/)
+
+    const moved = await auth(
+      request(app).post(`/api/v1/me/wishlist/${products.court}/move-to-cart`)
+    ).send({ quantity: 2 })
+    expect(moved.status).toBe(200)
+    expect(moved.body.data.cartItem).toMatchObject({ productId: products.court, quantity: 2 })
+
+    const cart = await db.get(
+      'SELECT quantity FROM cart_items WHERE user_id = ? AND product_id = ?',
+      [userId, products.court]
+    )
+    expect(cart.quantity).toBe(2)
+
+    const wishlisted = await db.get(
+      'SELECT id FROM wishlists WHERE user_id = ? AND product_id = ?',
+      [userId, products.court]
+    )
+    expect(wishlisted).toBeUndefined()
+
+    const missing = await auth(
+      request(app).post(`/api/v1/me/wishlist/${products.court}/move-to-cart`)
+    )
+    expect(missing.status).toBe(404)
+  })
+
+  test('should share a read-only public link and revoke it', async () => {
+    const shared = await auth(request(app).post('/api/v1/me/wishlist/share'))
+    const { token: shareToken, url } = shared.body.data.share
+    expect(url).toMatch(new RegExp(`/wishlist.html\\?share=${shareToken}$`))
+
+    // Sharing again keeps the same link
+    const again = await auth(request(app).post('/api/v1/me/wishlist/share'))
+    expect(again.body.data.share.token).toBe(shareToken)
+
+    const publicView = await request(app).get(`/api/v1/wishlists/${shareToken}`)
+    expect(publicView.status).toBe(200)
+    expect(publicView.body.data).toEqual({
+      owner: { name: 'Dana' },
+      items: [expect.objectContaining({ productId: products.ladies })],
+    })
+
+    await auth(request(app).delete('/api/v1/me/wishlist/share'))
+    const revoked = await request(app).get(`/api/v1/wishlists/${shareToken}`)
+    expect(revoked.status).toBe(404)
+  })
+
+  test('should remove items', async () => {
+    const removed = await auth(request(app).delete(`/api/v1/me/wishlist/${products.ladies}`))
+    expect(removed.status).toBe(200)
+
+    const again = await auth(request(app).delete(`/api/v1/me/wishlist/${products.ladies}`))
+    expect(again.status).toBe(404)
+  })
+})
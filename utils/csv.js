@@ -0,0 +1,93 @@
+/**
+ * CSV Helpers
+ * RFC 4180 parsing and writing (quoted fields, doubled quotes, embedded newlines)
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsvRows(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  const input = String(text).replace(/^﻿/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  // Blank lines aren't records
+  return rows.filter((fields) => fields.length > 1 || fields[0].trim() !== '')
+}
+
+// Text a spreadsheet would run as a formula. Exports put a ' in front of it, and
+// of text already starting with ' before one of these, so that parseCsv can
+// take exactly one off again and an export imports back unchanged.
+const ESCAPED_FORMULA = /^'*[=+\-@\t\r]/
+const FORMULA_ESCAPE = /^'(?='*[=+\-@\t\r])/
+
+/**
+ * Parse CSV with a header line into objects keyed by (trimmed) column name.
+ * Formula-like text escaped by toCsvLine comes back as it was.
+ * @param {string} text
+ * @returns {Record<string, string>[]}
+ */
+export function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text)
+  if (!header) return []
+
+  const columns = header.map((column) => column.trim())
+  return rows.map((fields) =>
+    Object.fromEntries(
+      columns.map((column, index) => [column, (fields[index] ?? '').replace(FORMULA_ESCAPE, '')])
+    )
+  )
+}
+
+/**
+ * Format one CSV record (with its line ending); null and undefined become empty fields.
+ * Text starting like a formula gets a leading ' so spreadsheets show it as text.
+ * @param {unknown[]} values
+ * @returns {string}
+ */
+export function toCsvLine(values) {
+  const fields = values.map((value) => {
+    let field = value === null || value === undefined ? '' : String(value)
+    if (typeof value === 'string' && ESCAPED_FORMULA.test(field)) field = `'${field}`
+    return /[",\r\n]|^\s|\s$/.test(field) ? `"${field.replaceAll('"', '""')}"` : field
+  })
+
+  return `${fields.join(',')}\r\n`
+}
@@ -192,6 +192,62 @@ class EmailService {
       // Don't throw here as welcome email is not critical
     }
   }
+
+  async sendProductAlertEmail(email, username, alert) {
+    const productUrl = `${process.env.CLIENT_URL}/?product=${alert.productId}`
+    const unsubscribeUrl = `${process.env.CLIENT_URL}/api/v1/alerts/unsubscribe?token=${alert.unsubscribeToken}`
+    const headline = alert.type === 'restock'
+      ? `${alert.product.title} is back in stock!`
+      : `${alert.product.title} dropped to $${alert.product.price.toFixed(2)}`
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'noreply@spiralsounds.com',
+      to: email,
+      subject: `🎵 ${headline}`,
+      html: `
+        <div style="font-family: 'Poppins', Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #ff4c7b; margin-bottom: 10px;">🎵 Spiral Sounds</h1>
+            <p style="color: #666;">Your product alert</p>
+          </div>
+          
+          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+            <h2 style="color: #333; margin-bottom: 15px;">Hi ${username}!</h2>
+            <p style="margin-bottom: 15px;">${headline}</p>
+            <p style="margin-bottom: 20px;">${alert.product.title} by ${alert.product.artist} is waiting for you - grab it before it's gone.</p>
+            
+            <div style="text-align: center; margin: 25px 0;">
+              <a href="${productUrl}" 
+                 style="background: linear-gradient(135deg, #ff4c7b, #ff6b96); 
+                        color: white; 
+                        padding: 12px 25px; 
+                        text-decoration: none; 
+                        border-radius: 6px; 
+                        font-weight: 600;
+                        display: inline-block;">
+                View Record
+              </a>
+            </div>
+          </div>
+          
+          <div style="text-align: center; font-size: 12px; color: #999; margin-top: 30px;">
+            <p>© ${new Date().getFullYear()} Spiral Sounds. All rights reserved.</p>
+            <p>You received this because you set an alert for this record.
+              <a href="${unsubscribeUrl}" style="color: #999;">Unsubscribe from this alert</a> or
+              <a href="${unsubscribeUrl}&scope=all" style="color: #999;">all alerts</a>.</p>
+          </div>
+        </div>
+      `
+    }
+
+    try {
+      await this.transporter.sendMail(mailOptions)
+      logger.info(`Product alert email sent to ${email}`)
+    } catch (error) {
+      logger.error(`Failed to send product alert email to ${email}:`, error)
+      // Don't throw; the in-app notification still goes out
+    }
+  }
 }
 
 export const emailService = new EmailService()
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * Fuzzy Matching Helpers
+ * Edit distance for typo-tolerant search ("did you mean")
+ */
+
+/**
+ * Fold a word the way the catalog search index does (unicode61 with
+ * remove_diacritics): lowercase with accents stripped, so "Björk" → "bjork"
+ * @param {string} word
+ * @returns {string}
+ */
+export function foldTerm(word) {
+  return String(word).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+}
+
+/**
+ * How many typos a word of this length may contain and still be corrected;
+ * short words are left alone since almost everything is one edit away
+ * @param {number} length
+ * @returns {number}
+ */
+export function maxEditsFor(length) {
+  if (length <= 3) return 0
+  if (length <= 5) return 1
+  return 2
+}
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment): insertions,
+ * deletions, substitutions and swapped neighbours each cost 1.
+ * Stops early and returns `max + 1` once the distance must exceed `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max=Infinity]
+ * @returns {number}
+ */
+export function editDistance(a, b, max = Number.POSITIVE_INFINITY) {
+  if (a === b) return 0
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let previousRow = null
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j)
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i]
+    let rowMin = i
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost)
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1)
+      }
+
+      nextRow.push(distance)
+      rowMin = Math.min(rowMin, distance)
+    }
+
+    if (rowMin > max) return max + 1
+
+    previousRow = row
+    row = nextRow
+  }
+
+  return row[b.length]
+}
@@ -84,46 +84,55 @@ export const SLEEVE_GRADES = {
   M: {
     code: 'M',
     label: 'Mint',
+    discogsLabel: 'Mint (M)',
     description: 'Perfect sleeve. No wear, seam splits, or writing.'
   },
   NM: {
     code: 'NM',
     label: 'Near Mint',
+    discogsLabel: 'Near Mint (NM or M-)',
     description: 'Nearly perfect. Minimal signs of handling.'
   },
   'VG+': {
     code: 'VG+',
     label: 'Very Good Plus',
+    discogsLabel: 'Very Good Plus (VG+)',
     description: 'Minor wear. Slight ring wear or corner bumps.'
   },
   VG: {
     code: 'VG',
     label: 'Very Good',
+    discogsLabel: 'Very Good (VG)',
     description: 'Obvious wear. Ring wear, seam wear, or writing.'
   },
   G: {
     code: 'G',
     label: 'Good',
+    discogsLabel: 'Good (G)',
     description: 'Heavy wear. Seam splits, tears, or significant damage.'
   },
   F: {
     code: 'F',
     label: 'Fair',
+    discogsLabel: 'Fair (F)',
     description: 'Very damaged but intact.'
   },
   P: {
     code: 'P',
     label: 'Poor',
+    discogsLabel: 'Poor (P)',
     description: 'Severely damaged or incomplete.'
   },
   GENERIC: {
     code: 'GENERIC',
     label: 'Generic',
+    discogsLabel: 'Generic',
     description: 'Not original sleeve. Plain or replacement sleeve.'
   },
   NONE: {
     code: 'NONE',
     label: 'No Sleeve',
+    discogsLabel: 'No Cover',
     description: 'Record has no sleeve.'
   }
 }
@@ -226,6 +235,29 @@ export function gradeToDiscogsLabel(gradeCode) {
   return grade?.discogsLabel ?? null
 }
 
+/**
+ * Map Discogs sleeve condition label to our sleeve grade code
+ * @param {string} discogsLabel - Discogs sleeve condition label
+ * @returns {string | null}
+ */
+export function discogsLabelToSleeveGrade(discogsLabel) {
+  for (const grade of Object.values(SLEEVE_GRADES)) {
+    if (grade.discogsLabel === discogsLabel) {
+      return grade.code
+    }
+  }
+  return null
+}
+
+/**
+ * Get Discogs sleeve condition label from our sleeve grade code
+ * @param {string} gradeCode - Sleeve grade code
+ * @returns {string | null}
+ */
+export function sleeveGradeToDiscogsLabel(gradeCode) {
+  return SLEEVE_GRADES[gradeCode?.toUpperCase()]?.discogsLabel ?? null
+}
+
 export default {
   GRADES,
   GRADE_ORDER,
@@ -238,5 +270,7 @@ export default {
   isPlayable,
   isCollectible,
   discogsLabelToGrade,
-  gradeToDiscogsLabel
+  gradeToDiscogsLabel,
+  discogsLabelToSleeveGrade,
+  sleeveGradeToDiscogsLabel
 }
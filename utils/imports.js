@@ -0,0 +1,57 @@
+/**
+ * Bulk Import Helpers
+ * What the product and collection imports share: numbering the rows of a CSV
+ * or JSON import, the dry-run switch and the export formats
+ */
+
+import { parseCsv } from './csv.js'
+import { ValidationError } from './errors.js'
+import { sanitizeObject } from './sanitization.js'
+
+export const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+}
+
+// Nothing is written unless the caller asks for it with ?dryRun=false
+export function isDryRun(req) {
+  return !['false', '0'].includes(String(req.query.dryRun).toLowerCase())
+}
+
+/**
+ * Number the rows of an import: a CSV document (numbered as in a spreadsheet,
+ * the header being row 1, with blank cells left out) or a JSON array (from 1).
+ * CSV comes in as a text body, which sanitizeRequestBody never sees, so its
+ * rows are sanitized here.
+ * @param {string|Object[]} input
+ * @param {Object} options
+ * @param {number} options.maxRows
+ * @param {{invalid: string, empty: string, tooMany: string}} options.messages
+ * @param {(data: Object) => Object} [options.clean] - applied to every row
+ * @returns {{row: number, data: Object}[]}
+ */
+export function numberImportRows(input, { maxRows, messages, clean = (data) => data }) {
+  let rows
+
+  if (typeof input === 'string') {
+    rows = parseCsv(input).map((record, index) => ({
+      row: index + 2,
+      data: sanitizeObject(
+        Object.fromEntries(Object.entries(record).filter(([, value]) => value.trim() !== ''))
+      ),
+    }))
+  } else if (Array.isArray(input)) {
+    rows = input.map((data, index) => ({ row: index + 1, data }))
+  } else {
+    throw new ValidationError(messages.invalid)
+  }
+
+  if (rows.length === 0) {
+    throw new ValidationError(messages.empty)
+  }
+  if (rows.length > maxRows) {
+    throw new ValidationError(messages.tooMany)
+  }
+
+  return rows.map(({ row, data }) => ({ row, data: clean(data) }))
+}
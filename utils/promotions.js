@@ -0,0 +1,133 @@
+/**
+ * Promotion rules
+ * Pure discount calculations shared by the cart summary and checkout
+ */
+
+export const PROMOTION_TYPES = {
+  PERCENT: 'percent',
+  FIXED: 'fixed',
+  BUY_X_GET_Y: 'buy_x_get_y',
+  FREE_SHIPPING: 'free_shipping',
+}
+
+export const PROMOTION_SCOPES = {
+  ALL: 'all',
+  GENRE: 'genre',
+  ARTIST: 'artist',
+  PRODUCT: 'product',
+}
+
+/**
+ * @typedef {Object} PromotionItem
+ * @property {number} productId
+ * @property {string} artist
+ * @property {string} genre
+ * @property {number} price - Current unit price
+ * @property {number} quantity
+ */
+
+/**
+ * @typedef {Object} DiscountResult
+ * @property {number} discount - Amount taken off the subtotal
+ * @property {boolean} freeShipping - Whether shipping is waived
+ * @property {number[]} eligibleProductIds - Cart products the promotion applied to
+ */
+
+const sameText = (a, b) => `${a ?? ''}`.trim().toLowerCase() === `${b ?? ''}`.trim().toLowerCase()
+
+const round = (amount) => parseFloat(amount.toFixed(2))
+
+/**
+ * Whether a cart line falls inside the promotion's genre/artist/product scope
+ */
+export function isInScope(promotion, item) {
+  switch (promotion.scopeType) {
+    case PROMOTION_SCOPES.GENRE:
+      return sameText(item.genre, promotion.scopeValue)
+    case PROMOTION_SCOPES.ARTIST:
+      return sameText(item.artist, promotion.scopeValue)
+    case PROMOTION_SCOPES.PRODUCT:
+      return String(item.productId) === String(promotion.scopeValue)
+    default:
+      return true
+  }
+}
+
+/**
+ * Why a promotion can't be used right now, or null if it can
+ * `userUses` is how many times this shopper has already redeemed it
+ */
+export function getPromotionProblem(
+  promotion,
+  { subtotal = 0, userUses = 0, now = new Date() } = {}
+) {
+  if (!promotion.isActive) {
+    return 'This coupon is not active'
+  }
+  if (promotion.startsAt && new Date(promotion.startsAt) > now) {
+    return 'This coupon is not valid yet'
+  }
+  if (promotion.endsAt && new Date(promotion.endsAt) <= now) {
+    return 'This coupon has expired'
+  }
+  if (promotion.maxUses !== null && promotion.timesUsed >= promotion.maxUses) {
+    return 'This coupon has reached its usage limit'
+  }
+  if (promotion.maxUsesPerUser !== null && userUses >= promotion.maxUsesPerUser) {
+    return 'You have already used this coupon'
+  }
+  if (subtotal < promotion.minSubtotal) {
+    return `This coupon requires a subtotal of at least $${promotion.minSubtotal.toFixed(2)}`
+  }
+
+  return null
+}
+
+/**
+ * Work out what a promotion takes off a set of cart lines
+ * @param {Object} promotion - Normalized promotion
+ * @param {PromotionItem[]} items
+ * @returns {DiscountResult}
+ */
+export function calculateDiscount(promotion, items) {
+  const eligible = items.filter((item) => isInScope(promotion, item))
+  const eligibleSubtotal = eligible.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  const result = {
+    discount: 0,
+    freeShipping: false,
+    eligibleProductIds: eligible.map((item) => item.productId),
+  }
+
+  if (eligible.length === 0) {
+    return result
+  }
+
+  switch (promotion.type) {
+    case PROMOTION_TYPES.PERCENT:
+      result.discount = (eligibleSubtotal * Math.min(promotion.value, 100)) / 100
+      break
+
+    case PROMOTION_TYPES.FIXED:
+      result.discount = Math.min(promotion.value, eligibleSubtotal)
+      break
+
+    case PROMOTION_TYPES.BUY_X_GET_Y: {
+      // Every (buy + get) eligible units earns `get` free units, cheapest first
+      const unitPrices = eligible
+        .flatMap((item) => Array(item.quantity).fill(item.price))
+        .sort((a, b) => a - b)
+      const groupSize = promotion.buyQuantity + promotion.getQuantity
+      const freeUnits = Math.floor(unitPrices.length / groupSize) * promotion.getQuantity
+
+      result.discount = unitPrices.slice(0, freeUnits).reduce((sum, price) => sum + price, 0)
+      break
+    }
+
+    case PROMOTION_TYPES.FREE_SHIPPING:
+      result.freeShipping = true
+      break
+  }
+
+  result.discount = round(result.discount)
+  return result
+}
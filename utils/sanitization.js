@@ -23,6 +23,18 @@ export const sanitizeInput = (input) => {
   })
 }
 
+// Escape text for insertion into HTML (server-side twin of sanitizeText in public/js/xssPrevention.js)
+export const escapeHtml = (text) => {
+  if (typeof text !== 'string') return text
+
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
 // Sanitize an object's string properties
 export const sanitizeObject = (obj) => {
   const sanitized = {}
@@ -42,7 +54,7 @@ export const sanitizeObject = (obj) => {
 
 // Middleware to sanitize request body
 export const sanitizeRequestBody = (req, res, next) => {
-  if (req.body && typeof req.body === 'object') {
+  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
     req.body = sanitizeObject(req.body)
   }
   next()
@@ -0,0 +1,55 @@
+/**
+ * Encryption for secrets kept in the database (third-party OAuth tokens).
+ * AES-256-GCM with a key derived from SECRETS_ENCRYPTION_KEY, or from
+ * JWT_SECRET when that isn't set. Values are stored as
+ * `v1:<iv>:<auth tag>:<ciphertext>`, all base64.
+ */
+
+import crypto from 'node:crypto'
+
+const VERSION = 'v1'
+const ALGORITHM = 'aes-256-gcm'
+const IV_BYTES = 12
+
+let cachedKey = null
+let cachedFrom = null
+
+const getKey = () => {
+  const secret = process.env.SECRETS_ENCRYPTION_KEY || process.env.JWT_SECRET
+  if (!secret) {
+    throw new Error('SECRETS_ENCRYPTION_KEY or JWT_SECRET is required to store secrets')
+  }
+
+  if (secret !== cachedFrom) {
+    cachedKey = crypto.scryptSync(secret, 'spiral-sounds-secrets', 32)
+    cachedFrom = secret
+  }
+  return cachedKey
+}
+
+export function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES)
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv)
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()])
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':')
+}
+
+/**
+ * @throws {Error} when the value was tampered with or encrypted under another key
+ */
+export function decryptSecret(stored) {
+  const [version, iv, tag, ciphertext] = String(stored).split(':')
+  if (version !== VERSION || !ciphertext) {
+    throw new Error('Unrecognized encrypted secret')
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'))
+  decipher.setAuthTag(Buffer.from(tag, 'base64'))
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final(),
+  ]).toString('utf8')
+}
@@ -66,6 +66,41 @@ export const passwordResetSchema = Joi.object({
     })
 })
 
+// Tracklist and credits are stored as JSON; accept an array or the JSON string
+// DiscogsService.importReleaseAsProduct prepares
+function jsonArray(items) {
+  const array = Joi.array().items(items).max(200)
+
+  return Joi.alternatives()
+    .try(
+      array,
+      Joi.string().custom((value, helpers) => {
+        try {
+          const { error, value: parsed } = array.validate(JSON.parse(value))
+          return error ? helpers.error('any.invalid') : parsed
+        } catch {
+          return helpers.error('any.invalid')
+        }
+      })
+    )
+    .allow(null)
+}
+
+const trackSchema = Joi.object({
+  position: Joi.string().allow('').optional(),
+  type: Joi.string().optional(),
+  title: Joi.string().allow('').required(),
+  duration: Joi.string().allow('').optional(),
+  artists: Joi.array().items(Joi.object()).optional(),
+  extraArtists: Joi.array().items(Joi.object()).optional()
+})
+
+const creditSchema = Joi.object({
+  id: Joi.number().integer().optional(),
+  name: Joi.string().required(),
+  role: Joi.string().allow('').optional()
+})
+
 // Product validation schema
 export const productSchema = Joi.object({
   title: Joi.string().trim().min(1).max(100).required(),
@@ -74,9 +109,75 @@ export const productSchema = Joi.object({
   genre: Joi.string().trim().min(1).max(50).required(),
   year: Joi.number().integer().min(1900).max(new Date().getFullYear()).required(),
   stock: Joi.number().integer().min(0).required(),
-  image: Joi.string().trim().optional()
+  image: Joi.string().trim().optional(),
+  description: Joi.string().trim().max(2000).allow('').optional(),
+  label: Joi.string().trim().max(100).allow(null, '').optional(),
+  format: Joi.string().trim().max(100).allow(null).optional(),
+  weight_grams: Joi.number().integer().positive().allow(null).optional(),
+  // Store identifiers bulk imports match on; a blank cell means none
+  sku: Joi.string().trim().max(64).empty('').allow(null).optional(),
+  barcode: Joi.string().trim().pattern(/^\d{8,14}$/).empty('').allow(null).optional().messages({
+    'string.pattern.base': 'Barcode must be an 8 to 14 digit EAN/UPC'
+  }),
+  // Release details (usually from a Discogs import)
+  discogs_id: Joi.number().integer().positive().allow(null).optional(),
+  discogs_master_id: Joi.number().integer().positive().allow(null).optional(),
+  catalog_number: Joi.string().trim().max(100).allow(null, '').optional(),
+  format_details: Joi.string().trim().max(200).allow(null, '').optional(),
+  country: Joi.string().trim().max(100).allow(null, '').optional(),
+  released: Joi.string().trim().max(50).allow(null, '').optional(),
+  styles: Joi.string().trim().max(500).allow(null, '').optional(),
+  tracklist: jsonArray(trackSchema).optional(),
+  credits: jsonArray(creditSchema).optional(),
+  community_rating: Joi.number().min(0).max(5).allow(null).optional(),
+  community_have: Joi.number().integer().min(0).allow(null).optional(),
+  community_want: Joi.number().integer().min(0).allow(null).optional()
+})
+
+// Discogs release import (admin): overrides for the suggested price and default stock
+export const discogsImportSchema = Joi.object({
+  price: Joi.number().positive().precision(2).optional(),
+  stock: Joi.number().integer().min(0).optional()
 })
 
+// Batch import: release IDs (each optionally with overrides) or a seller inventory CSV export
+export const discogsBatchImportSchema = Joi.object({
+  releases: Joi.array()
+    .items(
+      Joi.number().integer().positive(),
+      Joi.object({
+        releaseId: Joi.number().integer().positive().required(),
+        price: Joi.number().positive().precision(2).optional(),
+        stock: Joi.number().integer().min(0).optional()
+      })
+    )
+    .min(1)
+    .max(100),
+  inventory: Joi.string().max(5 * 1024 * 1024)
+})
+  .xor('releases', 'inventory')
+  .required()
+  .messages({
+    'object.missing': 'Provide either releases or inventory',
+    'object.xor': 'Provide either releases or inventory, not both',
+    'any.required': 'Provide either releases or inventory'
+  })
+
+// Discogs collection/wantlist sync: which way changes go, and which side wins
+// when both changed the same field (conflicts are only reported without it)
+export const discogsSyncSchema = Joi.object({
+  direction: Joi.string().valid('both', 'pull', 'push').default('both'),
+  prefer: Joi.string().valid('local', 'discogs').optional()
+})
+
+// Partial product update schema (PATCH) - same rules, every field optional
+export const productUpdateSchema = productSchema
+  .fork(['title', 'artist', 'price', 'genre', 'year', 'stock'], (field) => field.optional())
+  .min(1)
+  .messages({
+    'object.min': 'At least one product field is required'
+  })
+
 // Cart item validation schema
 export const cartItemSchema = Joi.object({
   productId: Joi.number().integer().positive().required().messages({
@@ -90,6 +191,172 @@ export const cartItemSchema = Joi.object({
   })
 })
 
+// Cart quantity update schema (0 removes the line)
+export const cartItemUpdateSchema = Joi.object({
+  quantity: Joi.number().integer().min(0).max(10).required().messages({
+    'number.base': 'Quantity must be a number',
+    'number.min': 'Quantity cannot be negative',
+    'number.max': 'Quantity cannot exceed 10',
+    'any.required': 'Quantity is required'
+  })
+})
+
+// Wishlist entry and move-to-cart
+export const wishlistItemSchema = Joi.object({
+  productId: Joi.number().integer().positive().required().messages({
+    'number.base': 'Product ID must be a number',
+    'number.positive': 'Product ID must be positive',
+    'any.required': 'Product ID is required'
+  })
+})
+
+export const wishlistMoveSchema = Joi.object({
+  quantity: Joi.number().integer().min(1).max(10).default(1).messages({
+    'number.min': 'Quantity must be at least 1',
+    'number.max': 'Quantity cannot exceed 10'
+  })
+}).default({})
+
+// Coupon code applied to a cart
+export const couponSchema = Joi.object({
+  code: Joi.string().trim().min(1).max(32).required().messages({
+    'any.required': 'Coupon code is required'
+  })
+})
+
+// Ship-to address used for tax and shipping rates
+export const shippingAddressSchema = Joi.object({
+  country: Joi.string().trim().uppercase().pattern(/^[A-Z]{2}$/).required().messages({
+    'string.pattern.base': 'Country must be a two-letter ISO code',
+    'any.required': 'Country is required'
+  }),
+  region: Joi.string().trim().uppercase().max(10).allow('').optional(),
+  postalCode: Joi.string().trim().max(20).allow('').optional()
+})
+
+// Checkout options (address and method default to the store's region and standard shipping)
+export const checkoutSchema = Joi.object({
+  shippingAddress: shippingAddressSchema.optional(),
+  shippingMethod: Joi.string().trim().max(30).optional()
+})
+
+// Product review (PUT accepts any subset via reviewUpdateSchema)
+export const reviewSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required().messages({
+    'number.min': 'Rating must be between 1 and 5',
+    'number.max': 'Rating must be between 1 and 5',
+    'any.required': 'Rating is required'
+  }),
+  comment: Joi.string().trim().max(2000).allow('', null).optional()
+})
+
+export const reviewUpdateSchema = reviewSchema
+  .fork(['rating'], (field) => field.optional())
+  .min(1)
+  .messages({
+    'object.min': 'Provide a rating or comment to update'
+  })
+
+// User report against reviews or other moderated content
+export const reportSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    'any.required': 'Please say why you are reporting this',
+    'string.min': 'Reason must be at least 3 characters'
+  })
+}).required().messages({
+  'any.required': 'Please say why you are reporting this'
+})
+
+// Moderator decision; rejections must give a reason (shown to the author)
+export const moderationSchema = Joi.object({
+  reason: Joi.string().trim().max(500).allow('', null).optional()
+})
+
+export const moderationRejectSchema = moderationSchema.fork(['reason'], (field) =>
+  field.invalid('', null).required().messages({
+    'any.required': 'A reason is required to reject content',
+    'any.invalid': 'A reason is required to reject content'
+  })
+).required().messages({
+  'any.required': 'A reason is required to reject content'
+})
+
+// Report an object-level rule failure against one of the object's fields
+const fieldError = (helpers, field, code) =>
+  helpers.error(code, { label: field, key: field }, {
+    ...helpers.state,
+    path: [...helpers.state.path, field]
+  })
+
+// Product alert subscription (price alerts need a target below the current price)
+export const alertSchema = Joi.object({
+  type: Joi.string().valid('restock', 'price_below').required().messages({
+    'any.only': 'Alert type must be restock or price_below'
+  }),
+  targetPrice: Joi.number().positive().precision(2).allow(null).default(null)
+}).custom((alert, helpers) => {
+  if (alert.type === 'price_below' && alert.targetPrice === null) {
+    return fieldError(helpers, 'targetPrice', 'alert.targetPrice')
+  }
+  if (alert.type !== 'price_below' && alert.targetPrice !== null) {
+    return fieldError(helpers, 'targetPrice', 'any.unknown')
+  }
+  return alert
+}).messages({
+  'alert.targetPrice': 'Target price is required for price alerts'
+})
+
+// Promotion (coupon) schema for admin create/replace; the rules that depend on
+// the type, scope and dates are checked on the whole promotion
+export const promotionSchema = Joi.object({
+  code: Joi.string().trim().uppercase().min(3).max(32)
+    .pattern(/^[A-Z0-9_-]+$/).required().messages({
+      'string.pattern.base': 'Coupon code can only contain letters, numbers, underscores, and dashes'
+    }),
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().trim().max(500).allow('', null).optional(),
+  type: Joi.string().valid('percent', 'fixed', 'buy_x_get_y', 'free_shipping').required(),
+  value: Joi.number().min(0).precision(2),
+  buyQuantity: Joi.number().integer().min(1).allow(null).default(null),
+  getQuantity: Joi.number().integer().min(1).allow(null).default(null),
+  scopeType: Joi.string().valid('all', 'genre', 'artist', 'product').default('all'),
+  scopeValue: Joi.alternatives(Joi.string().trim().min(1).max(100), Joi.number().integer().positive())
+    .allow(null).default(null),
+  minSubtotal: Joi.number().min(0).precision(2).default(0),
+  maxUses: Joi.number().integer().min(1).allow(null).default(null),
+  maxUsesPerUser: Joi.number().integer().min(1).allow(null).default(null),
+  startsAt: Joi.date().iso().allow(null).default(null),
+  endsAt: Joi.date().iso().allow(null).default(null),
+  isActive: Joi.boolean().default(true)
+}).custom((promotion, helpers) => {
+  const errors = helpers.errorsArray()
+  const fail = (field, code) => errors.push(fieldError(helpers, field, code))
+  const { type, value } = promotion
+
+  if (type === 'percent' || type === 'fixed') {
+    if (value === undefined) fail('value', 'any.required')
+    else if (value === 0) fail('value', 'number.positive')
+    else if (type === 'percent' && value > 100) fail('value', 'promotion.percent')
+  }
+
+  for (const field of ['buyQuantity', 'getQuantity']) {
+    if (type === 'buy_x_get_y' && promotion[field] === null) fail(field, 'any.required')
+    if (type !== 'buy_x_get_y' && promotion[field] !== null) fail(field, 'any.unknown')
+  }
+
+  if (promotion.scopeType === 'all' && promotion.scopeValue !== null) fail('scopeValue', 'any.unknown')
+  if (promotion.scopeType !== 'all' && promotion.scopeValue === null) fail('scopeValue', 'any.required')
+
+  if (promotion.startsAt && promotion.endsAt && promotion.endsAt <= promotion.startsAt) {
+    fail('endsAt', 'promotion.endsAt')
+  }
+
+  return errors.length > 0 ? errors : { ...promotion, value: value ?? 0 }
+}).messages({
+  'promotion.percent': 'A percent discount cannot exceed 100',
+  'promotion.endsAt': 'endsAt must be after startsAt'
+})
+
 // Validation middleware factory
 export const validate = (schema) => {
   return (req, res, next) => {